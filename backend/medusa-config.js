@@ -18,8 +18,24 @@ import {
   MINIO_ACCESS_KEY,
   MINIO_SECRET_KEY,
   MINIO_BUCKET,
+  MINIO_PORT,
+  MINIO_USE_SSL,
+  MINIO_REGION,
+  MINIO_PUBLIC_URL,
+  MINIO_PATH_STYLE,
+  MINIO_PRIVATE,
+  MINIO_PRESIGNED_URL_EXPIRES_IN,
+  MINIO_IMAGE_DERIVATIVES,
   MEILISEARCH_HOST,
   MEILISEARCH_ADMIN_KEY,
+  NOTIFICATION_MAX_ATTEMPTS,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASSWORD,
+  EMAIL_FILE_DIR,
+  EMAIL_FROM,
 } from "lib/constants";
 
 loadEnv(process.env.NODE_ENV, process.cwd());
@@ -43,6 +59,80 @@ const medusaConfig = {
     disable: SHOULD_DISABLE_ADMIN,
   },
   modules: [
+    {
+      resolve: "./src/modules/notification-outbox",
+      options: {
+        max_attempts: NOTIFICATION_MAX_ATTEMPTS,
+      },
+    },
+    {
+      resolve: "./src/modules/back-in-stock",
+    },
+    {
+      resolve: "./src/modules/product-review",
+    },
+    {
+      resolve: "./src/modules/wishlist",
+    },
+    {
+      resolve: "./src/modules/search-analytics",
+    },
+    {
+      resolve: "./src/modules/gift-card",
+    },
+    {
+      resolve: "./src/modules/product-sort",
+    },
+    ...(MEILISEARCH_HOST && MEILISEARCH_ADMIN_KEY
+      ? [
+          {
+            resolve: "./src/modules/product-search",
+            options: {
+              host: MEILISEARCH_HOST,
+              apiKey: MEILISEARCH_ADMIN_KEY,
+              indexName: "products",
+              // Synonyms, stop words, typo tolerance and ranking rules are managed in the admin
+              indexSettings: {
+                searchableAttributes: [
+                  "title",
+                  "subtitle",
+                  "description",
+                  "variant_sku",
+                  "categories",
+                  "collection",
+                  "tags",
+                  "options",
+                ],
+                displayedAttributes: [
+                  "id",
+                  "title",
+                  "subtitle",
+                  "description",
+                  "variant_sku",
+                  "thumbnail",
+                  "handle",
+                  "categories",
+                  "collection",
+                  "tags",
+                  "options",
+                  "in_stock",
+                  "min_price",
+                ],
+                // Nested fields of options and min_price are filterable and sortable, e.g. options.size
+                filterableAttributes: [
+                  "categories",
+                  "collection",
+                  "tags",
+                  "options",
+                  "in_stock",
+                  "min_price",
+                ],
+                sortableAttributes: ["min_price", "created_at", "title"],
+              },
+            },
+          },
+        ]
+      : []),
     {
       key: Modules.FILE,
       resolve: "@medusajs/file",
@@ -58,6 +148,14 @@ const medusaConfig = {
                     accessKey: MINIO_ACCESS_KEY,
                     secretKey: MINIO_SECRET_KEY,
                     bucket: MINIO_BUCKET, // Optional, default: medusa-media
+                    port: MINIO_PORT,
+                    useSSL: MINIO_USE_SSL,
+                    region: MINIO_REGION,
+                    publicUrl: MINIO_PUBLIC_URL,
+                    pathStyle: MINIO_PATH_STYLE,
+                    private: MINIO_PRIVATE,
+                    presignedUrlExpiresIn: MINIO_PRESIGNED_URL_EXPIRES_IN,
+                    imageDerivatives: MINIO_IMAGE_DERIVATIVES,
                   },
                 },
               ]
@@ -92,6 +190,31 @@ const medusaConfig = {
               },
             },
           },
+          {
+            // Cache shared by all server and worker instances, e.g. for rate limits
+            key: Modules.CACHE,
+            resolve: "@medusajs/medusa/cache-redis",
+            options: {
+              redisUrl: REDIS_URL,
+            },
+          },
+          {
+            // Locks shared by all server and worker instances
+            key: Modules.LOCKING,
+            resolve: "@medusajs/medusa/locking",
+            options: {
+              providers: [
+                {
+                  resolve: "@medusajs/medusa/locking-redis",
+                  id: "locking-redis",
+                  is_default: true,
+                  options: {
+                    redisUrl: REDIS_URL,
+                  },
+                },
+              ],
+            },
+          },
         ]
       : []),
     ...(RESEND_API_KEY && RESEND_FROM_EMAIL
@@ -114,20 +237,26 @@ const medusaConfig = {
             },
           },
         ]
-      : []),
-    ...(STRIPE_API_KEY && STRIPE_WEBHOOK_SECRET
+      : SMTP_HOST || EMAIL_FILE_DIR
       ? [
           {
-            key: Modules.PAYMENT,
-            resolve: "@medusajs/payment",
+            key: Modules.NOTIFICATION,
+            resolve: "@medusajs/notification",
             options: {
               providers: [
                 {
-                  resolve: "@medusajs/payment-stripe",
-                  id: "stripe",
+                  resolve: "./src/modules/email-notifications/mailer",
+                  id: "mailer",
                   options: {
-                    apiKey: STRIPE_API_KEY,
-                    webhookSecret: STRIPE_WEBHOOK_SECRET,
+                    channels: ["email"],
+                    transport: SMTP_HOST ? "smtp" : "file",
+                    from: EMAIL_FROM,
+                    host: SMTP_HOST,
+                    port: SMTP_PORT,
+                    secure: SMTP_SECURE,
+                    user: SMTP_USER,
+                    password: SMTP_PASSWORD,
+                    output_dir: EMAIL_FILE_DIR,
                   },
                 },
               ],
@@ -135,37 +264,22 @@ const medusaConfig = {
           },
         ]
       : []),
-  ],
-  plugins: [
-    ...(MEILISEARCH_HOST && MEILISEARCH_ADMIN_KEY
+    ...(STRIPE_API_KEY && STRIPE_WEBHOOK_SECRET
       ? [
           {
-            resolve: "@rokmohar/medusa-plugin-meilisearch",
+            key: Modules.PAYMENT,
+            resolve: "@medusajs/payment",
             options: {
-              config: {
-                host: MEILISEARCH_HOST,
-                apiKey: MEILISEARCH_ADMIN_KEY,
-              },
-              settings: {
-                products: {
-                  indexSettings: {
-                    searchableAttributes: [
-                      "title",
-                      "description",
-                      "variant_sku",
-                    ],
-                    displayedAttributes: [
-                      "id",
-                      "title",
-                      "description",
-                      "variant_sku",
-                      "thumbnail",
-                      "handle",
-                    ],
+              providers: [
+                {
+                  resolve: "@medusajs/payment-stripe",
+                  id: "stripe",
+                  options: {
+                    apiKey: STRIPE_API_KEY,
+                    webhookSecret: STRIPE_WEBHOOK_SECRET,
                   },
-                  primaryKey: "id",
                 },
-              },
+              ],
             },
           },
         ]
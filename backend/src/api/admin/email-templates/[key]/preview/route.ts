@@ -0,0 +1,23 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { render } from '@react-email/components'
+import { ReactElement } from 'react'
+import { generateEmailTemplate } from '../../../../../modules/email-notifications/templates'
+import { getEmailTemplateData } from '../../../../../utils/email-template-data'
+
+/**
+ * Render an email template to HTML, with its preview props or with the data of the
+ * order given as `order_id` query param. `locale` (e.g. `de-DE`) overrides the locale.
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const orderId = typeof req.query.order_id === 'string' ? req.query.order_id : undefined
+  const locale = typeof req.query.locale === 'string' ? req.query.locale : undefined
+
+  const data = await getEmailTemplateData(req.scope, req.params.key, orderId, locale)
+  const html = await render(generateEmailTemplate(req.params.key, data) as ReactElement)
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8')
+  res.send(html)
+}
@@ -0,0 +1,50 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError, Modules } from '@medusajs/framework/utils'
+import { INotificationModuleService } from '@medusajs/framework/types'
+import { getEmailTemplateData } from '../../../../../utils/email-template-data'
+
+type TestEmailBody = {
+  to?: string
+  order_id?: string
+  locale?: string
+}
+
+/**
+ * Send a test copy of an email template to the given address. Test emails bypass the
+ * notification outbox, so a failure is returned right away instead of being retried.
+ *
+ * Body: `to`, `order_id` and `locale` (both optional, see the preview route)
+ */
+export async function POST(
+  req: MedusaRequest<TestEmailBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { to, order_id, locale } = req.body ?? {}
+
+  if (typeof to !== 'string' || !to.includes('@')) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `A valid "to" email address is required`)
+  }
+
+  const data = await getEmailTemplateData(req.scope, req.params.key, order_id, locale)
+
+  if (!req.scope.hasRegistration(Modules.NOTIFICATION)) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, `No email provider is configured`)
+  }
+  const notificationModuleService: INotificationModuleService = req.scope.resolve(Modules.NOTIFICATION)
+
+  const notification = await notificationModuleService.createNotifications({
+    to,
+    channel: 'email',
+    template: req.params.key,
+    trigger_type: 'email-template.test',
+    data: {
+      ...data,
+      emailOptions: {
+        replyTo: process.env.RESEND_FROM_EMAIL || 'support@nightkidz.com',
+        subject: `[Test] ${req.params.key}`
+      }
+    }
+  })
+
+  res.json({ notification })
+}
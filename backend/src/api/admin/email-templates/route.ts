@@ -0,0 +1,19 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { EmailTemplates } from '../../../modules/email-notifications/templates'
+import { isOrderEmailTemplate } from '../../../utils/email-template-data'
+
+/**
+ * List the available email templates. `order_data` tells whether a template can be
+ * previewed with a real order instead of its preview props.
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const templates = Object.values(EmailTemplates).map((key) => ({
+    key,
+    order_data: isOrderEmailTemplate(key)
+  }))
+
+  res.json({ templates })
+}
@@ -0,0 +1,29 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { NOTIFICATION_OUTBOX_MODULE } from '../../../../../modules/notification-outbox'
+import NotificationOutboxModuleService from '../../../../../modules/notification-outbox/service'
+import { OutboxNotificationStatus } from '../../../../../modules/notification-outbox/models/outbox-notification'
+import { dispatchOutboxNotification, redactOutboxNotification } from '../../../../../utils/send-notification'
+
+/**
+ * Send a failed or dead-lettered notification again, right away.
+ */
+export async function POST(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const outboxService: NotificationOutboxModuleService = req.scope.resolve(NOTIFICATION_OUTBOX_MODULE)
+
+  const notification = await outboxService.retrieveOutboxNotification(req.params.id)
+
+  if (notification.status === OutboxNotificationStatus.SENT) {
+    throw new MedusaError(
+      MedusaError.Types.NOT_ALLOWED,
+      `Notification ${notification.id} has already been sent`
+    )
+  }
+
+  const result = await dispatchOutboxNotification(req.scope, notification)
+
+  res.json({ notification: redactOutboxNotification(result) })
+}
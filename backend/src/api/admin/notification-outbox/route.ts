@@ -0,0 +1,36 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { NOTIFICATION_OUTBOX_MODULE } from '../../../modules/notification-outbox'
+import NotificationOutboxModuleService from '../../../modules/notification-outbox/service'
+import { OutboxNotificationStatus } from '../../../modules/notification-outbox/models/outbox-notification'
+import { redactOutboxNotification } from '../../../utils/send-notification'
+import { parseInteger } from '../../../utils/query-params'
+
+/**
+ * List notifications in the outbox. Defaults to the ones that need attention:
+ * failed notifications waiting for a retry and dead-lettered ones. Secrets in their
+ * data are redacted.
+ *
+ * Query params: `status` (comma separated), `template`, `limit`, `offset`
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const outboxService: NotificationOutboxModuleService = req.scope.resolve(NOTIFICATION_OUTBOX_MODULE)
+
+  const status = typeof req.query.status === 'string'
+    ? req.query.status.split(',')
+    : [OutboxNotificationStatus.FAILED, OutboxNotificationStatus.DEAD]
+  const limit = Math.min(parseInteger(req.query.limit, 'limit') ?? 20, 100)
+  const offset = parseInteger(req.query.offset, 'offset') ?? 0
+
+  const [notifications, count] = await outboxService.listAndCountOutboxNotifications(
+    {
+      status,
+      ...(typeof req.query.template === 'string' ? { template: req.query.template } : {})
+    },
+    { take: limit, skip: offset, order: { created_at: 'DESC' } }
+  )
+
+  res.json({ notifications: notifications.map(redactOutboxNotification), count, limit, offset })
+}
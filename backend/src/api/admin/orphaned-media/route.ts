@@ -0,0 +1,43 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { getMinioFileProvider } from '../../../utils/minio-file-provider'
+import { findOrphanedMedia } from '../../../utils/orphaned-media'
+import { ORPHANED_MEDIA_GRACE_HOURS } from '../../../lib/constants'
+
+/**
+ * Dry run of the orphaned media cleanup job: lists the files in the media bucket that
+ * nothing refers to, without deleting them.
+ *
+ * Query params: `grace_hours` (defaults to `ORPHANED_MEDIA_GRACE_HOURS`)
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const fileProvider = getMinioFileProvider(req.scope)
+
+  if (!fileProvider) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, 'Orphaned media cleanup requires MinIO file storage')
+  }
+
+  const graceHours = Number(req.query.grace_hours ?? ORPHANED_MEDIA_GRACE_HOURS)
+
+  if (!Number.isFinite(graceHours) || graceHours < 0) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, 'grace_hours must be a non-negative number')
+  }
+
+  const report = await findOrphanedMedia(req.scope, fileProvider, graceHours)
+
+  res.json({
+    files: report.orphaned.map((file) => ({
+      key: file.key,
+      size: file.size,
+      last_modified: file.lastModified
+    })),
+    count: report.orphaned.length,
+    size: report.orphaned.reduce((total, file) => total + file.size, 0),
+    scanned: report.scanned,
+    skipped_recent: report.skipped_recent,
+    grace_hours: graceHours
+  })
+}
@@ -0,0 +1,54 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { PRODUCT_REVIEW_MODULE } from '../../../../modules/product-review'
+import ProductReviewModuleService from '../../../../modules/product-review/service'
+import {
+  ProductReviewStatus,
+  ProductReviewStatusType
+} from '../../../../modules/product-review/models/product-review'
+
+type ModerateReviewBody = {
+  status?: ProductReviewStatusType
+}
+
+/**
+ * Approve or reject a review.
+ *
+ * Body: `status` (`approved`, `rejected` or `pending`)
+ */
+export async function POST(
+  req: MedusaRequest<ModerateReviewBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { status } = req.body ?? {}
+
+  if (!Object.values<string>(ProductReviewStatus).includes(status as string)) {
+    throw new MedusaError(
+      MedusaError.Types.INVALID_DATA,
+      `Status must be one of: ${Object.values(ProductReviewStatus).join(', ')}`
+    )
+  }
+
+  const reviewService: ProductReviewModuleService = req.scope.resolve(PRODUCT_REVIEW_MODULE)
+
+  // Throws a not found error for unknown reviews
+  await reviewService.retrieveProductReview(req.params.id)
+  const review = await reviewService.updateProductReviews({ id: req.params.id, status })
+
+  res.json({ review })
+}
+
+/**
+ * Delete a review, e.g. spam.
+ */
+export async function DELETE(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const reviewService: ProductReviewModuleService = req.scope.resolve(PRODUCT_REVIEW_MODULE)
+
+  await reviewService.retrieveProductReview(req.params.id)
+  await reviewService.deleteProductReviews(req.params.id)
+
+  res.json({ id: req.params.id, object: 'product_review', deleted: true })
+}
@@ -0,0 +1,32 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { PRODUCT_REVIEW_MODULE } from '../../../modules/product-review'
+import ProductReviewModuleService from '../../../modules/product-review/service'
+import { ProductReviewStatus } from '../../../modules/product-review/models/product-review'
+
+/**
+ * List product reviews for moderation. Defaults to the pending ones.
+ *
+ * Query params: `status` (comma separated), `product_id`, `limit`, `offset`
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const reviewService: ProductReviewModuleService = req.scope.resolve(PRODUCT_REVIEW_MODULE)
+
+  const status = typeof req.query.status === 'string'
+    ? req.query.status.split(',')
+    : [ProductReviewStatus.PENDING]
+  const limit = Math.min(Number(req.query.limit ?? 20), 100)
+  const offset = Number(req.query.offset ?? 0)
+
+  const [reviews, count] = await reviewService.listAndCountProductReviews(
+    {
+      status,
+      ...(typeof req.query.product_id === 'string' ? { product_id: req.query.product_id } : {})
+    },
+    { take: limit, skip: offset, order: { created_at: 'DESC' } }
+  )
+
+  res.json({ reviews, count, limit, offset })
+}
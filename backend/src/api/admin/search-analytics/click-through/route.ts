@@ -0,0 +1,22 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { SEARCH_ANALYTICS_MODULE } from '../../../../modules/search-analytics'
+import SearchAnalyticsModuleService from '../../../../modules/search-analytics/service'
+import { parseDateRange } from '../../../../utils/date-range'
+
+/**
+ * Number of searches, clicks on their results and the click-through rate in a date
+ * range. Defaults to the last 30 days.
+ *
+ * Query params: `from`, `to`
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const analyticsService: SearchAnalyticsModuleService = req.scope.resolve(SEARCH_ANALYTICS_MODULE)
+
+  const { from, to } = parseDateRange(req.query)
+  const clickThrough = await analyticsService.getClickThrough({ from, to })
+
+  res.json({ ...clickThrough, from, to })
+}
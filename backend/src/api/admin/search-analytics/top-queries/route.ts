@@ -0,0 +1,25 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { SEARCH_ANALYTICS_MODULE } from '../../../../modules/search-analytics'
+import SearchAnalyticsModuleService from '../../../../modules/search-analytics/service'
+import { parseDateRange } from '../../../../utils/date-range'
+import { parseInteger } from '../../../../utils/query-params'
+
+/**
+ * Most searched queries in a date range, with their clicks, click-through rate and
+ * average number of results. Defaults to the last 30 days.
+ *
+ * Query params: `from`, `to`, `limit`
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const analyticsService: SearchAnalyticsModuleService = req.scope.resolve(SEARCH_ANALYTICS_MODULE)
+
+  const { from, to } = parseDateRange(req.query)
+  const limit = Math.min(parseInteger(req.query.limit, 'limit') ?? 20, 100)
+
+  const queries = await analyticsService.getTopQueries({ from, to }, limit)
+
+  res.json({ queries, from, to })
+}
@@ -0,0 +1,25 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { SEARCH_ANALYTICS_MODULE } from '../../../../modules/search-analytics'
+import SearchAnalyticsModuleService from '../../../../modules/search-analytics/service'
+import { parseDateRange } from '../../../../utils/date-range'
+import { parseInteger } from '../../../../utils/query-params'
+
+/**
+ * Queries that returned no results in a date range, most searched first. These are
+ * the gaps to fix with products, synonyms or redirects. Defaults to the last 30 days.
+ *
+ * Query params: `from`, `to`, `limit`
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const analyticsService: SearchAnalyticsModuleService = req.scope.resolve(SEARCH_ANALYTICS_MODULE)
+
+  const { from, to } = parseDateRange(req.query)
+  const limit = Math.min(parseInteger(req.query.limit, 'limit') ?? 20, 100)
+
+  const queries = await analyticsService.getZeroResultQueries({ from, to }, limit)
+
+  res.json({ queries, from, to })
+}
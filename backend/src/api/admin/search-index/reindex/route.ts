@@ -0,0 +1,61 @@
+import { randomUUID } from 'crypto'
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { ContainerRegistrationKeys, MedusaError } from '@medusajs/framework/utils'
+import { acquireReindexLock, getProductSearchService, reindexProducts } from '../../../../utils/product-search'
+
+type ReindexBody = {
+  recreate?: boolean
+  since?: string
+  remove_stale?: boolean
+}
+
+/**
+ * Start rebuilding the products index. The reindex runs in the background and logs its
+ * progress, the response is sent right away.
+ *
+ * Body: `recreate` (delete the index first), `since` (only products updated since the
+ * date, can't be combined with `recreate`), `remove_stale` (also remove documents of
+ * products that no longer exist)
+ */
+export async function POST(
+  req: MedusaRequest<ReindexBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { recreate = false, since, remove_stale = false } = req.body ?? {}
+  const logger = req.scope.resolve(ContainerRegistrationKeys.LOGGER)
+
+  if (!getProductSearchService(req.scope)) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, 'Reindexing requires Meilisearch')
+  }
+
+  if (recreate && since !== undefined) {
+    throw new MedusaError(
+      MedusaError.Types.INVALID_DATA,
+      'recreate and since can\'t be combined, recreating the index reindexes all products'
+    )
+  }
+
+  const sinceDate = since !== undefined ? new Date(since) : undefined
+
+  if (sinceDate && isNaN(sinceDate.getTime())) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, 'since must be a date, e.g. 2024-01-31T12:00:00Z')
+  }
+
+  // Taken before responding, so a second request gets a conflict instead of a 202
+  const lockOwnerId = randomUUID()
+  await acquireReindexLock(req.scope, lockOwnerId)
+
+  reindexProducts(req.scope, {
+    recreate: !!recreate,
+    since: sinceDate,
+    removeStale: !!remove_stale,
+    lockOwnerId,
+    onProgress: ({ processed, total }) => logger.info(`Reindexed ${processed}/${total} product(s)`)
+  })
+    .then((result) => {
+      logger.info(`Reindex done: indexed ${result?.indexed} product(s), removed ${result?.removed} document(s)`)
+    })
+    .catch((error) => logger.error(`Reindex failed: ${error.message}`))
+
+  res.status(202).json({ started: true, recreate: !!recreate, since: sinceDate ?? null, remove_stale: !!remove_stale })
+}
@@ -0,0 +1,20 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { findStaleSearchDocuments } from '../../../../utils/product-search'
+
+/**
+ * Documents in the products index whose product no longer exists or is no longer
+ * published. Reindex with `remove_stale` to remove them.
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const ids = await findStaleSearchDocuments(req.scope)
+
+  if (ids === null) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, 'The stale documents report requires Meilisearch')
+  }
+
+  res.json({ ids, count: ids.length })
+}
@@ -0,0 +1,82 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { ProductSearchRelevanceSettings } from '../../../modules/product-search/types'
+import { getProductSearchService } from '../../../utils/product-search'
+
+const BUILT_IN_RANKING_RULES = ['words', 'typo', 'proximity', 'attribute', 'sort', 'exactness']
+// Custom ranking rules sort on a document field, e.g. `created_at:desc`
+const CUSTOM_RANKING_RULE = /^[\w.]+:(asc|desc)$/
+
+/**
+ * Relevance settings of the products index: synonyms, stop words, typo tolerance and
+ * ranking rules. `null` means the setting comes from the module options.
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const searchService = getProductSearchService(req.scope)
+
+  if (!searchService) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, 'Search settings require Meilisearch')
+  }
+
+  res.json({ settings: await searchService.getRelevanceSettings() })
+}
+
+/**
+ * Update relevance settings and push them to the products index. Settings that aren't
+ * passed are kept, `null` resets a setting to the module options.
+ *
+ * Body: `synonyms` (e.g. `{ "hoodie": ["sweatshirt"], "sweatshirt": ["hoodie"] }`),
+ * `stop_words` (e.g. `["the", "a"]`), `typo_tolerance` (Meilisearch format, e.g.
+ * `{ "minWordSizeForTypos": { "oneTypo": 5, "twoTypos": 9 } }`) and `ranking_rules`
+ * (e.g. `["words", "typo", "sort", "proximity", "attribute", "exactness"]`)
+ */
+export async function POST(
+  req: MedusaRequest<Partial<ProductSearchRelevanceSettings>>,
+  res: MedusaResponse
+): Promise<void> {
+  const searchService = getProductSearchService(req.scope)
+
+  if (!searchService) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, 'Search settings require Meilisearch')
+  }
+
+  const { synonyms, stop_words, typo_tolerance, ranking_rules } = req.body ?? {}
+
+  if (
+    synonyms != null &&
+    (!isPlainObject(synonyms) || !Object.values(synonyms).every((words) => isStringList(words)))
+  ) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, 'synonyms must map words to lists of synonyms')
+  }
+  if (stop_words != null && !isStringList(stop_words)) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, 'stop_words must be a list of words')
+  }
+  if (typo_tolerance != null && !isPlainObject(typo_tolerance)) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, 'typo_tolerance must be an object')
+  }
+  if (
+    ranking_rules != null &&
+    (!isStringList(ranking_rules) ||
+      !ranking_rules.every((rule) => BUILT_IN_RANKING_RULES.includes(rule) || CUSTOM_RANKING_RULE.test(rule)))
+  ) {
+    throw new MedusaError(
+      MedusaError.Types.INVALID_DATA,
+      `ranking_rules must be a list of ${BUILT_IN_RANKING_RULES.join(', ')} or custom rules like created_at:desc`
+    )
+  }
+
+  const settings = await searchService.updateRelevanceSettings({ synonyms, stop_words, typo_tolerance, ranking_rules })
+
+  res.json({ settings })
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function isStringList(value: unknown): value is string[] {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim() !== '')
+}
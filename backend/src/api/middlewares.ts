@@ -0,0 +1,24 @@
+import { authenticate, defineMiddlewares } from '@medusajs/framework/http'
+
+export default defineMiddlewares({
+  routes: [
+    {
+      // Only logged-in customers can write reviews
+      matcher: '/store/products/:id/reviews',
+      method: 'POST',
+      middlewares: [authenticate('customer', ['session', 'bearer'])]
+    },
+    {
+      matcher: '/store/customers/me/wishlist*',
+      middlewares: [authenticate('customer', ['session', 'bearer'])]
+    },
+    {
+      matcher: '/store/customers/me/returns*',
+      middlewares: [authenticate('customer', ['session', 'bearer'])]
+    },
+    {
+      matcher: '/store/customers/me/orders/:id/returns',
+      middlewares: [authenticate('customer', ['session', 'bearer'])]
+    }
+  ]
+})
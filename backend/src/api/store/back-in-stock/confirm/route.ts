@@ -0,0 +1,36 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { BACK_IN_STOCK_MODULE } from '../../../../modules/back-in-stock'
+import BackInStockModuleService from '../../../../modules/back-in-stock/service'
+import { verifyBackInStockToken } from '../../../../utils/back-in-stock'
+
+type ConfirmBody = {
+  id?: string
+  token?: string
+}
+
+/**
+ * Confirm a back-in-stock subscription with the link emailed by `POST /store/back-in-stock`.
+ * Confirming again has no effect.
+ *
+ * Body: `id`, `token`
+ */
+export async function POST(
+  req: MedusaRequest<ConfirmBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { id, token } = req.body ?? {}
+
+  if (typeof id !== 'string' || !id || typeof token !== 'string' || !token) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `id and token are required`)
+  }
+
+  const backInStockService: BackInStockModuleService = req.scope.resolve(BACK_IN_STOCK_MODULE)
+  const subscription = verifyBackInStockToken('confirm', id, token) ? await backInStockService.confirm(id) : null
+
+  if (!subscription) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, `This link is invalid or the subscription has ended`)
+  }
+
+  res.json({ success: true })
+}
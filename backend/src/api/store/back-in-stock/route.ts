@@ -0,0 +1,93 @@
+import { MedusaResponse, MedusaStoreRequest } from '@medusajs/framework'
+import { ContainerRegistrationKeys, MedusaError } from '@medusajs/framework/utils'
+import { BACK_IN_STOCK_RATE_LIMIT } from '../../../lib/constants'
+import { BACK_IN_STOCK_MODULE } from '../../../modules/back-in-stock'
+import BackInStockModuleService from '../../../modules/back-in-stock/service'
+import { sendBackInStockConfirmation } from '../../../utils/back-in-stock'
+import { consumeRateLimit } from '../../../utils/rate-limit'
+
+const RATE_LIMIT_WINDOW_SECONDS = 15 * 60
+
+type SubscribeBody = {
+  email?: string
+  variant_id?: string
+  country_code?: string
+}
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * Subscribe to an email notification for when a sold-out variant is back in stock.
+ * New subscriptions are only notified once they are confirmed with the link emailed to
+ * the address, see `POST /store/back-in-stock/confirm`. Subscribing again before that
+ * sends the link again.
+ *
+ * Subscriptions are limited per IP address and per email address, see `BACK_IN_STOCK_RATE_LIMIT`.
+ * Responds with 429 and a `Retry-After` header over the limit.
+ *
+ * Body: `email`, `variant_id`, `country_code` (optional, used for the product link in the email)
+ */
+export async function POST(
+  req: MedusaStoreRequest<SubscribeBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { email, variant_id, country_code } = req.body ?? {}
+
+  if (typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `A valid email address is required`)
+  }
+  if (typeof variant_id !== 'string' || !variant_id) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `A variant_id is required`)
+  }
+
+  const retryAfter = Math.max(
+    await consumeRateLimit(req.scope, `back-in-stock:ip:${req.ip}`, BACK_IN_STOCK_RATE_LIMIT, RATE_LIMIT_WINDOW_SECONDS),
+    await consumeRateLimit(
+      req.scope,
+      `back-in-stock:email:${email.trim().toLowerCase()}`,
+      BACK_IN_STOCK_RATE_LIMIT,
+      RATE_LIMIT_WINDOW_SECONDS
+    )
+  )
+
+  if (retryAfter) {
+    res.setHeader('Retry-After', String(retryAfter))
+    res.status(429).json({
+      type: 'too_many_requests',
+      message: 'Too many requests, please try again later'
+    })
+    return
+  }
+
+  const query = req.scope.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: [variant] } = await query.graph({
+    entity: 'product_variant',
+    fields: ['id', 'title', 'product.title', 'product.thumbnail'],
+    filters: { id: variant_id }
+  })
+
+  if (!variant) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `Variant with id: ${variant_id} was not found`)
+  }
+
+  const backInStockService: BackInStockModuleService = req.scope.resolve(BACK_IN_STOCK_MODULE)
+
+  const subscription = await backInStockService.subscribe({
+    email,
+    variant_id,
+    sales_channel_id: req.publishable_key_context?.sales_channel_ids?.[0] ?? null,
+    country_code: typeof country_code === 'string' ? country_code.toLowerCase() : null
+  })
+
+  if (!subscription.confirmed_at && variant.product) {
+    await sendBackInStockConfirmation(req.scope, subscription, {
+      id: variant.id,
+      title: variant.title,
+      product: variant.product
+    })
+  }
+
+  // The response is the same for confirmed subscriptions, so it doesn't tell who subscribed
+  res.json({ success: true })
+}
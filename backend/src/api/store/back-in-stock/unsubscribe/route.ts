@@ -0,0 +1,38 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { BACK_IN_STOCK_MODULE } from '../../../../modules/back-in-stock'
+import BackInStockModuleService from '../../../../modules/back-in-stock/service'
+import { verifyBackInStockToken } from '../../../../utils/back-in-stock'
+
+type UnsubscribeBody = {
+  email?: string
+  token?: string
+}
+
+/**
+ * Remove all back-in-stock subscriptions of an email address, with the unsubscribe
+ * link in the back-in-stock emails.
+ *
+ * Body: `email`, `token`
+ */
+export async function POST(
+  req: MedusaRequest<UnsubscribeBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { email, token } = req.body ?? {}
+
+  if (typeof email !== 'string' || !email || typeof token !== 'string' || !token) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `email and token are required`)
+  }
+
+  const normalizedEmail = email.trim().toLowerCase()
+
+  if (!verifyBackInStockToken('unsubscribe', normalizedEmail, token)) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, `This link is invalid`)
+  }
+
+  const backInStockService: BackInStockModuleService = req.scope.resolve(BACK_IN_STOCK_MODULE)
+  await backInStockService.unsubscribe(normalizedEmail)
+
+  res.json({ success: true })
+}
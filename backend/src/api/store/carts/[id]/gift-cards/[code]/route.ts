@@ -0,0 +1,14 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { listCartGiftCards, removeGiftCardFromCart } from '../../../../../../utils/gift-cards'
+
+/**
+ * Stop paying a cart with a gift card.
+ */
+export async function DELETE(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  await removeGiftCardFromCart(req.scope, req.params.id, req.params.code)
+
+  res.json({ gift_cards: await listCartGiftCards(req.scope, req.params.id) })
+}
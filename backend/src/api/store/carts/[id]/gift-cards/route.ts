@@ -0,0 +1,37 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { applyGiftCardToCart, listCartGiftCards } from '../../../../../utils/gift-cards'
+
+type ApplyGiftCardBody = {
+  code?: string
+}
+
+/**
+ * The gift cards applied to a cart, with the amount of the cart each one pays.
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  res.json({ gift_cards: await listCartGiftCards(req.scope, req.params.id) })
+}
+
+/**
+ * Pay part of a cart with a gift card, up to its balance.
+ *
+ * Body: `code`
+ */
+export async function POST(
+  req: MedusaRequest<ApplyGiftCardBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { code } = req.body ?? {}
+
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `A gift card code is required`)
+  }
+
+  await applyGiftCardToCart(req.scope, req.params.id, code)
+
+  res.json({ gift_cards: await listCartGiftCards(req.scope, req.params.id) })
+}
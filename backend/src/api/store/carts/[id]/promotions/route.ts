@@ -0,0 +1,52 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { HttpTypes } from '@medusajs/framework/types'
+import { PromotionActions } from '@medusajs/framework/utils'
+import { refreshPaymentCollectionForCartWorkflow, updateCartPromotionsWorkflow } from '@medusajs/medusa/core-flows'
+import { refetchCart } from '@medusajs/medusa/api/store/carts/helpers'
+import { syncCartGiftCards } from '../../../../../utils/gift-cards'
+
+/*
+ * Replaces Medusa's promotion routes, which change the cart's total without refreshing
+ * the cart. The gift cards are synced with the new total, so they never pay more than it.
+ */
+
+async function updateCartPromotions(
+  req: MedusaRequest<{ promo_codes: string[] }>,
+  action: PromotionActions
+) {
+  await updateCartPromotionsWorkflow(req.scope).run({
+    input: {
+      promo_codes: req.validatedBody.promo_codes,
+      cart_id: req.params.id,
+      action
+    }
+  })
+  await syncCartGiftCards(req.scope, req.params.id)
+  await refreshPaymentCollectionForCartWorkflow(req.scope).run({ input: { cart_id: req.params.id } })
+
+  return await refetchCart(req.params.id, req.scope, req.queryConfig.fields)
+}
+
+/**
+ * Add promotions to a cart by their codes.
+ *
+ * Body: `promo_codes`
+ */
+export async function POST(
+  req: MedusaRequest<HttpTypes.StoreCartAddPromotion>,
+  res: MedusaResponse<HttpTypes.StoreCartResponse>
+): Promise<void> {
+  res.json({ cart: await updateCartPromotions(req, PromotionActions.ADD) })
+}
+
+/**
+ * Remove promotions from a cart by their codes.
+ *
+ * Body: `promo_codes`
+ */
+export async function DELETE(
+  req: MedusaRequest<HttpTypes.StoreCartRemovePromotion>,
+  res: MedusaResponse<{ cart: HttpTypes.StoreCart }>
+): Promise<void> {
+  res.json({ cart: await updateCartPromotions(req, PromotionActions.REMOVE) })
+}
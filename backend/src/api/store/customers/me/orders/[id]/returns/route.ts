@@ -0,0 +1,56 @@
+import { AuthenticatedMedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { getOrderReturns, requestCustomerReturn } from '../../../../../../../utils/customer-returns'
+
+type RequestReturnBody = {
+  items?: { id?: string; quantity?: number; reason_id?: string | null; note?: string | null }[]
+  note?: string | null
+}
+
+/**
+ * The returns of one of the logged-in customer's orders, and the items that can
+ * still be returned.
+ */
+export async function GET(
+  req: AuthenticatedMedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  res.json(await getOrderReturns(req.scope, req.auth_context.actor_id, req.params.id))
+}
+
+/**
+ * Request a return of items of one of the logged-in customer's orders. The customer
+ * is emailed how to send the items back.
+ *
+ * Body: `items` (`id` of the order item, `quantity`, optional `reason_id` and `note`), `note` (optional)
+ */
+export async function POST(
+  req: AuthenticatedMedusaRequest<RequestReturnBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { items, note } = req.body ?? {}
+
+  if (!Array.isArray(items) || !items.length) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `Select at least one item to return`)
+  }
+
+  const returnItems = items.map((item) => {
+    if (typeof item?.id !== 'string' || !Number.isInteger(item.quantity) || item.quantity! <= 0) {
+      throw new MedusaError(MedusaError.Types.INVALID_DATA, `Each item needs an id and a positive quantity`)
+    }
+
+    return {
+      id: item.id,
+      quantity: item.quantity!,
+      reason_id: typeof item.reason_id === 'string' ? item.reason_id : null,
+      note: typeof item.note === 'string' ? item.note.trim().slice(0, 500) || null : null
+    }
+  })
+
+  await requestCustomerReturn(req.scope, req.auth_context.actor_id, req.params.id, {
+    items: returnItems,
+    note: typeof note === 'string' ? note.trim().slice(0, 500) || null : null
+  })
+
+  res.json(await getOrderReturns(req.scope, req.auth_context.actor_id, req.params.id))
+}
@@ -0,0 +1,12 @@
+import { AuthenticatedMedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { listCustomerReturns } from '../../../../../utils/customer-returns'
+
+/**
+ * The returns of the logged-in customer's orders with their status, newest first.
+ */
+export async function GET(
+  req: AuthenticatedMedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  res.json({ returns: await listCustomerReturns(req.scope, req.auth_context.actor_id) })
+}
@@ -0,0 +1,17 @@
+import { AuthenticatedMedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { WISHLIST_MODULE } from '../../../../../../../modules/wishlist'
+import WishlistModuleService from '../../../../../../../modules/wishlist/service'
+
+/**
+ * Remove a product from the wishlist of the logged-in customer.
+ */
+export async function DELETE(
+  req: AuthenticatedMedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const wishlistService: WishlistModuleService = req.scope.resolve(WISHLIST_MODULE)
+
+  const wishlist = await wishlistService.removeProduct(req.auth_context.actor_id, req.params.product_id)
+
+  res.json({ wishlist })
+}
@@ -0,0 +1,51 @@
+import { AuthenticatedMedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { ContainerRegistrationKeys, MedusaError } from '@medusajs/framework/utils'
+import { WISHLIST_MODULE } from '../../../../../../modules/wishlist'
+import WishlistModuleService from '../../../../../../modules/wishlist/service'
+
+type AddWishlistItemsBody = {
+  product_id?: string
+  product_ids?: string[]
+}
+
+/**
+ * Add one or more products to the wishlist of the logged-in customer. Adding several
+ * at once is used to merge a guest wishlist on login.
+ *
+ * Body: `product_id` or `product_ids`
+ */
+export async function POST(
+  req: AuthenticatedMedusaRequest<AddWishlistItemsBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { product_id, product_ids } = req.body ?? {}
+  const requested = (Array.isArray(product_ids) ? product_ids : [product_id]).filter(
+    (id): id is string => typeof id === 'string' && !!id
+  )
+
+  if (!requested.length) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `A product_id or product_ids is required`)
+  }
+
+  const query = req.scope.resolve(ContainerRegistrationKeys.QUERY)
+
+  // Unknown products, e.g. deleted ones from an old guest wishlist, are skipped
+  const { data: products } = await query.graph({
+    entity: 'product',
+    fields: ['id'],
+    filters: { id: requested }
+  })
+
+  if (!products.length) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `Product with id: ${requested.join(', ')} was not found`)
+  }
+
+  const wishlistService: WishlistModuleService = req.scope.resolve(WISHLIST_MODULE)
+
+  const wishlist = await wishlistService.addProducts(
+    req.auth_context.actor_id,
+    products.map((product) => product.id)
+  )
+
+  res.json({ wishlist })
+}
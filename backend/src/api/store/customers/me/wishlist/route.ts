@@ -0,0 +1,17 @@
+import { AuthenticatedMedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { WISHLIST_MODULE } from '../../../../../modules/wishlist'
+import WishlistModuleService from '../../../../../modules/wishlist/service'
+
+/**
+ * Get the wishlist of the logged-in customer.
+ */
+export async function GET(
+  req: AuthenticatedMedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const wishlistService: WishlistModuleService = req.scope.resolve(WISHLIST_MODULE)
+
+  const wishlist = await wishlistService.getOrCreateWishlist(req.auth_context.actor_id)
+
+  res.json({ wishlist })
+}
@@ -0,0 +1,24 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MathBN } from '@medusajs/framework/utils'
+import { GIFT_CARD_MODULE } from '../../../../modules/gift-card'
+import GiftCardModuleService from '../../../../modules/gift-card/service'
+
+/**
+ * The balance of a gift card.
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const giftCardService: GiftCardModuleService = req.scope.resolve(GIFT_CARD_MODULE)
+  const giftCard = await giftCardService.retrieveGiftCardByCode(req.params.code)
+
+  res.json({
+    gift_card: {
+      code: giftCard.code,
+      currency_code: giftCard.currency_code,
+      value: MathBN.convert(giftCard.value).toNumber(),
+      balance: MathBN.convert(giftCard.balance).toNumber()
+    }
+  })
+}
@@ -0,0 +1,31 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { hasOrderAccess } from '../../../../utils/order-lookup'
+
+type OrderAccessBody = {
+  order_id?: string
+  token?: string
+}
+
+/**
+ * Check that a guest may view an order, with the `access` token of a lookup or an
+ * emailed link. The storefront only shows a looked up order after this check.
+ *
+ * Body: `order_id`, `token`
+ */
+export async function POST(
+  req: MedusaRequest<OrderAccessBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { order_id, token } = req.body ?? {}
+
+  if (typeof order_id !== 'string' || !order_id || typeof token !== 'string' || !token) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `order_id and token are required`)
+  }
+
+  if (!hasOrderAccess(order_id, token)) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, `Look up the order again to view it`)
+  }
+
+  res.json({ order: { id: order_id } })
+}
@@ -0,0 +1,79 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { ORDER_LOOKUP_EMAIL_LINK, ORDER_LOOKUP_RATE_LIMIT } from '../../../lib/constants'
+import { createOrderAccess, findOrderForLookup, sendOrderLookupLink } from '../../../utils/order-lookup'
+import { consumeRateLimit } from '../../../utils/rate-limit'
+
+const RATE_LIMIT_WINDOW_SECONDS = 15 * 60
+
+type OrderLookupBody = {
+  email?: string
+  display_id?: string | number
+  country_code?: string
+}
+
+/**
+ * Look up an order as a guest, with the email address it was placed with and its
+ * order number. Responds with the order's ID and an `access` token to view it with
+ * (see `POST /store/order-lookup/access`), or when `ORDER_LOOKUP_EMAIL_LINK` is
+ * enabled, emails a one-time link to the order instead and responds with
+ * `email_sent`, whether or not an order matched.
+ *
+ * Lookups are limited per IP address and per email address, see `ORDER_LOOKUP_RATE_LIMIT`.
+ * Responds with 429 and a `Retry-After` header over the limit.
+ *
+ * Body: `email`, `display_id`, `country_code` (optional, used for the link in the email)
+ */
+export async function POST(
+  req: MedusaRequest<OrderLookupBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { email, display_id, country_code } = req.body ?? {}
+  const displayId = Number(String(display_id ?? '').replace(/^#/, ''))
+
+  if (typeof email !== 'string' || !email.trim()) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `An email address is required`)
+  }
+  if (!Number.isInteger(displayId) || displayId <= 0) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `A valid order number is required`)
+  }
+
+  const retryAfter = Math.max(
+    await consumeRateLimit(req.scope, `order-lookup:ip:${req.ip}`, ORDER_LOOKUP_RATE_LIMIT, RATE_LIMIT_WINDOW_SECONDS),
+    await consumeRateLimit(
+      req.scope,
+      `order-lookup:email:${email.trim().toLowerCase()}`,
+      ORDER_LOOKUP_RATE_LIMIT,
+      RATE_LIMIT_WINDOW_SECONDS
+    )
+  )
+
+  if (retryAfter) {
+    res.setHeader('Retry-After', String(retryAfter))
+    res.status(429).json({
+      type: 'too_many_requests',
+      message: 'Too many lookups, please try again later'
+    })
+    return
+  }
+
+  const order = await findOrderForLookup(req.scope, email, displayId)
+
+  if (ORDER_LOOKUP_EMAIL_LINK) {
+    if (order) {
+      await sendOrderLookupLink(
+        req.scope,
+        order,
+        typeof country_code === 'string' ? country_code.toLowerCase() : undefined
+      )
+    }
+    res.json({ email_sent: true })
+    return
+  }
+
+  if (!order) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `No order matches this email address and order number`)
+  }
+
+  res.json({ order: { id: order.id }, access: createOrderAccess(order.id) })
+}
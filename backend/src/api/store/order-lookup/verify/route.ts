@@ -0,0 +1,30 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { consumeOrderLookupToken, createOrderAccess } from '../../../../utils/order-lookup'
+
+type VerifyOrderLookupBody = {
+  order_id?: string
+  token?: string
+}
+
+/**
+ * Open the one-time order link emailed by `POST /store/order-lookup`. The link
+ * can't be used again afterwards. Responds with the order's ID and an `access` token
+ * to view it with.
+ *
+ * Body: `order_id`, `token`
+ */
+export async function POST(
+  req: MedusaRequest<VerifyOrderLookupBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { order_id, token } = req.body ?? {}
+
+  if (typeof order_id !== 'string' || !order_id || typeof token !== 'string' || !token) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `order_id and token are required`)
+  }
+
+  const orderId = await consumeOrderLookupToken(req.scope, order_id, token)
+
+  res.json({ order: { id: orderId }, access: createOrderAccess(orderId) })
+}
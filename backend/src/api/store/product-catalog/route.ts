@@ -0,0 +1,64 @@
+import { MedusaResponse, MedusaStoreRequest } from '@medusajs/framework'
+import { ContainerRegistrationKeys, MedusaError } from '@medusajs/framework/utils'
+import { listSortedProductIds } from '../../../utils/product-sorting'
+import { PRODUCT_SORT_ORDERS, ProductSortOrder } from '../../../modules/product-sort/types'
+import { parseInteger } from '../../../utils/query-params'
+
+const DEFAULT_LIMIT = 12
+const MAX_LIMIT = 100
+
+/**
+ * IDs of published products in the requested order, for catalog pages that sort by
+ * price or popularity. The products themselves are fetched from `/store/products`.
+ *
+ * Query params: `region_id`, `order` (`created_at`, `price_asc`, `price_desc` or
+ * `best_selling`, defaults to `created_at`), `limit`, `offset`, `id`, `collection_id`
+ * and `category_id` (comma separated)
+ */
+export async function GET(
+  req: MedusaStoreRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const { region_id, order = 'created_at' } = req.query
+
+  if (typeof region_id !== 'string' || !region_id) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `region_id is required`)
+  }
+  if (!PRODUCT_SORT_ORDERS.includes(order as ProductSortOrder)) {
+    throw new MedusaError(
+      MedusaError.Types.INVALID_DATA,
+      `order must be one of: ${PRODUCT_SORT_ORDERS.join(', ')}`
+    )
+  }
+
+  const limit = Math.min(parseInteger(req.query.limit, 'limit') ?? DEFAULT_LIMIT, MAX_LIMIT)
+  const offset = parseInteger(req.query.offset, 'offset') ?? 0
+
+  const query = req.scope.resolve(ContainerRegistrationKeys.QUERY)
+  const { data: [region] } = await query.graph({
+    entity: 'region',
+    fields: ['id', 'currency_code'],
+    filters: { id: region_id }
+  })
+
+  if (!region) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `Region with id: ${region_id} was not found`)
+  }
+
+  const { product_ids, count } = await listSortedProductIds(req.scope, {
+    order: order as ProductSortOrder,
+    region,
+    sales_channel_ids: req.publishable_key_context.sales_channel_ids,
+    id: parseList(req.query.id),
+    collection_id: parseList(req.query.collection_id),
+    category_id: parseList(req.query.category_id),
+    offset,
+    limit
+  })
+
+  res.json({ product_ids, count, offset, limit })
+}
+
+function parseList(value: unknown): string[] | undefined {
+  return typeof value === 'string' && value ? value.split(',') : undefined
+}
@@ -0,0 +1,24 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { PRODUCT_REVIEW_MODULE } from '../../../modules/product-review'
+import ProductReviewModuleService from '../../../modules/product-review/service'
+
+/**
+ * Average rating and number of approved reviews for one or more products.
+ *
+ * Query params: `product_id` (comma separated)
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  if (typeof req.query.product_id !== 'string' || !req.query.product_id) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `product_id is required`)
+  }
+
+  const reviewService: ProductReviewModuleService = req.scope.resolve(PRODUCT_REVIEW_MODULE)
+
+  const ratings = await reviewService.getRatingSummaries(req.query.product_id.split(',').slice(0, 100))
+
+  res.json({ ratings })
+}
@@ -0,0 +1,105 @@
+import { AuthenticatedMedusaRequest, MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { ContainerRegistrationKeys, MedusaError } from '@medusajs/framework/utils'
+import { PRODUCT_REVIEW_MODULE } from '../../../../../modules/product-review'
+import ProductReviewModuleService from '../../../../../modules/product-review/service'
+import { ProductReviewStatus } from '../../../../../modules/product-review/models/product-review'
+
+type CreateReviewBody = {
+  rating?: number
+  title?: string
+  body?: string
+}
+
+/**
+ * List the approved reviews of a product, newest first, with its rating summary.
+ *
+ * Query params: `limit`, `offset`
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const reviewService: ProductReviewModuleService = req.scope.resolve(PRODUCT_REVIEW_MODULE)
+
+  const limit = Math.min(Number(req.query.limit ?? 10), 50)
+  const offset = Number(req.query.offset ?? 0)
+
+  const [reviews, count] = await reviewService.listAndCountProductReviews(
+    { product_id: req.params.id, status: ProductReviewStatus.APPROVED },
+    {
+      select: ['id', 'display_name', 'rating', 'title', 'body', 'verified_purchase', 'created_at'],
+      take: limit,
+      skip: offset,
+      order: { created_at: 'DESC' }
+    }
+  )
+  const [rating] = await reviewService.getRatingSummaries([req.params.id])
+
+  res.json({ reviews, count, limit, offset, rating })
+}
+
+/**
+ * Submit a review for a product as the logged-in customer. Reviews are pending until
+ * a moderator approves them.
+ *
+ * Body: `rating` (1-5), `title` (optional), `body`
+ */
+export async function POST(
+  req: AuthenticatedMedusaRequest<CreateReviewBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { rating, title, body } = req.body ?? {}
+  const customerId = req.auth_context.actor_id
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `Rating must be a whole number from 1 to 5`)
+  }
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `A review text is required`)
+  }
+
+  const query = req.scope.resolve(ContainerRegistrationKeys.QUERY)
+  const reviewService: ProductReviewModuleService = req.scope.resolve(PRODUCT_REVIEW_MODULE)
+
+  const { data: [product] } = await query.graph({
+    entity: 'product',
+    fields: ['id'],
+    filters: { id: req.params.id }
+  })
+
+  if (!product) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `Product with id: ${req.params.id} was not found`)
+  }
+
+  const [existing] = await reviewService.listProductReviews({ customer_id: customerId, product_id: product.id })
+
+  if (existing) {
+    throw new MedusaError(MedusaError.Types.DUPLICATE_ERROR, `You have already reviewed this product`)
+  }
+
+  const { data: [customer] } = await query.graph({
+    entity: 'customer',
+    fields: ['id', 'first_name', 'last_name', 'orders.status', 'orders.items.product_id'],
+    filters: { id: customerId }
+  })
+
+  if (!customer) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `Customer with id: ${customerId} was not found`)
+  }
+
+  const verifiedPurchase = (customer.orders ?? []).some(
+    (order) => order?.status === 'completed' && order.items?.some((item) => item?.product_id === product.id)
+  )
+
+  const review = await reviewService.createProductReviews({
+    product_id: product.id,
+    customer_id: customer.id,
+    display_name: [customer.first_name, customer.last_name?.charAt(0)].filter(Boolean).join(' ') || 'Customer',
+    rating,
+    title: title?.trim() || null,
+    body: body.trim(),
+    verified_purchase: verifiedPurchase
+  })
+
+  res.json({ review })
+}
@@ -0,0 +1,63 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { ContainerRegistrationKeys, MedusaError } from '@medusajs/framework/utils'
+import { PROMOTION_CODE_RATE_LIMIT } from '../../../../lib/constants'
+import { isPromotionCodeUsable } from '../../../../utils/promotion-codes'
+import { consumeRateLimit } from '../../../../utils/rate-limit'
+
+const RATE_LIMIT_WINDOW_SECONDS = 15 * 60
+
+/**
+ * Whether a promotion code can be used, to explain why a code added to a cart didn't
+ * apply. Only tells whether the code is `usable`, not why it isn't.
+ *
+ * Checks are limited per IP address, see `PROMOTION_CODE_RATE_LIMIT`. Responds with
+ * 429 and a `Retry-After` header over the limit.
+ *
+ * Query params: `cart_id`, to also check the code against the cart's currency
+ */
+export async function GET(
+  req: MedusaRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const retryAfter = await consumeRateLimit(
+    req.scope,
+    `promotion-code:ip:${req.ip}`,
+    PROMOTION_CODE_RATE_LIMIT,
+    RATE_LIMIT_WINDOW_SECONDS
+  )
+
+  if (retryAfter) {
+    res.setHeader('Retry-After', String(retryAfter))
+    res.status(429).json({
+      type: 'too_many_requests',
+      message: 'Too many promotion code checks, please try again later'
+    })
+    return
+  }
+
+  const { cart_id } = req.query
+  let currencyCode: string | undefined
+
+  if (typeof cart_id === 'string') {
+    const query = req.scope.resolve(ContainerRegistrationKeys.QUERY)
+    const { data: [cart] } = await query.graph({
+      entity: 'cart',
+      fields: ['id', 'currency_code'],
+      filters: { id: cart_id }
+    })
+
+    if (!cart) {
+      throw new MedusaError(MedusaError.Types.NOT_FOUND, `Cart with id: ${cart_id} was not found`)
+    }
+    currencyCode = cart.currency_code
+  }
+
+  const usable = await isPromotionCodeUsable(req.scope, req.params.code, currencyCode)
+
+  res.json({
+    promotion_code: {
+      code: req.params.code,
+      usable
+    }
+  })
+}
@@ -0,0 +1,87 @@
+import { MedusaRequest, MedusaResponse } from '@medusajs/framework'
+import { MedusaError } from '@medusajs/framework/utils'
+import { SEARCH_ANALYTICS_MODULE } from '../../../modules/search-analytics'
+import SearchAnalyticsModuleService from '../../../modules/search-analytics/service'
+import { SearchEventType } from '../../../modules/search-analytics/models/search-event'
+import { SEARCH_EVENT_RATE_LIMIT } from '../../../lib/constants'
+import { consumeRateLimit } from '../../../utils/rate-limit'
+
+const RATE_LIMIT_WINDOW_SECONDS = 60
+
+type SearchEventBody = {
+  type?: string
+  query?: string
+  result_count?: number
+  product_id?: string
+  position?: number
+  source?: string
+}
+
+/**
+ * Record a storefront search with its number of results, or a click on one of its
+ * results.
+ *
+ * Events are limited per IP address, see `SEARCH_EVENT_RATE_LIMIT`. Responds with 429
+ * and a `Retry-After` header over the limit.
+ *
+ * Body: `type` (`search` or `click`), `query`, `source` (optional), and `result_count`
+ * for searches or `product_id` and `position` (optional) for clicks
+ */
+export async function POST(
+  req: MedusaRequest<SearchEventBody>,
+  res: MedusaResponse
+): Promise<void> {
+  const { type, query, result_count, product_id, position, source } = req.body ?? {}
+
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `query is required`)
+  }
+  if (source !== undefined && typeof source !== 'string') {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `source must be a string`)
+  }
+
+  const retryAfter = await consumeRateLimit(
+    req.scope,
+    `search-event:ip:${req.ip}`,
+    SEARCH_EVENT_RATE_LIMIT,
+    RATE_LIMIT_WINDOW_SECONDS
+  )
+
+  if (retryAfter) {
+    res.setHeader('Retry-After', String(retryAfter))
+    res.status(429).json({
+      type: 'too_many_requests',
+      message: 'Too many search events, please try again later'
+    })
+    return
+  }
+
+  const analyticsService: SearchAnalyticsModuleService = req.scope.resolve(SEARCH_ANALYTICS_MODULE)
+
+  switch (type) {
+    case SearchEventType.SEARCH:
+      if (!Number.isInteger(result_count) || result_count! < 0) {
+        throw new MedusaError(MedusaError.Types.INVALID_DATA, `result_count must be a non-negative integer`)
+      }
+      await analyticsService.recordSearch({ query, result_count: result_count!, source })
+      break
+
+    case SearchEventType.CLICK:
+      if (typeof product_id !== 'string' || !product_id) {
+        throw new MedusaError(MedusaError.Types.INVALID_DATA, `product_id is required`)
+      }
+      if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+        throw new MedusaError(MedusaError.Types.INVALID_DATA, `position must be a positive integer`)
+      }
+      await analyticsService.recordClick({ query, product_id, position, source })
+      break
+
+    default:
+      throw new MedusaError(
+        MedusaError.Types.INVALID_DATA,
+        `type must be one of: ${Object.values(SearchEventType).join(', ')}`
+      )
+  }
+
+  res.json({ success: true })
+}
@@ -0,0 +1,47 @@
+import { MedusaResponse, MedusaStoreRequest } from '@medusajs/framework'
+import { ContainerRegistrationKeys, MedusaError } from '@medusajs/framework/utils'
+import { getStockAvailability } from '../../../utils/stock-availability'
+
+/**
+ * Available quantity of a product's variants at each stock location of the sales
+ * channel, and whether orders can be picked up there. The sales channel is the one of
+ * the cart when `cart_id` is passed, otherwise the ones of the publishable API key.
+ *
+ * Query params: `product_id` or `variant_id` (comma separated), `cart_id`
+ */
+export async function GET(
+  req: MedusaStoreRequest,
+  res: MedusaResponse
+): Promise<void> {
+  const { product_id, variant_id, cart_id } = req.query
+
+  if (typeof product_id !== 'string' && typeof variant_id !== 'string') {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `product_id or variant_id is required`)
+  }
+
+  let salesChannelIds = req.publishable_key_context.sales_channel_ids
+
+  if (typeof cart_id === 'string') {
+    const query = req.scope.resolve(ContainerRegistrationKeys.QUERY)
+    const { data: [cart] } = await query.graph({
+      entity: 'cart',
+      fields: ['id', 'sales_channel_id'],
+      filters: { id: cart_id }
+    })
+
+    if (!cart) {
+      throw new MedusaError(MedusaError.Types.NOT_FOUND, `Cart with id: ${cart_id} was not found`)
+    }
+    if (cart.sales_channel_id) {
+      salesChannelIds = [cart.sales_channel_id]
+    }
+  }
+
+  const availability = await getStockAvailability(req.scope, {
+    product_ids: typeof product_id === 'string' ? product_id.split(',').slice(0, 100) : undefined,
+    variant_ids: typeof variant_id === 'string' ? variant_id.split(',').slice(0, 100) : undefined,
+    sales_channel_ids: salesChannelIds
+  })
+
+  res.json(availability)
+}
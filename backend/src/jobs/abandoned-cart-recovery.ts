@@ -0,0 +1,126 @@
+import { ContainerRegistrationKeys, Modules } from '@medusajs/framework/utils'
+import { ICartModuleService, MedusaContainer } from '@medusajs/framework/types'
+import { EmailTemplates } from '../modules/email-notifications/templates'
+import { sendNotification } from '../utils/send-notification'
+import {
+  ABANDONED_CART_DELAY_HOURS,
+  ABANDONED_CART_MAX_REMINDERS,
+  STOREFRONT_URL
+} from '../lib/constants'
+
+const BATCH_SIZE = 100
+
+/**
+ * Sends a recovery email for carts that have an email and line items, were not
+ * completed and have not been touched for `ABANDONED_CART_DELAY_HOURS`.
+ *
+ * The number of reminders sent is kept in the cart metadata. Storing it updates
+ * the cart, so the next reminder is only sent after another full delay period.
+ */
+export default async function abandonedCartRecoveryJob(container: MedusaContainer) {
+  const logger = container.resolve(ContainerRegistrationKeys.LOGGER)
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const cartModuleService: ICartModuleService = container.resolve(Modules.CART)
+
+  const cutoff = new Date(Date.now() - ABANDONED_CART_DELAY_HOURS * 60 * 60 * 1000)
+  let offset = 0
+  let sent = 0
+
+  while (true) {
+    const { data: carts } = await query.graph({
+      entity: 'cart',
+      fields: [
+        'id',
+        'email',
+        'currency_code',
+        'metadata',
+        'shipping_address.country_code',
+        'items.id',
+        'items.title',
+        'items.product_title',
+        'items.thumbnail',
+        'items.quantity',
+        'items.unit_price'
+      ],
+      filters: {
+        completed_at: null,
+        email: { $ne: null },
+        updated_at: { $lt: cutoff }
+      },
+      pagination: { skip: offset, take: BATCH_SIZE, order: { updated_at: 'ASC' } }
+    })
+
+    // Carts we send an email for drop out of the filter once their metadata is updated
+    let remindedInBatch = 0
+
+    for (const cart of carts) {
+      const reminders = Number(cart.metadata?.abandoned_cart_reminders ?? 0)
+
+      if (!cart.items?.length || reminders >= ABANDONED_CART_MAX_REMINDERS) {
+        continue
+      }
+
+      const countryCode = cart.shipping_address?.country_code?.toLowerCase()
+      const recoveryLink = `${STOREFRONT_URL}${countryCode ? `/${countryCode}` : ''}/cart/recover/${cart.id}`
+
+      try {
+        // Failed sends stay in the notification outbox and are retried from there
+        await sendNotification(container, {
+          to: cart.email,
+          channel: 'email',
+          template: EmailTemplates.CART_ABANDONED,
+          trigger_type: 'abandoned-cart-recovery',
+          resource_id: cart.id,
+          resource_type: 'cart',
+          data: {
+            emailOptions: {
+              replyTo: process.env.RESEND_FROM_EMAIL || 'support@nightkidz.com',
+              subject: 'You left something in your cart'
+            },
+            cart: {
+              id: cart.id,
+              email: cart.email,
+              currency_code: cart.currency_code,
+              items: cart.items.map((item) => ({
+                id: item.id,
+                title: item.title,
+                product_title: item.product_title,
+                thumbnail: item.thumbnail,
+                quantity: item.quantity,
+                unit_price: item.unit_price
+              }))
+            },
+            recoveryLink,
+            preview: 'Your cart is waiting for you'
+          }
+        })
+
+        await cartModuleService.updateCarts(cart.id, {
+          metadata: {
+            ...cart.metadata,
+            abandoned_cart_reminders: reminders + 1,
+            abandoned_cart_last_reminder_at: new Date().toISOString()
+          }
+        })
+        remindedInBatch++
+        sent++
+      } catch (error) {
+        logger.error(`Failed to queue abandoned cart email for cart ${cart.id}: ${error.message}`)
+      }
+    }
+
+    if (carts.length < BATCH_SIZE) {
+      break
+    }
+    offset += carts.length - remindedInBatch
+  }
+
+  if (sent > 0) {
+    logger.info(`Sent ${sent} abandoned cart recovery email(s)`)
+  }
+}
+
+export const config = {
+  name: 'abandoned-cart-recovery',
+  schedule: '0 * * * *' // Every hour
+}
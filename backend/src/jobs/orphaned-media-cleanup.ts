@@ -0,0 +1,41 @@
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { MedusaContainer } from '@medusajs/framework/types'
+import { getMinioFileProvider } from '../utils/minio-file-provider'
+import { deleteOrphanedMedia, findOrphanedMedia } from '../utils/orphaned-media'
+import { ORPHANED_MEDIA_DELETE, ORPHANED_MEDIA_GRACE_HOURS } from '../lib/constants'
+
+/**
+ * Reports the files in the MinIO bucket that nothing refers to anymore, e.g. images of
+ * deleted products. They are only deleted when `ORPHANED_MEDIA_DELETE` is enabled.
+ */
+export default async function orphanedMediaCleanupJob(container: MedusaContainer) {
+  const logger = container.resolve(ContainerRegistrationKeys.LOGGER)
+  const fileProvider = getMinioFileProvider(container)
+
+  if (!fileProvider) {
+    return
+  }
+
+  const report = await findOrphanedMedia(container, fileProvider, ORPHANED_MEDIA_GRACE_HOURS)
+
+  if (!report.orphaned.length) {
+    return
+  }
+
+  const size = report.orphaned.reduce((total, file) => total + file.size, 0)
+
+  if (!ORPHANED_MEDIA_DELETE) {
+    logger.info(
+      `Found ${report.orphaned.length} orphaned file(s) (${size} bytes) in the media bucket, set ORPHANED_MEDIA_DELETE=true to delete them`
+    )
+    return
+  }
+
+  const deleted = await deleteOrphanedMedia(fileProvider, report.orphaned)
+  logger.info(`Deleted ${deleted} orphaned file(s) (${size} bytes) from the media bucket`)
+}
+
+export const config = {
+  name: 'orphaned-media-cleanup',
+  schedule: '0 3 * * *' // Every day at 03:00
+}
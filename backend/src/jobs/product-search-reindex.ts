@@ -0,0 +1,26 @@
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { MedusaContainer } from '@medusajs/framework/types'
+import { indexAllProducts } from '../utils/product-search'
+
+/**
+ * Indexes all published products, so the index catches up with changes the
+ * `product-search-sync` subscriber missed, e.g. while the worker was down. Skipped
+ * when a reindex is already running.
+ */
+export default async function productSearchReindexJob(container: MedusaContainer) {
+  const logger = container.resolve(ContainerRegistrationKeys.LOGGER)
+
+  try {
+    const indexed = await indexAllProducts(container)
+    if (indexed > 0) {
+      logger.info(`Indexed ${indexed} product(s) for search`)
+    }
+  } catch (error) {
+    logger.warn(`Skipped the scheduled products reindex: ${error.message}`)
+  }
+}
+
+export const config = {
+  name: 'product-search-reindex',
+  schedule: '0 4 * * *' // Every day at 04:00
+}
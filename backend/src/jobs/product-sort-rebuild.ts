@@ -0,0 +1,19 @@
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { MedusaContainer } from '@medusajs/framework/types'
+import { rebuildProductSortEntries } from '../utils/product-sorting'
+
+/**
+ * Rebuilds the catalog sort values of all products, so orders leave the best selling
+ * window and changes the subscribers don't see, like price lists, are picked up.
+ */
+export default async function productSortRebuildJob(container: MedusaContainer) {
+  const logger = container.resolve(ContainerRegistrationKeys.LOGGER)
+
+  const count = await rebuildProductSortEntries(container)
+  logger.info(`Rebuilt the catalog sort values of ${count} product(s)`)
+}
+
+export const config = {
+  name: 'product-sort-rebuild',
+  schedule: '30 3 * * *' // Every day at 03:30
+}
@@ -0,0 +1,55 @@
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { MedusaContainer } from '@medusajs/framework/types'
+import { NOTIFICATION_OUTBOX_MODULE } from '../modules/notification-outbox'
+import NotificationOutboxModuleService from '../modules/notification-outbox/service'
+import { OutboxNotificationStatus } from '../modules/notification-outbox/models/outbox-notification'
+import { dispatchOutboxNotification } from '../utils/send-notification'
+
+const BATCH_SIZE = 50
+// A pending notification this old wasn't sent, e.g. because the process stopped before the first attempt
+const STALE_PENDING_MINUTES = 15
+
+/**
+ * Retries failed notifications from the outbox once their backoff has passed, and
+ * pending ones that were never attempted. Notifications that keep failing are moved
+ * to the dead-letter state by the outbox.
+ */
+export default async function retryNotificationsJob(container: MedusaContainer) {
+  const logger = container.resolve(ContainerRegistrationKeys.LOGGER)
+  const outboxService: NotificationOutboxModuleService = container.resolve(NOTIFICATION_OUTBOX_MODULE)
+
+  const dueNotifications = await outboxService.listOutboxNotifications(
+    {
+      $or: [
+        {
+          status: OutboxNotificationStatus.FAILED,
+          next_attempt_at: { $lte: new Date() }
+        },
+        {
+          status: OutboxNotificationStatus.PENDING,
+          created_at: { $lte: new Date(Date.now() - STALE_PENDING_MINUTES * 60 * 1000) }
+        }
+      ]
+    },
+    { take: BATCH_SIZE, order: { created_at: 'ASC' } }
+  )
+
+  if (!dueNotifications.length) {
+    return
+  }
+
+  let sent = 0
+  for (const notification of dueNotifications) {
+    const result = await dispatchOutboxNotification(container, notification)
+    if (result.status === OutboxNotificationStatus.SENT) {
+      sent++
+    }
+  }
+
+  logger.info(`Retried ${dueNotifications.length} failed or stale pending notification(s), ${sent} sent`)
+}
+
+export const config = {
+  name: 'retry-notifications',
+  schedule: '*/5 * * * *' // Every 5 minutes
+}
@@ -14,6 +14,11 @@ export const IS_DEV = process.env.NODE_ENV === 'development'
  */
 export const BACKEND_URL = process.env.BACKEND_PUBLIC_URL ?? process.env.RAILWAY_PUBLIC_DOMAIN_VALUE ?? 'http://localhost:9000'
 
+/**
+ * Public URL for the storefront, used for links in customer emails
+ */
+export const STOREFRONT_URL = process.env.STOREFRONT_URL ?? 'http://localhost:8000'
+
 /**
  * Database URL for Postgres instance used by the backend
  */
@@ -65,6 +70,23 @@ export const MINIO_ENDPOINT = process.env.MINIO_ENDPOINT;
 export const MINIO_ACCESS_KEY = process.env.MINIO_ACCESS_KEY;
 export const MINIO_SECRET_KEY = process.env.MINIO_SECRET_KEY;
 export const MINIO_BUCKET = process.env.MINIO_BUCKET; // Optional, if not set bucket will be called: medusa-media
+export const MINIO_PORT = process.env.MINIO_PORT ? Number(process.env.MINIO_PORT) : undefined;
+export const MINIO_USE_SSL = process.env.MINIO_USE_SSL !== 'false';
+export const MINIO_REGION = process.env.MINIO_REGION;
+export const MINIO_PUBLIC_URL = process.env.MINIO_PUBLIC_URL; // Optional, e.g. a CDN in front of the bucket
+export const MINIO_PATH_STYLE = process.env.MINIO_PATH_STYLE !== 'false';
+export const MINIO_PRIVATE = process.env.MINIO_PRIVATE === 'true';
+export const MINIO_PRESIGNED_URL_EXPIRES_IN = process.env.MINIO_PRESIGNED_URL_EXPIRES_IN
+  ? Number(process.env.MINIO_PRESIGNED_URL_EXPIRES_IN)
+  : undefined;
+export const MINIO_IMAGE_DERIVATIVES = process.env.MINIO_IMAGE_DERIVATIVES !== 'false';
+
+/**
+ * Orphaned media cleanup: hours an unreferenced file is kept after its upload, and
+ * whether the scheduled job deletes orphaned files or only reports them
+ */
+export const ORPHANED_MEDIA_GRACE_HOURS = Number(process.env.ORPHANED_MEDIA_GRACE_HOURS ?? 72)
+export const ORPHANED_MEDIA_DELETE = process.env.ORPHANED_MEDIA_DELETE === 'true'
 
 /**
  * Resend API Key and from Email for sending order confirmation emails
@@ -72,6 +94,68 @@ export const MINIO_BUCKET = process.env.MINIO_BUCKET; // Optional, if not set bu
 export const RESEND_API_KEY = process.env.RESEND_API_KEY;
 export const RESEND_FROM_EMAIL = process.env.RESEND_FROM_EMAIL || process.env.RESEND_FROM;
 
+/**
+ * (optional) SMTP server, e.g. MailHog, used for emails when Resend is not configured
+ */
+export const SMTP_HOST = process.env.SMTP_HOST;
+export const SMTP_PORT = process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : undefined;
+export const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+export const SMTP_USER = process.env.SMTP_USER;
+export const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
+
+/**
+ * (optional) Directory rendered emails are written to when neither Resend nor SMTP is configured
+ */
+export const EMAIL_FILE_DIR = process.env.EMAIL_FILE_DIR;
+
+/**
+ * From address for the SMTP and file email providers
+ */
+export const EMAIL_FROM = process.env.EMAIL_FROM || RESEND_FROM_EMAIL || 'noreply@nightkidz.com';
+
+/**
+ * Number of attempts before a failing notification is moved to the dead-letter state
+ */
+export const NOTIFICATION_MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS ?? 5)
+
+/**
+ * Abandoned cart recovery: hours of inactivity before a cart counts as abandoned,
+ * and how many recovery emails are sent per cart at most
+ */
+export const ABANDONED_CART_DELAY_HOURS = Number(process.env.ABANDONED_CART_DELAY_HOURS ?? 24)
+export const ABANDONED_CART_MAX_REMINDERS = Number(process.env.ABANDONED_CART_MAX_REMINDERS ?? 2)
+
+/**
+ * Guest order lookup: whether guests confirm a lookup through a one-time link emailed
+ * to the order's address instead of seeing the order right away, how long the link works,
+ * and how long the order can be viewed after a successful lookup
+ */
+export const ORDER_LOOKUP_EMAIL_LINK = process.env.ORDER_LOOKUP_EMAIL_LINK === 'true'
+export const ORDER_LOOKUP_LINK_TTL_MINUTES = Number(process.env.ORDER_LOOKUP_LINK_TTL_MINUTES ?? 60)
+export const ORDER_LOOKUP_ACCESS_TTL_MINUTES = Number(process.env.ORDER_LOOKUP_ACCESS_TTL_MINUTES ?? 30)
+
+/**
+ * Guest order lookup: lookups allowed per IP address and per email address every 15
+ * minutes, so order numbers can't be guessed
+ */
+export const ORDER_LOOKUP_RATE_LIMIT = Number(process.env.ORDER_LOOKUP_RATE_LIMIT ?? 10)
+
+/**
+ * Promotion code checks allowed per IP address every 15 minutes, so codes can't be guessed
+ */
+export const PROMOTION_CODE_RATE_LIMIT = Number(process.env.PROMOTION_CODE_RATE_LIMIT ?? 30)
+
+/**
+ * Back-in-stock subscriptions allowed per IP address and per email address every 15
+ * minutes, each of which sends a confirmation email
+ */
+export const BACK_IN_STOCK_RATE_LIMIT = Number(process.env.BACK_IN_STOCK_RATE_LIMIT ?? 5)
+
+/**
+ * Search analytics events the storefront may record per IP address every minute
+ */
+export const SEARCH_EVENT_RATE_LIMIT = Number(process.env.SEARCH_EVENT_RATE_LIMIT ?? 60)
+
 /**
  * (optional) Stripe API key and webhook secret
  */
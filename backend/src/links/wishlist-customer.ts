@@ -0,0 +1,17 @@
+import { defineLink } from '@medusajs/framework/utils'
+import CustomerModule from '@medusajs/medusa/customer'
+import WishlistModule from '../modules/wishlist'
+
+/**
+ * Read-only link from a wishlist to its customer, through the `customer_id` of the wishlist.
+ */
+export default defineLink(
+  {
+    linkable: WishlistModule.linkable.wishlist,
+    field: 'customer_id'
+  },
+  CustomerModule.linkable.customer,
+  {
+    readOnly: true
+  }
+)
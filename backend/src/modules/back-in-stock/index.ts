@@ -0,0 +1,8 @@
+import { Module } from '@medusajs/framework/utils'
+import BackInStockModuleService from './service'
+
+export const BACK_IN_STOCK_MODULE = 'backInStock'
+
+export default Module(BACK_IN_STOCK_MODULE, {
+  service: BackInStockModuleService
+})
@@ -0,0 +1,11 @@
+import { Migration } from '@mikro-orm/migrations'
+
+export class Migration20261020120000 extends Migration {
+  async up(): Promise<void> {
+    this.addSql(`alter table if exists "back_in_stock_subscription" add column if not exists "confirmed_at" timestamptz null;`)
+  }
+
+  async down(): Promise<void> {
+    this.addSql(`alter table if exists "back_in_stock_subscription" drop column if exists "confirmed_at";`)
+  }
+}
@@ -0,0 +1,27 @@
+import { model } from '@medusajs/framework/utils'
+
+/**
+ * A customer waiting for a sold-out variant. Only subscriptions confirmed from the
+ * emailed link are notified. Subscriptions are deleted once the customer has been
+ * notified that the variant is back in stock.
+ */
+export const BackInStockSubscription = model.define('back_in_stock_subscription', {
+  id: model.id({ prefix: 'bisub' }).primaryKey(),
+  email: model.text().searchable(),
+  variant_id: model.text(),
+  // Availability is checked for the sales channel the customer subscribed from
+  sales_channel_id: model.text().nullable(),
+  // Used for the product link and the language of the email
+  country_code: model.text().nullable(),
+  // Set when the customer opened the link in the confirmation email
+  confirmed_at: model.dateTime().nullable()
+})
+.indexes([
+  {
+    on: ['variant_id']
+  },
+  {
+    on: ['email', 'variant_id'],
+    unique: true
+  }
+])
@@ -0,0 +1,70 @@
+import { MedusaService } from '@medusajs/framework/utils'
+import { BackInStockSubscription } from './models/back-in-stock-subscription'
+
+export interface SubscribeToVariantInput {
+  email: string
+  variant_id: string
+  sales_channel_id?: string | null
+  country_code?: string | null
+}
+
+/**
+ * Service for back-in-stock subscriptions of sold-out variants.
+ */
+class BackInStockModuleService extends MedusaService({
+  BackInStockSubscription
+}) {
+  /**
+   * Subscribe an email address to a variant. Subscribing twice keeps a single
+   * subscription, updated with the latest sales channel and country.
+   * @param input - The email address and variant to subscribe
+   */
+  async subscribe(input: SubscribeToVariantInput) {
+    const email = input.email.trim().toLowerCase()
+
+    const [existing] = await this.listBackInStockSubscriptions({
+      email,
+      variant_id: input.variant_id
+    })
+
+    if (existing) {
+      return await this.updateBackInStockSubscriptions({
+        id: existing.id,
+        sales_channel_id: input.sales_channel_id ?? existing.sales_channel_id,
+        country_code: input.country_code ?? existing.country_code
+      })
+    }
+
+    return await this.createBackInStockSubscriptions({ ...input, email })
+  }
+
+  /**
+   * Confirm a subscription from the link in the confirmation email. Confirming twice
+   * keeps the first confirmation date.
+   * @param id - The ID of the subscription
+   * @returns The subscription, or null when it doesn't exist anymore
+   */
+  async confirm(id: string) {
+    const [subscription] = await this.listBackInStockSubscriptions({ id })
+
+    if (!subscription || subscription.confirmed_at) {
+      return subscription ?? null
+    }
+
+    return await this.updateBackInStockSubscriptions({ id, confirmed_at: new Date() })
+  }
+
+  /**
+   * Delete all subscriptions of an email address.
+   * @param email - The email address to unsubscribe
+   */
+  async unsubscribe(email: string) {
+    const subscriptions = await this.listBackInStockSubscriptions({ email: email.trim().toLowerCase() })
+
+    if (subscriptions.length) {
+      await this.deleteBackInStockSubscriptions(subscriptions.map((subscription) => subscription.id))
+    }
+  }
+}
+
+export default BackInStockModuleService
@@ -0,0 +1,70 @@
+import en, { EmailMessages } from './locales/en'
+import da from './locales/da'
+import de from './locales/de'
+import es from './locales/es'
+import fr from './locales/fr'
+import it from './locales/it'
+import sv from './locales/sv'
+
+export type EmailMessageKey = keyof EmailMessages
+
+/**
+ * Message catalogs by language. To add a language, add a catalog to `./locales` and
+ * register it here. Keys missing from a catalog fall back to English.
+ */
+const catalogs: Record<string, Partial<EmailMessages>> = { en, da, de, es, fr, it, sv }
+
+export const DEFAULT_EMAIL_LOCALE = 'en-GB'
+
+/**
+ * Locale used for the emails of a country. Countries that are not listed here get
+ * the default locale.
+ */
+const COUNTRY_LOCALES: Record<string, string> = {
+  at: 'de-AT',
+  be: 'fr-BE',
+  ch: 'de-CH',
+  de: 'de-DE',
+  dk: 'da-DK',
+  es: 'es-ES',
+  fr: 'fr-FR',
+  gb: 'en-GB',
+  ie: 'en-IE',
+  it: 'it-IT',
+  se: 'sv-SE',
+  us: 'en-US'
+}
+
+export interface EmailI18n {
+  locale: string
+  t: (key: EmailMessageKey, values?: Record<string, string | number | undefined | null>) => string
+  formatAmount: (amount: number | string, currencyCode: string) => string
+  formatDate: (date: string | Date) => string
+}
+
+/**
+ * Resolve the email locale for an order or cart from its country code.
+ * @param countryCode - Usually the country of the shipping address
+ */
+export function getEmailLocale(countryCode?: string | null): string {
+  return COUNTRY_LOCALES[countryCode?.toLowerCase() ?? ''] ?? DEFAULT_EMAIL_LOCALE
+}
+
+/**
+ * Get the translations and formatters for a locale, e.g. `de-DE`.
+ * @param locale - (optional) The locale, defaults to `DEFAULT_EMAIL_LOCALE`
+ */
+export function getEmailI18n(locale: string = DEFAULT_EMAIL_LOCALE): EmailI18n {
+  const messages = catalogs[locale.split('-')[0].toLowerCase()] ?? en
+
+  return {
+    locale,
+    t: (key, values = {}) =>
+      (messages[key] ?? en[key]).replace(/\{(\w+)\}/g, (match, name) => String(values[name] ?? match)),
+    formatAmount: (amount, currencyCode) =>
+      new Intl.NumberFormat(locale, { style: 'currency', currency: currencyCode.toUpperCase() }).format(
+        Number(amount)
+      ),
+    formatDate: (date) => new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date(date))
+  }
+}
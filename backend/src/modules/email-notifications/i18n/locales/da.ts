@@ -0,0 +1,102 @@
+import { EmailMessages } from './en'
+
+const da: EmailMessages = {
+  'common.greeting': 'Kære {name},',
+  'common.shippingAddress': 'Leveringsadresse',
+
+  'orderPlaced.subject': 'Din ordre er modtaget',
+  'orderPlaced.preview': 'Tak for din ordre!',
+  'orderPlaced.title': 'Ordrebekræftelse',
+  'orderPlaced.intro': 'Tak for din ordre! Her er detaljerne:',
+  'orderPlaced.summary': 'Ordreoversigt',
+  'orderPlaced.orderId': 'Ordrenummer: {displayId}',
+  'orderPlaced.orderDate': 'Ordredato: {date}',
+  'orderPlaced.total': 'I alt: {total}',
+  'orderPlaced.items': 'Bestilte varer',
+  'orderPlaced.item': 'Vare',
+  'orderPlaced.quantity': 'Antal',
+  'orderPlaced.price': 'Pris',
+
+  'fulfillmentCreated.subject': 'Vi gør din ordre #{displayId} klar',
+  'fulfillmentCreated.preview': 'Din ordre bliver gjort klar!',
+  'fulfillmentCreated.title': 'Din ordre bliver gjort klar',
+  'fulfillmentCreated.body':
+    'Godt nyt! Vi er begyndt at pakke ordre {displayId}. Vi giver dig besked, så snart den er på vej.',
+  'fulfillmentCreated.items': 'Varer i denne pakke',
+
+  'shipmentCreated.subject': 'Din ordre #{displayId} er afsendt',
+  'shipmentCreated.preview': 'Din ordre er på vej!',
+  'shipmentCreated.title': 'Din ordre er afsendt',
+  'shipmentCreated.body': 'Ordre {displayId} har forladt vores lager.',
+  'shipmentCreated.bodyWithCarrier': 'Ordre {displayId} har forladt vores lager og leveres af {carrier}.',
+  'shipmentCreated.trackPackage': 'Følg din pakke',
+  'shipmentCreated.trackingNumber': 'Sporingsnummer: {trackingNumber}',
+  'shipmentCreated.trackButton': 'Følg pakke',
+  'shipmentCreated.items': 'Varer i denne forsendelse',
+
+  'orderDelivered.subject': 'Din ordre #{displayId} er leveret',
+  'orderDelivered.preview': 'Din ordre er leveret!',
+  'orderDelivered.title': 'Din ordre er leveret',
+  'orderDelivered.body': 'Ordre {displayId} blev leveret {date}. Vi håber, du bliver glad for dit køb!',
+  'orderDelivered.help':
+    'Hvis noget mangler eller ikke er som forventet, så svar blot på denne e-mail, så finder vi en løsning.',
+
+  'orderCanceled.subject': 'Din ordre #{displayId} er annulleret',
+  'orderCanceled.preview': 'Din ordre er annulleret',
+  'orderCanceled.title': 'Ordre annulleret',
+  'orderCanceled.body':
+    'Ordre {displayId} er blevet annulleret. Eventuelle betalinger for ordren bliver refunderet til din oprindelige betalingsmetode.',
+  'orderCanceled.help':
+    'Hvis du ikke har bedt om denne annullering, så svar venligst på denne e-mail for at kontakte os.',
+  'orderCanceled.items': 'Annullerede varer',
+
+  'resetPassword.subject': 'Nulstil din adgangskode',
+  'resetPassword.preview': 'Vælg en ny adgangskode til din konto',
+  'resetPassword.title': 'Nulstil din adgangskode',
+  'resetPassword.body': 'Vi har modtaget en anmodning om at nulstille adgangskoden til din konto. Klik på knappen nedenfor for at vælge en ny adgangskode.',
+  'resetPassword.button': 'Nulstil adgangskode',
+  'resetPassword.copyLink': 'eller kopiér og indsæt dette link i din browser:',
+  'resetPassword.footer': 'Hvis du ikke har bedt om at nulstille din adgangskode, kan du ignorere denne e-mail, og din adgangskode forbliver den samme. Linket udløber om 15 minutter.',
+
+  'backInStock.subject': '{product} er på lager igen',
+  'backInStock.preview': 'Varen, du har ventet på, kan købes igen',
+  'backInStock.title': 'Tilbage på lager',
+  'backInStock.body': 'Godt nyt! {product} kan købes igen. Vores drops bliver hurtigt udsolgt, så vent ikke for længe.',
+  'backInStock.button': 'Køb nu',
+  'backInStock.footer': 'Du modtager denne e-mail, fordi du bad os om besked, når varen var på lager igen.',
+  'backInStock.unsubscribe': 'Afmeld e-mails om varer på lager igen.',
+  'backInStockConfirm.subject': 'Bekræft din besked om {product}',
+  'backInStockConfirm.preview': 'Bekræft, at vi må skrive til dig, når den er tilbage',
+  'backInStockConfirm.title': 'Bekræft din besked',
+  'backInStockConfirm.body': 'Du har bedt os om at give besked, når {product} er på lager igen. Bekræft med knappen nedenfor, så skriver vi til dig, så snart den er tilgængelig igen.',
+  'backInStockConfirm.button': 'Bekræft',
+  'backInStockConfirm.footer': 'Hvis du ikke har bedt om dette, kan du ignorere denne e-mail. Vi skriver ikke til dig om denne vare, medmindre du bekræfter.',
+  'giftCardDelivery.subject': 'Du har modtaget et gavekort på {amount}',
+  'giftCardDelivery.subjectFrom': '{sender} har sendt dig et gavekort på {amount}',
+  'giftCardDelivery.preview': 'Din gavekortkode er indeni',
+  'giftCardDelivery.title': 'Du har fået et gavekort',
+  'giftCardDelivery.greeting': 'Hej {name},',
+  'giftCardDelivery.body': 'Nogen har sendt dig et gavekort til en værdi af {amount}.',
+  'giftCardDelivery.bodyFrom': '{sender} har sendt dig et gavekort til en værdi af {amount}.',
+  'giftCardDelivery.codeLabel': 'Din gavekortkode',
+  'giftCardDelivery.instructions': 'Indtast koden ved kassen for at betale med dit gavekort. Du behøver ikke bruge det hele på én gang, den resterende saldo bliver på kortet.',
+  'giftCardDelivery.button': 'Begynd at handle',
+  'orderLookupLink.subject': 'Dit link til ordre #{displayId}',
+  'orderLookupLink.preview': 'Se din ordre med dette engangslink',
+  'orderLookupLink.title': 'Se din ordre',
+  'orderLookupLink.body': 'Brug knappen nedenfor for at se ordre #{displayId}. Linket virker én gang og udløber om {minutes} minutter.',
+  'orderLookupLink.button': 'Se ordre',
+  'orderLookupLink.footer': 'Hvis du ikke har bedt om at se denne ordre, kan du ignorere denne e-mail.',
+  'returnRequested.subject': 'Din returnering af ordre #{displayId}',
+  'returnRequested.preview': 'Sådan sender du dine varer retur',
+  'returnRequested.title': 'Returnering anmodet',
+  'returnRequested.body': 'Vi har registreret din returnering af ordre #{displayId}. Sådan sender du varerne retur til os.',
+  'returnRequested.items': 'Varer der returneres',
+  'returnRequested.label': 'Returlabel',
+  'returnRequested.trackingNumber': 'Trackingnummer: {trackingNumber}',
+  'returnRequested.labelButton': 'Download returlabel',
+  'returnRequested.address': 'Send pakken til',
+  'returnRequested.instructions': 'Pak varerne godt ind, helst i den originale emballage, og vedlæg en seddel med dit ordrenummer #{displayId}. Vi refunderer dig, når vi har modtaget og kontrolleret varerne.'
+}
+
+export default da
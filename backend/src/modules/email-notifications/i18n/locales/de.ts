@@ -0,0 +1,102 @@
+import { EmailMessages } from './en'
+
+const de: EmailMessages = {
+  'common.greeting': 'Hallo {name},',
+  'common.shippingAddress': 'Lieferadresse',
+
+  'orderPlaced.subject': 'Deine Bestellung ist eingegangen',
+  'orderPlaced.preview': 'Vielen Dank für deine Bestellung!',
+  'orderPlaced.title': 'Bestellbestätigung',
+  'orderPlaced.intro': 'Vielen Dank für deine Bestellung! Hier sind die Details:',
+  'orderPlaced.summary': 'Bestellübersicht',
+  'orderPlaced.orderId': 'Bestellnummer: {displayId}',
+  'orderPlaced.orderDate': 'Bestelldatum: {date}',
+  'orderPlaced.total': 'Gesamt: {total}',
+  'orderPlaced.items': 'Bestellte Artikel',
+  'orderPlaced.item': 'Artikel',
+  'orderPlaced.quantity': 'Menge',
+  'orderPlaced.price': 'Preis',
+
+  'fulfillmentCreated.subject': 'Wir bereiten deine Bestellung #{displayId} vor',
+  'fulfillmentCreated.preview': 'Deine Bestellung wird vorbereitet!',
+  'fulfillmentCreated.title': 'Deine Bestellung wird vorbereitet',
+  'fulfillmentCreated.body':
+    'Gute Nachrichten! Wir haben begonnen, Bestellung {displayId} zu verpacken. Wir melden uns, sobald sie unterwegs ist.',
+  'fulfillmentCreated.items': 'Artikel in diesem Paket',
+
+  'shipmentCreated.subject': 'Deine Bestellung #{displayId} wurde versandt',
+  'shipmentCreated.preview': 'Deine Bestellung ist unterwegs!',
+  'shipmentCreated.title': 'Deine Bestellung wurde versandt',
+  'shipmentCreated.body': 'Bestellung {displayId} hat unser Lager verlassen.',
+  'shipmentCreated.bodyWithCarrier': 'Bestellung {displayId} hat unser Lager verlassen und wird von {carrier} zugestellt.',
+  'shipmentCreated.trackPackage': 'Sendungsverfolgung',
+  'shipmentCreated.trackingNumber': 'Sendungsnummer: {trackingNumber}',
+  'shipmentCreated.trackButton': 'Paket verfolgen',
+  'shipmentCreated.items': 'Artikel in dieser Sendung',
+
+  'orderDelivered.subject': 'Deine Bestellung #{displayId} wurde zugestellt',
+  'orderDelivered.preview': 'Deine Bestellung wurde zugestellt!',
+  'orderDelivered.title': 'Deine Bestellung wurde zugestellt',
+  'orderDelivered.body': 'Bestellung {displayId} wurde am {date} zugestellt. Wir wünschen dir viel Freude damit!',
+  'orderDelivered.help':
+    'Falls etwas fehlt oder nicht deinen Erwartungen entspricht, antworte einfach auf diese E-Mail und wir kümmern uns darum.',
+
+  'orderCanceled.subject': 'Deine Bestellung #{displayId} wurde storniert',
+  'orderCanceled.preview': 'Deine Bestellung wurde storniert',
+  'orderCanceled.title': 'Bestellung storniert',
+  'orderCanceled.body':
+    'Bestellung {displayId} wurde storniert. Bereits eingezogene Zahlungen werden auf deine ursprüngliche Zahlungsmethode zurückerstattet.',
+  'orderCanceled.help':
+    'Falls du diese Stornierung nicht veranlasst hast, antworte bitte auf diese E-Mail, um uns zu kontaktieren.',
+  'orderCanceled.items': 'Stornierte Artikel',
+
+  'resetPassword.subject': 'Setze dein Passwort zurück',
+  'resetPassword.preview': 'Wähle ein neues Passwort für dein Konto',
+  'resetPassword.title': 'Passwort zurücksetzen',
+  'resetPassword.body': 'Wir haben eine Anfrage erhalten, das Passwort für dein Konto zurückzusetzen. Klicke auf den Button unten, um ein neues Passwort zu wählen.',
+  'resetPassword.button': 'Passwort zurücksetzen',
+  'resetPassword.copyLink': 'oder kopiere diesen Link in deinen Browser:',
+  'resetPassword.footer': 'Wenn du das Zurücksetzen nicht angefragt hast, kannst du diese E-Mail ignorieren und dein Passwort bleibt unverändert. Der Link läuft in 15 Minuten ab.',
+
+  'backInStock.subject': '{product} ist wieder verfügbar',
+  'backInStock.preview': 'Der Artikel, auf den du gewartet hast, ist wieder da',
+  'backInStock.title': 'Wieder auf Lager',
+  'backInStock.body': 'Gute Nachrichten! {product} ist wieder verfügbar. Unsere Drops sind schnell ausverkauft, also warte nicht zu lange.',
+  'backInStock.button': 'Jetzt kaufen',
+  'backInStock.footer': 'Du erhältst diese E-Mail, weil du benachrichtigt werden wolltest, sobald dieser Artikel wieder auf Lager ist.',
+  'backInStock.unsubscribe': 'Von Benachrichtigungen zur Verfügbarkeit abmelden.',
+  'backInStockConfirm.subject': 'Bestätige deine Benachrichtigung für {product}',
+  'backInStockConfirm.preview': 'Bestätige, dass wir dir schreiben dürfen, sobald er wieder da ist',
+  'backInStockConfirm.title': 'Benachrichtigung bestätigen',
+  'backInStockConfirm.body': 'Du möchtest benachrichtigt werden, sobald {product} wieder auf Lager ist. Bestätige das über den Button unten und wir schreiben dir, sobald der Artikel wieder verfügbar ist.',
+  'backInStockConfirm.button': 'Bestätigen',
+  'backInStockConfirm.footer': 'Wenn du das nicht angefragt hast, kannst du diese E-Mail ignorieren. Ohne deine Bestätigung schreiben wir dir nicht zu diesem Artikel.',
+  'giftCardDelivery.subject': 'Du hast einen Geschenkgutschein über {amount} erhalten',
+  'giftCardDelivery.subjectFrom': '{sender} hat dir einen Geschenkgutschein über {amount} geschickt',
+  'giftCardDelivery.preview': 'Dein Gutscheincode ist drin',
+  'giftCardDelivery.title': 'Du hast einen Geschenkgutschein',
+  'giftCardDelivery.greeting': 'Hallo {name},',
+  'giftCardDelivery.body': 'Jemand hat dir einen Geschenkgutschein im Wert von {amount} geschickt.',
+  'giftCardDelivery.bodyFrom': '{sender} hat dir einen Geschenkgutschein im Wert von {amount} geschickt.',
+  'giftCardDelivery.codeLabel': 'Dein Gutscheincode',
+  'giftCardDelivery.instructions': 'Gib den Code an der Kasse ein, um mit deinem Gutschein zu bezahlen. Du musst ihn nicht auf einmal einlösen, das Restguthaben bleibt auf dem Gutschein.',
+  'giftCardDelivery.button': 'Jetzt einkaufen',
+  'orderLookupLink.subject': 'Dein Link zur Bestellung #{displayId}',
+  'orderLookupLink.preview': 'Sieh dir deine Bestellung mit diesem einmaligen Link an',
+  'orderLookupLink.title': 'Deine Bestellung ansehen',
+  'orderLookupLink.body': 'Über den Button unten kannst du die Bestellung #{displayId} ansehen. Der Link funktioniert einmal und läuft in {minutes} Minuten ab.',
+  'orderLookupLink.button': 'Bestellung ansehen',
+  'orderLookupLink.footer': 'Wenn du diese Bestellung nicht angefragt hast, kannst du diese E-Mail ignorieren.',
+  'returnRequested.subject': 'Deine Rücksendung für Bestellung #{displayId}',
+  'returnRequested.preview': 'So schickst du deine Artikel zurück',
+  'returnRequested.title': 'Rücksendung angefragt',
+  'returnRequested.body': 'Wir haben deine Rücksendung für Bestellung #{displayId} registriert. So schickst du die Artikel an uns zurück.',
+  'returnRequested.items': 'Artikel zur Rücksendung',
+  'returnRequested.label': 'Rücksendeetikett',
+  'returnRequested.trackingNumber': 'Sendungsnummer: {trackingNumber}',
+  'returnRequested.labelButton': 'Rücksendeetikett herunterladen',
+  'returnRequested.address': 'Schicke das Paket an',
+  'returnRequested.instructions': 'Verpacke die Artikel sicher, am besten in der Originalverpackung, und lege einen Zettel mit deiner Bestellnummer #{displayId} bei. Wir erstatten dir den Betrag, sobald wir die Artikel erhalten und geprüft haben.'
+}
+
+export default de
@@ -0,0 +1,106 @@
+/**
+ * English messages, also used for keys that are missing in another catalog.
+ * `{name}` placeholders are replaced with the values passed to `t`.
+ */
+const en = {
+  'common.greeting': 'Dear {name},',
+  'common.shippingAddress': 'Shipping Address',
+
+  'orderPlaced.subject': 'Your order has been placed',
+  'orderPlaced.preview': 'Thank you for your order!',
+  'orderPlaced.title': 'Order Confirmation',
+  'orderPlaced.intro': 'Thank you for your recent order! Here are your order details:',
+  'orderPlaced.summary': 'Order Summary',
+  'orderPlaced.orderId': 'Order ID: {displayId}',
+  'orderPlaced.orderDate': 'Order Date: {date}',
+  'orderPlaced.total': 'Total: {total}',
+  'orderPlaced.items': 'Order Items',
+  'orderPlaced.item': 'Item',
+  'orderPlaced.quantity': 'Quantity',
+  'orderPlaced.price': 'Price',
+
+  'fulfillmentCreated.subject': 'We are preparing your order #{displayId}',
+  'fulfillmentCreated.preview': 'Your order is being prepared!',
+  'fulfillmentCreated.title': 'Your Order Is Being Prepared',
+  'fulfillmentCreated.body':
+    'Good news! We have started packing order {displayId}. We will let you know as soon as it is on its way.',
+  'fulfillmentCreated.items': 'Items In This Package',
+
+  'shipmentCreated.subject': 'Your order #{displayId} has shipped',
+  'shipmentCreated.preview': 'Your order is on its way!',
+  'shipmentCreated.title': 'Your Order Has Shipped',
+  'shipmentCreated.body': 'Order {displayId} has left our warehouse.',
+  'shipmentCreated.bodyWithCarrier': 'Order {displayId} has left our warehouse and is being delivered by {carrier}.',
+  'shipmentCreated.trackPackage': 'Track Your Package',
+  'shipmentCreated.trackingNumber': 'Tracking number: {trackingNumber}',
+  'shipmentCreated.trackButton': 'Track Package',
+  'shipmentCreated.items': 'Items In This Shipment',
+
+  'orderDelivered.subject': 'Your order #{displayId} has been delivered',
+  'orderDelivered.preview': 'Your order has been delivered!',
+  'orderDelivered.title': 'Your Order Has Been Delivered',
+  'orderDelivered.body': 'Order {displayId} was delivered on {date}. We hope you enjoy your purchase!',
+  'orderDelivered.help':
+    'If anything is missing or not as expected, simply reply to this email and we will sort it out.',
+
+  'orderCanceled.subject': 'Your order #{displayId} has been canceled',
+  'orderCanceled.preview': 'Your order has been canceled',
+  'orderCanceled.title': 'Order Canceled',
+  'orderCanceled.body':
+    'Order {displayId} has been canceled. Any payment that was captured for this order will be refunded to your original payment method.',
+  'orderCanceled.help':
+    'If you did not request this cancellation, please reply to this email to get in touch with us.',
+  'orderCanceled.items': 'Canceled Items',
+
+  'resetPassword.subject': 'Reset your password',
+  'resetPassword.preview': 'Choose a new password for your account',
+  'resetPassword.title': 'Reset Your Password',
+  'resetPassword.body': 'We received a request to reset the password for your account. Click the button below to choose a new password.',
+  'resetPassword.button': 'Reset Password',
+  'resetPassword.copyLink': 'or copy and paste this URL into your browser:',
+  'resetPassword.footer': 'If you did not request a password reset, you can ignore this email and your password will stay the same. The link expires in 15 minutes.',
+
+  'backInStock.subject': '{product} is back in stock',
+  'backInStock.preview': 'The item you were waiting for is available again',
+  'backInStock.title': "It's Back In Stock",
+  'backInStock.body': "Good news! {product} is available again. Our drops sell out fast, so don't wait too long.",
+  'backInStock.button': 'Shop Now',
+  'backInStock.footer': 'You are receiving this email because you asked us to let you know when this item is back in stock.',
+  'backInStock.unsubscribe': 'Unsubscribe from back-in-stock emails.',
+  'backInStockConfirm.subject': 'Confirm your back-in-stock alert for {product}',
+  'backInStockConfirm.preview': 'Confirm that we may email you when it is back',
+  'backInStockConfirm.title': 'Confirm Your Alert',
+  'backInStockConfirm.body': 'You asked us to let you know when {product} is back in stock. Confirm with the button below and we will email you as soon as it is available again.',
+  'backInStockConfirm.button': 'Confirm',
+  'backInStockConfirm.footer': "If you didn't ask for this, you can ignore this email. We won't email you about this item unless you confirm.",
+  'giftCardDelivery.subject': 'You received a {amount} gift card',
+  'giftCardDelivery.subjectFrom': '{sender} sent you a {amount} gift card',
+  'giftCardDelivery.preview': 'Your gift card code is inside',
+  'giftCardDelivery.title': 'You Got a Gift Card',
+  'giftCardDelivery.greeting': 'Hi {name},',
+  'giftCardDelivery.body': 'Someone sent you a gift card worth {amount}.',
+  'giftCardDelivery.bodyFrom': '{sender} sent you a gift card worth {amount}.',
+  'giftCardDelivery.codeLabel': 'Your gift card code',
+  'giftCardDelivery.instructions': "Enter the code at checkout to pay with your gift card. You don't have to spend it all at once, the remaining balance stays on the card.",
+  'giftCardDelivery.button': 'Start Shopping',
+  'orderLookupLink.subject': 'Your link to order #{displayId}',
+  'orderLookupLink.preview': 'View your order with this one-time link',
+  'orderLookupLink.title': 'View Your Order',
+  'orderLookupLink.body': 'Use the button below to view order #{displayId}. The link works once and expires in {minutes} minutes.',
+  'orderLookupLink.button': 'View Order',
+  'orderLookupLink.footer': "If you didn't ask to see this order, you can ignore this email.",
+  'returnRequested.subject': 'Your return for order #{displayId}',
+  'returnRequested.preview': 'How to send your items back',
+  'returnRequested.title': 'Return Requested',
+  'returnRequested.body': "We've registered your return for order #{displayId}. Here's how to send the items back to us.",
+  'returnRequested.items': 'Items to return',
+  'returnRequested.label': 'Return label',
+  'returnRequested.trackingNumber': 'Tracking number: {trackingNumber}',
+  'returnRequested.labelButton': 'Download Return Label',
+  'returnRequested.address': 'Send the package to',
+  'returnRequested.instructions': "Pack the items securely, ideally in their original packaging, and add a note with your order number #{displayId}. We'll refund you once we've received and checked the items."
+}
+
+export type EmailMessages = typeof en
+
+export default en
@@ -0,0 +1,102 @@
+import { EmailMessages } from './en'
+
+const es: EmailMessages = {
+  'common.greeting': 'Hola {name}:',
+  'common.shippingAddress': 'Dirección de envío',
+
+  'orderPlaced.subject': 'Hemos recibido tu pedido',
+  'orderPlaced.preview': '¡Gracias por tu pedido!',
+  'orderPlaced.title': 'Confirmación del pedido',
+  'orderPlaced.intro': '¡Gracias por tu pedido! Estos son los detalles:',
+  'orderPlaced.summary': 'Resumen del pedido',
+  'orderPlaced.orderId': 'Número de pedido: {displayId}',
+  'orderPlaced.orderDate': 'Fecha del pedido: {date}',
+  'orderPlaced.total': 'Total: {total}',
+  'orderPlaced.items': 'Artículos del pedido',
+  'orderPlaced.item': 'Artículo',
+  'orderPlaced.quantity': 'Cantidad',
+  'orderPlaced.price': 'Precio',
+
+  'fulfillmentCreated.subject': 'Estamos preparando tu pedido n.º {displayId}',
+  'fulfillmentCreated.preview': '¡Tu pedido se está preparando!',
+  'fulfillmentCreated.title': 'Tu pedido se está preparando',
+  'fulfillmentCreated.body':
+    '¡Buenas noticias! Hemos empezado a empaquetar el pedido {displayId}. Te avisaremos en cuanto esté en camino.',
+  'fulfillmentCreated.items': 'Artículos de este paquete',
+
+  'shipmentCreated.subject': 'Tu pedido n.º {displayId} ha sido enviado',
+  'shipmentCreated.preview': '¡Tu pedido está en camino!',
+  'shipmentCreated.title': 'Tu pedido ha sido enviado',
+  'shipmentCreated.body': 'El pedido {displayId} ha salido de nuestro almacén.',
+  'shipmentCreated.bodyWithCarrier': 'El pedido {displayId} ha salido de nuestro almacén y lo entrega {carrier}.',
+  'shipmentCreated.trackPackage': 'Sigue tu paquete',
+  'shipmentCreated.trackingNumber': 'Número de seguimiento: {trackingNumber}',
+  'shipmentCreated.trackButton': 'Seguir paquete',
+  'shipmentCreated.items': 'Artículos de este envío',
+
+  'orderDelivered.subject': 'Tu pedido n.º {displayId} ha sido entregado',
+  'orderDelivered.preview': '¡Tu pedido ha sido entregado!',
+  'orderDelivered.title': 'Tu pedido ha sido entregado',
+  'orderDelivered.body': 'El pedido {displayId} se entregó el {date}. ¡Esperamos que lo disfrutes!',
+  'orderDelivered.help':
+    'Si falta algo o no es lo que esperabas, responde a este correo y lo solucionaremos.',
+
+  'orderCanceled.subject': 'Tu pedido n.º {displayId} ha sido cancelado',
+  'orderCanceled.preview': 'Tu pedido ha sido cancelado',
+  'orderCanceled.title': 'Pedido cancelado',
+  'orderCanceled.body':
+    'El pedido {displayId} ha sido cancelado. Cualquier pago cobrado por este pedido se reembolsará a tu método de pago original.',
+  'orderCanceled.help':
+    'Si no has solicitado esta cancelación, responde a este correo para ponerte en contacto con nosotros.',
+  'orderCanceled.items': 'Artículos cancelados',
+
+  'resetPassword.subject': 'Restablece tu contraseña',
+  'resetPassword.preview': 'Elige una nueva contraseña para tu cuenta',
+  'resetPassword.title': 'Restablece tu contraseña',
+  'resetPassword.body': 'Hemos recibido una solicitud para restablecer la contraseña de tu cuenta. Haz clic en el botón de abajo para elegir una nueva contraseña.',
+  'resetPassword.button': 'Restablecer contraseña',
+  'resetPassword.copyLink': 'o copia y pega este enlace en tu navegador:',
+  'resetPassword.footer': 'Si no has pedido restablecer tu contraseña, puedes ignorar este correo y tu contraseña seguirá igual. El enlace caduca en 15 minutos.',
+
+  'backInStock.subject': '{product} vuelve a estar disponible',
+  'backInStock.preview': 'El artículo que esperabas vuelve a estar disponible',
+  'backInStock.title': 'De nuevo en stock',
+  'backInStock.body': '¡Buenas noticias! {product} vuelve a estar disponible. Nuestros drops se agotan rápido, así que no esperes demasiado.',
+  'backInStock.button': 'Comprar ahora',
+  'backInStock.footer': 'Recibes este correo porque nos pediste que te avisáramos cuando este artículo volviera a estar en stock.',
+  'backInStock.unsubscribe': 'Darse de baja de los avisos de disponibilidad.',
+  'backInStockConfirm.subject': 'Confirma tu aviso de disponibilidad de {product}',
+  'backInStockConfirm.preview': 'Confirma que podemos escribirte cuando vuelva',
+  'backInStockConfirm.title': 'Confirma tu aviso',
+  'backInStockConfirm.body': 'Nos pediste que te avisáramos cuando {product} vuelva a estar disponible. Confírmalo con el botón de abajo y te escribiremos en cuanto vuelva a estar disponible.',
+  'backInStockConfirm.button': 'Confirmar',
+  'backInStockConfirm.footer': 'Si no lo has pedido tú, puedes ignorar este correo. No te escribiremos sobre este artículo a menos que lo confirmes.',
+  'giftCardDelivery.subject': 'Has recibido una tarjeta regalo de {amount}',
+  'giftCardDelivery.subjectFrom': '{sender} te ha enviado una tarjeta regalo de {amount}',
+  'giftCardDelivery.preview': 'Aquí tienes el código de tu tarjeta regalo',
+  'giftCardDelivery.title': 'Tienes una tarjeta regalo',
+  'giftCardDelivery.greeting': 'Hola {name}:',
+  'giftCardDelivery.body': 'Alguien te ha enviado una tarjeta regalo por valor de {amount}.',
+  'giftCardDelivery.bodyFrom': '{sender} te ha enviado una tarjeta regalo por valor de {amount}.',
+  'giftCardDelivery.codeLabel': 'El código de tu tarjeta regalo',
+  'giftCardDelivery.instructions': 'Introduce el código al finalizar la compra para pagar con tu tarjeta regalo. No tienes que gastarla de una vez, el saldo restante se queda en la tarjeta.',
+  'giftCardDelivery.button': 'Empezar a comprar',
+  'orderLookupLink.subject': 'Tu enlace al pedido n.º {displayId}',
+  'orderLookupLink.preview': 'Consulta tu pedido con este enlace de un solo uso',
+  'orderLookupLink.title': 'Consulta tu pedido',
+  'orderLookupLink.body': 'Usa el botón de abajo para ver el pedido n.º {displayId}. El enlace funciona una sola vez y caduca en {minutes} minutos.',
+  'orderLookupLink.button': 'Ver pedido',
+  'orderLookupLink.footer': 'Si no has pedido ver este pedido, puedes ignorar este correo.',
+  'returnRequested.subject': 'Tu devolución del pedido n.º {displayId}',
+  'returnRequested.preview': 'Cómo devolvernos tus artículos',
+  'returnRequested.title': 'Devolución solicitada',
+  'returnRequested.body': 'Hemos registrado tu devolución del pedido n.º {displayId}. Así es como puedes enviarnos los artículos.',
+  'returnRequested.items': 'Artículos a devolver',
+  'returnRequested.label': 'Etiqueta de devolución',
+  'returnRequested.trackingNumber': 'Número de seguimiento: {trackingNumber}',
+  'returnRequested.labelButton': 'Descargar etiqueta de devolución',
+  'returnRequested.address': 'Envía el paquete a',
+  'returnRequested.instructions': 'Embala bien los artículos, a ser posible en su embalaje original, e incluye una nota con tu número de pedido n.º {displayId}. Te haremos el reembolso cuando hayamos recibido y revisado los artículos.'
+}
+
+export default es
@@ -0,0 +1,102 @@
+import { EmailMessages } from './en'
+
+const fr: EmailMessages = {
+  'common.greeting': 'Bonjour {name},',
+  'common.shippingAddress': 'Adresse de livraison',
+
+  'orderPlaced.subject': 'Votre commande a bien été enregistrée',
+  'orderPlaced.preview': 'Merci pour votre commande !',
+  'orderPlaced.title': 'Confirmation de commande',
+  'orderPlaced.intro': 'Merci pour votre commande ! Voici le détail de votre commande :',
+  'orderPlaced.summary': 'Récapitulatif de la commande',
+  'orderPlaced.orderId': 'Numéro de commande : {displayId}',
+  'orderPlaced.orderDate': 'Date de commande : {date}',
+  'orderPlaced.total': 'Total : {total}',
+  'orderPlaced.items': 'Articles commandés',
+  'orderPlaced.item': 'Article',
+  'orderPlaced.quantity': 'Quantité',
+  'orderPlaced.price': 'Prix',
+
+  'fulfillmentCreated.subject': 'Nous préparons votre commande n°{displayId}',
+  'fulfillmentCreated.preview': 'Votre commande est en préparation !',
+  'fulfillmentCreated.title': 'Votre commande est en préparation',
+  'fulfillmentCreated.body':
+    'Bonne nouvelle ! Nous avons commencé à emballer la commande {displayId}. Nous vous préviendrons dès qu’elle sera en route.',
+  'fulfillmentCreated.items': 'Articles de ce colis',
+
+  'shipmentCreated.subject': 'Votre commande n°{displayId} a été expédiée',
+  'shipmentCreated.preview': 'Votre commande est en route !',
+  'shipmentCreated.title': 'Votre commande a été expédiée',
+  'shipmentCreated.body': 'La commande {displayId} a quitté notre entrepôt.',
+  'shipmentCreated.bodyWithCarrier': 'La commande {displayId} a quitté notre entrepôt et est livrée par {carrier}.',
+  'shipmentCreated.trackPackage': 'Suivre votre colis',
+  'shipmentCreated.trackingNumber': 'Numéro de suivi : {trackingNumber}',
+  'shipmentCreated.trackButton': 'Suivre le colis',
+  'shipmentCreated.items': 'Articles de cet envoi',
+
+  'orderDelivered.subject': 'Votre commande n°{displayId} a été livrée',
+  'orderDelivered.preview': 'Votre commande a été livrée !',
+  'orderDelivered.title': 'Votre commande a été livrée',
+  'orderDelivered.body': 'La commande {displayId} a été livrée le {date}. Nous espérons qu’elle vous plaira !',
+  'orderDelivered.help':
+    'Si quelque chose manque ou ne correspond pas à vos attentes, répondez simplement à cet e-mail et nous nous en occuperons.',
+
+  'orderCanceled.subject': 'Votre commande n°{displayId} a été annulée',
+  'orderCanceled.preview': 'Votre commande a été annulée',
+  'orderCanceled.title': 'Commande annulée',
+  'orderCanceled.body':
+    'La commande {displayId} a été annulée. Tout paiement encaissé pour cette commande sera remboursé sur votre moyen de paiement initial.',
+  'orderCanceled.help':
+    'Si vous n’avez pas demandé cette annulation, répondez à cet e-mail pour nous contacter.',
+  'orderCanceled.items': 'Articles annulés',
+
+  'resetPassword.subject': 'Réinitialisez votre mot de passe',
+  'resetPassword.preview': 'Choisissez un nouveau mot de passe pour votre compte',
+  'resetPassword.title': 'Réinitialisez votre mot de passe',
+  'resetPassword.body': 'Nous avons reçu une demande de réinitialisation du mot de passe de votre compte. Cliquez sur le bouton ci-dessous pour choisir un nouveau mot de passe.',
+  'resetPassword.button': 'Réinitialiser le mot de passe',
+  'resetPassword.copyLink': 'ou copiez et collez ce lien dans votre navigateur :',
+  'resetPassword.footer': "Si vous n'avez pas demandé à réinitialiser votre mot de passe, vous pouvez ignorer cet e-mail et votre mot de passe restera inchangé. Le lien expire dans 15 minutes.",
+
+  'backInStock.subject': '{product} est de nouveau en stock',
+  'backInStock.preview': 'L’article que vous attendiez est de nouveau disponible',
+  'backInStock.title': 'De retour en stock',
+  'backInStock.body': 'Bonne nouvelle ! {product} est de nouveau disponible. Nos drops partent vite, alors n’attendez pas trop longtemps.',
+  'backInStock.button': 'Acheter maintenant',
+  'backInStock.footer': 'Vous recevez cet e-mail car vous avez demandé à être prévenu(e) du retour en stock de cet article.',
+  'backInStock.unsubscribe': 'Se désabonner des alertes de retour en stock.',
+  'backInStockConfirm.subject': 'Confirmez votre alerte de retour en stock pour {product}',
+  'backInStockConfirm.preview': 'Confirmez que nous pouvons vous écrire à son retour',
+  'backInStockConfirm.title': 'Confirmez votre alerte',
+  'backInStockConfirm.body': "Vous nous avez demandé de vous prévenir lorsque {product} sera de nouveau en stock. Confirmez avec le bouton ci-dessous et nous vous écrirons dès qu'il sera de nouveau disponible.",
+  'backInStockConfirm.button': 'Confirmer',
+  'backInStockConfirm.footer': "Si vous n'êtes pas à l'origine de cette demande, vous pouvez ignorer cet e-mail. Nous ne vous écrirons pas au sujet de cet article sans votre confirmation.",
+  'giftCardDelivery.subject': 'Vous avez reçu une carte cadeau de {amount}',
+  'giftCardDelivery.subjectFrom': '{sender} vous a envoyé une carte cadeau de {amount}',
+  'giftCardDelivery.preview': "Votre code de carte cadeau est à l'intérieur",
+  'giftCardDelivery.title': 'Vous avez reçu une carte cadeau',
+  'giftCardDelivery.greeting': 'Bonjour {name},',
+  'giftCardDelivery.body': "Quelqu'un vous a envoyé une carte cadeau d'une valeur de {amount}.",
+  'giftCardDelivery.bodyFrom': "{sender} vous a envoyé une carte cadeau d'une valeur de {amount}.",
+  'giftCardDelivery.codeLabel': 'Votre code de carte cadeau',
+  'giftCardDelivery.instructions': "Saisissez le code lors du paiement pour payer avec votre carte cadeau. Vous n'avez pas à tout dépenser en une fois, le solde restant reste sur la carte.",
+  'giftCardDelivery.button': 'Commencer mes achats',
+  'orderLookupLink.subject': 'Votre lien vers la commande n°{displayId}',
+  'orderLookupLink.preview': 'Consultez votre commande avec ce lien à usage unique',
+  'orderLookupLink.title': 'Consultez votre commande',
+  'orderLookupLink.body': 'Utilisez le bouton ci-dessous pour consulter la commande n°{displayId}. Le lien fonctionne une seule fois et expire dans {minutes} minutes.',
+  'orderLookupLink.button': 'Voir la commande',
+  'orderLookupLink.footer': "Si vous n'avez pas demandé à consulter cette commande, vous pouvez ignorer cet e-mail.",
+  'returnRequested.subject': 'Votre retour pour la commande n°{displayId}',
+  'returnRequested.preview': 'Comment nous renvoyer vos articles',
+  'returnRequested.title': 'Retour demandé',
+  'returnRequested.body': 'Nous avons enregistré votre retour pour la commande n°{displayId}. Voici comment nous renvoyer les articles.',
+  'returnRequested.items': 'Articles à retourner',
+  'returnRequested.label': 'Étiquette de retour',
+  'returnRequested.trackingNumber': 'Numéro de suivi : {trackingNumber}',
+  'returnRequested.labelButton': "Télécharger l'étiquette de retour",
+  'returnRequested.address': 'Envoyez le colis à',
+  'returnRequested.instructions': "Emballez soigneusement les articles, si possible dans leur emballage d'origine, et joignez une note avec votre numéro de commande n°{displayId}. Nous vous rembourserons dès réception et vérification des articles."
+}
+
+export default fr
@@ -0,0 +1,102 @@
+import { EmailMessages } from './en'
+
+const it: EmailMessages = {
+  'common.greeting': 'Gentile {name},',
+  'common.shippingAddress': 'Indirizzo di spedizione',
+
+  'orderPlaced.subject': 'Abbiamo ricevuto il tuo ordine',
+  'orderPlaced.preview': 'Grazie per il tuo ordine!',
+  'orderPlaced.title': 'Conferma dell’ordine',
+  'orderPlaced.intro': 'Grazie per il tuo ordine! Ecco i dettagli:',
+  'orderPlaced.summary': 'Riepilogo dell’ordine',
+  'orderPlaced.orderId': 'Numero d’ordine: {displayId}',
+  'orderPlaced.orderDate': 'Data dell’ordine: {date}',
+  'orderPlaced.total': 'Totale: {total}',
+  'orderPlaced.items': 'Articoli ordinati',
+  'orderPlaced.item': 'Articolo',
+  'orderPlaced.quantity': 'Quantità',
+  'orderPlaced.price': 'Prezzo',
+
+  'fulfillmentCreated.subject': 'Stiamo preparando il tuo ordine n. {displayId}',
+  'fulfillmentCreated.preview': 'Il tuo ordine è in preparazione!',
+  'fulfillmentCreated.title': 'Il tuo ordine è in preparazione',
+  'fulfillmentCreated.body':
+    'Buone notizie! Abbiamo iniziato a imballare l’ordine {displayId}. Ti avviseremo non appena sarà in viaggio.',
+  'fulfillmentCreated.items': 'Articoli in questo pacco',
+
+  'shipmentCreated.subject': 'Il tuo ordine n. {displayId} è stato spedito',
+  'shipmentCreated.preview': 'Il tuo ordine è in viaggio!',
+  'shipmentCreated.title': 'Il tuo ordine è stato spedito',
+  'shipmentCreated.body': 'L’ordine {displayId} ha lasciato il nostro magazzino.',
+  'shipmentCreated.bodyWithCarrier': 'L’ordine {displayId} ha lasciato il nostro magazzino e viene consegnato da {carrier}.',
+  'shipmentCreated.trackPackage': 'Traccia il tuo pacco',
+  'shipmentCreated.trackingNumber': 'Numero di tracciamento: {trackingNumber}',
+  'shipmentCreated.trackButton': 'Traccia pacco',
+  'shipmentCreated.items': 'Articoli in questa spedizione',
+
+  'orderDelivered.subject': 'Il tuo ordine n. {displayId} è stato consegnato',
+  'orderDelivered.preview': 'Il tuo ordine è stato consegnato!',
+  'orderDelivered.title': 'Il tuo ordine è stato consegnato',
+  'orderDelivered.body': 'L’ordine {displayId} è stato consegnato il {date}. Speriamo che ti piaccia!',
+  'orderDelivered.help':
+    'Se manca qualcosa o non è come ti aspettavi, rispondi a questa email e risolveremo il problema.',
+
+  'orderCanceled.subject': 'Il tuo ordine n. {displayId} è stato annullato',
+  'orderCanceled.preview': 'Il tuo ordine è stato annullato',
+  'orderCanceled.title': 'Ordine annullato',
+  'orderCanceled.body':
+    'L’ordine {displayId} è stato annullato. Qualsiasi pagamento addebitato per questo ordine verrà rimborsato sul metodo di pagamento originale.',
+  'orderCanceled.help':
+    'Se non hai richiesto questo annullamento, rispondi a questa email per contattarci.',
+  'orderCanceled.items': 'Articoli annullati',
+
+  'resetPassword.subject': 'Reimposta la tua password',
+  'resetPassword.preview': 'Scegli una nuova password per il tuo account',
+  'resetPassword.title': 'Reimposta la tua password',
+  'resetPassword.body': 'Abbiamo ricevuto una richiesta di reimpostare la password del tuo account. Clicca sul pulsante qui sotto per scegliere una nuova password.',
+  'resetPassword.button': 'Reimposta password',
+  'resetPassword.copyLink': 'oppure copia e incolla questo link nel tuo browser:',
+  'resetPassword.footer': 'Se non hai richiesto di reimpostare la password, puoi ignorare questa email e la tua password resterà invariata. Il link scade tra 15 minuti.',
+
+  'backInStock.subject': '{product} è di nuovo disponibile',
+  'backInStock.preview': 'L’articolo che aspettavi è di nuovo disponibile',
+  'backInStock.title': 'Di nuovo disponibile',
+  'backInStock.body': 'Buone notizie! {product} è di nuovo disponibile. I nostri drop si esauriscono in fretta, quindi non aspettare troppo.',
+  'backInStock.button': 'Acquista ora',
+  'backInStock.footer': 'Ricevi questa email perché ci hai chiesto di avvisarti quando questo articolo fosse tornato disponibile.',
+  'backInStock.unsubscribe': "Annulla l'iscrizione agli avvisi di disponibilità.",
+  'backInStockConfirm.subject': 'Conferma il tuo avviso di disponibilità per {product}',
+  'backInStockConfirm.preview': 'Conferma che possiamo scriverti quando torna disponibile',
+  'backInStockConfirm.title': 'Conferma il tuo avviso',
+  'backInStockConfirm.body': 'Ci hai chiesto di avvisarti quando {product} tornerà disponibile. Conferma con il pulsante qui sotto e ti scriveremo appena sarà di nuovo disponibile.',
+  'backInStockConfirm.button': 'Conferma',
+  'backInStockConfirm.footer': "Se non l'hai richiesto tu, puoi ignorare questa email. Non ti scriveremo per questo articolo se non confermi.",
+  'giftCardDelivery.subject': 'Hai ricevuto una carta regalo da {amount}',
+  'giftCardDelivery.subjectFrom': '{sender} ti ha inviato una carta regalo da {amount}',
+  'giftCardDelivery.preview': 'Ecco il codice della tua carta regalo',
+  'giftCardDelivery.title': 'Hai ricevuto una carta regalo',
+  'giftCardDelivery.greeting': 'Ciao {name},',
+  'giftCardDelivery.body': 'Qualcuno ti ha inviato una carta regalo del valore di {amount}.',
+  'giftCardDelivery.bodyFrom': '{sender} ti ha inviato una carta regalo del valore di {amount}.',
+  'giftCardDelivery.codeLabel': 'Il codice della tua carta regalo',
+  'giftCardDelivery.instructions': 'Inserisci il codice al momento del pagamento per pagare con la tua carta regalo. Non devi spenderla tutta in una volta, il saldo residuo rimane sulla carta.',
+  'giftCardDelivery.button': 'Inizia lo shopping',
+  'orderLookupLink.subject': "Il tuo link all'ordine n. {displayId}",
+  'orderLookupLink.preview': 'Visualizza il tuo ordine con questo link monouso',
+  'orderLookupLink.title': 'Visualizza il tuo ordine',
+  'orderLookupLink.body': "Usa il pulsante qui sotto per visualizzare l'ordine n. {displayId}. Il link funziona una sola volta e scade tra {minutes} minuti.",
+  'orderLookupLink.button': 'Visualizza ordine',
+  'orderLookupLink.footer': 'Se non hai chiesto di visualizzare questo ordine, puoi ignorare questa email.',
+  'returnRequested.subject': "Il tuo reso per l'ordine n. {displayId}",
+  'returnRequested.preview': 'Come rispedirci i tuoi articoli',
+  'returnRequested.title': 'Reso richiesto',
+  'returnRequested.body': "Abbiamo registrato il tuo reso per l'ordine n. {displayId}. Ecco come rispedirci gli articoli.",
+  'returnRequested.items': 'Articoli da rendere',
+  'returnRequested.label': 'Etichetta di reso',
+  'returnRequested.trackingNumber': 'Numero di tracciamento: {trackingNumber}',
+  'returnRequested.labelButton': "Scarica l'etichetta di reso",
+  'returnRequested.address': 'Spedisci il pacco a',
+  'returnRequested.instructions': "Imballa con cura gli articoli, possibilmente nella confezione originale, e aggiungi un biglietto con il numero d'ordine n. {displayId}. Ti rimborseremo una volta ricevuti e controllati gli articoli."
+}
+
+export default it
@@ -0,0 +1,102 @@
+import { EmailMessages } from './en'
+
+const sv: EmailMessages = {
+  'common.greeting': 'Hej {name},',
+  'common.shippingAddress': 'Leveransadress',
+
+  'orderPlaced.subject': 'Din beställning har tagits emot',
+  'orderPlaced.preview': 'Tack för din beställning!',
+  'orderPlaced.title': 'Orderbekräftelse',
+  'orderPlaced.intro': 'Tack för din beställning! Här är detaljerna:',
+  'orderPlaced.summary': 'Ordersammanfattning',
+  'orderPlaced.orderId': 'Ordernummer: {displayId}',
+  'orderPlaced.orderDate': 'Orderdatum: {date}',
+  'orderPlaced.total': 'Totalt: {total}',
+  'orderPlaced.items': 'Beställda artiklar',
+  'orderPlaced.item': 'Artikel',
+  'orderPlaced.quantity': 'Antal',
+  'orderPlaced.price': 'Pris',
+
+  'fulfillmentCreated.subject': 'Vi förbereder din beställning #{displayId}',
+  'fulfillmentCreated.preview': 'Din beställning förbereds!',
+  'fulfillmentCreated.title': 'Din beställning förbereds',
+  'fulfillmentCreated.body':
+    'Goda nyheter! Vi har börjat packa order {displayId}. Vi meddelar dig så snart den är på väg.',
+  'fulfillmentCreated.items': 'Artiklar i detta paket',
+
+  'shipmentCreated.subject': 'Din beställning #{displayId} har skickats',
+  'shipmentCreated.preview': 'Din beställning är på väg!',
+  'shipmentCreated.title': 'Din beställning har skickats',
+  'shipmentCreated.body': 'Order {displayId} har lämnat vårt lager.',
+  'shipmentCreated.bodyWithCarrier': 'Order {displayId} har lämnat vårt lager och levereras av {carrier}.',
+  'shipmentCreated.trackPackage': 'Spåra ditt paket',
+  'shipmentCreated.trackingNumber': 'Spårningsnummer: {trackingNumber}',
+  'shipmentCreated.trackButton': 'Spåra paket',
+  'shipmentCreated.items': 'Artiklar i denna försändelse',
+
+  'orderDelivered.subject': 'Din beställning #{displayId} har levererats',
+  'orderDelivered.preview': 'Din beställning har levererats!',
+  'orderDelivered.title': 'Din beställning har levererats',
+  'orderDelivered.body': 'Order {displayId} levererades {date}. Vi hoppas att du blir nöjd med ditt köp!',
+  'orderDelivered.help':
+    'Om något saknas eller inte är som förväntat, svara bara på detta mejl så löser vi det.',
+
+  'orderCanceled.subject': 'Din beställning #{displayId} har avbrutits',
+  'orderCanceled.preview': 'Din beställning har avbrutits',
+  'orderCanceled.title': 'Beställning avbruten',
+  'orderCanceled.body':
+    'Order {displayId} har avbrutits. Betalningar som har dragits för ordern återbetalas till din ursprungliga betalningsmetod.',
+  'orderCanceled.help':
+    'Om du inte har begärt denna avbokning, svara på detta mejl för att kontakta oss.',
+  'orderCanceled.items': 'Avbrutna artiklar',
+
+  'resetPassword.subject': 'Återställ ditt lösenord',
+  'resetPassword.preview': 'Välj ett nytt lösenord för ditt konto',
+  'resetPassword.title': 'Återställ ditt lösenord',
+  'resetPassword.body': 'Vi har fått en begäran om att återställa lösenordet för ditt konto. Klicka på knappen nedan för att välja ett nytt lösenord.',
+  'resetPassword.button': 'Återställ lösenord',
+  'resetPassword.copyLink': 'eller kopiera och klistra in denna länk i din webbläsare:',
+  'resetPassword.footer': 'Om du inte har bett om att återställa ditt lösenord kan du ignorera detta mejl och ditt lösenord förblir detsamma. Länken går ut om 15 minuter.',
+
+  'backInStock.subject': '{product} finns i lager igen',
+  'backInStock.preview': 'Artikeln du har väntat på finns att köpa igen',
+  'backInStock.title': 'Tillbaka i lager',
+  'backInStock.body': 'Goda nyheter! {product} finns att köpa igen. Våra drops säljer slut snabbt, så vänta inte för länge.',
+  'backInStock.button': 'Handla nu',
+  'backInStock.footer': 'Du får detta mejl eftersom du bad oss meddela dig när artikeln finns i lager igen.',
+  'backInStock.unsubscribe': 'Avsluta mejl om varor som är tillbaka i lager.',
+  'backInStockConfirm.subject': 'Bekräfta din bevakning av {product}',
+  'backInStockConfirm.preview': 'Bekräfta att vi får mejla dig när den är tillbaka',
+  'backInStockConfirm.title': 'Bekräfta din bevakning',
+  'backInStockConfirm.body': 'Du har bett oss meddela dig när {product} finns i lager igen. Bekräfta med knappen nedan så mejlar vi dig så snart den finns tillgänglig igen.',
+  'backInStockConfirm.button': 'Bekräfta',
+  'backInStockConfirm.footer': 'Om du inte har bett om detta kan du ignorera detta mejl. Vi mejlar dig inte om den här varan om du inte bekräftar.',
+  'giftCardDelivery.subject': 'Du har fått ett presentkort på {amount}',
+  'giftCardDelivery.subjectFrom': '{sender} har skickat ett presentkort på {amount} till dig',
+  'giftCardDelivery.preview': 'Din presentkortskod finns här',
+  'giftCardDelivery.title': 'Du har fått ett presentkort',
+  'giftCardDelivery.greeting': 'Hej {name},',
+  'giftCardDelivery.body': 'Någon har skickat ett presentkort värt {amount} till dig.',
+  'giftCardDelivery.bodyFrom': '{sender} har skickat ett presentkort värt {amount} till dig.',
+  'giftCardDelivery.codeLabel': 'Din presentkortskod',
+  'giftCardDelivery.instructions': 'Ange koden i kassan för att betala med ditt presentkort. Du behöver inte använda allt på en gång, det återstående saldot finns kvar på kortet.',
+  'giftCardDelivery.button': 'Börja handla',
+  'orderLookupLink.subject': 'Din länk till beställning #{displayId}',
+  'orderLookupLink.preview': 'Se din beställning med denna engångslänk',
+  'orderLookupLink.title': 'Se din beställning',
+  'orderLookupLink.body': 'Använd knappen nedan för att se beställning #{displayId}. Länken fungerar en gång och går ut om {minutes} minuter.',
+  'orderLookupLink.button': 'Se beställning',
+  'orderLookupLink.footer': 'Om du inte har bett om att se den här beställningen kan du ignorera detta mejl.',
+  'returnRequested.subject': 'Din retur av beställning #{displayId}',
+  'returnRequested.preview': 'Så skickar du tillbaka dina varor',
+  'returnRequested.title': 'Retur begärd',
+  'returnRequested.body': 'Vi har registrerat din retur av beställning #{displayId}. Så här skickar du tillbaka varorna till oss.',
+  'returnRequested.items': 'Varor att returnera',
+  'returnRequested.label': 'Returetikett',
+  'returnRequested.trackingNumber': 'Spårningsnummer: {trackingNumber}',
+  'returnRequested.labelButton': 'Ladda ner returetikett',
+  'returnRequested.address': 'Skicka paketet till',
+  'returnRequested.instructions': 'Packa varorna ordentligt, helst i originalförpackningen, och lägg med en lapp med ditt beställningsnummer #{displayId}. Vi återbetalar dig när vi har tagit emot och kontrollerat varorna.'
+}
+
+export default sv
@@ -0,0 +1,11 @@
+import { ModuleProviderExports } from '@medusajs/framework/types'
+import { MailerNotificationService } from './services/mailer'
+
+// Separate entry point, the notification module registers one service per provider
+const services = [MailerNotificationService]
+
+const providerExport: ModuleProviderExports = {
+  services,
+}
+
+export default providerExport
@@ -0,0 +1,160 @@
+import { Logger, NotificationTypes } from '@medusajs/framework/types'
+import { AbstractNotificationProviderService, MedusaError } from '@medusajs/framework/utils'
+import { render } from '@react-email/components'
+import nodemailer, { SendMailOptions, Transporter } from 'nodemailer'
+import { mkdir, writeFile } from 'fs/promises'
+import path from 'path'
+import { ReactNode, ReactElement } from 'react'
+import { generateEmailTemplate } from '../templates'
+
+type InjectedDependencies = {
+  logger: Logger
+}
+
+export interface MailerNotificationServiceOptions {
+  /**
+   * `smtp` delivers to an SMTP server (e.g. MailHog), `file` writes .eml and .html files to `output_dir`
+   */
+  transport: 'smtp' | 'file'
+  from: string
+  host?: string
+  port?: number
+  secure?: boolean
+  user?: string
+  password?: string
+  output_dir?: string
+}
+
+type NotificationEmailOptions = Pick<
+  SendMailOptions,
+  'subject' | 'headers' | 'replyTo' | 'cc' | 'bcc' | 'text'
+>
+
+/**
+ * Service to handle email notifications without Resend, either over SMTP or by writing
+ * the rendered emails to disk. Meant for local and staging environments.
+ */
+export class MailerNotificationService extends AbstractNotificationProviderService {
+  static identifier = "MAILER_NOTIFICATION_SERVICE"
+  protected options_: MailerNotificationServiceOptions
+  protected logger_: Logger // Logger for error and event logging
+  protected transporter_: Transporter // Nodemailer transport for SMTP or building .eml files
+
+  static validateOptions(options: Record<string, unknown>) {
+    if (!options.from) {
+      throw new MedusaError(MedusaError.Types.INVALID_DATA, `Mailer notification provider requires a "from" address`)
+    }
+    if (options.transport === 'smtp' && !options.host) {
+      throw new MedusaError(MedusaError.Types.INVALID_DATA, `Mailer notification provider requires a "host" for the smtp transport`)
+    }
+    if (options.transport === 'file' && !options.output_dir) {
+      throw new MedusaError(MedusaError.Types.INVALID_DATA, `Mailer notification provider requires an "output_dir" for the file transport`)
+    }
+  }
+
+  constructor({ logger }: InjectedDependencies, options: MailerNotificationServiceOptions) {
+    super()
+    this.options_ = options
+    this.logger_ = logger
+    this.transporter_ =
+      options.transport === 'file'
+        ? nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+        : nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure ?? false,
+            auth: options.user ? { user: options.user, pass: options.password } : undefined
+          })
+  }
+
+  async send(
+    notification: NotificationTypes.ProviderSendNotificationDTO
+  ): Promise<NotificationTypes.ProviderSendNotificationResultsDTO> {
+    if (!notification) {
+      throw new MedusaError(MedusaError.Types.INVALID_DATA, `No notification information provided`)
+    }
+    if (notification.channel === 'sms') {
+      throw new MedusaError(MedusaError.Types.INVALID_DATA, `SMS notification not supported`)
+    }
+
+    // Generate the email content using the template
+    let emailContent: ReactNode
+
+    try {
+      emailContent = generateEmailTemplate(notification.template, notification.data)
+    } catch (error) {
+      if (error instanceof MedusaError) {
+        throw error // Re-throw MedusaError for invalid template data
+      }
+      throw new MedusaError(
+        MedusaError.Types.UNEXPECTED_STATE,
+        `Failed to generate email content for template: ${notification.template}`
+      )
+    }
+
+    const emailOptions = (notification.data?.emailOptions ?? {}) as NotificationEmailOptions
+    const html = await render(emailContent as ReactElement)
+
+    const message: SendMailOptions = {
+      to: notification.to,
+      from: notification.from?.trim() || this.options_.from,
+      subject: emailOptions.subject ?? 'You have a new notification',
+      html,
+      text: emailOptions.text ?? (await render(emailContent as ReactElement, { plainText: true })),
+      headers: emailOptions.headers,
+      replyTo: emailOptions.replyTo,
+      cc: emailOptions.cc,
+      bcc: emailOptions.bcc,
+      attachments: Array.isArray(notification.attachments)
+        ? notification.attachments.map((attachment) => ({
+            content: attachment.content,
+            encoding: 'base64',
+            filename: attachment.filename,
+            contentType: attachment.content_type,
+            contentDisposition: attachment.disposition === 'inline' ? 'inline' : 'attachment',
+            cid: attachment.id ?? undefined
+          }))
+        : undefined
+    }
+
+    try {
+      const info = await this.transporter_.sendMail(message)
+
+      if (this.options_.transport === 'file') {
+        const file = await this.writeToDisk_(notification, html, info.message as Buffer)
+        this.logger_.info(`Wrote "${notification.template}" email to ${notification.to} to ${file}`)
+      } else {
+        this.logger_.log(
+          `Successfully sent "${notification.template}" email to ${notification.to} via SMTP`
+        )
+      }
+
+      return { id: info.messageId }
+    } catch (error) {
+      throw new MedusaError(
+        MedusaError.Types.UNEXPECTED_STATE,
+        `Failed to send "${notification.template}" email to ${notification.to} via ${this.options_.transport}: ${error.message}`
+      )
+    }
+  }
+
+  /**
+   * Writes the raw message as .eml and the rendered body as .html, returns the path without extension.
+   */
+  protected async writeToDisk_(
+    notification: NotificationTypes.ProviderSendNotificationDTO,
+    html: string,
+    eml: Buffer
+  ): Promise<string> {
+    const outputDir = path.resolve(this.options_.output_dir!)
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+    const recipient = notification.to.replace(/[^a-zA-Z0-9@._-]/g, '_')
+    const file = path.join(outputDir, `${timestamp}-${notification.template}-${recipient}`)
+
+    await mkdir(outputDir, { recursive: true })
+    await writeFile(`${file}.eml`, eml)
+    await writeFile(`${file}.html`, html)
+
+    return file
+  }
+}
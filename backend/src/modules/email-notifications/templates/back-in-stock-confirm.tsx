@@ -0,0 +1,78 @@
+import { Text, Section, Button, Img } from '@react-email/components'
+import * as React from 'react'
+import { Base } from './base'
+import { getEmailI18n } from '../i18n'
+
+export const BACK_IN_STOCK_CONFIRM = 'back-in-stock-confirm'
+
+interface BackInStockConfirmPreviewProps {
+  product: { title: string; thumbnail?: string | null }
+  variant: { id: string; title: string }
+  confirmLink: string
+}
+
+export interface BackInStockConfirmTemplateProps {
+  product: { title: string; thumbnail?: string | null }
+  variant: { id: string; title: string }
+  confirmLink: string
+  locale?: string
+  preview?: string
+}
+
+export const isBackInStockConfirmTemplateData = (data: any): data is BackInStockConfirmTemplateProps =>
+  typeof data.product === 'object' && typeof data.variant === 'object' && typeof data.confirmLink === 'string'
+
+export const BackInStockConfirmTemplate: React.FC<BackInStockConfirmTemplateProps> & {
+  PreviewProps: BackInStockConfirmPreviewProps
+} = ({ product, variant, confirmLink, locale, preview }) => {
+  const { t } = getEmailI18n(locale)
+  const productName = `${product.title} (${variant.title})`
+
+  return (
+    <Base preview={preview ?? t('backInStockConfirm.preview')}>
+      <Section>
+        <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
+          {t('backInStockConfirm.title')}
+        </Text>
+
+        {product.thumbnail && (
+          <Section style={{ textAlign: 'center', margin: '0 0 20px' }}>
+            <Img src={product.thumbnail} alt={product.title} width="200" style={{ margin: '0 auto' }} />
+          </Section>
+        )}
+
+        <Text style={{ margin: '0 0 30px' }}>
+          {t('backInStockConfirm.body', { product: productName })}
+        </Text>
+
+        <Section style={{ textAlign: 'center', margin: '0 0 20px' }}>
+          <Button
+            href={confirmLink}
+            style={{
+              backgroundColor: '#000000',
+              borderRadius: '4px',
+              color: '#ffffff',
+              fontSize: '12px',
+              fontWeight: 'bold',
+              padding: '12px 20px'
+            }}
+          >
+            {t('backInStockConfirm.button')}
+          </Button>
+        </Section>
+
+        <Text style={{ color: '#666666', fontSize: '12px' }}>
+          {t('backInStockConfirm.footer')}
+        </Text>
+      </Section>
+    </Base>
+  )
+}
+
+BackInStockConfirmTemplate.PreviewProps = {
+  product: { title: 'Medusa Hoodie' },
+  variant: { id: 'variant_123', title: 'L / Black' },
+  confirmLink: 'https://mywebsite.com/dk/back-in-stock/confirm?id=bisub_123&token=abc'
+} as BackInStockConfirmPreviewProps
+
+export default BackInStockConfirmTemplate
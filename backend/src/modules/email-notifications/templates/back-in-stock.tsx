@@ -0,0 +1,89 @@
+import { Text, Section, Button, Img, Link } from '@react-email/components'
+import * as React from 'react'
+import { Base } from './base'
+import { getEmailI18n } from '../i18n'
+
+export const BACK_IN_STOCK = 'back-in-stock'
+
+interface BackInStockPreviewProps {
+  product: { title: string; thumbnail?: string | null }
+  variant: { id: string; title: string }
+  productLink: string
+  unsubscribeLink: string
+}
+
+export interface BackInStockTemplateProps {
+  product: { title: string; thumbnail?: string | null }
+  variant: { id: string; title: string }
+  productLink: string
+  unsubscribeLink?: string
+  locale?: string
+  preview?: string
+}
+
+export const isBackInStockTemplateData = (data: any): data is BackInStockTemplateProps =>
+  typeof data.product === 'object' && typeof data.variant === 'object' && typeof data.productLink === 'string'
+
+export const BackInStockTemplate: React.FC<BackInStockTemplateProps> & {
+  PreviewProps: BackInStockPreviewProps
+} = ({ product, variant, productLink, unsubscribeLink, locale, preview }) => {
+  const { t } = getEmailI18n(locale)
+  const productName = `${product.title} (${variant.title})`
+
+  return (
+    <Base preview={preview ?? t('backInStock.preview')}>
+      <Section>
+        <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
+          {t('backInStock.title')}
+        </Text>
+
+        {product.thumbnail && (
+          <Section style={{ textAlign: 'center', margin: '0 0 20px' }}>
+            <Img src={product.thumbnail} alt={product.title} width="200" style={{ margin: '0 auto' }} />
+          </Section>
+        )}
+
+        <Text style={{ margin: '0 0 30px' }}>
+          {t('backInStock.body', { product: productName })}
+        </Text>
+
+        <Section style={{ textAlign: 'center', margin: '0 0 20px' }}>
+          <Button
+            href={productLink}
+            style={{
+              backgroundColor: '#000000',
+              borderRadius: '4px',
+              color: '#ffffff',
+              fontSize: '12px',
+              fontWeight: 'bold',
+              padding: '12px 20px'
+            }}
+          >
+            {t('backInStock.button')}
+          </Button>
+        </Section>
+
+        <Text style={{ color: '#666666', fontSize: '12px' }}>
+          {t('backInStock.footer')}
+          {unsubscribeLink && (
+            <>
+              {' '}
+              <Link href={unsubscribeLink} style={{ color: '#666666', textDecoration: 'underline' }}>
+                {t('backInStock.unsubscribe')}
+              </Link>
+            </>
+          )}
+        </Text>
+      </Section>
+    </Base>
+  )
+}
+
+BackInStockTemplate.PreviewProps = {
+  product: { title: 'Medusa Hoodie' },
+  variant: { id: 'variant_123', title: 'L / Black' },
+  productLink: 'https://mywebsite.com/dk/products/hoodie',
+  unsubscribeLink: 'https://mywebsite.com/dk/back-in-stock/unsubscribe?email=jane%40example.com&token=abc'
+} as BackInStockPreviewProps
+
+export default BackInStockTemplate
@@ -0,0 +1,113 @@
+import { Text, Section, Hr, Button, Img } from '@react-email/components'
+import * as React from 'react'
+import { Base } from './base'
+
+export const CART_ABANDONED = 'cart-abandoned'
+
+interface CartAbandonedPreviewProps {
+  cart: {
+    id: string
+    email: string
+    currency_code: string
+    items: {
+      id: string
+      title: string
+      product_title?: string
+      thumbnail?: string | null
+      quantity: number
+      unit_price: number
+    }[]
+  }
+  recoveryLink: string
+}
+
+export interface CartAbandonedTemplateProps {
+  cart: {
+    id: string
+    email: string
+    currency_code: string
+    items: {
+      id: string
+      title: string
+      product_title?: string
+      thumbnail?: string | null
+      quantity: number
+      unit_price: number
+    }[]
+  }
+  recoveryLink: string
+  preview?: string
+}
+
+export const isCartAbandonedTemplateData = (data: any): data is CartAbandonedTemplateProps =>
+  typeof data.cart === 'object' && Array.isArray(data.cart.items) && typeof data.recoveryLink === 'string'
+
+export const CartAbandonedTemplate: React.FC<CartAbandonedTemplateProps> & {
+  PreviewProps: CartAbandonedPreviewProps
+} = ({ cart, recoveryLink, preview = 'You left something in your cart' }) => {
+  return (
+    <Base preview={preview}>
+      <Section>
+        <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
+          Still Thinking It Over?
+        </Text>
+
+        <Text style={{ margin: '0 0 30px' }}>
+          You left some items in your cart. We saved them for you, but our drops sell out
+          fast, so we can&apos;t hold them forever.
+        </Text>
+
+        {cart.items.map((item) => (
+          <Section key={item.id} style={{ margin: '0 0 15px' }}>
+            {item.thumbnail && (
+              <Img src={item.thumbnail} alt={item.product_title ?? item.title} width="80" style={{ margin: '0 0 5px' }} />
+            )}
+            <Text style={{ margin: '0' }}>
+              {item.product_title ? `${item.product_title} - ${item.title}` : item.title}
+            </Text>
+            <Text style={{ margin: '0', color: '#666666' }}>
+              {item.quantity} × {item.unit_price} {cart.currency_code}
+            </Text>
+          </Section>
+        ))}
+
+        <Hr style={{ margin: '20px 0' }} />
+
+        <Section style={{ textAlign: 'center', margin: '0 0 20px' }}>
+          <Button
+            href={recoveryLink}
+            style={{
+              backgroundColor: '#000000',
+              borderRadius: '4px',
+              color: '#ffffff',
+              fontSize: '12px',
+              fontWeight: 'bold',
+              padding: '12px 20px'
+            }}
+          >
+            Return To Your Cart
+          </Button>
+        </Section>
+
+        <Text style={{ color: '#666666', fontSize: '12px' }}>
+          You are receiving this email because you started a checkout with {cart.email}.
+        </Text>
+      </Section>
+    </Base>
+  )
+}
+
+CartAbandonedTemplate.PreviewProps = {
+  cart: {
+    id: 'cart_123',
+    email: 'test@example.com',
+    currency_code: 'EUR',
+    items: [
+      { id: 'item-1', title: 'L / Black', product_title: 'Medusa Hoodie', quantity: 1, unit_price: 45 },
+      { id: 'item-2', title: 'M', product_title: 'Medusa T-Shirt', quantity: 2, unit_price: 15 }
+    ]
+  },
+  recoveryLink: 'https://mywebsite.com/dk/cart/recover/cart_123'
+} as CartAbandonedPreviewProps
+
+export default CartAbandonedTemplate
@@ -0,0 +1,95 @@
+import { Text, Section, Hr } from '@react-email/components'
+import * as React from 'react'
+import { Base } from './base'
+import { getEmailI18n } from '../i18n'
+import { OrderAddressDTO } from '@medusajs/framework/types'
+
+export const FULFILLMENT_CREATED = 'fulfillment-created'
+
+interface FulfillmentCreatedPreviewProps {
+  order: { id: string; display_id: string | number; email: string }
+  shippingAddress: Partial<OrderAddressDTO>
+  items: { id: string; title: string; quantity: number }[]
+}
+
+export interface FulfillmentCreatedTemplateProps {
+  order: { id: string; display_id: string | number; email: string }
+  shippingAddress: Partial<OrderAddressDTO>
+  items: { id: string; title: string; quantity: number }[]
+  locale?: string
+  preview?: string
+}
+
+export const isFulfillmentCreatedTemplateData = (data: any): data is FulfillmentCreatedTemplateProps =>
+  typeof data.order === 'object' && typeof data.shippingAddress === 'object' && Array.isArray(data.items)
+
+export const FulfillmentCreatedTemplate: React.FC<FulfillmentCreatedTemplateProps> & {
+  PreviewProps: FulfillmentCreatedPreviewProps
+} = ({ order, shippingAddress, items, locale, preview }) => {
+  const { t } = getEmailI18n(locale)
+
+  return (
+    <Base preview={preview ?? t('fulfillmentCreated.preview')}>
+      <Section>
+        <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
+          {t('fulfillmentCreated.title')}
+        </Text>
+
+        <Text style={{ margin: '0 0 15px' }}>
+          {t('common.greeting', { name: `${shippingAddress.first_name} ${shippingAddress.last_name}` })}
+        </Text>
+
+        <Text style={{ margin: '0 0 30px' }}>
+          {t('fulfillmentCreated.body', { displayId: order.display_id })}
+        </Text>
+
+        <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
+          {t('fulfillmentCreated.items')}
+        </Text>
+        {items.map((item) => (
+          <Text key={item.id} style={{ margin: '0 0 5px' }}>
+            {item.quantity} × {item.title}
+          </Text>
+        ))}
+
+        <Hr style={{ margin: '20px 0' }} />
+
+        <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
+          {t('common.shippingAddress')}
+        </Text>
+        <Text style={{ margin: '0 0 5px' }}>
+          {shippingAddress.address_1}
+        </Text>
+        <Text style={{ margin: '0 0 5px' }}>
+          {shippingAddress.city}, {shippingAddress.province} {shippingAddress.postal_code}
+        </Text>
+        <Text style={{ margin: '0 0 20px' }}>
+          {shippingAddress.country_code}
+        </Text>
+      </Section>
+    </Base>
+  )
+}
+
+FulfillmentCreatedTemplate.PreviewProps = {
+  order: {
+    id: 'test-order-id',
+    display_id: 'ORD-123',
+    email: 'test@example.com'
+  },
+  shippingAddress: {
+    first_name: 'Test',
+    last_name: 'User',
+    address_1: '123 Main St',
+    city: 'Anytown',
+    province: 'CA',
+    postal_code: '12345',
+    country_code: 'US'
+  },
+  items: [
+    { id: 'item-1', title: 'Product 1 - Item 1', quantity: 2 },
+    { id: 'item-2', title: 'Product 2 - Item 2', quantity: 1 }
+  ]
+} as FulfillmentCreatedPreviewProps
+
+export default FulfillmentCreatedTemplate
@@ -0,0 +1,109 @@
+import { Text, Section, Button } from '@react-email/components'
+import * as React from 'react'
+import { Base } from './base'
+import { getEmailI18n } from '../i18n'
+
+export const GIFT_CARD_DELIVERY = 'gift-card-delivery'
+
+interface GiftCardDeliveryPreviewProps {
+  giftCard: { code: string; value: number; currency_code: string }
+  recipientName?: string | null
+  senderName?: string | null
+  message?: string | null
+  storeLink: string
+}
+
+export interface GiftCardDeliveryTemplateProps {
+  giftCard: { code: string; value: number; currency_code: string }
+  recipientName?: string | null
+  senderName?: string | null
+  message?: string | null
+  storeLink: string
+  locale?: string
+  preview?: string
+}
+
+export const isGiftCardDeliveryTemplateData = (data: any): data is GiftCardDeliveryTemplateProps =>
+  typeof data.giftCard === 'object' && typeof data.giftCard?.code === 'string' && typeof data.storeLink === 'string'
+
+export const GiftCardDeliveryTemplate: React.FC<GiftCardDeliveryTemplateProps> & {
+  PreviewProps: GiftCardDeliveryPreviewProps
+} = ({ giftCard, recipientName, senderName, message, storeLink, locale, preview }) => {
+  const { t, formatAmount } = getEmailI18n(locale)
+  const amount = formatAmount(giftCard.value, giftCard.currency_code)
+
+  return (
+    <Base preview={preview ?? t('giftCardDelivery.preview')}>
+      <Section>
+        <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
+          {t('giftCardDelivery.title')}
+        </Text>
+
+        {recipientName && (
+          <Text style={{ margin: '0 0 10px' }}>
+            {t('giftCardDelivery.greeting', { name: recipientName })}
+          </Text>
+        )}
+
+        <Text style={{ margin: '0 0 20px' }}>
+          {senderName
+            ? t('giftCardDelivery.bodyFrom', { sender: senderName, amount })
+            : t('giftCardDelivery.body', { amount })}
+        </Text>
+
+        {message && (
+          <Text style={{ margin: '0 0 20px', fontStyle: 'italic', whiteSpace: 'pre-line' }}>
+            "{message}"
+          </Text>
+        )}
+
+        <Section
+          style={{
+            textAlign: 'center',
+            margin: '0 0 20px',
+            padding: '20px',
+            border: '1px dashed #000000',
+            borderRadius: '4px'
+          }}
+        >
+          <Text style={{ margin: '0 0 5px', color: '#666666', fontSize: '12px' }}>
+            {t('giftCardDelivery.codeLabel')}
+          </Text>
+          <Text style={{ margin: '0', fontSize: '20px', fontWeight: 'bold', letterSpacing: '2px' }}>
+            {giftCard.code}
+          </Text>
+        </Section>
+
+        <Text style={{ margin: '0 0 30px' }}>
+          {t('giftCardDelivery.instructions')}
+        </Text>
+
+        <Section style={{ textAlign: 'center', margin: '0 0 20px' }}>
+          <Button
+            href={storeLink}
+            style={{
+              backgroundColor: '#000000',
+              borderRadius: '4px',
+              color: '#ffffff',
+              fontSize: '12px',
+              fontWeight: 'bold',
+              padding: '12px 20px'
+            }}
+          >
+            {t('giftCardDelivery.button')}
+          </Button>
+        </Section>
+      </Section>
+    </Base>
+  )
+}
+
+GiftCardDeliveryTemplate.PreviewProps = {
+  giftCard: { code: 'ABCD-EFGH-JKLM-NPQR', value: 50, currency_code: 'eur' },
+  recipientName: 'Alex',
+  senderName: 'Sam',
+  message: 'Happy birthday!',
+  storeLink: 'https://mywebsite.com/dk'
+} as GiftCardDeliveryPreviewProps
+
+export default GiftCardDeliveryTemplate
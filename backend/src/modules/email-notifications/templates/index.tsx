@@ -2,14 +2,85 @@ import { ReactNode } from 'react'
 import { MedusaError } from '@medusajs/framework/utils'
 import { InviteUserEmail, INVITE_USER, isInviteUserData } from './invite-user'
 import { OrderPlacedTemplate, ORDER_PLACED, isOrderPlacedTemplateData } from './order-placed'
+import {
+  FulfillmentCreatedTemplate,
+  FULFILLMENT_CREATED,
+  isFulfillmentCreatedTemplateData
+} from './fulfillment-created'
+import { ShipmentCreatedTemplate, SHIPMENT_CREATED, isShipmentCreatedTemplateData } from './shipment-created'
+import { OrderDeliveredTemplate, ORDER_DELIVERED, isOrderDeliveredTemplateData } from './order-delivered'
+import { OrderCanceledTemplate, ORDER_CANCELED, isOrderCanceledTemplateData } from './order-canceled'
+import { ResetPasswordEmail, RESET_PASSWORD, isResetPasswordData } from './reset-password'
+import { CartAbandonedTemplate, CART_ABANDONED, isCartAbandonedTemplateData } from './cart-abandoned'
+import { BackInStockTemplate, BACK_IN_STOCK, isBackInStockTemplateData } from './back-in-stock'
+import {
+  BackInStockConfirmTemplate,
+  BACK_IN_STOCK_CONFIRM,
+  isBackInStockConfirmTemplateData
+} from './back-in-stock-confirm'
+import {
+  GiftCardDeliveryTemplate,
+  GIFT_CARD_DELIVERY,
+  isGiftCardDeliveryTemplateData
+} from './gift-card-delivery'
+import {
+  OrderLookupLinkTemplate,
+  ORDER_LOOKUP_LINK,
+  isOrderLookupLinkTemplateData
+} from './order-lookup-link'
+import { ReturnRequestedTemplate, RETURN_REQUESTED, isReturnRequestedTemplateData } from './return-requested'
 
 export const EmailTemplates = {
   INVITE_USER,
-  ORDER_PLACED
+  ORDER_PLACED,
+  FULFILLMENT_CREATED,
+  SHIPMENT_CREATED,
+  ORDER_DELIVERED,
+  ORDER_CANCELED,
+  RESET_PASSWORD,
+  CART_ABANDONED,
+  BACK_IN_STOCK,
+  BACK_IN_STOCK_CONFIRM,
+  GIFT_CARD_DELIVERY,
+  ORDER_LOOKUP_LINK,
+  RETURN_REQUESTED
 } as const
 
 export type EmailTemplateType = keyof typeof EmailTemplates
 
+const previewProps: Record<string, unknown> = {
+  [INVITE_USER]: InviteUserEmail.PreviewProps,
+  [ORDER_PLACED]: OrderPlacedTemplate.PreviewProps,
+  [FULFILLMENT_CREATED]: FulfillmentCreatedTemplate.PreviewProps,
+  [SHIPMENT_CREATED]: ShipmentCreatedTemplate.PreviewProps,
+  [ORDER_DELIVERED]: OrderDeliveredTemplate.PreviewProps,
+  [ORDER_CANCELED]: OrderCanceledTemplate.PreviewProps,
+  [RESET_PASSWORD]: ResetPasswordEmail.PreviewProps,
+  [CART_ABANDONED]: CartAbandonedTemplate.PreviewProps,
+  [BACK_IN_STOCK]: BackInStockTemplate.PreviewProps,
+  [BACK_IN_STOCK_CONFIRM]: BackInStockConfirmTemplate.PreviewProps,
+  [GIFT_CARD_DELIVERY]: GiftCardDeliveryTemplate.PreviewProps,
+  [ORDER_LOOKUP_LINK]: OrderLookupLinkTemplate.PreviewProps,
+  [RETURN_REQUESTED]: ReturnRequestedTemplate.PreviewProps
+}
+
+export function isEmailTemplateKey(templateKey: string): boolean {
+  return Object.values<string>(EmailTemplates).includes(templateKey)
+}
+
+/**
+ * Returns the sample data a template defines for previews.
+ */
+export function getEmailTemplatePreviewProps(templateKey: string): Record<string, unknown> {
+  if (!isEmailTemplateKey(templateKey)) {
+    throw new MedusaError(
+      MedusaError.Types.NOT_FOUND,
+      `Unknown template key: "${templateKey}"`
+    )
+  }
+  return previewProps[templateKey] as Record<string, unknown>
+}
+
 export function generateEmailTemplate(templateKey: string, data: unknown): ReactNode {
   switch (templateKey) {
     case EmailTemplates.INVITE_USER:
@@ -30,6 +101,105 @@ export function generateEmailTemplate(templateKey: string, data: unknown): React
       }
       return <OrderPlacedTemplate {...data} />
 
+    case EmailTemplates.FULFILLMENT_CREATED:
+      if (!isFulfillmentCreatedTemplateData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.FULFILLMENT_CREATED}"`
+        )
+      }
+      return <FulfillmentCreatedTemplate {...data} />
+
+    case EmailTemplates.SHIPMENT_CREATED:
+      if (!isShipmentCreatedTemplateData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.SHIPMENT_CREATED}"`
+        )
+      }
+      return <ShipmentCreatedTemplate {...data} />
+
+    case EmailTemplates.ORDER_DELIVERED:
+      if (!isOrderDeliveredTemplateData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.ORDER_DELIVERED}"`
+        )
+      }
+      return <OrderDeliveredTemplate {...data} />
+
+    case EmailTemplates.ORDER_CANCELED:
+      if (!isOrderCanceledTemplateData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.ORDER_CANCELED}"`
+        )
+      }
+      return <OrderCanceledTemplate {...data} />
+
+    case EmailTemplates.RESET_PASSWORD:
+      if (!isResetPasswordData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.RESET_PASSWORD}"`
+        )
+      }
+      return <ResetPasswordEmail {...data} />
+
+    case EmailTemplates.CART_ABANDONED:
+      if (!isCartAbandonedTemplateData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.CART_ABANDONED}"`
+        )
+      }
+      return <CartAbandonedTemplate {...data} />
+
+    case EmailTemplates.BACK_IN_STOCK:
+      if (!isBackInStockTemplateData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.BACK_IN_STOCK}"`
+        )
+      }
+      return <BackInStockTemplate {...data} />
+
+    case EmailTemplates.BACK_IN_STOCK_CONFIRM:
+      if (!isBackInStockConfirmTemplateData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.BACK_IN_STOCK_CONFIRM}"`
+        )
+      }
+      return <BackInStockConfirmTemplate {...data} />
+
+    case EmailTemplates.GIFT_CARD_DELIVERY:
+      if (!isGiftCardDeliveryTemplateData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.GIFT_CARD_DELIVERY}"`
+        )
+      }
+      return <GiftCardDeliveryTemplate {...data} />
+
+    case EmailTemplates.ORDER_LOOKUP_LINK:
+      if (!isOrderLookupLinkTemplateData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.ORDER_LOOKUP_LINK}"`
+        )
+      }
+      return <OrderLookupLinkTemplate {...data} />
+
+    case EmailTemplates.RETURN_REQUESTED:
+      if (!isReturnRequestedTemplateData(data)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Invalid data for template "${EmailTemplates.RETURN_REQUESTED}"`
+        )
+      }
+      return <ReturnRequestedTemplate {...data} />
+
     default:
       throw new MedusaError(
         MedusaError.Types.INVALID_DATA,
@@ -38,4 +208,18 @@ export function generateEmailTemplate(templateKey: string, data: unknown): React
   }
 }
 
-export { InviteUserEmail, OrderPlacedTemplate }
+export {
+  InviteUserEmail,
+  OrderPlacedTemplate,
+  FulfillmentCreatedTemplate,
+  ShipmentCreatedTemplate,
+  OrderDeliveredTemplate,
+  OrderCanceledTemplate,
+  ResetPasswordEmail,
+  CartAbandonedTemplate,
+  BackInStockTemplate,
+  BackInStockConfirmTemplate,
+  GiftCardDeliveryTemplate,
+  OrderLookupLinkTemplate,
+  ReturnRequestedTemplate
+}
@@ -0,0 +1,92 @@
+import { Text, Section, Hr } from '@react-email/components'
+import * as React from 'react'
+import { Base } from './base'
+import { getEmailI18n } from '../i18n'
+import { OrderAddressDTO } from '@medusajs/framework/types'
+
+export const ORDER_CANCELED = 'order-canceled'
+
+interface OrderCanceledPreviewProps {
+  order: {
+    id: string
+    display_id: string | number
+    email: string
+    currency_code: string
+    items: { id: string; title: string; product_title?: string; quantity: number }[]
+  }
+  shippingAddress: Partial<OrderAddressDTO>
+}
+
+export interface OrderCanceledTemplateProps {
+  order: {
+    id: string
+    display_id: string | number
+    email: string
+    currency_code: string
+    items: { id: string; title: string; product_title?: string; quantity: number }[]
+  }
+  shippingAddress: Partial<OrderAddressDTO>
+  locale?: string
+  preview?: string
+}
+
+export const isOrderCanceledTemplateData = (data: any): data is OrderCanceledTemplateProps =>
+  typeof data.order === 'object' && Array.isArray(data.order.items) && typeof data.shippingAddress === 'object'
+
+export const OrderCanceledTemplate: React.FC<OrderCanceledTemplateProps> & {
+  PreviewProps: OrderCanceledPreviewProps
+} = ({ order, shippingAddress, locale, preview }) => {
+  const { t } = getEmailI18n(locale)
+
+  return (
+    <Base preview={preview ?? t('orderCanceled.preview')}>
+      <Section>
+        <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
+          {t('orderCanceled.title')}
+        </Text>
+
+        <Text style={{ margin: '0 0 15px' }}>
+          {t('common.greeting', { name: `${shippingAddress.first_name} ${shippingAddress.last_name}` })}
+        </Text>
+
+        <Text style={{ margin: '0 0 15px' }}>
+          {t('orderCanceled.body', { displayId: order.display_id })}
+        </Text>
+
+        <Text style={{ margin: '0 0 30px' }}>
+          {t('orderCanceled.help')}
+        </Text>
+
+        <Hr style={{ margin: '20px 0' }} />
+
+        <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
+          {t('orderCanceled.items')}
+        </Text>
+        {order.items.map((item) => (
+          <Text key={item.id} style={{ margin: '0 0 5px' }}>
+            {item.quantity} × {item.product_title ? `${item.product_title} - ${item.title}` : item.title}
+          </Text>
+        ))}
+      </Section>
+    </Base>
+  )
+}
+
+OrderCanceledTemplate.PreviewProps = {
+  order: {
+    id: 'test-order-id',
+    display_id: 'ORD-123',
+    email: 'test@example.com',
+    currency_code: 'USD',
+    items: [
+      { id: 'item-1', title: 'Item 1', product_title: 'Product 1', quantity: 2 },
+      { id: 'item-2', title: 'Item 2', product_title: 'Product 2', quantity: 1 }
+    ]
+  },
+  shippingAddress: {
+    first_name: 'Test',
+    last_name: 'User'
+  }
+} as OrderCanceledPreviewProps
+
+export default OrderCanceledTemplate
@@ -0,0 +1,69 @@
+import { Text, Section } from '@react-email/components'
+import * as React from 'react'
+import { Base } from './base'
+import { getEmailI18n } from '../i18n'
+import { OrderAddressDTO } from '@medusajs/framework/types'
+
+export const ORDER_DELIVERED = 'order-delivered'
+
+interface OrderDeliveredPreviewProps {
+  order: { id: string; display_id: string | number; email: string }
+  shippingAddress: Partial<OrderAddressDTO>
+  deliveredAt: string
+}
+
+export interface OrderDeliveredTemplateProps {
+  order: { id: string; display_id: string | number; email: string }
+  shippingAddress: Partial<OrderAddressDTO>
+  deliveredAt: string
+  locale?: string
+  preview?: string
+}
+
+export const isOrderDeliveredTemplateData = (data: any): data is OrderDeliveredTemplateProps =>
+  typeof data.order === 'object' &&
+  typeof data.shippingAddress === 'object' &&
+  typeof data.deliveredAt === 'string'
+
+export const OrderDeliveredTemplate: React.FC<OrderDeliveredTemplateProps> & {
+  PreviewProps: OrderDeliveredPreviewProps
+} = ({ order, shippingAddress, deliveredAt, locale, preview }) => {
+  const { t, formatDate } = getEmailI18n(locale)
+
+  return (
+    <Base preview={preview ?? t('orderDelivered.preview')}>
+      <Section>
+        <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
+          {t('orderDelivered.title')}
+        </Text>
+
+        <Text style={{ margin: '0 0 15px' }}>
+          {t('common.greeting', { name: `${shippingAddress.first_name} ${shippingAddress.last_name}` })}
+        </Text>
+
+        <Text style={{ margin: '0 0 15px' }}>
+          {t('orderDelivered.body', { displayId: order.display_id, date: formatDate(deliveredAt) })}
+        </Text>
+
+        <Text style={{ margin: '0 0 20px' }}>
+          {t('orderDelivered.help')}
+        </Text>
+      </Section>
+    </Base>
+  )
+}
+
+OrderDeliveredTemplate.PreviewProps = {
+  order: {
+    id: 'test-order-id',
+    display_id: 'ORD-123',
+    email: 'test@example.com'
+  },
+  shippingAddress: {
+    first_name: 'Test',
+    last_name: 'User'
+  },
+  deliveredAt: new Date().toISOString()
+} as OrderDeliveredPreviewProps
+
+export default OrderDeliveredTemplate
@@ -0,0 +1,71 @@
+import { Text, Section, Button } from '@react-email/components'
+import * as React from 'react'
+import { Base } from './base'
+import { getEmailI18n } from '../i18n'
+
+export const ORDER_LOOKUP_LINK = 'order-lookup-link'
+
+interface OrderLookupLinkPreviewProps {
+  order: { id: string; display_id: number }
+  lookupLink: string
+  expiresInMinutes: number
+}
+
+export interface OrderLookupLinkTemplateProps {
+  order: { id: string; display_id: number }
+  lookupLink: string
+  expiresInMinutes: number
+  locale?: string
+  preview?: string
+}
+
+export const isOrderLookupLinkTemplateData = (data: any): data is OrderLookupLinkTemplateProps =>
+  typeof data.order === 'object' && typeof data.lookupLink === 'string' && typeof data.expiresInMinutes === 'number'
+
+export const OrderLookupLinkTemplate: React.FC<OrderLookupLinkTemplateProps> & {
+  PreviewProps: OrderLookupLinkPreviewProps
+} = ({ order, lookupLink, expiresInMinutes, locale, preview }) => {
+  const { t } = getEmailI18n(locale)
+
+  return (
+    <Base preview={preview ?? t('orderLookupLink.preview')}>
+      <Section>
+        <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
+          {t('orderLookupLink.title')}
+        </Text>
+
+        <Text style={{ margin: '0 0 30px' }}>
+          {t('orderLookupLink.body', { displayId: order.display_id, minutes: expiresInMinutes })}
+        </Text>
+
+        <Section style={{ textAlign: 'center', margin: '0 0 20px' }}>
+          <Button
+            href={lookupLink}
+            style={{
+              backgroundColor: '#000000',
+              borderRadius: '4px',
+              color: '#ffffff',
+              fontSize: '12px',
+              fontWeight: 'bold',
+              padding: '12px 20px'
+            }}
+          >
+            {t('orderLookupLink.button')}
+          </Button>
+        </Section>
+
+        <Text style={{ color: '#666666', fontSize: '12px' }}>
+          {t('orderLookupLink.footer')}
+        </Text>
+      </Section>
+    </Base>
+  )
+}
+
+OrderLookupLinkTemplate.PreviewProps = {
+  order: { id: 'order_123', display_id: 1042 },
+  lookupLink: 'https://mywebsite.com/dk/order/lookup/verify?order_id=order_123&token=abc',
+  expiresInMinutes: 60
+} as OrderLookupLinkPreviewProps
+
+export default OrderLookupLinkTemplate
@@ -1,6 +1,7 @@
 import { Text, Section, Hr } from '@react-email/components'
 import * as React from 'react'
 import { Base } from './base'
+import { getEmailI18n } from '../i18n'
 import { OrderDTO, OrderAddressDTO } from '@medusajs/framework/types'
 
 export const ORDER_PLACED = 'order-placed'
@@ -13,6 +14,7 @@ interface OrderPlacedPreviewProps {
 export interface OrderPlacedTemplateProps {
   order: OrderDTO & { display_id: string; summary: { raw_current_order_total: { value: number } } }
   shippingAddress: OrderAddressDTO
+  locale?: string
   preview?: string
 }
 
@@ -21,39 +23,41 @@ export const isOrderPlacedTemplateData = (data: any): data is OrderPlacedTemplat
 
 export const OrderPlacedTemplate: React.FC<OrderPlacedTemplateProps> & {
   PreviewProps: OrderPlacedPreviewProps
-} = ({ order, shippingAddress, preview = 'Your order has been placed!' }) => {
+} = ({ order, shippingAddress, locale, preview }) => {
+  const { t, formatAmount, formatDate } = getEmailI18n(locale)
+
   return (
-    <Base preview={preview}>
+    <Base preview={preview ?? t('orderPlaced.preview')}>
       <Section>
         <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
-          Order Confirmation
+          {t('orderPlaced.title')}
         </Text>
 
         <Text style={{ margin: '0 0 15px' }}>
-          Dear {shippingAddress.first_name} {shippingAddress.last_name},
+          {t('common.greeting', { name: `${shippingAddress.first_name} ${shippingAddress.last_name}` })}
         </Text>
 
         <Text style={{ margin: '0 0 30px' }}>
-          Thank you for your recent order! Here are your order details:
+          {t('orderPlaced.intro')}
         </Text>
 
         <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
-          Order Summary
+          {t('orderPlaced.summary')}
         </Text>
         <Text style={{ margin: '0 0 5px' }}>
-          Order ID: {order.display_id}
+          {t('orderPlaced.orderId', { displayId: order.display_id })}
         </Text>
         <Text style={{ margin: '0 0 5px' }}>
-          Order Date: {new Date(order.created_at).toLocaleDateString()}
+          {t('orderPlaced.orderDate', { date: formatDate(order.created_at) })}
         </Text>
         <Text style={{ margin: '0 0 20px' }}>
-          Total: {order.summary.raw_current_order_total.value} {order.currency_code}
+          {t('orderPlaced.total', { total: formatAmount(order.summary.raw_current_order_total.value, order.currency_code) })}
         </Text>
 
         <Hr style={{ margin: '20px 0' }} />
 
         <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
-          Shipping Address
+          {t('common.shippingAddress')}
         </Text>
         <Text style={{ margin: '0 0 5px' }}>
           {shippingAddress.address_1}
@@ -68,7 +72,7 @@ export const OrderPlacedTemplate: React.FC<OrderPlacedTemplateProps> & {
         <Hr style={{ margin: '20px 0' }} />
 
         <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 15px' }}>
-          Order Items
+          {t('orderPlaced.items')}
         </Text>
 
         <div style={{
@@ -84,9 +88,9 @@ export const OrderPlacedTemplate: React.FC<OrderPlacedTemplateProps> & {
             padding: '8px',
             borderBottom: '1px solid #ddd'
           }}>
-            <Text style={{ fontWeight: 'bold' }}>Item</Text>
-            <Text style={{ fontWeight: 'bold' }}>Quantity</Text>
-            <Text style={{ fontWeight: 'bold' }}>Price</Text>
+            <Text style={{ fontWeight: 'bold' }}>{t('orderPlaced.item')}</Text>
+            <Text style={{ fontWeight: 'bold' }}>{t('orderPlaced.quantity')}</Text>
+            <Text style={{ fontWeight: 'bold' }}>{t('orderPlaced.price')}</Text>
           </div>
           {order.items.map((item) => (
             <div key={item.id} style={{
@@ -97,7 +101,7 @@ export const OrderPlacedTemplate: React.FC<OrderPlacedTemplateProps> & {
             }}>
               <Text>{item.title} - {item.product_title}</Text>
               <Text>{item.quantity}</Text>
-              <Text>{item.unit_price} {order.currency_code}</Text>
+              <Text>{formatAmount(item.unit_price, order.currency_code)}</Text>
             </div>
           ))}
         </div>
@@ -0,0 +1,91 @@
+import { Button, Link, Section, Text, Hr } from '@react-email/components'
+import { Base } from './base'
+import { getEmailI18n } from '../i18n'
+
+/**
+ * The key for the ResetPasswordEmail template, used to identify it
+ */
+export const RESET_PASSWORD = 'reset-password'
+
+/**
+ * The props for the ResetPasswordEmail template
+ */
+export interface ResetPasswordEmailProps {
+  /**
+   * The link that the user can click to choose a new password
+   */
+  resetLink: string
+  /**
+   * (optional) The locale to render the email in, e.g. `de-DE`
+   */
+  locale?: string
+  /**
+   * The preview text for the email, appears next to the subject
+   * in mail providers like Gmail
+   */
+  preview?: string
+}
+
+/**
+ * Type guard for checking if the data is of type ResetPasswordEmailProps
+ * @param data - The data to check
+ */
+export const isResetPasswordData = (data: any): data is ResetPasswordEmailProps =>
+  typeof data.resetLink === 'string' && (typeof data.preview === 'string' || !data.preview)
+
+/**
+ * The ResetPasswordEmail template component built with react-email
+ */
+export const ResetPasswordEmail = ({
+  resetLink,
+  locale,
+  preview,
+}: ResetPasswordEmailProps) => {
+  const { t } = getEmailI18n(locale)
+
+  return (
+    <Base preview={preview ?? t('resetPassword.preview')}>
+      <Section className="text-center">
+        <Text className="text-black text-[24px] font-semibold leading-[32px]">
+          {t('resetPassword.title')}
+        </Text>
+        <Text className="text-black text-[14px] leading-[24px]">
+          {t('resetPassword.body')}
+        </Text>
+        <Section className="mt-4 mb-[32px]">
+          <Button
+            className="bg-[#000000] rounded text-white text-[12px] font-semibold no-underline px-5 py-3"
+            href={resetLink}
+          >
+            {t('resetPassword.button')}
+          </Button>
+        </Section>
+        <Text className="text-black text-[14px] leading-[24px]">
+          {t('resetPassword.copyLink')}
+        </Text>
+        <Text style={{
+          maxWidth: '100%',
+          wordBreak: 'break-all',
+          overflowWrap: 'break-word'
+        }}>
+          <Link
+            href={resetLink}
+            className="text-blue-600 no-underline"
+          >
+            {resetLink}
+          </Link>
+        </Text>
+      </Section>
+      <Hr className="border border-solid border-[#eaeaea] my-[26px] mx-0 w-full" />
+      <Text className="text-[#666666] text-[12px] leading-[24px]">
+        {t('resetPassword.footer')}
+      </Text>
+    </Base>
+  )
+}
+
+ResetPasswordEmail.PreviewProps = {
+  resetLink: 'https://mywebsite.com/account/reset-password?token=abc123&email=test%40example.com'
+} as ResetPasswordEmailProps
+
+export default ResetPasswordEmail
@@ -0,0 +1,143 @@
+import { Text, Section, Hr, Button } from '@react-email/components'
+import * as React from 'react'
+import { Base } from './base'
+import { getEmailI18n } from '../i18n'
+
+export const RETURN_REQUESTED = 'return-requested'
+
+interface ReturnAddress {
+  name?: string | null
+  address_1?: string | null
+  address_2?: string | null
+  postal_code?: string | null
+  city?: string | null
+  country_code?: string | null
+}
+
+interface ReturnLabel {
+  url?: string | null
+  trackingNumber?: string | null
+}
+
+interface ReturnRequestedPreviewProps {
+  order: { id: string; display_id: string | number }
+  items: { id: string; title: string; quantity: number }[]
+  returnAddress: ReturnAddress | null
+  labels: ReturnLabel[]
+}
+
+export interface ReturnRequestedTemplateProps {
+  order: { id: string; display_id: string | number }
+  items: { id: string; title: string; quantity: number }[]
+  returnAddress: ReturnAddress | null
+  labels: ReturnLabel[]
+  locale?: string
+  preview?: string
+}
+
+export const isReturnRequestedTemplateData = (data: any): data is ReturnRequestedTemplateProps =>
+  typeof data.order === 'object' &&
+  Array.isArray(data.items) &&
+  Array.isArray(data.labels) &&
+  (typeof data.returnAddress === 'object' || !data.returnAddress)
+
+export const ReturnRequestedTemplate: React.FC<ReturnRequestedTemplateProps> & {
+  PreviewProps: ReturnRequestedPreviewProps
+} = ({ order, items, returnAddress, labels, locale, preview }) => {
+  const { t } = getEmailI18n(locale)
+
+  return (
+    <Base preview={preview ?? t('returnRequested.preview')}>
+      <Section>
+        <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
+          {t('returnRequested.title')}
+        </Text>
+
+        <Text style={{ margin: '0 0 30px' }}>
+          {t('returnRequested.body', { displayId: order.display_id })}
+        </Text>
+
+        <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
+          {t('returnRequested.items')}
+        </Text>
+        {items.map((item) => (
+          <Text key={item.id} style={{ margin: '0 0 5px' }}>
+            {item.quantity} × {item.title}
+          </Text>
+        ))}
+
+        <Hr style={{ margin: '20px 0' }} />
+
+        {labels.length > 0 && (
+          <>
+            <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
+              {t('returnRequested.label')}
+            </Text>
+            {labels.map((label, index) => (
+              <Section key={label.url ?? label.trackingNumber ?? index} style={{ margin: '0 0 15px' }}>
+                {label.trackingNumber && (
+                  <Text style={{ margin: '0 0 5px' }}>
+                    {t('returnRequested.trackingNumber', { trackingNumber: label.trackingNumber })}
+                  </Text>
+                )}
+                {label.url && (
+                  <Button
+                    href={label.url}
+                    style={{
+                      backgroundColor: '#000000',
+                      borderRadius: '4px',
+                      color: '#ffffff',
+                      fontSize: '12px',
+                      fontWeight: 'bold',
+                      padding: '12px 20px'
+                    }}
+                  >
+                    {t('returnRequested.labelButton')}
+                  </Button>
+                )}
+              </Section>
+            ))}
+            <Hr style={{ margin: '20px 0' }} />
+          </>
+        )}
+
+        {returnAddress && (
+          <>
+            <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
+              {t('returnRequested.address')}
+            </Text>
+            {returnAddress.name && <Text style={{ margin: '0 0 5px' }}>{returnAddress.name}</Text>}
+            <Text style={{ margin: '0 0 5px' }}>
+              {[returnAddress.address_1, returnAddress.address_2].filter(Boolean).join(', ')}
+            </Text>
+            <Text style={{ margin: '0 0 5px' }}>
+              {returnAddress.postal_code} {returnAddress.city}
+            </Text>
+            <Text style={{ margin: '0 0 20px' }}>
+              {returnAddress.country_code?.toUpperCase()}
+            </Text>
+          </>
+        )}
+
+        <Text style={{ margin: '0 0 20px' }}>
+          {t('returnRequested.instructions', { displayId: order.display_id })}
+        </Text>
+      </Section>
+    </Base>
+  )
+}
+
+ReturnRequestedTemplate.PreviewProps = {
+  order: { id: 'test-order-id', display_id: 'ORD-123' },
+  items: [{ id: 'item-1', title: 'Medusa Hoodie (L / Black)', quantity: 1 }],
+  returnAddress: {
+    name: 'European Warehouse',
+    address_1: '123 Warehouse St',
+    postal_code: '2100',
+    city: 'Copenhagen',
+    country_code: 'dk'
+  },
+  labels: []
+} as ReturnRequestedPreviewProps
+
+export default ReturnRequestedTemplate
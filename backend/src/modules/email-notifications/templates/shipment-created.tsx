@@ -0,0 +1,144 @@
+import { Text, Section, Hr, Button } from '@react-email/components'
+import * as React from 'react'
+import { Base } from './base'
+import { getEmailI18n } from '../i18n'
+import { OrderAddressDTO } from '@medusajs/framework/types'
+import { TrackingLink } from '../../../utils/tracking-links'
+
+export const SHIPMENT_CREATED = 'shipment-created'
+
+interface ShipmentCreatedPreviewProps {
+  order: { id: string; display_id: string | number; email: string }
+  shippingAddress: Partial<OrderAddressDTO>
+  items: { id: string; title: string; quantity: number }[]
+  carrier?: string
+  trackingLinks: TrackingLink[]
+}
+
+export interface ShipmentCreatedTemplateProps {
+  order: { id: string; display_id: string | number; email: string }
+  shippingAddress: Partial<OrderAddressDTO>
+  items: { id: string; title: string; quantity: number }[]
+  carrier?: string
+  trackingLinks: TrackingLink[]
+  locale?: string
+  preview?: string
+}
+
+export const isShipmentCreatedTemplateData = (data: any): data is ShipmentCreatedTemplateProps =>
+  typeof data.order === 'object' &&
+  typeof data.shippingAddress === 'object' &&
+  Array.isArray(data.items) &&
+  Array.isArray(data.trackingLinks) &&
+  (typeof data.carrier === 'string' || !data.carrier)
+
+export const ShipmentCreatedTemplate: React.FC<ShipmentCreatedTemplateProps> & {
+  PreviewProps: ShipmentCreatedPreviewProps
+} = ({ order, shippingAddress, items, carrier, trackingLinks, locale, preview }) => {
+  const { t } = getEmailI18n(locale)
+
+  return (
+    <Base preview={preview ?? t('shipmentCreated.preview')}>
+      <Section>
+        <Text style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', margin: '0 0 30px' }}>
+          {t('shipmentCreated.title')}
+        </Text>
+
+        <Text style={{ margin: '0 0 15px' }}>
+          {t('common.greeting', { name: `${shippingAddress.first_name} ${shippingAddress.last_name}` })}
+        </Text>
+
+        <Text style={{ margin: '0 0 30px' }}>
+          {carrier
+            ? t('shipmentCreated.bodyWithCarrier', { displayId: order.display_id, carrier })
+            : t('shipmentCreated.body', { displayId: order.display_id })}
+        </Text>
+
+        {trackingLinks.length > 0 && (
+          <>
+            <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
+              {t('shipmentCreated.trackPackage')}
+            </Text>
+            {trackingLinks.map((link) => (
+              <Section key={link.trackingNumber} style={{ margin: '0 0 15px' }}>
+                <Text style={{ margin: '0 0 5px' }}>
+                  {t('shipmentCreated.trackingNumber', { trackingNumber: link.trackingNumber })}
+                </Text>
+                {link.url && (
+                  <Button
+                    href={link.url}
+                    style={{
+                      backgroundColor: '#000000',
+                      borderRadius: '4px',
+                      color: '#ffffff',
+                      fontSize: '12px',
+                      fontWeight: 'bold',
+                      padding: '12px 20px'
+                    }}
+                  >
+                    {t('shipmentCreated.trackButton')}
+                  </Button>
+                )}
+              </Section>
+            ))}
+            <Hr style={{ margin: '20px 0' }} />
+          </>
+        )}
+
+        <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
+          {t('shipmentCreated.items')}
+        </Text>
+        {items.map((item) => (
+          <Text key={item.id} style={{ margin: '0 0 5px' }}>
+            {item.quantity} × {item.title}
+          </Text>
+        ))}
+
+        <Hr style={{ margin: '20px 0' }} />
+
+        <Text style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 10px' }}>
+          {t('common.shippingAddress')}
+        </Text>
+        <Text style={{ margin: '0 0 5px' }}>
+          {shippingAddress.address_1}
+        </Text>
+        <Text style={{ margin: '0 0 5px' }}>
+          {shippingAddress.city}, {shippingAddress.province} {shippingAddress.postal_code}
+        </Text>
+        <Text style={{ margin: '0 0 20px' }}>
+          {shippingAddress.country_code}
+        </Text>
+      </Section>
+    </Base>
+  )
+}
+
+ShipmentCreatedTemplate.PreviewProps = {
+  order: {
+    id: 'test-order-id',
+    display_id: 'ORD-123',
+    email: 'test@example.com'
+  },
+  shippingAddress: {
+    first_name: 'Test',
+    last_name: 'User',
+    address_1: '123 Main St',
+    city: 'Anytown',
+    province: 'CA',
+    postal_code: '12345',
+    country_code: 'US'
+  },
+  items: [
+    { id: 'item-1', title: 'Product 1 - Item 1', quantity: 2 },
+    { id: 'item-2', title: 'Product 2 - Item 2', quantity: 1 }
+  ],
+  carrier: 'DHL',
+  trackingLinks: [
+    {
+      trackingNumber: '00340434292135100186',
+      url: 'https://www.dhl.com/global-en/home/tracking/tracking-parcel.html?tracking-id=00340434292135100186'
+    }
+  ]
+} as ShipmentCreatedPreviewProps
+
+export default ShipmentCreatedTemplate
@@ -0,0 +1,8 @@
+import { Module } from '@medusajs/framework/utils'
+import GiftCardModuleService from './service'
+
+export const GIFT_CARD_MODULE = 'giftCard'
+
+export default Module(GIFT_CARD_MODULE, {
+  service: GiftCardModuleService
+})
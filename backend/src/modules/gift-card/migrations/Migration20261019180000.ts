@@ -0,0 +1,23 @@
+import { Migration } from '@mikro-orm/migrations'
+
+export class Migration20261019180000 extends Migration {
+  async up(): Promise<void> {
+    this.addSql(`create table if not exists "gift_card" ("id" text not null, "code" text not null, "currency_code" text not null, "value" numeric not null, "balance" numeric not null, "recipient_email" text not null, "recipient_name" text null, "sender_name" text null, "message" text null, "order_id" text null, "line_item_id" text null, "is_disabled" boolean not null default false, "raw_value" jsonb not null, "raw_balance" jsonb not null, "created_at" timestamptz not null default now(), "updated_at" timestamptz not null default now(), "deleted_at" timestamptz null, constraint "gift_card_pkey" primary key ("id"));`)
+    this.addSql(`CREATE UNIQUE INDEX IF NOT EXISTS "IDX_gift_card_code_unique" ON "gift_card" (code) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_gift_card_deleted_at" ON "gift_card" (deleted_at) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_gift_card_order_id" ON "gift_card" (order_id) WHERE deleted_at IS NULL;`)
+
+    this.addSql(`create table if not exists "gift_card_transaction" ("id" text not null, "amount" numeric not null, "order_id" text not null, "gift_card_id" text not null, "raw_amount" jsonb not null, "created_at" timestamptz not null default now(), "updated_at" timestamptz not null default now(), "deleted_at" timestamptz null, constraint "gift_card_transaction_pkey" primary key ("id"));`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_gift_card_transaction_gift_card_id" ON "gift_card_transaction" (gift_card_id) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_gift_card_transaction_deleted_at" ON "gift_card_transaction" (deleted_at) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_gift_card_transaction_order_id" ON "gift_card_transaction" (order_id) WHERE deleted_at IS NULL;`)
+
+    this.addSql(`alter table if exists "gift_card_transaction" add constraint "gift_card_transaction_gift_card_id_foreign" foreign key ("gift_card_id") references "gift_card" ("id") on update cascade on delete cascade;`)
+  }
+
+  async down(): Promise<void> {
+    this.addSql(`alter table if exists "gift_card_transaction" drop constraint if exists "gift_card_transaction_gift_card_id_foreign";`)
+    this.addSql(`drop table if exists "gift_card_transaction" cascade;`)
+    this.addSql(`drop table if exists "gift_card" cascade;`)
+  }
+}
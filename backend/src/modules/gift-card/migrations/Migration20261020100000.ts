@@ -0,0 +1,14 @@
+import { Migration } from '@mikro-orm/migrations'
+
+export class Migration20261020100000 extends Migration {
+  async up(): Promise<void> {
+    this.addSql(`alter table if exists "gift_card_transaction" add column if not exists "cart_id" text null;`)
+    this.addSql(`alter table if exists "gift_card_transaction" alter column "order_id" drop not null;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_gift_card_transaction_cart_id" ON "gift_card_transaction" (cart_id) WHERE deleted_at IS NULL;`)
+  }
+
+  async down(): Promise<void> {
+    this.addSql(`drop index if exists "IDX_gift_card_transaction_cart_id";`)
+    this.addSql(`alter table if exists "gift_card_transaction" drop column if exists "cart_id";`)
+  }
+}
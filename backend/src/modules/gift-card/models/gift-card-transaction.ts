@@ -0,0 +1,20 @@
+import { model } from '@medusajs/framework/utils'
+import { GiftCard } from './gift-card'
+
+export const GiftCardTransaction = model.define('gift_card_transaction', {
+  id: model.id({ prefix: 'gctx' }).primaryKey(),
+  // Positive when the card pays for an order, negative when that payment is refunded
+  amount: model.bigNumber(),
+  // The cart the card paid for, the order is set once the order is placed
+  cart_id: model.text().nullable(),
+  order_id: model.text().nullable(),
+  gift_card: model.belongsTo(() => GiftCard, { mappedBy: 'transactions' })
+})
+.indexes([
+  {
+    on: ['order_id']
+  },
+  {
+    on: ['cart_id']
+  }
+])
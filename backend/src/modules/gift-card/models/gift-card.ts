@@ -0,0 +1,32 @@
+import { model } from '@medusajs/framework/utils'
+import { GiftCardTransaction } from './gift-card-transaction'
+
+/**
+ * A gift card bought in the store. Its balance goes down as it is redeemed, and
+ * its transactions record every redemption and refund.
+ */
+export const GiftCard = model.define('gift_card', {
+  id: model.id({ prefix: 'gcard' }).primaryKey(),
+  code: model.text().unique().searchable(),
+  currency_code: model.text(),
+  // The amount the card was bought for
+  value: model.bigNumber(),
+  balance: model.bigNumber(),
+  recipient_email: model.text(),
+  recipient_name: model.text().nullable(),
+  sender_name: model.text().nullable(),
+  message: model.text().nullable(),
+  // The order and line item the card was bought with
+  order_id: model.text().nullable(),
+  line_item_id: model.text().nullable(),
+  is_disabled: model.boolean().default(false),
+  transactions: model.hasMany(() => GiftCardTransaction, { mappedBy: 'gift_card' })
+})
+.indexes([
+  {
+    on: ['order_id']
+  }
+])
+.cascades({
+  delete: ['transactions']
+})
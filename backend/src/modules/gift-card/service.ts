@@ -0,0 +1,271 @@
+import { randomInt } from 'crypto'
+import { Context } from '@medusajs/framework/types'
+import {
+  BigNumber,
+  InjectTransactionManager,
+  MathBN,
+  MedusaContext,
+  MedusaError,
+  MedusaService
+} from '@medusajs/framework/utils'
+import { EntityManager, Knex } from '@mikro-orm/knex'
+import { GiftCard } from './models/gift-card'
+import { GiftCardTransaction } from './models/gift-card-transaction'
+
+export interface IssueGiftCardInput {
+  currency_code: string
+  value: number
+  recipient_email: string
+  recipient_name?: string | null
+  sender_name?: string | null
+  message?: string | null
+  order_id?: string | null
+  line_item_id?: string | null
+}
+
+export interface GiftCardRedemptionInput {
+  gift_card_id: string
+  amount: number
+  // Shown in the error when the card can't pay the amount anymore
+  code?: string
+}
+
+const GIFT_CARD_TABLE = 'gift_card'
+
+// No 0/O or 1/I, so codes can be typed from a printed card
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_GROUPS = 4
+const CODE_GROUP_LENGTH = 4
+
+/**
+ * Normalize a gift card code as typed by a customer.
+ */
+export function normalizeGiftCardCode(code: string): string {
+  return code.trim().toUpperCase()
+}
+
+function generateGiftCardCode(): string {
+  return Array.from({ length: CODE_GROUPS }, () =>
+    Array.from({ length: CODE_GROUP_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('')
+  ).join('-')
+}
+
+/**
+ * Service for gift cards, their balances and redemptions.
+ */
+class GiftCardModuleService extends MedusaService({
+  GiftCard,
+  GiftCardTransaction
+}) {
+  /**
+   * Get a usable gift card by its code.
+   * @param code - The code, as typed by the customer
+   * @throws NOT_FOUND when there is no gift card with the code, or it is disabled
+   */
+  async retrieveGiftCardByCode(code: string) {
+    const [giftCard] = await this.listGiftCards({ code: normalizeGiftCardCode(code), is_disabled: false })
+
+    if (!giftCard) {
+      throw new MedusaError(MedusaError.Types.NOT_FOUND, `Gift card with code ${code} was not found`)
+    }
+
+    return giftCard
+  }
+
+  /**
+   * Create gift cards with a unique code and their full value as balance.
+   * @param data - The gift cards to create
+   */
+  async issueGiftCards(data: IssueGiftCardInput[]) {
+    const codes = new Set<string>()
+
+    while (codes.size < data.length) {
+      const candidates = Array.from({ length: data.length - codes.size }, generateGiftCardCode)
+      const taken = new Set(
+        (await this.listGiftCards({ code: candidates }, { select: ['code'], withDeleted: true })).map(
+          (giftCard) => giftCard.code
+        )
+      )
+      candidates.filter((code) => !taken.has(code)).forEach((code) => codes.add(code))
+    }
+
+    const codeList = [...codes]
+
+    return await this.createGiftCards(
+      data.map((input, index) => ({
+        ...input,
+        currency_code: input.currency_code.toLowerCase(),
+        recipient_email: input.recipient_email.trim().toLowerCase(),
+        code: codeList[index],
+        balance: input.value
+      }))
+    )
+  }
+
+  /**
+   * Take what a cart pays with its gift cards off their balances when the cart is
+   * completed. Each balance is updated in one conditional statement, so two carts can't
+   * spend the same balance. Cards already redeemed for the cart are skipped.
+   * @param cartId - The ID of the cart
+   * @param redemptions - The gift cards and the amount each one pays
+   * @returns The IDs of the transactions created, to release them if completing fails
+   * @throws NOT_ALLOWED when a card is disabled or its balance is too low
+   */
+  @InjectTransactionManager()
+  async redeemCartGiftCards(
+    cartId: string,
+    redemptions: GiftCardRedemptionInput[],
+    @MedusaContext() sharedContext: Context<EntityManager> = {}
+  ): Promise<string[]> {
+    const existing = await this.listGiftCardTransactions(
+      { cart_id: cartId, gift_card_id: redemptions.map((redemption) => redemption.gift_card_id) },
+      {},
+      sharedContext
+    )
+    const toRedeem = redemptions.filter(
+      (redemption) =>
+        MathBN.gt(redemption.amount, 0) &&
+        !existing.some((transaction) => transaction.gift_card_id === redemption.gift_card_id)
+    )
+
+    if (!toRedeem.length) {
+      return []
+    }
+
+    for (const redemption of toRedeem) {
+      const redeemed = await this.adjustBalance_(redemption.gift_card_id, -redemption.amount, sharedContext)
+
+      if (!redeemed) {
+        throw new MedusaError(
+          MedusaError.Types.NOT_ALLOWED,
+          `The balance of gift card ${redemption.code ?? redemption.gift_card_id} changed, please apply it again`
+        )
+      }
+    }
+
+    const transactions = await this.createGiftCardTransactions(
+      toRedeem.map((redemption) => ({
+        gift_card_id: redemption.gift_card_id,
+        cart_id: cartId,
+        amount: redemption.amount
+      })),
+      sharedContext
+    )
+
+    return transactions.map((transaction) => transaction.id)
+  }
+
+  /**
+   * Give cart redemptions back to the balances of their gift cards, when completing the
+   * cart failed after they were redeemed. Redemptions of a placed order are kept.
+   * @param transactionIds - The IDs returned by `redeemCartGiftCards`
+   */
+  @InjectTransactionManager()
+  async releaseCartRedemptions(
+    transactionIds: string[],
+    @MedusaContext() sharedContext: Context<EntityManager> = {}
+  ) {
+    const transactions = await this.listGiftCardTransactions(
+      { id: transactionIds, order_id: null },
+      {},
+      sharedContext
+    )
+
+    for (const transaction of transactions) {
+      await this.adjustBalance_(transaction.gift_card_id, MathBN.convert(transaction.amount).toNumber(), sharedContext)
+    }
+
+    await this.deleteGiftCardTransactions(
+      transactions.map((transaction) => transaction.id),
+      sharedContext
+    )
+  }
+
+  /**
+   * Record the order placed with a cart on the gift card redemptions of the cart.
+   * @param cartId - The ID of the cart
+   * @param orderId - The ID of the order
+   */
+  async setRedemptionsOrder(cartId: string, orderId: string) {
+    const transactions = await this.listGiftCardTransactions({ cart_id: cartId, order_id: null })
+
+    if (transactions.length) {
+      await this.updateGiftCardTransactions(
+        transactions.map((transaction) => ({ id: transaction.id, order_id: orderId }))
+      )
+    }
+  }
+
+  /**
+   * Give the amounts an order paid with gift cards back to their balances, e.g.
+   * when the order is canceled.
+   * @param orderId - The ID of the order
+   */
+  @InjectTransactionManager()
+  async refundOrderRedemptions(
+    orderId: string,
+    @MedusaContext() sharedContext: Context<EntityManager> = {}
+  ) {
+    const transactions = await this.listGiftCardTransactions({ order_id: orderId }, {}, sharedContext)
+    const netAmounts = new Map<string, ReturnType<typeof MathBN.convert>>()
+
+    for (const transaction of transactions) {
+      netAmounts.set(
+        transaction.gift_card_id,
+        MathBN.add(netAmounts.get(transaction.gift_card_id) ?? 0, transaction.amount)
+      )
+    }
+
+    for (const [giftCardId, amount] of netAmounts) {
+      if (MathBN.lte(amount, 0)) {
+        continue
+      }
+
+      await this.createGiftCardTransactions(
+        {
+          gift_card_id: giftCardId,
+          order_id: orderId,
+          amount: MathBN.mult(amount, -1).toNumber()
+        },
+        sharedContext
+      )
+      await this.adjustBalance_(giftCardId, amount.toNumber(), sharedContext)
+    }
+  }
+
+  /**
+   * Add an amount to the balance of a gift card, or take it off with a negative amount.
+   * Done in one statement that only takes off what's left on an enabled card, so
+   * concurrent redemptions can't spend the same balance twice.
+   * @returns Whether the balance was updated
+   */
+  protected async adjustBalance_(
+    giftCardId: string,
+    amount: number,
+    sharedContext: Context<EntityManager>
+  ): Promise<boolean> {
+    const manager = sharedContext.transactionManager!
+    const knex = (manager.getTransactionContext() ?? manager.getKnex()) as Knex
+
+    const update = knex(GIFT_CARD_TABLE).where('id', giftCardId).whereNull('deleted_at')
+
+    if (amount < 0) {
+      update.where('is_disabled', false).whereRaw('balance >= ?', [-amount])
+    }
+
+    const updated = await update
+      .update({
+        balance: knex.raw('balance + ?', [amount]),
+        raw_balance: knex.raw(
+          `jsonb_build_object('value', (balance + ?)::text, 'precision', ${BigNumber.DEFAULT_PRECISION})`,
+          [amount]
+        ),
+        updated_at: knex.fn.now()
+      })
+      .returning('id')
+
+    return updated.length > 0
+  }
+}
+
+export default GiftCardModuleService
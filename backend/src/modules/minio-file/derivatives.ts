@@ -0,0 +1,101 @@
+import path from 'path'
+import sharp from 'sharp'
+
+/**
+ * Widths of the resized variants generated for uploaded images. The storefront uses
+ * the same names and widths to build `srcset`s, keep them in sync.
+ */
+export const IMAGE_DERIVATIVE_SIZES = {
+  thumbnail: 200,
+  card: 400,
+  gallery: 800,
+  zoom: 1600
+} as const
+
+export const IMAGE_DERIVATIVE_FORMATS = ['webp', 'avif'] as const
+
+export type ImageDerivativeSize = keyof typeof IMAGE_DERIVATIVE_SIZES
+export type ImageDerivativeFormat = (typeof IMAGE_DERIVATIVE_FORMATS)[number]
+
+export interface ImageDerivative {
+  key: string
+  content: Buffer
+  mimeType: string
+}
+
+// Raster formats sharp can read, SVGs and other files are stored as is
+const RESIZABLE_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/avif',
+  'image/gif',
+  'image/tiff'
+]
+
+export const isResizableImage = (mimeType?: string) =>
+  !!mimeType && RESIZABLE_MIME_TYPES.includes(mimeType.toLowerCase())
+
+/**
+ * Key of a derivative, next to the original: `shirt-<ulid>.jpg` becomes `shirt-<ulid>-card.webp`
+ */
+export function getDerivativeKey(
+  fileKey: string,
+  size: ImageDerivativeSize,
+  format: ImageDerivativeFormat
+): string {
+  const { dir, name } = path.posix.parse(fileKey)
+  return path.posix.join(dir, `${name}-${size}.${format}`)
+}
+
+const DERIVATIVE_KEY_PATTERN = new RegExp(
+  `-(${Object.keys(IMAGE_DERIVATIVE_SIZES).join('|')})\\.(${IMAGE_DERIVATIVE_FORMATS.join('|')})$`
+)
+
+/**
+ * Whether a key is the one of a derivative. Originals always end with a ULID, so they never match.
+ */
+export const isDerivativeKey = (fileKey: string) => DERIVATIVE_KEY_PATTERN.test(fileKey)
+
+/**
+ * Key of the original a derivative belongs to, without the original's extension.
+ */
+export const getDerivativeBaseKey = (derivativeKey: string) =>
+  derivativeKey.replace(DERIVATIVE_KEY_PATTERN, '')
+
+/**
+ * Keys of all derivatives an original may have, used to delete them with the original.
+ */
+export function getDerivativeKeys(fileKey: string): string[] {
+  return (Object.keys(IMAGE_DERIVATIVE_SIZES) as ImageDerivativeSize[]).flatMap((size) =>
+    IMAGE_DERIVATIVE_FORMATS.map((format) => getDerivativeKey(fileKey, size, format))
+  )
+}
+
+/**
+ * Resize an image to every derivative size and format. Images are never enlarged, so
+ * small originals produce derivatives at their own width.
+ * @param fileKey - Key of the original
+ * @param content - Contents of the original
+ */
+export async function generateImageDerivatives(
+  fileKey: string,
+  content: Buffer
+): Promise<ImageDerivative[]> {
+  const derivatives: ImageDerivative[] = []
+
+  // Sequential on purpose, AVIF encoding is CPU and memory heavy
+  for (const [size, width] of Object.entries(IMAGE_DERIVATIVE_SIZES) as [ImageDerivativeSize, number][]) {
+    const resized = sharp(content).rotate().resize({ width, withoutEnlargement: true })
+
+    for (const format of IMAGE_DERIVATIVE_FORMATS) {
+      derivatives.push({
+        key: getDerivativeKey(fileKey, size, format),
+        content: await resized.clone().toFormat(format).toBuffer(),
+        mimeType: `image/${format}`
+      })
+    }
+  }
+
+  return derivatives
+}
@@ -6,9 +6,15 @@ import {
   ProviderFileResultDTO,
   ProviderGetFileDTO
 } from '@medusajs/framework/types';
-import { Client } from 'minio';
+import { BucketItemStat, Client } from 'minio';
 import path from 'path';
 import { ulid } from 'ulid';
+import {
+  generateImageDerivatives,
+  getDerivativeKeys,
+  isDerivativeKey,
+  isResizableImage
+} from './derivatives';
 
 type InjectedDependencies = {
   logger: Logger
@@ -19,6 +25,14 @@ interface MinioServiceConfig {
   accessKey: string
   secretKey: string
   bucket?: string
+  port?: number
+  useSSL: boolean
+  region?: string
+  publicUrl?: string
+  pathStyle: boolean
+  private: boolean
+  presignedUrlExpiresIn: number
+  imageDerivatives: boolean
 }
 
 export interface MinioFileProviderOptions {
@@ -26,9 +40,51 @@ export interface MinioFileProviderOptions {
   accessKey: string
   secretKey: string
   bucket?: string
+  /**
+   * Defaults to 443 with SSL and 80 without
+   */
+  port?: number
+  /**
+   * Defaults to true
+   */
+  useSSL?: boolean
+  region?: string
+  /**
+   * Base URL file URLs are built with instead of the endpoint, e.g. a CDN. Should include
+   * the bucket if the CDN needs it.
+   */
+  publicUrl?: string
+  /**
+   * `https://endpoint/bucket/key` URLs when true (default), `https://bucket.endpoint/key` when false
+   */
+  pathStyle?: boolean
+  /**
+   * Keep the bucket private, files can only be read through presigned URLs
+   */
+  private?: boolean
+  /**
+   * Validity of presigned download URLs in seconds, defaults to 24 hours
+   */
+  presignedUrlExpiresIn?: number
+  /**
+   * Store resized WebP and AVIF variants next to uploaded images, defaults to true
+   */
+  imageDerivatives?: boolean
 }
 
+export interface MinioFileObject {
+  key: string
+  size: number
+  lastModified: Date
+}
+
+type FileAccess = 'public' | 'private'
+
+// Stored with each object, files uploaded without an access are private
+const getAccess = (access?: string): FileAccess => (access === 'public' ? 'public' : 'private')
+
 const DEFAULT_BUCKET = 'medusa-media'
+const DEFAULT_PRESIGNED_URL_EXPIRES_IN = 24 * 60 * 60
 
 /**
  * Service to handle file storage using MinIO.
@@ -47,18 +103,29 @@ class MinioFileProviderService extends AbstractFileProviderService {
       endPoint: options.endPoint,
       accessKey: options.accessKey,
       secretKey: options.secretKey,
-      bucket: options.bucket
+      bucket: options.bucket,
+      port: options.port,
+      useSSL: options.useSSL ?? true,
+      region: options.region,
+      publicUrl: options.publicUrl?.replace(/\/+$/, ''),
+      pathStyle: options.pathStyle ?? true,
+      private: options.private ?? false,
+      presignedUrlExpiresIn: options.presignedUrlExpiresIn ?? DEFAULT_PRESIGNED_URL_EXPIRES_IN,
+      imageDerivatives: options.imageDerivatives ?? true
     }
 
     // Use provided bucket or default
     this.bucket = this.config_.bucket || DEFAULT_BUCKET
-    this.logger_.info(`MinIO service initialized with bucket: ${this.bucket}`)
+    this.logger_.info(
+      `MinIO service initialized with ${this.config_.private ? 'private' : 'public'} bucket: ${this.bucket}`
+    )
 
-    // Initialize Minio client with hardcoded SSL settings
     this.client = new Client({
       endPoint: this.config_.endPoint,
-      port: 443,
-      useSSL: true,
+      port: this.config_.port,
+      useSSL: this.config_.useSSL,
+      region: this.config_.region,
+      pathStyle: this.config_.pathStyle,
       accessKey: this.config_.accessKey,
       secretKey: this.config_.secretKey
     })
@@ -84,6 +151,31 @@ class MinioFileProviderService extends AbstractFileProviderService {
         )
       }
     })
+
+    if (options.port !== undefined && !Number.isInteger(options.port)) {
+      throw new MedusaError(
+        MedusaError.Types.INVALID_DATA,
+        `port must be an integer, received: ${options.port}`
+      )
+    }
+  }
+
+  /**
+   * Builds the URL of a file, from the public URL if configured, otherwise from the
+   * endpoint in path-style or virtual-host style.
+   */
+  protected getFileUrl(fileKey: string): string {
+    if (this.config_.publicUrl) {
+      return `${this.config_.publicUrl}/${fileKey}`
+    }
+
+    const protocol = this.config_.useSSL ? 'https' : 'http'
+    const defaultPort = this.config_.useSSL ? 443 : 80
+    const port = this.config_.port && this.config_.port !== defaultPort ? `:${this.config_.port}` : ''
+
+    return this.config_.pathStyle
+      ? `${protocol}://${this.config_.endPoint}${port}/${this.bucket}/${fileKey}`
+      : `${protocol}://${this.bucket}.${this.config_.endPoint}${port}/${fileKey}`
   }
 
   private async initializeBucket(): Promise<void> {
@@ -93,30 +185,18 @@ class MinioFileProviderService extends AbstractFileProviderService {
       
       if (!bucketExists) {
         // Create the bucket
-        await this.client.makeBucket(this.bucket)
+        await this.client.makeBucket(this.bucket, this.config_.region)
         this.logger_.info(`Created bucket: ${this.bucket}`)
-
-        // Set bucket policy to allow public read access
-        const policy = {
-          Version: '2012-10-17',
-          Statement: [
-            {
-              Sid: 'PublicRead',
-              Effect: 'Allow',
-              Principal: '*',
-              Action: ['s3:GetObject'],
-              Resource: [`arn:aws:s3:::${this.bucket}/*`]
-            }
-          ]
-        }
-
-        await this.client.setBucketPolicy(this.bucket, JSON.stringify(policy))
-        this.logger_.info(`Set public read policy for bucket: ${this.bucket}`)
       } else {
         this.logger_.info(`Using existing bucket: ${this.bucket}`)
-        
-        // Verify/update policy on existing bucket
-        try {
+      }
+
+      // Verify/update policy, a private bucket must not have the public read policy
+      try {
+        if (this.config_.private) {
+          await this.client.setBucketPolicy(this.bucket, '')
+          this.logger_.info(`Removed bucket policy, files in ${this.bucket} are private`)
+        } else {
           const policy = {
             Version: '2012-10-17',
             Statement: [
@@ -130,10 +210,10 @@ class MinioFileProviderService extends AbstractFileProviderService {
             ]
           }
           await this.client.setBucketPolicy(this.bucket, JSON.stringify(policy))
-          this.logger_.info(`Updated public read policy for existing bucket: ${this.bucket}`)
-        } catch (policyError) {
-          this.logger_.warn(`Failed to update policy for existing bucket: ${policyError.message}`)
+          this.logger_.info(`Set public read policy for bucket: ${this.bucket}`)
         }
+      } catch (policyError) {
+        this.logger_.warn(`Failed to update policy for bucket ${this.bucket}: ${policyError.message}`)
       }
     } catch (error) {
       this.logger_.error(`Error initializing bucket: ${error.message}`)
@@ -163,7 +243,7 @@ class MinioFileProviderService extends AbstractFileProviderService {
       const fileKey = `${parsedFilename.name}-${ulid()}${parsedFilename.ext}`
       const content = Buffer.from(file.content, 'binary')
 
-      // Upload file with public-read access
+      // Upload file with public-read access, unless the bucket is private
       await this.client.putObject(
         this.bucket,
         fileKey,
@@ -172,15 +252,20 @@ class MinioFileProviderService extends AbstractFileProviderService {
         {
           'Content-Type': file.mimeType,
           'x-amz-meta-original-filename': file.filename,
-          'x-amz-acl': 'public-read'
+          'x-amz-meta-access': getAccess(file.access),
+          ...(this.config_.private ? {} : { 'x-amz-acl': 'public-read' })
         }
       )
 
-      // Generate URL using the endpoint and bucket
-      const url = `https://${this.config_.endPoint}/${this.bucket}/${fileKey}`
+      // Files in a private bucket can only be read through presigned URLs
+      const url = this.getFileUrl(fileKey)
 
       this.logger_.info(`Successfully uploaded file ${fileKey} to MinIO bucket ${this.bucket}`)
 
+      if (this.config_.imageDerivatives && isResizableImage(file.mimeType)) {
+        await this.uploadImageDerivatives(fileKey, content, getAccess(file.access))
+      }
+
       return {
         url,
         key: fileKey
@@ -194,6 +279,164 @@ class MinioFileProviderService extends AbstractFileProviderService {
     }
   }
 
+  /**
+   * Stores the resized variants of an image. A failure is logged but doesn't fail the
+   * upload, the derivatives are generated again when a product uses the image, see
+   * `ensureImageDerivatives`. Returns whether all derivatives were stored.
+   */
+  private async uploadImageDerivatives(fileKey: string, content: Buffer, access: FileAccess): Promise<boolean> {
+    try {
+      const derivatives = await generateImageDerivatives(fileKey, content)
+
+      for (const derivative of derivatives) {
+        await this.client.putObject(
+          this.bucket,
+          derivative.key,
+          derivative.content,
+          derivative.content.length,
+          {
+            'Content-Type': derivative.mimeType,
+            'Cache-Control': 'public, max-age=31536000, immutable',
+            'x-amz-meta-access': access,
+            ...(this.config_.private ? {} : { 'x-amz-acl': 'public-read' })
+          }
+        )
+      }
+
+      this.logger_.info(`Stored ${derivatives.length} derivatives of ${fileKey}`)
+      return true
+    } catch (error) {
+      this.logger_.warn(`Failed to generate derivatives of ${fileKey}: ${error.message}`)
+      return false
+    }
+  }
+
+  /**
+   * Key of a file in the bucket from its URL, or null for URLs that don't point to the bucket.
+   */
+  getFileKey(url: string): string | null {
+    const baseUrl = this.getFileUrl('')
+
+    if (!url.startsWith(baseUrl)) {
+      return null
+    }
+
+    try {
+      return decodeURIComponent(url.slice(baseUrl.length).split(/[?#]/)[0]) || null
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Makes sure all derivatives of an image exist, generating the missing ones when
+   * derivatives are enabled. Returns whether they all exist, false for files that
+   * aren't resizable images.
+   */
+  async ensureImageDerivatives(fileKey: string): Promise<boolean> {
+    const derivativeKeys = getDerivativeKeys(fileKey)
+    const { dir, name } = path.posix.parse(fileKey)
+    const existing = new Set<string>()
+
+    for await (const object of this.client.listObjectsV2(this.bucket, path.posix.join(dir, `${name}-`), true)) {
+      if (object.name) {
+        existing.add(object.name)
+      }
+    }
+
+    if (derivativeKeys.every((key) => existing.has(key))) {
+      return true
+    }
+    if (!this.config_.imageDerivatives) {
+      return false
+    }
+
+    let content: Buffer
+    let stat: BucketItemStat
+
+    try {
+      stat = await this.client.statObject(this.bucket, fileKey)
+      if (!isResizableImage(stat.metaData['content-type'])) {
+        return false
+      }
+      content = await this.getObjectContent(fileKey)
+    } catch (error) {
+      this.logger_.warn(`Failed to read ${fileKey}: ${error.message}`)
+      return false
+    }
+
+    return this.uploadImageDerivatives(fileKey, content, getAccess(stat.metaData['access']))
+  }
+
+  /**
+   * Whether a file was uploaded as public media, e.g. product images uploaded in the
+   * admin. Always false in a private bucket, and for files uploaded before the access
+   * was stored with them.
+   */
+  async isPublicMedia(fileKey: string): Promise<boolean> {
+    if (this.config_.private) {
+      return false
+    }
+
+    try {
+      const stat = await this.client.statObject(this.bucket, fileKey)
+      return stat.metaData['access'] === 'public'
+    } catch {
+      return false
+    }
+  }
+
+  private async getObjectContent(fileKey: string): Promise<Buffer> {
+    const chunks: Buffer[] = []
+    for await (const chunk of await this.client.getObject(this.bucket, fileKey)) {
+      chunks.push(chunk)
+    }
+    return Buffer.concat(chunks)
+  }
+
+  /**
+   * Generates the derivatives missing for images that were uploaded before derivatives
+   * were enabled. Returns the number of images derivatives were generated for.
+   */
+  async generateMissingImageDerivatives(): Promise<number> {
+    const keys = new Set((await this.listFiles()).map((file) => file.key))
+
+    let count = 0
+
+    for (const key of keys) {
+      if (isDerivativeKey(key) || getDerivativeKeys(key).every((derivativeKey) => keys.has(derivativeKey))) {
+        continue
+      }
+
+      const stat = await this.client.statObject(this.bucket, key)
+      if (!isResizableImage(stat.metaData['content-type'])) {
+        continue
+      }
+
+      const content = await this.getObjectContent(key)
+      if (await this.uploadImageDerivatives(key, content, getAccess(stat.metaData['access']))) {
+        count++
+      }
+    }
+
+    return count
+  }
+
+  /**
+   * Lists every object in the bucket, including image derivatives.
+   */
+  async listFiles(): Promise<MinioFileObject[]> {
+    const files: MinioFileObject[] = []
+
+    for await (const object of this.client.listObjectsV2(this.bucket, '', true)) {
+      if (object.name) {
+        files.push({ key: object.name, size: object.size, lastModified: object.lastModified })
+      }
+    }
+
+    return files
+  }
+
   async delete(
     fileData: ProviderDeleteFileDTO
   ): Promise<void> {
@@ -207,6 +450,9 @@ class MinioFileProviderService extends AbstractFileProviderService {
     try {
       await this.client.removeObject(this.bucket, fileData.fileKey)
       this.logger_.info(`Successfully deleted file ${fileData.fileKey} from MinIO bucket ${this.bucket}`)
+
+      // Derivatives only exist for images, removing keys that don't exist is a no-op
+      await this.client.removeObjects(this.bucket, getDerivativeKeys(fileData.fileKey))
     } catch (error) {
       // Log error but don't throw if file doesn't exist
       this.logger_.warn(`Failed to delete file ${fileData.fileKey}: ${error.message}`)
@@ -227,7 +473,7 @@ class MinioFileProviderService extends AbstractFileProviderService {
       const url = await this.client.presignedGetObject(
         this.bucket,
         fileData.fileKey,
-        24 * 60 * 60 // URL expires in 24 hours
+        this.config_.presignedUrlExpiresIn
       )
       this.logger_.info(`Generated presigned URL for file ${fileData.fileKey}`)
       return url
@@ -0,0 +1,13 @@
+import { Migration } from '@mikro-orm/migrations'
+
+export class Migration20261019120000 extends Migration {
+  async up(): Promise<void> {
+    this.addSql(`create table if not exists "outbox_notification" ("id" text not null, "to" text not null, "channel" text not null, "template" text not null, "data" jsonb null, "trigger_type" text null, "resource_id" text null, "resource_type" text null, "status" text check ("status" in ('pending', 'sent', 'failed', 'dead')) not null default 'pending', "attempts" integer not null default 0, "last_error" text null, "next_attempt_at" timestamptz null, "sent_at" timestamptz null, "created_at" timestamptz not null default now(), "updated_at" timestamptz not null default now(), "deleted_at" timestamptz null, constraint "outbox_notification_pkey" primary key ("id"));`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_outbox_notification_deleted_at" ON "outbox_notification" (deleted_at) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_outbox_notification_status_next_attempt_at" ON "outbox_notification" (status, next_attempt_at) WHERE deleted_at IS NULL;`)
+  }
+
+  async down(): Promise<void> {
+    this.addSql(`drop table if exists "outbox_notification" cascade;`)
+  }
+}
@@ -0,0 +1,11 @@
+import { Migration } from '@mikro-orm/migrations'
+
+export class Migration20261020110000 extends Migration {
+  async up(): Promise<void> {
+    this.addSql(`alter table if exists "outbox_notification" add column if not exists "encrypted_data" text null;`)
+  }
+
+  async down(): Promise<void> {
+    this.addSql(`alter table if exists "outbox_notification" drop column if exists "encrypted_data";`)
+  }
+}
@@ -0,0 +1,40 @@
+import { model } from '@medusajs/framework/utils'
+
+export const OutboxNotificationStatus = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  DEAD: 'dead'
+} as const
+
+export type OutboxNotificationStatusType =
+  (typeof OutboxNotificationStatus)[keyof typeof OutboxNotificationStatus]
+
+/**
+ * A notification that was handed to the outbox. It keeps everything needed to send
+ * it again, so failed sends can be retried without the event that triggered them.
+ */
+export const OutboxNotification = model.define('outbox_notification', {
+  id: model.id({ prefix: 'outnoti' }).primaryKey(),
+  to: model.text().searchable(),
+  channel: model.text(),
+  template: model.text(),
+  // Secrets in the data are redacted, see `sendNotification`
+  data: model.json().nullable(),
+  // The data with its secrets, encrypted. Only set when the data has secrets
+  encrypted_data: model.text().nullable(),
+  // The event or job that created the notification, e.g. `order.placed`
+  trigger_type: model.text().nullable(),
+  resource_id: model.text().nullable(),
+  resource_type: model.text().nullable(),
+  status: model.enum(Object.values(OutboxNotificationStatus)).default(OutboxNotificationStatus.PENDING),
+  attempts: model.number().default(0),
+  last_error: model.text().nullable(),
+  next_attempt_at: model.dateTime().nullable(),
+  sent_at: model.dateTime().nullable()
+})
+.indexes([
+  {
+    on: ['status', 'next_attempt_at']
+  }
+])
@@ -0,0 +1,84 @@
+import { MedusaService } from '@medusajs/framework/utils'
+import { OutboxNotification, OutboxNotificationStatus } from './models/outbox-notification'
+
+export interface NotificationOutboxModuleOptions {
+  /**
+   * Number of send attempts before a notification is moved to the dead-letter state
+   */
+  max_attempts?: number
+  /**
+   * Delay before the first retry in milliseconds, doubled for every further attempt
+   */
+  base_retry_delay?: number
+}
+
+const DEFAULT_MAX_ATTEMPTS = 5
+const DEFAULT_BASE_RETRY_DELAY = 60 * 1000 // 1 minute
+const MAX_RETRY_DELAY = 24 * 60 * 60 * 1000 // 24 hours
+
+/**
+ * Service for the notification outbox. Records every notification we send together
+ * with its delivery status, and schedules failed sends for a retry with exponential backoff.
+ */
+class NotificationOutboxModuleService extends MedusaService({
+  OutboxNotification
+}) {
+  protected readonly maxAttempts_: number
+  protected readonly baseRetryDelay_: number
+
+  constructor(container: Record<string, unknown>, options: NotificationOutboxModuleOptions = {}) {
+    super(...arguments)
+    this.maxAttempts_ = options.max_attempts ?? DEFAULT_MAX_ATTEMPTS
+    this.baseRetryDelay_ = options.base_retry_delay ?? DEFAULT_BASE_RETRY_DELAY
+  }
+
+  /**
+   * Mark a notification as successfully sent
+   * @param id - The ID of the outbox notification
+   */
+  async markSent(id: string) {
+    const notification = await this.retrieveOutboxNotification(id)
+
+    return await this.updateOutboxNotifications({
+      id,
+      status: OutboxNotificationStatus.SENT,
+      attempts: notification.attempts + 1,
+      last_error: null,
+      next_attempt_at: null,
+      sent_at: new Date()
+    })
+  }
+
+  /**
+   * Record a failed send attempt. The notification is scheduled for a retry, or moved
+   * to the dead-letter state once it ran out of attempts.
+   * @param id - The ID of the outbox notification
+   * @param error - The error message of the failed attempt
+   */
+  async markFailed(id: string, error: string) {
+    const notification = await this.retrieveOutboxNotification(id)
+    const attempts = notification.attempts + 1
+
+    if (attempts >= this.maxAttempts_) {
+      return await this.updateOutboxNotifications({
+        id,
+        status: OutboxNotificationStatus.DEAD,
+        attempts,
+        last_error: error,
+        next_attempt_at: null
+      })
+    }
+
+    const delay = Math.min(this.baseRetryDelay_ * 2 ** (attempts - 1), MAX_RETRY_DELAY)
+
+    return await this.updateOutboxNotifications({
+      id,
+      status: OutboxNotificationStatus.FAILED,
+      attempts,
+      last_error: error,
+      next_attempt_at: new Date(Date.now() + delay)
+    })
+  }
+}
+
+export default NotificationOutboxModuleService
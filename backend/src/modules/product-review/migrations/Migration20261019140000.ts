@@ -0,0 +1,14 @@
+import { Migration } from '@mikro-orm/migrations'
+
+export class Migration20261019140000 extends Migration {
+  async up(): Promise<void> {
+    this.addSql(`create table if not exists "product_review" ("id" text not null, "product_id" text not null, "customer_id" text not null, "display_name" text not null, "rating" integer not null, "title" text null, "body" text not null, "verified_purchase" boolean not null default false, "status" text check ("status" in ('pending', 'approved', 'rejected')) not null default 'pending', "created_at" timestamptz not null default now(), "updated_at" timestamptz not null default now(), "deleted_at" timestamptz null, constraint "product_review_pkey" primary key ("id"));`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_product_review_deleted_at" ON "product_review" (deleted_at) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_product_review_product_id_status" ON "product_review" (product_id, status) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE UNIQUE INDEX IF NOT EXISTS "IDX_product_review_customer_id_product_id_unique" ON "product_review" (customer_id, product_id) WHERE deleted_at IS NULL;`)
+  }
+
+  async down(): Promise<void> {
+    this.addSql(`drop table if exists "product_review" cascade;`)
+  }
+}
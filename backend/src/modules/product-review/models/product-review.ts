@@ -0,0 +1,37 @@
+import { model } from '@medusajs/framework/utils'
+
+export const ProductReviewStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+} as const
+
+export type ProductReviewStatusType =
+  (typeof ProductReviewStatus)[keyof typeof ProductReviewStatus]
+
+/**
+ * A customer review of a product. Reviews are only shown in the store once they
+ * have been approved by a moderator.
+ */
+export const ProductReview = model.define('product_review', {
+  id: model.id({ prefix: 'prev' }).primaryKey(),
+  product_id: model.text(),
+  customer_id: model.text(),
+  // Name shown with the review, e.g. "Jane D."
+  display_name: model.text(),
+  rating: model.number(),
+  title: model.text().nullable(),
+  body: model.text(),
+  // Set when the customer has a completed order containing the product
+  verified_purchase: model.boolean().default(false),
+  status: model.enum(Object.values(ProductReviewStatus)).default(ProductReviewStatus.PENDING)
+})
+.indexes([
+  {
+    on: ['product_id', 'status']
+  },
+  {
+    on: ['customer_id', 'product_id'],
+    unique: true
+  }
+])
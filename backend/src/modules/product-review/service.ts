@@ -0,0 +1,41 @@
+import { MedusaService } from '@medusajs/framework/utils'
+import { ProductReview, ProductReviewStatus } from './models/product-review'
+
+export interface ProductRatingSummary {
+  product_id: string
+  average_rating: number | null
+  count: number
+}
+
+/**
+ * Service for product reviews and the ratings derived from them.
+ */
+class ProductReviewModuleService extends MedusaService({
+  ProductReview
+}) {
+  /**
+   * Average rating and number of approved reviews per product. Products without
+   * approved reviews get an average rating of `null`.
+   * @param productIds - The products to summarize
+   */
+  async getRatingSummaries(productIds: string[]): Promise<ProductRatingSummary[]> {
+    const reviews = await this.listProductReviews(
+      { product_id: productIds, status: ProductReviewStatus.APPROVED },
+      { select: ['product_id', 'rating'] }
+    )
+
+    return productIds.map((productId) => {
+      const ratings = reviews.filter((review) => review.product_id === productId).map((review) => review.rating)
+
+      return {
+        product_id: productId,
+        average_rating: ratings.length
+          ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 10) / 10
+          : null,
+        count: ratings.length
+      }
+    })
+  }
+}
+
+export default ProductReviewModuleService
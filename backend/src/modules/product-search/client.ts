@@ -0,0 +1,11 @@
+/**
+ * Creates a Meilisearch client. `meilisearch` is an ES module, so it's loaded with a
+ * dynamic import.
+ */
+export async function createMeiliSearchClient(host: string, apiKey: string) {
+  const { MeiliSearch } = await import('meilisearch')
+  return new MeiliSearch({ host, apiKey })
+}
+
+export type MeiliSearchClient = Awaited<ReturnType<typeof createMeiliSearchClient>>
+export type MeiliSearchSettings = Parameters<ReturnType<MeiliSearchClient['index']>['updateSettings']>[0]
@@ -0,0 +1,12 @@
+import { Migration } from '@mikro-orm/migrations'
+
+export class Migration20261019170000 extends Migration {
+  async up(): Promise<void> {
+    this.addSql(`create table if not exists "product_search_settings" ("id" text not null, "synonyms" jsonb null, "stop_words" text[] null, "typo_tolerance" jsonb null, "ranking_rules" text[] null, "created_at" timestamptz not null default now(), "updated_at" timestamptz not null default now(), "deleted_at" timestamptz null, constraint "product_search_settings_pkey" primary key ("id"));`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_product_search_settings_deleted_at" ON "product_search_settings" (deleted_at) WHERE deleted_at IS NULL;`)
+  }
+
+  async down(): Promise<void> {
+    this.addSql(`drop table if exists "product_search_settings" cascade;`)
+  }
+}
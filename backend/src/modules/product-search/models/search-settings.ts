@@ -0,0 +1,16 @@
+import { model } from '@medusajs/framework/utils'
+
+/**
+ * Relevance settings of the products index managed in the admin. There is at most one
+ * row. Fields left empty fall back to the `indexSettings` of the module options, then
+ * to the Meilisearch defaults.
+ */
+export const SearchSettings = model.define('product_search_settings', {
+  id: model.id({ prefix: 'pss' }).primaryKey(),
+  // Meilisearch format, e.g. `{ "hoodie": ["sweatshirt"], "sweatshirt": ["hoodie"] }`
+  synonyms: model.json().nullable(),
+  stop_words: model.array().nullable(),
+  // Meilisearch format, e.g. `{ "enabled": true, "minWordSizeForTypos": { "oneTypo": 5 } }`
+  typo_tolerance: model.json().nullable(),
+  ranking_rules: model.array().nullable()
+})
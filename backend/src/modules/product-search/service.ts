@@ -0,0 +1,205 @@
+import { Logger } from '@medusajs/framework/types'
+import { MedusaError, MedusaService } from '@medusajs/framework/utils'
+import { createMeiliSearchClient, MeiliSearchClient, MeiliSearchSettings } from './client'
+import { SearchSettings } from './models/search-settings'
+import { ProductSearchDocument, ProductSearchModuleOptions, ProductSearchRelevanceSettings } from './types'
+
+type InjectedDependencies = {
+  logger: Logger
+}
+
+const DEFAULT_INDEX_NAME = 'products'
+const DOCUMENTS_PAGE_SIZE = 1000
+
+const RELEVANCE_FIELDS = ['synonyms', 'stop_words', 'typo_tolerance', 'ranking_rules'] as const
+
+/**
+ * Service to keep the Meilisearch products index in sync, and the relevance settings
+ * managed in the admin. The documents are built outside of the module, as that needs
+ * data of other modules.
+ */
+class ProductSearchModuleService extends MedusaService({
+  SearchSettings
+}) {
+  protected readonly logger_: Logger
+  protected readonly options_: ProductSearchModuleOptions
+  protected client_?: Promise<MeiliSearchClient>
+
+  __hooks = {
+    onApplicationStart: async () => {
+      await this.applySettings().catch((error) => {
+        this.logger_.error(`Failed to apply Meilisearch settings to ${this.getIndexName()}: ${error.message}`)
+      })
+    }
+  }
+
+  constructor({ logger }: InjectedDependencies, options: ProductSearchModuleOptions) {
+    super(...arguments)
+
+    if (!options?.host || !options?.apiKey) {
+      throw new MedusaError(
+        MedusaError.Types.INVALID_DATA,
+        'The product search module requires a Meilisearch "host" and "apiKey"'
+      )
+    }
+
+    this.logger_ = logger
+    this.options_ = options
+  }
+
+  protected getClient(): Promise<MeiliSearchClient> {
+    this.client_ ??= createMeiliSearchClient(this.options_.host, this.options_.apiKey)
+    return this.client_
+  }
+
+  getIndexName(): string {
+    return this.options_.indexName ?? DEFAULT_INDEX_NAME
+  }
+
+  /**
+   * The relevance settings managed in the admin. Fields that were never set are `null`.
+   */
+  async getRelevanceSettings(): Promise<ProductSearchRelevanceSettings> {
+    const [settings] = await this.listSearchSettings({}, { take: 1 })
+
+    return {
+      synonyms: (settings?.synonyms as ProductSearchRelevanceSettings['synonyms']) ?? null,
+      stop_words: settings?.stop_words ?? null,
+      typo_tolerance: (settings?.typo_tolerance as ProductSearchRelevanceSettings['typo_tolerance']) ?? null,
+      ranking_rules: settings?.ranking_rules ?? null
+    }
+  }
+
+  /**
+   * Updates relevance settings and pushes them to the index. They are only stored once
+   * Meilisearch has accepted them. Fields that aren't passed are kept, `null` resets a
+   * field to the module options.
+   * @param data - The settings to change
+   */
+  async updateRelevanceSettings(
+    data: Partial<ProductSearchRelevanceSettings>
+  ): Promise<ProductSearchRelevanceSettings> {
+    const current = await this.getRelevanceSettings()
+    const updated = { ...current }
+
+    for (const field of RELEVANCE_FIELDS) {
+      if (data[field] !== undefined) {
+        Object.assign(updated, { [field]: data[field] })
+      }
+    }
+
+    try {
+      await this.applySettings(updated)
+    } catch (error) {
+      throw new MedusaError(MedusaError.Types.INVALID_DATA, `Meilisearch rejected the settings: ${error.message}`)
+    }
+
+    const [existing] = await this.listSearchSettings({}, { take: 1 })
+    const values = {
+      synonyms: updated.synonyms,
+      stop_words: updated.stop_words,
+      typo_tolerance: updated.typo_tolerance as Record<string, unknown> | null,
+      ranking_rules: updated.ranking_rules
+    }
+
+    if (existing) {
+      await this.updateSearchSettings({ id: existing.id, ...values })
+    } else {
+      await this.createSearchSettings(values)
+    }
+
+    return updated
+  }
+
+  /**
+   * Creates the index if it doesn't exist and applies the settings of the module
+   * options, with the relevance settings managed in the admin on top.
+   * @param relevanceSettings - Settings to apply instead of the stored ones
+   */
+  async applySettings(relevanceSettings?: ProductSearchRelevanceSettings): Promise<void> {
+    const client = await this.getClient()
+    const indexName = this.getIndexName()
+    const { synonyms, stop_words, typo_tolerance, ranking_rules } =
+      relevanceSettings ?? (await this.getRelevanceSettings())
+
+    // Fails without throwing when the index already exists
+    const createTask = await client.createIndex(indexName, { primaryKey: 'id' })
+    await client.waitForTask(createTask.taskUid)
+
+    // Settings that are neither stored nor configured are reset to the Meilisearch defaults
+    const settings: MeiliSearchSettings = {
+      ...this.options_.indexSettings,
+      synonyms: synonyms ?? this.options_.indexSettings?.synonyms ?? null,
+      stopWords: stop_words ?? this.options_.indexSettings?.stopWords ?? null,
+      typoTolerance: typo_tolerance ?? this.options_.indexSettings?.typoTolerance ?? null,
+      rankingRules: ranking_rules ?? this.options_.indexSettings?.rankingRules ?? null
+    }
+
+    const settingsTask = await client.index(indexName).updateSettings(settings)
+    const { status, error } = await client.waitForTask(settingsTask.taskUid)
+
+    if (status === 'failed') {
+      throw new Error(error?.message ?? 'Updating the settings failed')
+    }
+
+    this.logger_.info(`Applied Meilisearch settings to index ${indexName}`)
+  }
+
+  /**
+   * Deletes the index with all of its documents, and creates it again with the settings.
+   */
+  async recreateIndex(): Promise<void> {
+    const client = await this.getClient()
+
+    // Fails without throwing when the index doesn't exist
+    const deleteTask = await client.deleteIndex(this.getIndexName())
+    await client.waitForTask(deleteTask.taskUid)
+
+    await this.applySettings()
+  }
+
+  /**
+   * IDs of all documents in the index.
+   */
+  async listDocumentIds(): Promise<string[]> {
+    const client = await this.getClient()
+    const index = client.index(this.getIndexName())
+    const ids: string[] = []
+
+    for (let offset = 0; ; offset += DOCUMENTS_PAGE_SIZE) {
+      const { results } = await index.getDocuments<{ id: string }>({
+        fields: ['id'],
+        limit: DOCUMENTS_PAGE_SIZE,
+        offset
+      })
+      ids.push(...results.map((document) => document.id))
+
+      if (results.length < DOCUMENTS_PAGE_SIZE) {
+        return ids
+      }
+    }
+  }
+
+  /**
+   * Adds or replaces documents in the index.
+   */
+  async upsertDocuments(documents: ProductSearchDocument[]): Promise<void> {
+    if (!documents.length) {
+      return
+    }
+
+    const client = await this.getClient()
+    await client.index(this.getIndexName()).addDocuments(documents, { primaryKey: 'id' })
+  }
+
+  async deleteDocuments(ids: string[]): Promise<void> {
+    if (!ids.length) {
+      return
+    }
+
+    const client = await this.getClient()
+    await client.index(this.getIndexName()).deleteDocuments(ids)
+  }
+}
+
+export default ProductSearchModuleService
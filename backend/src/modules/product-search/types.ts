@@ -0,0 +1,54 @@
+import { MeiliSearchSettings } from './client'
+
+export interface ProductSearchModuleOptions {
+  host: string
+  apiKey: string
+  /**
+   * Defaults to `products`
+   */
+  indexName?: string
+  /**
+   * Meilisearch settings of the index, applied on startup
+   */
+  indexSettings?: MeiliSearchSettings
+}
+
+/**
+ * A product as it's stored in the search index. Facet values are titles, not IDs, so
+ * the storefront can show them without another lookup.
+ */
+export interface ProductSearchDocument {
+  id: string
+  title: string
+  subtitle: string | null
+  description: string | null
+  handle: string
+  thumbnail: string | null
+  variant_sku: string[]
+  categories: string[]
+  collection: string | null
+  tags: string[]
+  /**
+   * Option values by lowercase option title, e.g. `{ size: ['S', 'M'], color: ['Black'] }`
+   */
+  options: Record<string, string[]>
+  in_stock: boolean
+  /**
+   * Lowest calculated variant price by region ID, in the region's currency
+   */
+  min_price: Record<string, number>
+  /**
+   * Unix timestamp in seconds, for sorting
+   */
+  created_at: number
+}
+
+/**
+ * Relevance settings managed in the admin. `null` falls back to the module options.
+ */
+export interface ProductSearchRelevanceSettings {
+  synonyms: Record<string, string[]> | null
+  stop_words: string[] | null
+  typo_tolerance: NonNullable<MeiliSearchSettings['typoTolerance']> | null
+  ranking_rules: string[] | null
+}
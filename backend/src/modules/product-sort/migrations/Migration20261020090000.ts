@@ -0,0 +1,15 @@
+import { Migration } from '@mikro-orm/migrations'
+
+export class Migration20261020090000 extends Migration {
+  async up(): Promise<void> {
+    this.addSql(`create table if not exists "product_sort_entry" ("id" text not null, "product_id" text not null, "product_created_at" timestamptz not null, "collection_id" text null, "category_ids" text[] not null, "sales_channel_ids" text[] not null, "prices" jsonb not null, "units_sold" integer not null default 0, "created_at" timestamptz not null default now(), "updated_at" timestamptz not null default now(), "deleted_at" timestamptz null, constraint "product_sort_entry_pkey" primary key ("id"));`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_product_sort_entry_deleted_at" ON "product_sort_entry" (deleted_at) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE UNIQUE INDEX IF NOT EXISTS "IDX_product_sort_entry_product_id_unique" ON "product_sort_entry" (product_id) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_product_sort_entry_units_sold" ON "product_sort_entry" (units_sold) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_product_sort_entry_product_created_at" ON "product_sort_entry" (product_created_at) WHERE deleted_at IS NULL;`)
+  }
+
+  async down(): Promise<void> {
+    this.addSql(`drop table if exists "product_sort_entry" cascade;`)
+  }
+}
@@ -0,0 +1,30 @@
+import { model } from '@medusajs/framework/utils'
+
+/**
+ * The values a published product is sorted and filtered by in the catalog, copied
+ * from other modules so the catalog can be sorted and paginated in one query.
+ */
+export const ProductSortEntry = model.define('product_sort_entry', {
+  id: model.id({ prefix: 'psort' }).primaryKey(),
+  product_id: model.text(),
+  product_created_at: model.dateTime(),
+  collection_id: model.text().nullable(),
+  category_ids: model.array(),
+  sales_channel_ids: model.array(),
+  // Lowest calculated price of the product, keyed by region ID
+  prices: model.json(),
+  // Units sold in the orders of the last 90 days
+  units_sold: model.number().default(0)
+})
+.indexes([
+  {
+    on: ['product_id'],
+    unique: true
+  },
+  {
+    on: ['units_sold']
+  },
+  {
+    on: ['product_created_at']
+  }
+])
@@ -0,0 +1,148 @@
+import { Context } from '@medusajs/framework/types'
+import { InjectManager, MedusaContext, MedusaService } from '@medusajs/framework/utils'
+import { EntityManager } from '@mikro-orm/knex'
+import { ProductSortEntry } from './models/product-sort-entry'
+import { ProductSortEntryInput, SortedProductsInput } from './types'
+
+const PRODUCT_SORT_ENTRY_TABLE = 'product_sort_entry'
+
+/**
+ * Service for the sort values of published products, so the catalog can be sorted by
+ * price or popularity and paginated in the database. The values are copied from other
+ * modules outside of this one, see the `product-sort-sync` subscriber and the
+ * `product-sort-rebuild` job.
+ */
+class ProductSortModuleService extends MedusaService({
+  ProductSortEntry
+}) {
+  /**
+   * Published products sorted by creation date, by their lowest price in a region, or
+   * by the units sold recently, paginated with `offset` and `limit`. Newest first breaks
+   * ties, and products without a price in the region come last when sorting by price.
+   * @returns The IDs of the products on the page, and the number of matching products
+   */
+  @InjectManager()
+  async listSortedProductIds(
+    input: SortedProductsInput,
+    @MedusaContext() sharedContext: Context<EntityManager> = {}
+  ): Promise<{ product_ids: string[]; count: number }> {
+    const knex = sharedContext.manager!.getKnex()
+
+    const matching = knex(PRODUCT_SORT_ENTRY_TABLE).whereNull('deleted_at')
+
+    if (input.sales_channel_ids?.length) {
+      matching.whereRaw('sales_channel_ids && ?::text[]', [input.sales_channel_ids])
+    }
+    if (input.id) {
+      matching.whereIn('product_id', input.id)
+    }
+    if (input.collection_id) {
+      matching.whereIn('collection_id', input.collection_id)
+    }
+    if (input.category_id) {
+      matching.whereRaw('category_ids && ?::text[]', [input.category_id])
+    }
+
+    const [{ count }]: { count: string }[] = await matching.clone().count('* as count')
+
+    const page = matching.clone().select('product_id')
+
+    if (input.order === 'price_asc' || input.order === 'price_desc') {
+      const direction = input.order === 'price_asc' ? 'asc' : 'desc'
+      page.orderByRaw(`(prices ->> ?)::numeric ${direction} nulls last`, [input.region.id])
+    }
+    if (input.order === 'best_selling') {
+      page.orderBy('units_sold', 'desc')
+    }
+
+    const rows: { product_id: string }[] = await page
+      .orderBy('product_created_at', 'desc')
+      .orderBy('product_id', 'asc')
+      .offset(input.offset)
+      .limit(input.limit)
+
+    return {
+      product_ids: rows.map((row) => row.product_id),
+      count: Number(count)
+    }
+  }
+
+  /**
+   * Create or update the sort entries of products, keeping their units sold.
+   */
+  async upsertSortEntries(entries: ProductSortEntryInput[]) {
+    if (!entries.length) {
+      return
+    }
+
+    const existing = await this.listProductSortEntries(
+      { product_id: entries.map((entry) => entry.product_id) },
+      { select: ['id', 'product_id'] }
+    )
+    const idsByProduct = new Map(existing.map((entry) => [entry.product_id, entry.id]))
+
+    const updates = entries.filter((entry) => idsByProduct.has(entry.product_id))
+    const creates = entries.filter((entry) => !idsByProduct.has(entry.product_id))
+
+    if (updates.length) {
+      await this.updateProductSortEntries(
+        updates.map((entry) => ({ id: idsByProduct.get(entry.product_id)!, ...entry }))
+      )
+    }
+    if (creates.length) {
+      await this.createProductSortEntries(creates)
+    }
+  }
+
+  /**
+   * Remove the sort entries of products that were deleted or are no longer published.
+   */
+  async removeSortEntries(productIds: string[]) {
+    if (!productIds.length) {
+      return
+    }
+
+    const entries = await this.listProductSortEntries({ product_id: productIds }, { select: ['id'] })
+    await this.deleteProductSortEntries(entries.map((entry) => entry.id))
+  }
+
+  /**
+   * Add units sold to products, or take them off with negative quantities. Done in one
+   * statement, so concurrent orders don't overwrite each other.
+   * @param unitsSold - Units to add, keyed by product ID
+   */
+  @InjectManager()
+  async addUnitsSold(
+    unitsSold: Record<string, number>,
+    @MedusaContext() sharedContext: Context<EntityManager> = {}
+  ) {
+    const knex = sharedContext.manager!.getKnex()
+
+    for (const [productId, quantity] of Object.entries(unitsSold)) {
+      await knex(PRODUCT_SORT_ENTRY_TABLE)
+        .where('product_id', productId)
+        .whereNull('deleted_at')
+        .update({ units_sold: knex.raw('greatest(units_sold + ?, 0)', [quantity]) })
+    }
+  }
+
+  /**
+   * Replace the units sold of all products, products left out are set to 0.
+   * @param unitsSold - Units sold, keyed by product ID
+   */
+  @InjectManager()
+  async setUnitsSold(
+    unitsSold: Record<string, number>,
+    @MedusaContext() sharedContext: Context<EntityManager> = {}
+  ) {
+    const knex = sharedContext.manager!.getKnex()
+
+    await knex(PRODUCT_SORT_ENTRY_TABLE)
+      .whereNull('deleted_at')
+      .update({
+        units_sold: knex.raw('coalesce((?::jsonb ->> product_id)::integer, 0)', [JSON.stringify(unitsSold)])
+      })
+  }
+}
+
+export default ProductSortModuleService
@@ -0,0 +1,26 @@
+export const PRODUCT_SORT_ORDERS = ['created_at', 'price_asc', 'price_desc', 'best_selling'] as const
+
+export type ProductSortOrder = (typeof PRODUCT_SORT_ORDERS)[number]
+
+export interface SortedProductsInput {
+  order: ProductSortOrder
+  region: { id: string }
+  /**
+   * Sales channels of the publishable API key, products outside of them are left out
+   */
+  sales_channel_ids?: string[]
+  id?: string[]
+  collection_id?: string[]
+  category_id?: string[]
+  offset: number
+  limit: number
+}
+
+export interface ProductSortEntryInput {
+  product_id: string
+  product_created_at: Date
+  collection_id: string | null
+  category_ids: string[]
+  sales_channel_ids: string[]
+  prices: Record<string, number>
+}
@@ -0,0 +1,8 @@
+import { Module } from '@medusajs/framework/utils'
+import SearchAnalyticsModuleService from './service'
+
+export const SEARCH_ANALYTICS_MODULE = 'searchAnalytics'
+
+export default Module(SEARCH_ANALYTICS_MODULE, {
+  service: SearchAnalyticsModuleService
+})
@@ -0,0 +1,14 @@
+import { Migration } from '@mikro-orm/migrations'
+
+export class Migration20261019160000 extends Migration {
+  async up(): Promise<void> {
+    this.addSql(`create table if not exists "search_event" ("id" text not null, "type" text check ("type" in ('search', 'click')) not null, "query" text not null, "result_count" integer null, "product_id" text null, "position" integer null, "source" text null, "created_at" timestamptz not null default now(), "updated_at" timestamptz not null default now(), "deleted_at" timestamptz null, constraint "search_event_pkey" primary key ("id"));`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_search_event_deleted_at" ON "search_event" (deleted_at) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_search_event_type_created_at" ON "search_event" (type, created_at) WHERE deleted_at IS NULL;`)
+    this.addSql(`CREATE INDEX IF NOT EXISTS "IDX_search_event_query" ON "search_event" (query) WHERE deleted_at IS NULL;`)
+  }
+
+  async down(): Promise<void> {
+    this.addSql(`drop table if exists "search_event" cascade;`)
+  }
+}
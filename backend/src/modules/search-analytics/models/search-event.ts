@@ -0,0 +1,33 @@
+import { model } from '@medusajs/framework/utils'
+
+export const SearchEventType = {
+  SEARCH: 'search',
+  CLICK: 'click'
+} as const
+
+export type SearchEventTypeValue = (typeof SearchEventType)[keyof typeof SearchEventType]
+
+/**
+ * A search made in the storefront, or a click on one of its results. Queries are
+ * stored normalized, so the same search typed differently is counted once.
+ */
+export const SearchEvent = model.define('search_event', {
+  id: model.id({ prefix: 'sev' }).primaryKey(),
+  type: model.enum(Object.values(SearchEventType)),
+  query: model.text(),
+  // Number of results of a search
+  result_count: model.number().nullable(),
+  // Clicked product and its position in the results, starting at 1
+  product_id: model.text().nullable(),
+  position: model.number().nullable(),
+  // Where the search was made, e.g. `modal` or `results`
+  source: model.text().nullable()
+})
+.indexes([
+  {
+    on: ['type', 'created_at']
+  },
+  {
+    on: ['query']
+  }
+])
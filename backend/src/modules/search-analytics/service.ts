@@ -0,0 +1,209 @@
+import { Context } from '@medusajs/framework/types'
+import { InjectManager, MedusaContext, MedusaService } from '@medusajs/framework/utils'
+import { EntityManager, Knex } from '@mikro-orm/knex'
+import { SearchEvent, SearchEventType, SearchEventTypeValue } from './models/search-event'
+
+export interface SearchDateRange {
+  from: Date
+  to: Date
+}
+
+export interface SearchQueryStats {
+  query: string
+  searches: number
+  clicks: number
+  // Clicks per search, can exceed 1 when results of a search are clicked several times
+  click_through_rate: number
+  average_result_count: number
+}
+
+export interface ZeroResultQuery {
+  query: string
+  searches: number
+  last_searched_at: Date
+}
+
+export interface SearchClickThrough {
+  searches: number
+  clicks: number
+  click_through_rate: number
+  zero_result_searches: number
+}
+
+const MAX_QUERY_LENGTH = 200
+const SEARCH_EVENT_TABLE = 'search_event'
+
+/**
+ * Normalize a search query, so the same search typed differently is counted once.
+ */
+export function normalizeSearchQuery(query: string): string {
+  return query.trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_QUERY_LENGTH)
+}
+
+/**
+ * Service for storefront searches and the clicks on their results.
+ */
+class SearchAnalyticsModuleService extends MedusaService({
+  SearchEvent
+}) {
+  /**
+   * Record a search and its number of results.
+   */
+  async recordSearch(data: { query: string; result_count: number; source?: string | null }) {
+    return await this.createSearchEvents({
+      type: SearchEventType.SEARCH,
+      query: normalizeSearchQuery(data.query),
+      result_count: data.result_count,
+      source: data.source ?? null
+    })
+  }
+
+  /**
+   * Record a click on a search result.
+   * @param data.position - Position of the product in the results, starting at 1
+   */
+  async recordClick(data: { query: string; product_id: string; position?: number | null; source?: string | null }) {
+    return await this.createSearchEvents({
+      type: SearchEventType.CLICK,
+      query: normalizeSearchQuery(data.query),
+      product_id: data.product_id,
+      position: data.position ?? null,
+      source: data.source ?? null
+    })
+  }
+
+  /**
+   * Most searched queries in a date range with their clicks.
+   * @param range - The date range
+   * @param limit - Maximum number of queries
+   */
+  @InjectManager()
+  async getTopQueries(
+    range: SearchDateRange,
+    limit: number,
+    @MedusaContext() sharedContext: Context<EntityManager> = {}
+  ): Promise<SearchQueryStats[]> {
+    const knex = sharedContext.manager!.getKnex()
+
+    const searches: { query: string; searches: string; average_result_count: string }[] = await this.events_(
+      knex,
+      SearchEventType.SEARCH,
+      range
+    )
+      .select('query')
+      .count({ searches: '*' })
+      .select(knex.raw('avg(coalesce(result_count, 0)) as average_result_count'))
+      .groupBy('query')
+      .orderBy([{ column: 'searches', order: 'desc' }, { column: 'query' }])
+      .limit(limit)
+
+    const clicks: { query: string; clicks: string }[] = searches.length
+      ? await this.events_(knex, SearchEventType.CLICK, range)
+          .select('query')
+          .count({ clicks: '*' })
+          .whereIn(
+            'query',
+            searches.map((search) => search.query)
+          )
+          .groupBy('query')
+      : []
+    const clicksByQuery = new Map(clicks.map((click) => [click.query, Number(click.clicks)]))
+
+    return searches.map((search) => {
+      const searchCount = Number(search.searches)
+      const clickCount = clicksByQuery.get(search.query) ?? 0
+
+      return {
+        query: search.query,
+        searches: searchCount,
+        clicks: clickCount,
+        click_through_rate: toRate(clickCount, searchCount),
+        average_result_count: Math.round(Number(search.average_result_count) * 10) / 10
+      }
+    })
+  }
+
+  /**
+   * Queries without results in a date range, most searched first.
+   * @param range - The date range
+   * @param limit - Maximum number of queries
+   */
+  @InjectManager()
+  async getZeroResultQueries(
+    range: SearchDateRange,
+    limit: number,
+    @MedusaContext() sharedContext: Context<EntityManager> = {}
+  ): Promise<ZeroResultQuery[]> {
+    const knex = sharedContext.manager!.getKnex()
+
+    const queries: { query: string; searches: string; last_searched_at: Date }[] = await this.events_(
+      knex,
+      SearchEventType.SEARCH,
+      range
+    )
+      .where('result_count', 0)
+      .select('query')
+      .count({ searches: '*' })
+      .max({ last_searched_at: 'created_at' })
+      .groupBy('query')
+      .orderBy([{ column: 'searches', order: 'desc' }, { column: 'query' }])
+      .limit(limit)
+
+    return queries.map((entry) => ({
+      query: entry.query,
+      searches: Number(entry.searches),
+      last_searched_at: new Date(entry.last_searched_at)
+    }))
+  }
+
+  /**
+   * Searches, clicks and the click-through rate of all searches in a date range.
+   * @param range - The date range
+   */
+  @InjectManager()
+  async getClickThrough(
+    range: SearchDateRange,
+    @MedusaContext() sharedContext: Context<EntityManager> = {}
+  ): Promise<SearchClickThrough> {
+    const knex = sharedContext.manager!.getKnex()
+
+    const [totals]: { searches: string; clicks: string; zero_result_searches: string }[] = await knex(
+      SEARCH_EVENT_TABLE
+    )
+      .whereBetween('created_at', [range.from, range.to])
+      .whereNull('deleted_at')
+      .select(
+        knex.raw(`count(*) filter (where type = ?) as searches`, [SearchEventType.SEARCH]),
+        knex.raw(`count(*) filter (where type = ?) as clicks`, [SearchEventType.CLICK]),
+        knex.raw(`count(*) filter (where type = ? and result_count = 0) as zero_result_searches`, [
+          SearchEventType.SEARCH
+        ])
+      )
+    const searches = Number(totals?.searches ?? 0)
+    const clicks = Number(totals?.clicks ?? 0)
+
+    return {
+      searches,
+      clicks,
+      click_through_rate: toRate(clicks, searches),
+      zero_result_searches: Number(totals?.zero_result_searches ?? 0)
+    }
+  }
+
+  /**
+   * Events of a type in a date range. The reports aggregate them in the database, as
+   * there can be far too many to load.
+   */
+  protected events_(knex: Knex, type: SearchEventTypeValue, range: SearchDateRange) {
+    return knex(SEARCH_EVENT_TABLE)
+      .where('type', type)
+      .whereBetween('created_at', [range.from, range.to])
+      .whereNull('deleted_at')
+  }
+}
+
+function toRate(count: number, total: number) {
+  return total ? Math.round((count / total) * 1000) / 1000 : 0
+}
+
+export default SearchAnalyticsModuleService
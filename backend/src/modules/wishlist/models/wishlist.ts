@@ -0,0 +1,14 @@
+import { model } from '@medusajs/framework/utils'
+import { WishlistItem } from './wishlist-item'
+
+/**
+ * The wishlist of a customer. Every customer has at most one.
+ */
+export const Wishlist = model.define('wishlist', {
+  id: model.id({ prefix: 'wl' }).primaryKey(),
+  customer_id: model.text().unique(),
+  items: model.hasMany(() => WishlistItem, { mappedBy: 'wishlist' })
+})
+.cascades({
+  delete: ['items']
+})
@@ -0,0 +1,61 @@
+import { MedusaService } from '@medusajs/framework/utils'
+import { Wishlist } from './models/wishlist'
+import { WishlistItem } from './models/wishlist-item'
+
+/**
+ * Service for customer wishlists.
+ */
+class WishlistModuleService extends MedusaService({
+  Wishlist,
+  WishlistItem
+}) {
+  /**
+   * Get the wishlist of a customer with its items, creating it if it doesn't exist yet.
+   * @param customerId - The ID of the customer
+   */
+  async getOrCreateWishlist(customerId: string) {
+    let [wishlist] = await this.listWishlists({ customer_id: customerId }, { relations: ['items'] })
+
+    if (!wishlist) {
+      const created = await this.createWishlists({ customer_id: customerId })
+      wishlist = await this.retrieveWishlist(created.id, { relations: ['items'] })
+    }
+
+    return wishlist
+  }
+
+  /**
+   * Add products to a customer's wishlist. Products that are already on it are skipped.
+   * @param customerId - The ID of the customer
+   * @param productIds - The products to add
+   */
+  async addProducts(customerId: string, productIds: string[]) {
+    const wishlist = await this.getOrCreateWishlist(customerId)
+    const existing = new Set(wishlist.items.map((item) => item.product_id))
+    const toAdd = [...new Set(productIds)].filter((productId) => !existing.has(productId))
+
+    if (toAdd.length) {
+      await this.createWishlistItems(toAdd.map((product_id) => ({ product_id, wishlist_id: wishlist.id })))
+    }
+
+    return await this.retrieveWishlist(wishlist.id, { relations: ['items'] })
+  }
+
+  /**
+   * Remove a product from a customer's wishlist.
+   * @param customerId - The ID of the customer
+   * @param productId - The product to remove
+   */
+  async removeProduct(customerId: string, productId: string) {
+    const wishlist = await this.getOrCreateWishlist(customerId)
+    const item = wishlist.items.find((item) => item.product_id === productId)
+
+    if (item) {
+      await this.deleteWishlistItems(item.id)
+    }
+
+    return await this.retrieveWishlist(wishlist.id, { relations: ['items'] })
+  }
+}
+
+export default WishlistModuleService
@@ -0,0 +1,27 @@
+import { ExecArgs } from '@medusajs/framework/types'
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { getMinioFileProvider } from '../utils/minio-file-provider'
+import { syncAllProductImageDerivatives } from '../utils/product-image-derivatives'
+
+/**
+ * Generates the image derivatives missing in the MinIO bucket, e.g. for images uploaded
+ * before derivatives were enabled, and lists the images that have them in the metadata
+ * of every product.
+ *
+ * npx medusa exec ./src/scripts/generate-image-derivatives.ts
+ */
+export default async function generateImageDerivatives({ container }: ExecArgs) {
+  const logger = container.resolve(ContainerRegistrationKeys.LOGGER)
+  const fileProvider = getMinioFileProvider(container)
+
+  if (!fileProvider) {
+    logger.warn('MinIO is not configured, there are no image derivatives to generate')
+    return
+  }
+
+  const count = await fileProvider.generateMissingImageDerivatives()
+  logger.info(`Generated derivatives for ${count} image(s)`)
+
+  const productCount = await syncAllProductImageDerivatives(container)
+  logger.info(`Updated the image derivatives of ${productCount} product(s)`)
+}
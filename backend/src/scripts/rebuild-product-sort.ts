@@ -0,0 +1,16 @@
+import { ExecArgs } from '@medusajs/framework/types'
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { rebuildProductSortEntries } from '../utils/product-sorting'
+
+/**
+ * Rebuilds the catalog sort values of all products right away, e.g. after adding the
+ * product sort module, instead of waiting for the `product-sort-rebuild` job.
+ *
+ * npx medusa exec ./src/scripts/rebuild-product-sort.ts
+ */
+export default async function rebuildProductSort({ container }: ExecArgs) {
+  const logger = container.resolve(ContainerRegistrationKeys.LOGGER)
+
+  const count = await rebuildProductSortEntries(container)
+  logger.info(`Rebuilt the catalog sort values of ${count} product(s)`)
+}
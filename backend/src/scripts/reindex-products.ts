@@ -0,0 +1,58 @@
+import { ExecArgs } from '@medusajs/framework/types'
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { findStaleSearchDocuments, reindexProducts } from '../utils/product-search'
+
+/**
+ * Rebuilds the Meilisearch products index, e.g. after restoring a database dump.
+ *
+ * npx medusa exec ./src/scripts/reindex-products.ts [options]
+ *
+ * --recreate        Delete the index and build it from scratch
+ * --since=<date>    Only reindex products updated since the date, e.g. 2024-01-31T12:00:00Z.
+ *                   Can't be combined with --recreate
+ * --remove-stale    Also remove documents of products that no longer exist
+ * --report-stale    Only list documents of products that no longer exist, without reindexing
+ */
+export default async function reindexProductsScript({ container, args = [] }: ExecArgs) {
+  const logger = container.resolve(ContainerRegistrationKeys.LOGGER)
+
+  if (args.includes('--report-stale')) {
+    const staleIds = await findStaleSearchDocuments(container)
+
+    if (staleIds === null) {
+      logger.warn('Meilisearch is not configured, there is no index to check')
+      return
+    }
+
+    logger.info(`Found ${staleIds.length} stale document(s) in the products index`)
+    staleIds.forEach((id) => logger.info(`  ${id}`))
+    return
+  }
+
+  const sinceArg = args.find((arg) => arg.startsWith('--since='))?.slice('--since='.length)
+  const since = sinceArg ? new Date(sinceArg) : undefined
+
+  if (since && isNaN(since.getTime())) {
+    logger.error(`--since must be a date, e.g. 2024-01-31T12:00:00Z`)
+    return
+  }
+
+  if (sinceArg !== undefined && args.includes('--recreate')) {
+    logger.error(`--recreate and --since can't be combined, recreating the index reindexes all products`)
+    return
+  }
+
+  const result = await reindexProducts(container, {
+    recreate: args.includes('--recreate'),
+    since,
+    removeStale: args.includes('--remove-stale'),
+    onProgress: ({ processed, total }) => logger.info(`Reindexed ${processed}/${total} product(s)`)
+  })
+
+  if (result === null) {
+    logger.warn('Meilisearch is not configured, there is no index to rebuild')
+    return
+  }
+
+  logger.info(`Indexed ${result.indexed} product(s), removed ${result.removed} document(s)`)
+}
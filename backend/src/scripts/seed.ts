@@ -4,6 +4,7 @@ import {
   createProductCategoriesWorkflow,
   createProductsWorkflow,
   createRegionsWorkflow,
+  createReturnReasonsWorkflow,
   createSalesChannelsWorkflow,
   createShippingOptionsWorkflow,
   createShippingProfilesWorkflow,
@@ -269,10 +270,131 @@ export default async function seedDemoData({ container }: ExecArgs) {
           },
         ],
       },
+      {
+        // Used for the returns customers request from their account
+        name: "Standard Return",
+        price_type: "flat",
+        provider_id: "manual_manual",
+        service_zone_id: fulfillmentSet.service_zones[0].id,
+        shipping_profile_id: shippingProfile.id,
+        type: {
+          label: "Return",
+          description: "Send your items back to our warehouse.",
+          code: "return",
+        },
+        prices: [
+          {
+            currency_code: "usd",
+            amount: 0,
+          },
+          {
+            currency_code: "eur",
+            amount: 0,
+          },
+          {
+            region_id: region.id,
+            amount: 0,
+          },
+        ],
+        rules: [
+          {
+            attribute: "enabled_in_store",
+            value: "true",
+            operator: "eq",
+          },
+          {
+            attribute: "is_return",
+            value: "true",
+            operator: "eq",
+          },
+        ],
+      },
+    ],
+  });
+  // Customers can pick up their order at the warehouse when it has the items in stock
+  const pickupFulfillmentSet =
+    await fulfillmentModuleService.createFulfillmentSets({
+      name: "European Warehouse pickup",
+      type: "pickup",
+      service_zones: [
+        {
+          name: "European Warehouse",
+          geo_zones: ["gb", "de", "dk", "se", "fr", "es", "it"].map(
+            (country_code) => ({
+              country_code,
+              type: "country" as const,
+            })
+          ),
+        },
+      ],
+    });
+
+  await link.create({
+    [Modules.STOCK_LOCATION]: {
+      stock_location_id: stockLocation.id,
+    },
+    [Modules.FULFILLMENT]: {
+      fulfillment_set_id: pickupFulfillmentSet.id,
+    },
+  });
+
+  await createShippingOptionsWorkflow(container).run({
+    input: [
+      {
+        name: "Pick up in store",
+        price_type: "flat",
+        provider_id: "manual_manual",
+        service_zone_id: pickupFulfillmentSet.service_zones[0].id,
+        shipping_profile_id: shippingProfile.id,
+        type: {
+          label: "Pickup",
+          description: "Pick up your order at the store.",
+          code: "pickup",
+        },
+        prices: [
+          {
+            currency_code: "usd",
+            amount: 0,
+          },
+          {
+            currency_code: "eur",
+            amount: 0,
+          },
+          {
+            region_id: region.id,
+            amount: 0,
+          },
+        ],
+        rules: [
+          {
+            attribute: "enabled_in_store",
+            value: "true",
+            operator: "eq",
+          },
+          {
+            attribute: "is_return",
+            value: "false",
+            operator: "eq",
+          },
+        ],
+      },
     ],
   });
   logger.info("Finished seeding fulfillment data.");
 
+  logger.info("Seeding return reasons...");
+  await createReturnReasonsWorkflow(container).run({
+    input: {
+      data: [
+        { value: "wrong_size", label: "Wrong size" },
+        { value: "damaged", label: "Damaged or defective" },
+        { value: "not_as_described", label: "Not as described" },
+        { value: "changed_mind", label: "Changed my mind" },
+      ],
+    },
+  });
+  logger.info("Finished seeding return reasons.");
+
   await linkSalesChannelsToStockLocationWorkflow(container).run({
     input: {
       id: stockLocation.id,
@@ -825,6 +947,83 @@ export default async function seedDemoData({ container }: ExecArgs) {
             },
           ],
         },
+        {
+          // Delivered by email, so it has no shipping profile and no inventory
+          title: "Gift Card",
+          description:
+            "Not sure what to get? Let them pick. The gift card is emailed to the recipient with a personal message, and can be spent over several orders.",
+          handle: "gift-card",
+          is_giftcard: true,
+          discountable: false,
+          status: ProductStatus.PUBLISHED,
+          options: [
+            {
+              title: "Amount",
+              values: ["25", "50", "100"],
+            },
+          ],
+          variants: [
+            {
+              title: "25",
+              sku: "GIFT-CARD-25",
+              manage_inventory: false,
+              options: {
+                Amount: "25",
+              },
+              prices: [
+                {
+                  amount: 25,
+                  currency_code: "eur",
+                },
+                {
+                  amount: 25,
+                  currency_code: "usd",
+                },
+              ],
+            },
+            {
+              title: "50",
+              sku: "GIFT-CARD-50",
+              manage_inventory: false,
+              options: {
+                Amount: "50",
+              },
+              prices: [
+                {
+                  amount: 50,
+                  currency_code: "eur",
+                },
+                {
+                  amount: 50,
+                  currency_code: "usd",
+                },
+              ],
+            },
+            {
+              title: "100",
+              sku: "GIFT-CARD-100",
+              manage_inventory: false,
+              options: {
+                Amount: "100",
+              },
+              prices: [
+                {
+                  amount: 100,
+                  currency_code: "eur",
+                },
+                {
+                  amount: 100,
+                  currency_code: "usd",
+                },
+              ],
+            },
+          ],
+          sales_channels: [
+            {
+              id: defaultSalesChannel[0].id,
+            },
+          ],
+        },
       ],
     },
   });
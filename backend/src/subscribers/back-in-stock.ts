@@ -0,0 +1,115 @@
+import {
+  ContainerRegistrationKeys,
+  getTotalVariantAvailability,
+  getVariantAvailability,
+  InventoryEvents
+} from '@medusajs/framework/utils'
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { EmailTemplates } from '../modules/email-notifications/templates'
+import { getEmailI18n, getEmailLocale } from '../modules/email-notifications/i18n'
+import { BACK_IN_STOCK_MODULE } from '../modules/back-in-stock'
+import BackInStockModuleService from '../modules/back-in-stock/service'
+import { sendNotification } from '../utils/send-notification'
+import { getBackInStockUnsubscribeLink } from '../utils/back-in-stock'
+import { STOREFRONT_URL } from '../lib/constants'
+
+/**
+ * Emails everyone who confirmed waiting for a variant once stock returns for it, then
+ * clears their subscriptions.
+ */
+export default async function backInStockHandler({
+  event: { data },
+  container,
+}: SubscriberArgs<{ id: string }>) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const backInStockService: BackInStockModuleService = container.resolve(BACK_IN_STOCK_MODULE)
+
+  const { data: [inventoryLevel] } = await query.graph({
+    entity: 'inventory_level',
+    fields: ['id', 'inventory_item.variants.id'],
+    filters: { id: data.id }
+  })
+
+  const variantIds: string[] = (inventoryLevel?.inventory_item?.variants ?? []).map((variant) => variant.id)
+
+  if (!variantIds.length) {
+    return
+  }
+
+  const subscriptions = await backInStockService.listBackInStockSubscriptions({
+    variant_id: variantIds,
+    confirmed_at: { $ne: null }
+  })
+
+  if (!subscriptions.length) {
+    return
+  }
+
+  // Availability is computed per sales channel, or across all locations for subscriptions without one
+  const availability: Record<string, number> = {}
+  const salesChannelIds = [...new Set(subscriptions.map((subscription) => subscription.sales_channel_id))]
+
+  for (const salesChannelId of salesChannelIds) {
+    const result = salesChannelId
+      ? await getVariantAvailability(query, { variant_ids: variantIds, sales_channel_id: salesChannelId })
+      : await getTotalVariantAvailability(query, { variant_ids: variantIds })
+
+    for (const [variantId, { availability: quantity }] of Object.entries(result)) {
+      availability[`${variantId}:${salesChannelId ?? ''}`] = quantity
+    }
+  }
+
+  const inStock = subscriptions.filter(
+    (subscription) => (availability[`${subscription.variant_id}:${subscription.sales_channel_id ?? ''}`] ?? 0) > 0
+  )
+
+  if (!inStock.length) {
+    return
+  }
+
+  const { data: variants } = await query.graph({
+    entity: 'product_variant',
+    fields: ['id', 'title', 'product.title', 'product.handle', 'product.thumbnail'],
+    filters: { id: variantIds }
+  })
+
+  for (const subscription of inStock) {
+    const variant = variants.find((v) => v.id === subscription.variant_id)
+
+    if (!variant?.product) {
+      continue
+    }
+
+    const locale = getEmailLocale(subscription.country_code)
+    const { t } = getEmailI18n(locale)
+    const productName = `${variant.product.title} (${variant.title})`
+
+    await sendNotification(container, {
+      to: subscription.email,
+      channel: 'email',
+      template: EmailTemplates.BACK_IN_STOCK,
+      trigger_type: InventoryEvents.INVENTORY_LEVEL_UPDATED,
+      resource_id: variant.id,
+      resource_type: 'product_variant',
+      data: {
+        emailOptions: {
+          replyTo: process.env.RESEND_FROM_EMAIL || 'support@nightkidz.com',
+          subject: t('backInStock.subject', { product: productName })
+        },
+        product: { title: variant.product.title, thumbnail: variant.product.thumbnail },
+        variant: { id: variant.id, title: variant.title },
+        productLink: `${STOREFRONT_URL}${subscription.country_code ? `/${subscription.country_code}` : ''}/products/${variant.product.handle}`,
+        unsubscribeLink: getBackInStockUnsubscribeLink(subscription.email, subscription.country_code),
+        locale,
+        preview: t('backInStock.preview')
+      }
+    })
+  }
+
+  // Failed sends are retried from the notification outbox, so the subscriptions can go
+  await backInStockService.deleteBackInStockSubscriptions(inStock.map((subscription) => subscription.id))
+}
+
+export const config: SubscriberConfig = {
+  event: [InventoryEvents.INVENTORY_LEVEL_CREATED, InventoryEvents.INVENTORY_LEVEL_UPDATED]
+}
@@ -0,0 +1,33 @@
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { EmailTemplates } from '../modules/email-notifications/templates'
+import { buildFulfillmentCreatedEmail } from '../utils/email-template-data'
+import { sendNotification } from '../utils/send-notification'
+
+export default async function fulfillmentCreatedHandler({
+  event: { data },
+  container,
+}: SubscriberArgs<{ order_id: string; fulfillment_id: string; no_notification?: boolean }>) {
+  if (data.no_notification) {
+    return
+  }
+
+  const email = await buildFulfillmentCreatedEmail(container, data.fulfillment_id)
+
+  if (!email) {
+    return
+  }
+
+  await sendNotification(container, {
+    to: email.to,
+    channel: 'email',
+    template: EmailTemplates.FULFILLMENT_CREATED,
+    trigger_type: 'order.fulfillment_created',
+    resource_id: email.orderId,
+    resource_type: 'order',
+    data: email.data
+  })
+}
+
+export const config: SubscriberConfig = {
+  event: 'order.fulfillment_created'
+}
@@ -0,0 +1,32 @@
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { GIFT_CARD_MODULE } from '../modules/gift-card'
+import GiftCardModuleService from '../modules/gift-card/service'
+
+/**
+ * Gives what a canceled order paid with gift cards back to their balances.
+ */
+export default async function giftCardsOrderCanceledHandler({
+  event: { data },
+  container,
+}: SubscriberArgs<{ id: string }>) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const giftCardService: GiftCardModuleService = container.resolve(GIFT_CARD_MODULE)
+
+  const { data: [order] } = await query.graph({
+    entity: 'order',
+    fields: ['id', 'cart.id'],
+    filters: { id: data.id }
+  })
+
+  // In case the order is canceled before the `gift-cards-order-placed` subscriber ran
+  if (order?.cart?.id) {
+    await giftCardService.setRedemptionsOrder(order.cart.id, order.id)
+  }
+
+  await giftCardService.refundOrderRedemptions(data.id)
+}
+
+export const config: SubscriberConfig = {
+  event: 'order.canceled'
+}
@@ -0,0 +1,105 @@
+import { ContainerRegistrationKeys, MathBN } from '@medusajs/framework/utils'
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { EmailTemplates } from '../modules/email-notifications/templates'
+import { getEmailI18n, getEmailLocale } from '../modules/email-notifications/i18n'
+import { GIFT_CARD_MODULE } from '../modules/gift-card'
+import GiftCardModuleService, { IssueGiftCardInput } from '../modules/gift-card/service'
+import { sendNotification } from '../utils/send-notification'
+import { STOREFRONT_URL } from '../lib/constants'
+
+/**
+ * Records the order on the gift card redemptions of its cart, and issues and emails
+ * the gift cards bought with it.
+ */
+export default async function giftCardsOrderPlacedHandler({
+  event: { data },
+  container,
+}: SubscriberArgs<{ id: string }>) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const giftCardService: GiftCardModuleService = container.resolve(GIFT_CARD_MODULE)
+
+  const { data: [order] } = await query.graph({
+    entity: 'order',
+    fields: [
+      'id',
+      'email',
+      'currency_code',
+      'items.id',
+      'items.is_giftcard',
+      'items.quantity',
+      'items.unit_price',
+      'items.metadata',
+      'cart.id',
+      'shipping_address.country_code'
+    ],
+    filters: { id: data.id }
+  })
+
+  if (!order) {
+    return
+  }
+
+  // The cards were redeemed while the cart was completed, see `src/workflows/hooks/gift-cards.ts`
+  if (order.cart?.id) {
+    await giftCardService.setRedemptionsOrder(order.cart.id, order.id)
+  }
+
+  const giftCardItems = (order.items ?? []).filter((item) => item?.is_giftcard)
+
+  if (!giftCardItems.length || (await giftCardService.listGiftCards({ order_id: order.id })).length) {
+    return
+  }
+
+  const toIssue: IssueGiftCardInput[] = giftCardItems.flatMap((item) => {
+    const metadata = (item!.metadata ?? {}) as Record<string, string | undefined>
+
+    return Array.from({ length: Number(item!.quantity) }, () => ({
+      currency_code: order.currency_code,
+      value: MathBN.convert(item!.unit_price).toNumber(),
+      recipient_email: metadata.recipient_email || order.email!,
+      recipient_name: metadata.recipient_name || null,
+      sender_name: metadata.sender_name || null,
+      message: metadata.message || null,
+      order_id: order.id,
+      line_item_id: item!.id
+    }))
+  })
+
+  const giftCards = await giftCardService.issueGiftCards(toIssue)
+  const countryCode = order.shipping_address?.country_code
+  const locale = getEmailLocale(countryCode)
+  const { t, formatAmount } = getEmailI18n(locale)
+
+  for (const giftCard of giftCards) {
+    const value = MathBN.convert(giftCard.value).toNumber()
+    const amount = formatAmount(value, giftCard.currency_code)
+
+    await sendNotification(container, {
+      to: giftCard.recipient_email,
+      channel: 'email',
+      template: EmailTemplates.GIFT_CARD_DELIVERY,
+      trigger_type: 'order.placed',
+      resource_id: giftCard.id,
+      resource_type: 'gift_card',
+      data: {
+        emailOptions: {
+          replyTo: process.env.RESEND_FROM_EMAIL || 'support@nightkidz.com',
+          subject: giftCard.sender_name
+            ? t('giftCardDelivery.subjectFrom', { sender: giftCard.sender_name, amount })
+            : t('giftCardDelivery.subject', { amount })
+        },
+        giftCard: { code: giftCard.code, value, currency_code: giftCard.currency_code },
+        recipientName: giftCard.recipient_name,
+        senderName: giftCard.sender_name,
+        message: giftCard.message,
+        storeLink: `${STOREFRONT_URL}${countryCode ? `/${countryCode}` : ''}`,
+        locale,
+        preview: t('giftCardDelivery.preview')
+      }
+    })
+  }
+}
+
+export const config: SubscriberConfig = {
+  event: 'order.placed'
+}
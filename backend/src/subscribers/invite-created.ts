@@ -1,37 +1,34 @@
-import { INotificationModuleService, IUserModuleService } from '@medusajs/framework/types'
+import { IUserModuleService } from '@medusajs/framework/types'
 import { Modules } from '@medusajs/framework/utils'
 import { SubscriberArgs, SubscriberConfig } from '@medusajs/framework'
 import { BACKEND_URL } from '../lib/constants'
 import { EmailTemplates } from '../modules/email-notifications/templates'
+import { sendNotification } from '../utils/send-notification'
 
 export default async function userInviteHandler({
-    event: { data },
+    event: { data, name },
     container,
   }: SubscriberArgs<any>) {
 
-  const notificationModuleService: INotificationModuleService = container.resolve(
-    Modules.NOTIFICATION,
-  )
   const userModuleService: IUserModuleService = container.resolve(Modules.USER)
   const invite = await userModuleService.retrieveInvite(data.id)
 
-  try {
-    await notificationModuleService.createNotifications({
-      to: invite.email,
-      channel: 'email',
-      template: EmailTemplates.INVITE_USER,
-      data: {
-        emailOptions: {
-          replyTo: 'info@example.com',
-          subject: "You've been invited to Medusa!"
-        },
-        inviteLink: `${BACKEND_URL}/app/invite?token=${invite.token}`,
-        preview: 'The administration dashboard awaits...'
-      }
-    })
-  } catch (error) {
-    console.error(error)
-  }
+  await sendNotification(container, {
+    to: invite.email,
+    channel: 'email',
+    template: EmailTemplates.INVITE_USER,
+    trigger_type: name,
+    resource_id: invite.id,
+    resource_type: 'invite',
+    data: {
+      emailOptions: {
+        replyTo: 'info@example.com',
+        subject: "You've been invited to Medusa!"
+      },
+      inviteLink: `${BACKEND_URL}/app/invite?token=${invite.token}`,
+      preview: 'The administration dashboard awaits...'
+    }
+  })
 }
 
 export const config: SubscriberConfig = {
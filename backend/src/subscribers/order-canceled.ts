@@ -0,0 +1,29 @@
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { EmailTemplates } from '../modules/email-notifications/templates'
+import { buildOrderCanceledEmail } from '../utils/email-template-data'
+import { sendNotification } from '../utils/send-notification'
+
+export default async function orderCanceledHandler({
+  event: { data },
+  container,
+}: SubscriberArgs<{ id: string }>) {
+  const email = await buildOrderCanceledEmail(container, data.id)
+
+  if (!email) {
+    return
+  }
+
+  await sendNotification(container, {
+    to: email.to,
+    channel: 'email',
+    template: EmailTemplates.ORDER_CANCELED,
+    trigger_type: 'order.canceled',
+    resource_id: email.orderId,
+    resource_type: 'order',
+    data: email.data
+  })
+}
+
+export const config: SubscriberConfig = {
+  event: 'order.canceled'
+}
@@ -1,36 +1,27 @@
-import { Modules } from '@medusajs/framework/utils'
-import { INotificationModuleService, IOrderModuleService } from '@medusajs/framework/types'
 import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
 import { EmailTemplates } from '../modules/email-notifications/templates'
+import { buildOrderPlacedEmail } from '../utils/email-template-data'
+import { sendNotification } from '../utils/send-notification'
 
 export default async function orderPlacedHandler({
   event: { data },
   container,
 }: SubscriberArgs<any>) {
-  const notificationModuleService: INotificationModuleService = container.resolve(Modules.NOTIFICATION)
-  const orderModuleService: IOrderModuleService = container.resolve(Modules.ORDER)
-  
-  const order = await orderModuleService.retrieveOrder(data.id, { relations: ['items', 'summary', 'shipping_address'] })
-  const shippingAddress = await (orderModuleService as any).orderAddressService_.retrieve(order.shipping_address.id)
+  const email = await buildOrderPlacedEmail(container, data.id)
 
-  try {
-    await notificationModuleService.createNotifications({
-      to: order.email,
-      channel: 'email',
-      template: EmailTemplates.ORDER_PLACED,
-      data: {
-        emailOptions: {
-          replyTo: process.env.RESEND_FROM_EMAIL || 'support@nightkidz.com',
-          subject: 'Your order has been placed'
-        },
-        order,
-        shippingAddress,
-        preview: 'Thank you for your order!'
-      }
-    })
-  } catch (error) {
-    console.error('Error sending order confirmation notification:', error)
+  if (!email) {
+    return
   }
+
+  await sendNotification(container, {
+    to: email.to,
+    channel: 'email',
+    template: EmailTemplates.ORDER_PLACED,
+    trigger_type: 'order.placed',
+    resource_id: email.orderId,
+    resource_type: 'order',
+    data: email.data
+  })
 }
 
 export const config: SubscriberConfig = {
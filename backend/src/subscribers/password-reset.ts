@@ -0,0 +1,54 @@
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/framework'
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { BACKEND_URL, STOREFRONT_URL } from '../lib/constants'
+import { EmailTemplates } from '../modules/email-notifications/templates'
+import { getEmailI18n, getEmailLocale } from '../modules/email-notifications/i18n'
+import { sendNotification } from '../utils/send-notification'
+
+export default async function passwordResetHandler({
+    event: { data },
+    container,
+  }: SubscriberArgs<{ entity_id: string; actor_type: string; token: string }>) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  // Admin users reset their password in the dashboard, customers in the storefront
+  const baseUrl = data.actor_type === 'customer'
+    ? `${STOREFRONT_URL}/account/reset-password`
+    : `${BACKEND_URL}/app/reset-password`
+
+  // Customers get the email in the language of their default shipping address
+  let countryCode: string | null | undefined
+  if (data.actor_type === 'customer') {
+    const { data: [customer] } = await query.graph({
+      entity: 'customer',
+      fields: ['id', 'addresses.country_code', 'addresses.is_default_shipping'],
+      filters: { email: data.entity_id, has_account: true }
+    })
+    const addresses = customer?.addresses ?? []
+    countryCode = (addresses.find((address) => address?.is_default_shipping) ?? addresses[0])?.country_code
+  }
+
+  const locale = getEmailLocale(countryCode)
+  const { t } = getEmailI18n(locale)
+  const params = new URLSearchParams({ token: data.token, email: data.entity_id })
+
+  await sendNotification(container, {
+    to: data.entity_id,
+    channel: 'email',
+    template: EmailTemplates.RESET_PASSWORD,
+    trigger_type: 'auth.password_reset',
+    data: {
+      emailOptions: {
+        replyTo: process.env.RESEND_FROM_EMAIL || 'support@nightkidz.com',
+        subject: t('resetPassword.subject')
+      },
+      resetLink: `${baseUrl}?${params.toString()}`,
+      locale,
+      preview: t('resetPassword.preview')
+    }
+  })
+}
+
+export const config: SubscriberConfig = {
+  event: 'auth.password_reset'
+}
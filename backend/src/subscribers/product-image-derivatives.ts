@@ -0,0 +1,17 @@
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { syncProductImageDerivatives } from '../utils/product-image-derivatives'
+
+/**
+ * Generates the derivatives missing for the images of a product, e.g. when generating
+ * them failed on upload, and lists the images that have them in the product's metadata.
+ */
+export default async function productImageDerivativesHandler({
+  event: { data },
+  container,
+}: SubscriberArgs<{ id: string }>) {
+  await syncProductImageDerivatives(container, [data.id])
+}
+
+export const config: SubscriberConfig = {
+  event: ['product.created', 'product.updated']
+}
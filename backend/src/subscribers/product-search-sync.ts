@@ -0,0 +1,53 @@
+import { ContainerRegistrationKeys, InventoryEvents } from '@medusajs/framework/utils'
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { syncProductSearchDocuments } from '../utils/product-search'
+
+/**
+ * Keeps the search document of a product up to date when the product, one of its
+ * variants or their stock changes. Prices are part of the variants.
+ */
+export default async function productSearchSyncHandler({
+  event: { name, data },
+  container,
+}: SubscriberArgs<{ id: string }>) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  let productIds: string[] = []
+
+  if (name.startsWith('product.')) {
+    productIds = [data.id]
+  } else if (name.startsWith('product-variant.')) {
+    const { data: [variant] } = await query.graph({
+      entity: 'product_variant',
+      fields: ['id', 'product_id'],
+      filters: { id: data.id },
+      withDeleted: true
+    })
+    productIds = variant?.product_id ? [variant.product_id] : []
+  } else {
+    const { data: [inventoryLevel] } = await query.graph({
+      entity: 'inventory_level',
+      fields: ['id', 'inventory_item.variants.product_id'],
+      filters: { id: data.id }
+    })
+    productIds = [
+      ...new Set<string>(
+        (inventoryLevel?.inventory_item?.variants ?? []).map((variant) => variant.product_id)
+      )
+    ]
+  }
+
+  await syncProductSearchDocuments(container, productIds)
+}
+
+export const config: SubscriberConfig = {
+  event: [
+    'product.created',
+    'product.updated',
+    'product.deleted',
+    'product-variant.created',
+    'product-variant.updated',
+    'product-variant.deleted',
+    InventoryEvents.INVENTORY_LEVEL_CREATED,
+    InventoryEvents.INVENTORY_LEVEL_UPDATED
+  ]
+}
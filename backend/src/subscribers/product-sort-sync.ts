@@ -0,0 +1,38 @@
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { syncProductSortEntries } from '../utils/product-sorting'
+
+/**
+ * Keeps the catalog sort values of a product up to date when the product or one of its
+ * variants changes. Prices are part of the variants.
+ */
+export default async function productSortSyncHandler({
+  event: { name, data },
+  container,
+}: SubscriberArgs<{ id: string }>) {
+  let productIds = [data.id]
+
+  if (name.startsWith('product-variant.')) {
+    const query = container.resolve(ContainerRegistrationKeys.QUERY)
+    const { data: [variant] } = await query.graph({
+      entity: 'product_variant',
+      fields: ['id', 'product_id'],
+      filters: { id: data.id },
+      withDeleted: true
+    })
+    productIds = variant?.product_id ? [variant.product_id] : []
+  }
+
+  await syncProductSortEntries(container, productIds)
+}
+
+export const config: SubscriberConfig = {
+  event: [
+    'product.created',
+    'product.updated',
+    'product.deleted',
+    'product-variant.created',
+    'product-variant.updated',
+    'product-variant.deleted'
+  ]
+}
@@ -0,0 +1,17 @@
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { updateUnitsSoldOfOrder } from '../utils/product-sorting'
+
+/**
+ * Counts the units of placed orders towards best selling, and takes them off again
+ * when the order is canceled.
+ */
+export default async function productSortUnitsSoldHandler({
+  event: { name, data },
+  container,
+}: SubscriberArgs<{ id: string }>) {
+  await updateUnitsSoldOfOrder(container, data.id, name === 'order.canceled' ? -1 : 1)
+}
+
+export const config: SubscriberConfig = {
+  event: ['order.placed', 'order.canceled']
+}
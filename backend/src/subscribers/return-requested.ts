@@ -0,0 +1,86 @@
+import { ContainerRegistrationKeys, MathBN } from '@medusajs/framework/utils'
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { EmailTemplates } from '../modules/email-notifications/templates'
+import { getEmailI18n, getEmailLocale } from '../modules/email-notifications/i18n'
+import { sendNotification } from '../utils/send-notification'
+
+/**
+ * Email the customer how to send back the items of a return, with the return label when
+ * the fulfillment provider created one.
+ */
+export default async function returnRequestedHandler({
+  event: { data },
+  container,
+}: SubscriberArgs<{ order_id: string; return_id: string }>) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: [orderReturn] } = await query.graph({
+    entity: 'return',
+    fields: [
+      'id',
+      'location_id',
+      'items.item_id',
+      'items.quantity',
+      'fulfillments.labels.label_url',
+      'fulfillments.labels.tracking_number',
+      'order.id',
+      'order.display_id',
+      'order.email',
+      'order.shipping_address.country_code',
+      'order.items.id',
+      'order.items.title',
+      'order.items.variant_title'
+    ],
+    filters: { id: data.return_id }
+  })
+
+  if (!orderReturn?.order?.email) {
+    return
+  }
+
+  const { order } = orderReturn
+  const { data: [location] } = orderReturn.location_id
+    ? await query.graph({
+        entity: 'stock_location',
+        fields: ['name', 'address.address_1', 'address.address_2', 'address.postal_code', 'address.city', 'address.country_code'],
+        filters: { id: orderReturn.location_id }
+      })
+    : { data: [] }
+  const locale = getEmailLocale(order.shipping_address?.country_code)
+  const { t } = getEmailI18n(locale)
+
+  await sendNotification(container, {
+    to: order.email,
+    channel: 'email',
+    template: EmailTemplates.RETURN_REQUESTED,
+    trigger_type: 'order.return_requested',
+    resource_id: orderReturn.id,
+    resource_type: 'return',
+    data: {
+      emailOptions: {
+        replyTo: process.env.RESEND_FROM_EMAIL || 'support@nightkidz.com',
+        subject: t('returnRequested.subject', { displayId: order.display_id })
+      },
+      order: { id: order.id, display_id: order.display_id },
+      items: (orderReturn.items ?? []).map((returnItem) => {
+        const item = order.items?.find((orderItem) => orderItem?.id === returnItem?.item_id)
+
+        return {
+          id: returnItem!.item_id,
+          title: item?.variant_title ? `${item.title} (${item.variant_title})` : item?.title ?? '',
+          quantity: MathBN.convert(returnItem!.quantity).toNumber()
+        }
+      }),
+      returnAddress: location?.address ? { name: location.name, ...location.address } : null,
+      labels: (orderReturn.fulfillments ?? [])
+        .flatMap((fulfillment) => fulfillment?.labels ?? [])
+        .map((label) => ({ url: label?.label_url || null, trackingNumber: label?.tracking_number || null })),
+      locale,
+      preview: t('returnRequested.preview')
+    }
+  })
+}
+
+export const config: SubscriberConfig = {
+  event: 'order.return_requested'
+}
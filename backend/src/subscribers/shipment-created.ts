@@ -0,0 +1,33 @@
+import { SubscriberArgs, SubscriberConfig } from '@medusajs/medusa'
+import { EmailTemplates } from '../modules/email-notifications/templates'
+import { buildShipmentCreatedEmail } from '../utils/email-template-data'
+import { sendNotification } from '../utils/send-notification'
+
+export default async function shipmentCreatedHandler({
+  event: { data },
+  container,
+}: SubscriberArgs<{ id: string; no_notification?: boolean }>) {
+  if (data.no_notification) {
+    return
+  }
+
+  const email = await buildShipmentCreatedEmail(container, data.id)
+
+  if (!email) {
+    return
+  }
+
+  await sendNotification(container, {
+    to: email.to,
+    channel: 'email',
+    template: EmailTemplates.SHIPMENT_CREATED,
+    trigger_type: 'shipment.created',
+    resource_id: email.orderId,
+    resource_type: 'order',
+    data: email.data
+  })
+}
+
+export const config: SubscriberConfig = {
+  event: 'shipment.created'
+}
@@ -0,0 +1,97 @@
+import { createHmac, timingSafeEqual } from 'crypto'
+import { MedusaContainer } from '@medusajs/framework/types'
+import { JWT_SECRET, STOREFRONT_URL } from '../lib/constants'
+import { EmailTemplates } from '../modules/email-notifications/templates'
+import { getEmailI18n, getEmailLocale } from '../modules/email-notifications/i18n'
+import { sendNotification } from './send-notification'
+
+type BackInStockTokenAction = 'confirm' | 'unsubscribe'
+
+export interface BackInStockConfirmationSubscription {
+  id: string
+  email: string
+  country_code?: string | null
+}
+
+export interface BackInStockConfirmationVariant {
+  id: string
+  title: string
+  product: { title: string; thumbnail?: string | null }
+}
+
+function signBackInStockToken(action: BackInStockTokenAction, value: string) {
+  return createHmac('sha256', JWT_SECRET).update(`back-in-stock:${action}:${value}`).digest('base64url')
+}
+
+/**
+ * Whether a token from a back-in-stock email was signed for the subscription ID of a
+ * confirmation link, or the email address of an unsubscribe link.
+ * @param action - What the link is for
+ * @param value - The subscription ID or email address in the link
+ * @param token - The token in the link
+ */
+export function verifyBackInStockToken(action: BackInStockTokenAction, value: string, token: string): boolean {
+  const expected = Buffer.from(signBackInStockToken(action, value))
+  const actual = Buffer.from(token)
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected)
+}
+
+function getStorefrontLink(countryCode: string | null | undefined, path: string, params: Record<string, string>) {
+  return `${STOREFRONT_URL}${countryCode ? `/${countryCode}` : ''}${path}?${new URLSearchParams(params).toString()}`
+}
+
+/**
+ * Link that removes all back-in-stock subscriptions of an email address, for the
+ * emails sent to it.
+ * @param email - The email address of the subscriptions
+ * @param countryCode - (optional) Country of the storefront to link to
+ */
+export function getBackInStockUnsubscribeLink(email: string, countryCode?: string | null) {
+  const normalizedEmail = email.trim().toLowerCase()
+
+  return getStorefrontLink(countryCode, '/back-in-stock/unsubscribe', {
+    email: normalizedEmail,
+    token: signBackInStockToken('unsubscribe', normalizedEmail)
+  })
+}
+
+/**
+ * Email the link that confirms a back-in-stock subscription to its address. Until it's
+ * confirmed, the subscription isn't notified. The outbox only stores the link redacted,
+ * see `sendNotification`.
+ * @param container - The Medusa container
+ * @param subscription - The unconfirmed subscription
+ * @param variant - The variant that was subscribed to, with its product
+ */
+export async function sendBackInStockConfirmation(
+  container: MedusaContainer,
+  subscription: BackInStockConfirmationSubscription,
+  variant: BackInStockConfirmationVariant
+) {
+  const locale = getEmailLocale(subscription.country_code)
+  const { t } = getEmailI18n(locale)
+
+  await sendNotification(container, {
+    to: subscription.email,
+    channel: 'email',
+    template: EmailTemplates.BACK_IN_STOCK_CONFIRM,
+    trigger_type: 'back_in_stock.subscribed',
+    resource_id: subscription.id,
+    resource_type: 'back_in_stock_subscription',
+    data: {
+      emailOptions: {
+        replyTo: process.env.RESEND_FROM_EMAIL || 'support@nightkidz.com',
+        subject: t('backInStockConfirm.subject', { product: variant.product.title })
+      },
+      product: { title: variant.product.title, thumbnail: variant.product.thumbnail },
+      variant: { id: variant.id, title: variant.title },
+      confirmLink: getStorefrontLink(subscription.country_code, '/back-in-stock/confirm', {
+        id: subscription.id,
+        token: signBackInStockToken('confirm', subscription.id)
+      }),
+      locale,
+      preview: t('backInStockConfirm.preview')
+    }
+  })
+}
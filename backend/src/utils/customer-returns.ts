@@ -0,0 +1,280 @@
+import { ContainerRegistrationKeys, MathBN, MedusaError } from '@medusajs/framework/utils'
+import { MedusaContainer } from '@medusajs/framework/types'
+import { createAndCompleteReturnOrderWorkflow } from '@medusajs/medusa/core-flows'
+
+export interface CustomerReturn {
+  id: string
+  display_id: number
+  order_id: string
+  order_display_id: number
+  // requested, received, partially_received or canceled
+  status: string
+  created_at: Date
+  received_at: Date | null
+  canceled_at: Date | null
+  items: { item_id: string; title: string; quantity: number; reason: string | null }[]
+}
+
+export interface ReturnableItem {
+  id: string
+  title: string
+  variant_title: string | null
+  thumbnail: string | null
+  // Fulfilled quantity that isn't returned or being returned yet
+  returnable_quantity: number
+}
+
+export interface RequestReturnInput {
+  items: { id: string; quantity: number; reason_id?: string | null; note?: string | null }[]
+  note?: string | null
+}
+
+const ORDER_FIELDS = [
+  'id',
+  'display_id',
+  'status',
+  'customer_id',
+  'shipping_address.country_code',
+  'items.id',
+  'items.title',
+  'items.product_title',
+  'items.variant_title',
+  'items.thumbnail',
+  'items.detail.fulfilled_quantity',
+  'items.detail.return_requested_quantity',
+  'items.detail.return_received_quantity',
+  'items.detail.return_dismissed_quantity',
+  'items.detail.written_off_quantity',
+  'returns.id',
+  'returns.display_id',
+  'returns.status',
+  'returns.created_at',
+  'returns.received_at',
+  'returns.canceled_at',
+  'returns.items.item_id',
+  'returns.items.quantity',
+  'returns.items.reason.label'
+]
+
+type CustomerOrder = {
+  id: string
+  display_id: number
+  status: string
+  customer_id: string | null
+  shipping_address?: { country_code?: string | null } | null
+  items: {
+    id: string
+    title: string
+    product_title: string | null
+    variant_title: string | null
+    thumbnail: string | null
+    detail: Record<string, unknown> | null
+  }[]
+  returns: {
+    id: string
+    display_id: number
+    status: string
+    created_at: Date
+    received_at: Date | null
+    canceled_at: Date | null
+    items: { item_id: string; quantity: unknown; reason?: { label: string } | null }[]
+  }[]
+}
+
+async function listCustomerOrders(container: MedusaContainer, customerId: string, orderId?: string) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: orders } = await query.graph({
+    entity: 'order',
+    fields: ORDER_FIELDS,
+    filters: { customer_id: customerId, ...(orderId ? { id: orderId } : {}) }
+  })
+
+  return orders as unknown as CustomerOrder[]
+}
+
+async function retrieveCustomerOrder(container: MedusaContainer, customerId: string, orderId: string) {
+  const [order] = await listCustomerOrders(container, customerId, orderId)
+
+  // Orders of other customers are reported as missing, so their IDs can't be probed
+  if (!order) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `Order with id: ${orderId} was not found`)
+  }
+
+  return order
+}
+
+function toCustomerReturns(order: CustomerOrder): CustomerReturn[] {
+  return (order.returns ?? []).map((orderReturn) => ({
+    id: orderReturn.id,
+    display_id: orderReturn.display_id,
+    order_id: order.id,
+    order_display_id: order.display_id,
+    status: orderReturn.status,
+    created_at: orderReturn.created_at,
+    received_at: orderReturn.received_at ?? null,
+    canceled_at: orderReturn.canceled_at ?? null,
+    items: (orderReturn.items ?? []).map((returnItem) => ({
+      item_id: returnItem.item_id,
+      title: order.items.find((item) => item.id === returnItem.item_id)?.title ?? '',
+      quantity: MathBN.convert(returnItem.quantity as number).toNumber(),
+      reason: returnItem.reason?.label ?? null
+    }))
+  }))
+}
+
+function getReturnableItems(order: CustomerOrder): ReturnableItem[] {
+  return (order.items ?? []).map((item) => {
+    const detail = item.detail ?? {}
+    const quantity = (key: string) => MathBN.convert((detail[key] as number) ?? 0)
+    const returnable = MathBN.sub(
+      quantity('fulfilled_quantity'),
+      MathBN.add(
+        quantity('return_requested_quantity'),
+        quantity('return_received_quantity'),
+        quantity('return_dismissed_quantity'),
+        quantity('written_off_quantity')
+      )
+    )
+
+    return {
+      id: item.id,
+      title: item.product_title ?? item.title,
+      variant_title: item.variant_title ?? null,
+      thumbnail: item.thumbnail ?? null,
+      returnable_quantity: Math.max(returnable.toNumber(), 0)
+    }
+  })
+}
+
+/**
+ * The returns of a customer's orders, newest first.
+ * @param container - The Medusa container
+ * @param customerId - The ID of the customer
+ */
+export async function listCustomerReturns(container: MedusaContainer, customerId: string) {
+  const orders = await listCustomerOrders(container, customerId)
+
+  return orders
+    .flatMap(toCustomerReturns)
+    .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime())
+}
+
+/**
+ * The returns of a customer's order, and the items that can still be returned.
+ * @param container - The Medusa container
+ * @param customerId - The ID of the customer
+ * @param orderId - The ID of the order
+ */
+export async function getOrderReturns(container: MedusaContainer, customerId: string, orderId: string) {
+  const order = await retrieveCustomerOrder(container, customerId, orderId)
+
+  return {
+    returns: toCustomerReturns(order),
+    returnable_items: getReturnableItems(order).filter((item) => item.returnable_quantity > 0)
+  }
+}
+
+/**
+ * The return shipping option of the service zone that ships to a country, with the
+ * stock location returns are sent to.
+ */
+async function findReturnShippingOption(container: MedusaContainer, countryCode?: string | null) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: shippingOptions } = await query.graph({
+    entity: 'shipping_option',
+    fields: [
+      'id',
+      'rules.attribute',
+      'rules.value',
+      'service_zone.geo_zones.country_code',
+      'service_zone.fulfillment_set.location.id'
+    ]
+  })
+
+  return shippingOptions.find(
+    (option) =>
+      option.rules?.some((rule) => rule?.attribute === 'is_return' && rule.value === 'true') &&
+      option.rules?.some((rule) => rule?.attribute === 'enabled_in_store' && rule.value === 'true') &&
+      (!countryCode ||
+        option.service_zone?.geo_zones?.some((zone) => zone?.country_code === countryCode.toLowerCase()))
+  )
+}
+
+/**
+ * Request a return of items of a customer's order. The return is created through the
+ * `createAndCompleteReturnOrderWorkflow`, so it waits for the items to be received, and
+ * the `return-requested` subscriber emails the customer how to send the items back.
+ * @param container - The Medusa container
+ * @param customerId - The ID of the customer
+ * @param orderId - The ID of the order
+ * @param input - The items to return, with their quantity and reason. Each item may only be listed once
+ */
+export async function requestCustomerReturn(
+  container: MedusaContainer,
+  customerId: string,
+  orderId: string,
+  input: RequestReturnInput
+) {
+  const order = await retrieveCustomerOrder(container, customerId, orderId)
+  const returnableItems = getReturnableItems(order)
+
+  if (order.status === 'canceled') {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, `Canceled orders can't be returned`)
+  }
+  if (!input.items.length) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `Select at least one item to return`)
+  }
+
+  // Each item is checked against its returnable quantity on its own, so it may only appear once
+  const itemIds = input.items.map((item) => item.id)
+  const duplicateId = itemIds.find((id, index) => itemIds.indexOf(id) !== index)
+
+  if (duplicateId) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `Item with id: ${duplicateId} was selected more than once`)
+  }
+
+  for (const inputItem of input.items) {
+    const item = returnableItems.find((returnable) => returnable.id === inputItem.id)
+
+    if (!item) {
+      throw new MedusaError(MedusaError.Types.INVALID_DATA, `Item with id: ${inputItem.id} is not part of this order`)
+    }
+    if (inputItem.quantity > item.returnable_quantity) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_ALLOWED,
+        item.returnable_quantity
+          ? `Only ${item.returnable_quantity} of ${item.title} can be returned`
+          : `${item.title} can't be returned, it hasn't shipped yet or is already being returned`
+      )
+    }
+  }
+
+  const shippingOption = await findReturnShippingOption(container, order.shipping_address?.country_code)
+
+  if (!shippingOption) {
+    throw new MedusaError(
+      MedusaError.Types.NOT_ALLOWED,
+      `Returns can't be requested online for this order, please contact us`
+    )
+  }
+
+  const { result } = await createAndCompleteReturnOrderWorkflow(container).run({
+    input: {
+      order_id: order.id,
+      created_by: customerId,
+      items: input.items.map((item) => ({
+        id: item.id,
+        quantity: item.quantity,
+        reason_id: item.reason_id ?? undefined,
+        note: item.note ?? undefined
+      })),
+      return_shipping: { option_id: shippingOption.id },
+      location_id: shippingOption.service_zone?.fulfillment_set?.location?.id,
+      note: input.note ?? null
+    }
+  })
+
+  return result
+}
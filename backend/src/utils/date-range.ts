@@ -0,0 +1,32 @@
+import { MedusaError } from '@medusajs/framework/utils'
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Parse the `from` and `to` query params of a report into dates. Without `to`, the
+ * range ends now, and without `from` it covers the days before `to`.
+ * @param query - The request's query params
+ * @param defaultDays - Length of the range when `from` is missing
+ */
+export function parseDateRange(query: Record<string, unknown>, defaultDays = 30): { from: Date; to: Date } {
+  const to = parseDate(query.to, 'to') ?? new Date()
+  const from = parseDate(query.from, 'from') ?? new Date(to.getTime() - defaultDays * DAY)
+
+  if (from > to) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `from must be before to`)
+  }
+
+  return { from, to }
+}
+
+function parseDate(value: unknown, name: string): Date | undefined {
+  if (value === undefined || value === '') {
+    return undefined
+  }
+
+  const date = typeof value === 'string' ? new Date(value) : new Date(NaN)
+  if (isNaN(date.getTime())) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `${name} must be a date, e.g. 2024-01-31`)
+  }
+  return date
+}
@@ -0,0 +1,333 @@
+import { ContainerRegistrationKeys, MedusaError, Modules } from '@medusajs/framework/utils'
+import { IOrderModuleService, MedusaContainer } from '@medusajs/framework/types'
+import { EmailTemplates, getEmailTemplatePreviewProps } from '../modules/email-notifications/templates'
+import { getEmailI18n, getEmailLocale } from '../modules/email-notifications/i18n'
+import { buildTrackingLinks, getCarrierName } from './tracking-links'
+
+/**
+ * An order email: who it goes to, the order it's about and the template data.
+ */
+export interface OrderEmail {
+  to: string
+  orderId: string
+  data: Record<string, unknown>
+}
+
+const emailOptions = (subject: string) => ({
+  replyTo: process.env.RESEND_FROM_EMAIL || 'support@nightkidz.com',
+  subject
+})
+
+/*
+ * One builder per order template. The subscribers send what they build, and the admin
+ * preview and test routes render it, so a preview shows exactly what is sent. `locale`
+ * overrides the locale of the shipping country.
+ */
+
+/**
+ * The `order-placed` email of an order.
+ * @param container - The Medusa container
+ * @param orderId - The ID of the order
+ * @param locale - (optional) Locale to render with
+ */
+export async function buildOrderPlacedEmail(
+  container: MedusaContainer,
+  orderId: string,
+  locale?: string
+): Promise<OrderEmail | null> {
+  const orderModuleService: IOrderModuleService = container.resolve(Modules.ORDER)
+
+  const order = await orderModuleService.retrieveOrder(orderId, { relations: ['items', 'summary', 'shipping_address'] })
+
+  if (!order.email) {
+    return null
+  }
+
+  const shippingAddress = order.shipping_address
+    ? await (orderModuleService as any).orderAddressService_.retrieve(order.shipping_address.id)
+    : {}
+  const emailLocale = locale ?? getEmailLocale(shippingAddress.country_code)
+  const { t } = getEmailI18n(emailLocale)
+
+  return {
+    to: order.email,
+    orderId: order.id,
+    data: {
+      emailOptions: emailOptions(t('orderPlaced.subject', { displayId: order.display_id })),
+      order,
+      shippingAddress,
+      locale: emailLocale,
+      preview: t('orderPlaced.preview')
+    }
+  }
+}
+
+/**
+ * The `order-canceled` email of an order.
+ * @param container - The Medusa container
+ * @param orderId - The ID of the order
+ * @param locale - (optional) Locale to render with
+ */
+export async function buildOrderCanceledEmail(
+  container: MedusaContainer,
+  orderId: string,
+  locale?: string
+): Promise<OrderEmail | null> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: [order] } = await query.graph({
+    entity: 'order',
+    fields: ['id', 'display_id', 'email', 'currency_code', 'items.*', 'shipping_address.*'],
+    filters: { id: orderId }
+  })
+
+  if (!order?.email) {
+    return null
+  }
+
+  const emailLocale = locale ?? getEmailLocale(order.shipping_address?.country_code)
+  const { t } = getEmailI18n(emailLocale)
+
+  return {
+    to: order.email,
+    orderId: order.id,
+    data: {
+      emailOptions: emailOptions(t('orderCanceled.subject', { displayId: order.display_id })),
+      order: {
+        id: order.id,
+        display_id: order.display_id,
+        email: order.email,
+        currency_code: order.currency_code,
+        items: order.items.map((item) => ({
+          id: item!.id,
+          title: item!.title,
+          product_title: item!.product_title,
+          quantity: item!.quantity
+        }))
+      },
+      shippingAddress: order.shipping_address ?? {},
+      locale: emailLocale,
+      preview: t('orderCanceled.preview')
+    }
+  }
+}
+
+async function retrieveFulfillment(container: MedusaContainer, fulfillmentId: string) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: [fulfillment] } = await query.graph({
+    entity: 'fulfillment',
+    fields: [
+      'id',
+      'data',
+      'provider_id',
+      'delivered_at',
+      'items.*',
+      'labels.*',
+      'order.id',
+      'order.display_id',
+      'order.email',
+      'order.shipping_address.*'
+    ],
+    filters: { id: fulfillmentId }
+  })
+
+  return fulfillment?.order?.email ? fulfillment : null
+}
+
+/**
+ * The `fulfillment-created` email of a fulfillment.
+ * @param container - The Medusa container
+ * @param fulfillmentId - The ID of the fulfillment
+ * @param locale - (optional) Locale to render with
+ */
+export async function buildFulfillmentCreatedEmail(
+  container: MedusaContainer,
+  fulfillmentId: string,
+  locale?: string
+): Promise<OrderEmail | null> {
+  const fulfillment = await retrieveFulfillment(container, fulfillmentId)
+
+  if (!fulfillment) {
+    return null
+  }
+
+  const order = fulfillment.order!
+  const emailLocale = locale ?? getEmailLocale(order.shipping_address?.country_code)
+  const { t } = getEmailI18n(emailLocale)
+
+  return {
+    to: order.email!,
+    orderId: order.id,
+    data: {
+      emailOptions: emailOptions(t('fulfillmentCreated.subject', { displayId: order.display_id })),
+      order: { id: order.id, display_id: order.display_id, email: order.email },
+      shippingAddress: order.shipping_address ?? {},
+      items: fulfillment.items.map((item) => ({ id: item!.id, title: item!.title, quantity: item!.quantity })),
+      locale: emailLocale,
+      preview: t('fulfillmentCreated.preview')
+    }
+  }
+}
+
+/**
+ * The `shipment-created` email of a shipped fulfillment.
+ * @param container - The Medusa container
+ * @param fulfillmentId - The ID of the fulfillment
+ * @param locale - (optional) Locale to render with
+ */
+export async function buildShipmentCreatedEmail(
+  container: MedusaContainer,
+  fulfillmentId: string,
+  locale?: string
+): Promise<OrderEmail | null> {
+  const fulfillment = await retrieveFulfillment(container, fulfillmentId)
+
+  if (!fulfillment) {
+    return null
+  }
+
+  const order = fulfillment.order!
+  const emailLocale = locale ?? getEmailLocale(order.shipping_address?.country_code)
+  const { t } = getEmailI18n(emailLocale)
+  const carrier = getCarrierName(fulfillment)
+
+  return {
+    to: order.email!,
+    orderId: order.id,
+    data: {
+      emailOptions: emailOptions(t('shipmentCreated.subject', { displayId: order.display_id })),
+      order: { id: order.id, display_id: order.display_id, email: order.email },
+      shippingAddress: order.shipping_address ?? {},
+      items: fulfillment.items.map((item) => ({ id: item!.id, title: item!.title, quantity: item!.quantity })),
+      carrier,
+      trackingLinks: buildTrackingLinks(fulfillment.labels, carrier),
+      locale: emailLocale,
+      preview: t('shipmentCreated.preview')
+    }
+  }
+}
+
+/**
+ * The `order-delivered` email of a delivered fulfillment.
+ * @param container - The Medusa container
+ * @param fulfillmentId - The ID of the fulfillment
+ * @param locale - (optional) Locale to render with
+ */
+export async function buildOrderDeliveredEmail(
+  container: MedusaContainer,
+  fulfillmentId: string,
+  locale?: string
+): Promise<OrderEmail | null> {
+  const fulfillment = await retrieveFulfillment(container, fulfillmentId)
+
+  if (!fulfillment) {
+    return null
+  }
+
+  const order = fulfillment.order!
+  const emailLocale = locale ?? getEmailLocale(order.shipping_address?.country_code)
+  const { t } = getEmailI18n(emailLocale)
+
+  return {
+    to: order.email!,
+    orderId: order.id,
+    data: {
+      emailOptions: emailOptions(t('orderDelivered.subject', { displayId: order.display_id })),
+      order: { id: order.id, display_id: order.display_id, email: order.email },
+      shippingAddress: order.shipping_address ?? {},
+      deliveredAt: new Date(fulfillment.delivered_at ?? Date.now()).toISOString(),
+      locale: emailLocale,
+      preview: t('orderDelivered.preview')
+    }
+  }
+}
+
+const ORDER_EMAIL_BUILDERS = {
+  [EmailTemplates.ORDER_PLACED]: { build: buildOrderPlacedEmail, byFulfillment: false },
+  [EmailTemplates.ORDER_CANCELED]: { build: buildOrderCanceledEmail, byFulfillment: false },
+  [EmailTemplates.FULFILLMENT_CREATED]: { build: buildFulfillmentCreatedEmail, byFulfillment: true },
+  [EmailTemplates.SHIPMENT_CREATED]: { build: buildShipmentCreatedEmail, byFulfillment: true },
+  [EmailTemplates.ORDER_DELIVERED]: { build: buildOrderDeliveredEmail, byFulfillment: true }
+} as Record<
+  string,
+  {
+    build: (container: MedusaContainer, id: string, locale?: string) => Promise<OrderEmail | null>
+    byFulfillment: boolean
+  }
+>
+
+/**
+ * Whether a template can be rendered with the data of a real order.
+ */
+export const isOrderEmailTemplate = (templateKey: string) => templateKey in ORDER_EMAIL_BUILDERS
+
+/**
+ * Build the data for an email template with the builder its subscriber sends with.
+ * Without an order ID, the preview props defined by the template are used.
+ * @param container - The Medusa container
+ * @param templateKey - One of `EmailTemplates`
+ * @param orderId - (optional) Order to fill the template with
+ * @param locale - (optional) Locale to render with, defaults to the one of the order
+ */
+export async function getEmailTemplateData(
+  container: MedusaContainer,
+  templateKey: string,
+  orderId?: string,
+  locale?: string
+): Promise<Record<string, unknown>> {
+  // Also makes sure the template exists
+  const previewProps = getEmailTemplatePreviewProps(templateKey)
+
+  if (!orderId) {
+    return locale ? { ...previewProps, locale } : previewProps
+  }
+
+  const builder = ORDER_EMAIL_BUILDERS[templateKey]
+
+  if (!builder) {
+    throw new MedusaError(
+      MedusaError.Types.INVALID_DATA,
+      `Template "${templateKey}" can't be rendered with an order`
+    )
+  }
+
+  const id = builder.byFulfillment ? await getLatestFulfillmentId(container, templateKey, orderId) : orderId
+  const email = await builder.build(container, id, locale)
+
+  if (!email) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `Order with id: ${orderId} has no email address`)
+  }
+
+  return email.data
+}
+
+/**
+ * Fulfillment based templates are previewed with the most recent fulfillment of the order.
+ */
+async function getLatestFulfillmentId(container: MedusaContainer, templateKey: string, orderId: string) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: [order] } = await query.graph({
+    entity: 'order',
+    fields: ['id', 'fulfillments.id', 'fulfillments.created_at'],
+    filters: { id: orderId }
+  })
+
+  if (!order) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `Order with id: ${orderId} was not found`)
+  }
+
+  const fulfillment = [...(order.fulfillments ?? [])].sort(
+    (a, b) => new Date(b!.created_at).getTime() - new Date(a!.created_at).getTime()
+  )[0]
+
+  if (!fulfillment) {
+    throw new MedusaError(
+      MedusaError.Types.NOT_ALLOWED,
+      `Order ${orderId} has no fulfillments to render template "${templateKey}" with`
+    )
+  }
+
+  return fulfillment.id
+}
@@ -0,0 +1,269 @@
+import { ContainerRegistrationKeys, MathBN, MedusaError } from '@medusajs/framework/utils'
+import { MedusaContainer } from '@medusajs/framework/types'
+import {
+  createCartCreditLinesWorkflow,
+  deleteCartCreditLinesWorkflow,
+  refreshPaymentCollectionForCartWorkflow
+} from '@medusajs/medusa/core-flows'
+import { GIFT_CARD_MODULE } from '../modules/gift-card'
+import GiftCardModuleService from '../modules/gift-card/service'
+
+/**
+ * `reference` of the cart and order credit lines paid with a gift card. Their
+ * `reference_id` is the ID of the gift card.
+ */
+export const GIFT_CARD_CREDIT_LINE_REFERENCE = 'gift_card'
+
+export interface CartGiftCard {
+  code: string
+  currency_code: string
+  // The amount of the cart paid with the card
+  amount: number
+  balance: number
+}
+
+interface CartCreditLine {
+  id: string
+  amount: unknown
+  reference: string | null
+  reference_id: string | null
+  metadata: Record<string, unknown> | null
+}
+
+async function retrieveCart(container: MedusaContainer, cartId: string) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: [cart] } = await query.graph({
+    entity: 'cart',
+    fields: [
+      'id',
+      'currency_code',
+      'completed_at',
+      'total',
+      'credit_lines.id',
+      'credit_lines.amount',
+      'credit_lines.reference',
+      'credit_lines.reference_id',
+      'credit_lines.metadata'
+    ],
+    filters: { id: cartId }
+  })
+
+  if (!cart) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `Cart with id: ${cartId} was not found`)
+  }
+
+  return cart
+}
+
+/**
+ * The gift card credit lines of a cart, in the order the cards were applied.
+ */
+function getGiftCardCreditLines(cart: { credit_lines?: unknown[] | null }): CartCreditLine[] {
+  return ((cart.credit_lines ?? []) as CartCreditLine[])
+    .filter((creditLine) => creditLine?.reference === GIFT_CARD_CREDIT_LINE_REFERENCE)
+    .sort((a, b) => String(a.metadata?.applied_at ?? '').localeCompare(String(b.metadata?.applied_at ?? '')))
+}
+
+/**
+ * The gift cards applied to a cart, with the amount each one pays.
+ * @param container - The Medusa container
+ * @param cartId - The ID of the cart
+ */
+export async function listCartGiftCards(container: MedusaContainer, cartId: string): Promise<CartGiftCard[]> {
+  const cart = await retrieveCart(container, cartId)
+  const creditLines = getGiftCardCreditLines(cart)
+
+  if (!creditLines.length) {
+    return []
+  }
+
+  const giftCardService: GiftCardModuleService = container.resolve(GIFT_CARD_MODULE)
+  const giftCards = await giftCardService.listGiftCards({
+    id: creditLines.map((creditLine) => creditLine.reference_id!)
+  })
+
+  return creditLines.flatMap((creditLine) => {
+    const giftCard = giftCards.find((card) => card.id === creditLine.reference_id)
+
+    return giftCard
+      ? [{
+          code: giftCard.code,
+          currency_code: giftCard.currency_code,
+          amount: MathBN.convert(creditLine.amount as number).toNumber(),
+          balance: MathBN.convert(giftCard.balance).toNumber()
+        }]
+      : []
+  })
+}
+
+/**
+ * Pay part of a cart with a gift card. The card pays the cart's total up to its
+ * balance, and is kept in sync as the cart changes, see `syncCartGiftCards`.
+ * @param container - The Medusa container
+ * @param cartId - The ID of the cart
+ * @param code - The code of the gift card
+ */
+export async function applyGiftCardToCart(container: MedusaContainer, cartId: string, code: string) {
+  const giftCardService: GiftCardModuleService = container.resolve(GIFT_CARD_MODULE)
+  const cart = await retrieveCart(container, cartId)
+  const giftCard = await giftCardService.retrieveGiftCardByCode(code)
+
+  if (cart.completed_at) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, `Cart with id: ${cartId} is already completed`)
+  }
+  if (giftCard.currency_code !== cart.currency_code) {
+    throw new MedusaError(
+      MedusaError.Types.NOT_ALLOWED,
+      `This gift card can only be used for ${giftCard.currency_code.toUpperCase()} purchases`
+    )
+  }
+  if (MathBN.lte(giftCard.balance, 0)) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, `This gift card has no balance left`)
+  }
+  if (getGiftCardCreditLines(cart).some((creditLine) => creditLine.reference_id === giftCard.id)) {
+    throw new MedusaError(MedusaError.Types.DUPLICATE_ERROR, `This gift card is already applied to the cart`)
+  }
+  if (MathBN.lte(cart.total, 0)) {
+    throw new MedusaError(MedusaError.Types.NOT_ALLOWED, `The cart is already paid in full`)
+  }
+
+  await createCartCreditLinesWorkflow(container).run({
+    input: [{
+      cart_id: cartId,
+      amount: MathBN.min(giftCard.balance, cart.total).toNumber(),
+      reference: GIFT_CARD_CREDIT_LINE_REFERENCE,
+      reference_id: giftCard.id,
+      // Kept when the credit line is replaced, see syncCartGiftCards
+      metadata: { code: giftCard.code, applied_at: new Date().toISOString() }
+    }]
+  })
+  await refreshPaymentCollectionForCartWorkflow(container).run({ input: { cart_id: cartId } })
+}
+
+/**
+ * Stop paying a cart with a gift card.
+ * @param container - The Medusa container
+ * @param cartId - The ID of the cart
+ * @param code - The code of the gift card
+ */
+export async function removeGiftCardFromCart(container: MedusaContainer, cartId: string, code: string) {
+  const giftCardService: GiftCardModuleService = container.resolve(GIFT_CARD_MODULE)
+  const cart = await retrieveCart(container, cartId)
+  const giftCard = await giftCardService.retrieveGiftCardByCode(code)
+
+  const creditLines = getGiftCardCreditLines(cart).filter((creditLine) => creditLine.reference_id === giftCard.id)
+
+  if (!creditLines.length) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, `This gift card is not applied to the cart`)
+  }
+
+  await deleteCartCreditLinesWorkflow(container).run({
+    input: { id: creditLines.map((creditLine) => creditLine.id) }
+  })
+  await refreshPaymentCollectionForCartWorkflow(container).run({ input: { cart_id: cartId } })
+}
+
+/**
+ * Recalculate what each gift card of a cart pays after the cart changed, so the cards
+ * never pay more than the cart's total or their balance. Cards are used in the order
+ * they were applied. Runs in the `refreshCartItemsWorkflow` hook in `src/workflows/hooks/gift-cards.ts`
+ * and after the promotions of a cart change, in `POST /store/carts/:id/promotions`.
+ * @param container - The Medusa container
+ * @param cartId - The ID of the cart
+ */
+export async function syncCartGiftCards(container: MedusaContainer, cartId: string) {
+  const cart = await retrieveCart(container, cartId)
+  const creditLines = getGiftCardCreditLines(cart)
+
+  if (!creditLines.length || cart.completed_at) {
+    return
+  }
+
+  const giftCardService: GiftCardModuleService = container.resolve(GIFT_CARD_MODULE)
+  const giftCards = await giftCardService.listGiftCards({
+    id: creditLines.map((creditLine) => creditLine.reference_id!)
+  })
+
+  // The total before any gift card is taken off
+  let remaining = creditLines.reduce(
+    (total, creditLine) => MathBN.add(total, creditLine.amount as number),
+    MathBN.convert(cart.total)
+  )
+  const stale: CartCreditLine[] = []
+  const replacements: { reference_id: string; amount: number; metadata: Record<string, unknown> | null }[] = []
+
+  for (const creditLine of creditLines) {
+    const giftCard = giftCards.find((card) => card.id === creditLine.reference_id)
+    const amount = giftCard && !giftCard.is_disabled
+      ? MathBN.max(MathBN.min(giftCard.balance, remaining), 0)
+      : MathBN.convert(0)
+
+    remaining = MathBN.sub(remaining, amount)
+
+    if (!MathBN.eq(amount, creditLine.amount as number)) {
+      stale.push(creditLine)
+      // Cards that pay nothing right now stay applied, and pay again once the cart grows
+      replacements.push({
+        reference_id: creditLine.reference_id!,
+        amount: amount.toNumber(),
+        metadata: creditLine.metadata
+      })
+    }
+  }
+
+  if (!stale.length) {
+    return
+  }
+
+  // Credit lines can't be updated through a workflow, so they are replaced
+  await deleteCartCreditLinesWorkflow(container).run({
+    input: { id: stale.map((creditLine) => creditLine.id) }
+  })
+  await createCartCreditLinesWorkflow(container).run({
+    input: replacements.map((replacement) => ({
+      cart_id: cartId,
+      reference: GIFT_CARD_CREDIT_LINE_REFERENCE,
+      ...replacement
+    }))
+  })
+}
+
+/**
+ * Take what the gift cards of a cart pay off their balances while the cart is completed,
+ * so two carts can't spend the same balance. Fails when a card no longer has the balance
+ * it was applied with, or when the cards pay more than the cart's total.
+ * @param container - The Medusa container
+ * @param cart - The cart being completed, with its total and credit lines
+ * @returns The IDs of the transactions created, to release them if completing fails
+ */
+export async function redeemCartGiftCards(
+  container: MedusaContainer,
+  cart: { id: string; total: unknown; completed_at?: unknown; credit_lines?: unknown[] | null }
+): Promise<string[]> {
+  const giftCardLines = getGiftCardCreditLines(cart)
+
+  // A completed cart was already redeemed, completing it again returns its order
+  if (!giftCardLines.length || cart.completed_at) {
+    return []
+  }
+
+  // The cart changed after the cards were last synced with it
+  if (MathBN.lt(cart.total as number, 0)) {
+    throw new MedusaError(
+      MedusaError.Types.NOT_ALLOWED,
+      `The gift cards pay more than the cart's total, please apply them again`
+    )
+  }
+
+  const giftCardService: GiftCardModuleService = container.resolve(GIFT_CARD_MODULE)
+
+  return await giftCardService.redeemCartGiftCards(
+    cart.id,
+    giftCardLines.map((creditLine) => ({
+      gift_card_id: creditLine.reference_id!,
+      amount: MathBN.convert(creditLine.amount as number).toNumber(),
+      code: creditLine.metadata?.code as string | undefined
+    }))
+  )
+}
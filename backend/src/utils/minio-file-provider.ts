@@ -0,0 +1,21 @@
+import { IFileModuleService, IFileProvider, MedusaContainer } from '@medusajs/framework/types'
+import { Modules } from '@medusajs/framework/utils'
+import MinioFileProviderService from '../modules/minio-file/service'
+
+/**
+ * The MinIO file provider registered in the file module, for maintenance tasks on the
+ * bucket that the file module doesn't expose. Returns null when the file module uses
+ * another provider.
+ * @param container - The Medusa container
+ */
+export function getMinioFileProvider(container: MedusaContainer): MinioFileProviderService | null {
+  const fileModuleService: IFileModuleService = container.resolve(Modules.FILE)
+
+  // getProvider() returns the module's wrapper around its only provider
+  const provider = (fileModuleService.getProvider() as unknown as { fileProvider_?: IFileProvider }).fileProvider_
+
+  return (provider?.constructor as typeof MinioFileProviderService | undefined)?.identifier ===
+    MinioFileProviderService.identifier
+    ? (provider as unknown as MinioFileProviderService)
+    : null
+}
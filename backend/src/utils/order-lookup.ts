@@ -0,0 +1,188 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto'
+import { ContainerRegistrationKeys, MedusaError, Modules } from '@medusajs/framework/utils'
+import { ILockingModule, MedusaContainer } from '@medusajs/framework/types'
+import {
+  JWT_SECRET,
+  ORDER_LOOKUP_ACCESS_TTL_MINUTES,
+  ORDER_LOOKUP_LINK_TTL_MINUTES,
+  STOREFRONT_URL
+} from '../lib/constants'
+import { EmailTemplates } from '../modules/email-notifications/templates'
+import { getEmailI18n, getEmailLocale } from '../modules/email-notifications/i18n'
+import { sendNotification } from './send-notification'
+
+// Order metadata keys of the pending lookup link. Only a hash of the token is stored
+const TOKEN_HASH_KEY = 'lookup_token_hash'
+const TOKEN_EXPIRES_AT_KEY = 'lookup_token_expires_at'
+
+const getTokenLockKey = (orderId: string) => `order-lookup-token:${orderId}`
+
+export interface OrderAccess {
+  token: string
+  expires_at: string
+}
+
+export interface LookupOrder {
+  id: string
+  display_id: number
+  email: string
+  metadata: Record<string, unknown> | null
+  shipping_address?: { country_code?: string | null } | null
+}
+
+function hashToken(token: string) {
+  return createHash('sha256').update(token).digest('hex')
+}
+
+function signOrderAccess(orderId: string, expiresAt: number) {
+  return createHmac('sha256', JWT_SECRET).update(`order-access:${orderId}:${expiresAt}`).digest('base64url')
+}
+
+/**
+ * Grant a guest access to an order after a successful lookup. The storefront keeps the
+ * token in a cookie and shows the order only as long as it's valid.
+ * @param orderId - The ID of the order that was looked up
+ */
+export function createOrderAccess(orderId: string): OrderAccess {
+  const expiresAt = Date.now() + ORDER_LOOKUP_ACCESS_TTL_MINUTES * 60 * 1000
+
+  return {
+    token: `${expiresAt}.${signOrderAccess(orderId, expiresAt)}`,
+    expires_at: new Date(expiresAt).toISOString()
+  }
+}
+
+/**
+ * Whether a token from `createOrderAccess` grants access to an order and hasn't expired.
+ * @param orderId - The ID of the order
+ * @param token - The token
+ */
+export function hasOrderAccess(orderId: string, token: string): boolean {
+  const [expiresAt, signature] = token.split('.')
+
+  if (!expiresAt || !signature || !(Number(expiresAt) > Date.now())) {
+    return false
+  }
+
+  const expected = Buffer.from(signOrderAccess(orderId, Number(expiresAt)))
+  const actual = Buffer.from(signature)
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected)
+}
+
+/**
+ * Find an order by the email address it was placed with and its display ID, as a
+ * guest enters them. Returns null when there is no such order, so callers can't
+ * tell which of the two didn't match.
+ * @param container - The Medusa container
+ * @param email - The email address of the order
+ * @param displayId - The order number shown to customers
+ */
+export async function findOrderForLookup(
+  container: MedusaContainer,
+  email: string,
+  displayId: number
+): Promise<LookupOrder | null> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: [order] } = await query.graph({
+    entity: 'order',
+    fields: ['id', 'display_id', 'email', 'metadata', 'shipping_address.country_code'],
+    filters: { display_id: displayId, is_draft_order: false }
+  })
+
+  if (!order?.email || order.email.trim().toLowerCase() !== email.trim().toLowerCase()) {
+    return null
+  }
+
+  return order as LookupOrder
+}
+
+/**
+ * Email a one-time link to an order to the address it was placed with. A new link
+ * replaces the previous one. The outbox only stores the link redacted, see `sendNotification`.
+ * @param container - The Medusa container
+ * @param order - The order, as returned by `findOrderForLookup`
+ * @param countryCode - (optional) Country of the storefront the lookup was made in
+ */
+export async function sendOrderLookupLink(container: MedusaContainer, order: LookupOrder, countryCode?: string) {
+  const orderService = container.resolve(Modules.ORDER)
+  const token = randomBytes(32).toString('base64url')
+  const expiresAt = new Date(Date.now() + ORDER_LOOKUP_LINK_TTL_MINUTES * 60 * 1000)
+
+  await orderService.updateOrders(order.id, {
+    metadata: {
+      ...order.metadata,
+      [TOKEN_HASH_KEY]: hashToken(token),
+      [TOKEN_EXPIRES_AT_KEY]: expiresAt.toISOString()
+    }
+  })
+
+  const country = countryCode ?? order.shipping_address?.country_code
+  const locale = getEmailLocale(country)
+  const { t } = getEmailI18n(locale)
+  const params = new URLSearchParams({ order_id: order.id, token })
+
+  await sendNotification(container, {
+    to: order.email,
+    channel: 'email',
+    template: EmailTemplates.ORDER_LOOKUP_LINK,
+    trigger_type: 'order.lookup_requested',
+    resource_id: order.id,
+    resource_type: 'order',
+    data: {
+      emailOptions: {
+        replyTo: process.env.RESEND_FROM_EMAIL || 'support@nightkidz.com',
+        subject: t('orderLookupLink.subject', { displayId: order.display_id })
+      },
+      order: { id: order.id, display_id: order.display_id },
+      lookupLink: `${STOREFRONT_URL}${country ? `/${country}` : ''}/order/lookup/verify?${params.toString()}`,
+      expiresInMinutes: ORDER_LOOKUP_LINK_TTL_MINUTES,
+      locale,
+      preview: t('orderLookupLink.preview')
+    }
+  })
+}
+
+/**
+ * Check the token of an emailed order link and use it up, so the link works once.
+ * The check and the clearing happen under a lock on the order's link, so concurrent
+ * requests with the same link can't both succeed.
+ * @param container - The Medusa container
+ * @param orderId - The ID of the order in the link
+ * @param token - The token in the link
+ * @throws NOT_ALLOWED when the link is unknown, was used already or has expired
+ */
+export async function consumeOrderLookupToken(container: MedusaContainer, orderId: string, token: string) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const orderService = container.resolve(Modules.ORDER)
+  const lockingService: ILockingModule = container.resolve(Modules.LOCKING)
+
+  return await lockingService.execute(getTokenLockKey(orderId), async () => {
+    const { data: [order] } = await query.graph({
+      entity: 'order',
+      fields: ['id', 'metadata'],
+      filters: { id: orderId }
+    })
+
+    const metadata = (order?.metadata ?? {}) as Record<string, unknown>
+    const storedHash = metadata[TOKEN_HASH_KEY]
+    const expiresAt = metadata[TOKEN_EXPIRES_AT_KEY]
+    const isValid =
+      typeof storedHash === 'string' &&
+      typeof expiresAt === 'string' &&
+      new Date(expiresAt) > new Date() &&
+      timingSafeEqual(Buffer.from(storedHash), Buffer.from(hashToken(token)))
+
+    if (!order || !isValid) {
+      throw new MedusaError(MedusaError.Types.NOT_ALLOWED, `This link is invalid or has expired`)
+    }
+
+    // Cleared with null values, so it works whether metadata is merged or replaced
+    await orderService.updateOrders(order.id, {
+      metadata: { ...metadata, [TOKEN_HASH_KEY]: null, [TOKEN_EXPIRES_AT_KEY]: null }
+    })
+
+    return order.id
+  })
+}
@@ -0,0 +1,174 @@
+import { ContainerRegistrationKeys, Modules } from '@medusajs/framework/utils'
+import { ICartModuleService, IOrderModuleService, MedusaContainer } from '@medusajs/framework/types'
+import path from 'path'
+import MinioFileProviderService, { MinioFileObject } from '../modules/minio-file/service'
+import { getDerivativeBaseKey, isDerivativeKey } from '../modules/minio-file/derivatives'
+
+const BATCH_SIZE = 500
+
+export interface OrphanedMediaReport {
+  /** Objects in the bucket, derivatives included */
+  scanned: number
+  /** Unreferenced objects that are older than the grace period */
+  orphaned: MinioFileObject[]
+  /** Unreferenced objects that are still within the grace period */
+  skipped_recent: number
+}
+
+/**
+ * Finds the objects in the MinIO bucket that no product, variant, collection, category,
+ * cart or order refers to. Derivatives are orphaned together with their original.
+ *
+ * Only public media, like the images uploaded in the admin, can be orphaned. Private
+ * files (invoices, digital goods, product exports and imports) and files uploaded
+ * before the access was stored with them are never reported, see `isPublicMedia`.
+ *
+ * Objects are matched by the end of the referenced URLs' paths, so URLs stored with an
+ * older endpoint or public URL still count.
+ * @param container - The Medusa container
+ * @param fileProvider - The MinIO file provider
+ * @param graceHours - Unreferenced objects younger than this are kept, e.g. uploads of a product that is still being created
+ */
+export async function findOrphanedMedia(
+  container: MedusaContainer,
+  fileProvider: MinioFileProviderService,
+  graceHours: number
+): Promise<OrphanedMediaReport> {
+  const files = await fileProvider.listFiles()
+  const referencedPaths = await collectReferencedPaths(container)
+  const cutoff = Date.now() - graceHours * 60 * 60 * 1000
+
+  const isReferenced = (key: string) => referencedPaths.has(key)
+  // Derivatives are kept as long as their original is referenced, whatever its extension
+  const referencedBaseKeys = new Set(
+    files
+      .filter((file) => !isDerivativeKey(file.key) && isReferenced(file.key))
+      .map((file) => stripExtension(file.key))
+  )
+
+  const unreferenced: MinioFileObject[] = []
+
+  for (const file of files) {
+    const referenced = isDerivativeKey(file.key)
+      ? referencedBaseKeys.has(getDerivativeBaseKey(file.key)) || isReferenced(file.key)
+      : isReferenced(file.key)
+
+    if (!referenced && (await fileProvider.isPublicMedia(file.key))) {
+      unreferenced.push(file)
+    }
+  }
+
+  const orphaned = unreferenced.filter((file) => file.lastModified.getTime() < cutoff)
+
+  return {
+    scanned: files.length,
+    orphaned,
+    skipped_recent: unreferenced.length - orphaned.length
+  }
+}
+
+/**
+ * Deletes orphaned objects, returns the number of deleted objects.
+ */
+export async function deleteOrphanedMedia(
+  fileProvider: MinioFileProviderService,
+  orphaned: MinioFileObject[]
+): Promise<number> {
+  for (const file of orphaned) {
+    await fileProvider.delete({ fileKey: file.key })
+  }
+
+  return orphaned.length
+}
+
+// A malformed percent-encoding in a stored URL shouldn't abort the scan
+const decodePathname = (pathname: string) => {
+  try {
+    return decodeURIComponent(pathname)
+  } catch {
+    return pathname
+  }
+}
+
+const stripExtension = (key: string) => {
+  const { dir, name } = path.posix.parse(key)
+  return path.posix.join(dir, name)
+}
+
+/**
+ * Every suffix of the paths of the URLs found in the database: `/bucket/a/b.jpg` adds
+ * `b.jpg`, `a/b.jpg` and `bucket/a/b.jpg`.
+ */
+async function collectReferencedPaths(container: MedusaContainer): Promise<Set<string>> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const orderModuleService: IOrderModuleService = container.resolve(Modules.ORDER)
+  const cartModuleService: ICartModuleService = container.resolve(Modules.CART)
+
+  const paths = new Set<string>()
+  const addUrls = (value: unknown) => {
+    for (const url of findUrls(value)) {
+      const segments = decodePathname(url.pathname).split('/').filter(Boolean)
+      segments.forEach((_, index) => paths.add(segments.slice(index).join('/')))
+    }
+  }
+
+  const graphEntities = [
+    { entity: 'product', fields: ['thumbnail', 'metadata', 'images.url', 'variants.metadata'] },
+    { entity: 'product_collection', fields: ['metadata'] },
+    { entity: 'product_category', fields: ['metadata'] }
+  ]
+
+  for (const { entity, fields } of graphEntities) {
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const { data } = await query.graph({
+        entity,
+        fields: ['id', ...fields],
+        pagination: { skip: offset, take: BATCH_SIZE, order: { id: 'ASC' } }
+      })
+      data.forEach(addUrls)
+      if (data.length < BATCH_SIZE) {
+        break
+      }
+    }
+  }
+
+  // Carts and orders keep the thumbnail of the product at the time they were created
+  const listLineItems = [
+    (skip: number) => orderModuleService.listOrderLineItems({}, { select: ['id', 'thumbnail'], skip, take: BATCH_SIZE }),
+    (skip: number) => cartModuleService.listLineItems({}, { select: ['id', 'thumbnail'], skip, take: BATCH_SIZE })
+  ]
+
+  for (const list of listLineItems) {
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const items: { thumbnail?: string | null }[] = await list(offset)
+      items.forEach((item) => addUrls(item.thumbnail))
+      if (items.length < BATCH_SIZE) {
+        break
+      }
+    }
+  }
+
+  return paths
+}
+
+/**
+ * Finds the absolute URLs in a value, looking into nested objects and arrays like metadata.
+ */
+function findUrls(value: unknown): URL[] {
+  if (typeof value === 'string') {
+    if (!/^https?:\/\//.test(value)) {
+      return []
+    }
+    try {
+      return [new URL(value)]
+    } catch {
+      return []
+    }
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(findUrls)
+  }
+
+  return []
+}
@@ -0,0 +1,87 @@
+import { ContainerRegistrationKeys, Modules } from '@medusajs/framework/utils'
+import { IProductModuleService, MedusaContainer } from '@medusajs/framework/types'
+import { getMinioFileProvider } from './minio-file-provider'
+
+/**
+ * Product metadata key listing the URLs of the product's images that have derivatives.
+ * The storefront only renders `<source>`s for derivatives of these images.
+ */
+export const IMAGE_DERIVATIVES_METADATA_KEY = 'image_derivatives'
+
+const BATCH_SIZE = 100
+
+/**
+ * Makes sure the thumbnail and images of products have derivatives, generating the
+ * missing ones, and lists the images that have them in the product's metadata.
+ * Products are only updated when the list changes. Does nothing without MinIO.
+ * @param container - The Medusa container
+ * @param productIds - Products to check
+ */
+export async function syncProductImageDerivatives(container: MedusaContainer, productIds: string[]) {
+  const fileProvider = getMinioFileProvider(container)
+
+  if (!fileProvider || !productIds.length) {
+    return
+  }
+
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const productModuleService: IProductModuleService = container.resolve(Modules.PRODUCT)
+
+  const { data: products } = await query.graph({
+    entity: 'product',
+    fields: ['id', 'thumbnail', 'metadata', 'images.url'],
+    filters: { id: productIds }
+  })
+
+  for (const product of products) {
+    const urls = [...new Set([product.thumbnail, ...(product.images ?? []).map((image) => image?.url)])]
+    const withDerivatives: string[] = []
+
+    for (const url of urls) {
+      const fileKey = url ? fileProvider.getFileKey(url) : null
+      if (url && fileKey && (await fileProvider.ensureImageDerivatives(fileKey))) {
+        withDerivatives.push(url)
+      }
+    }
+
+    const current = product.metadata?.[IMAGE_DERIVATIVES_METADATA_KEY]
+    if (Array.isArray(current) && current.length === withDerivatives.length &&
+      withDerivatives.every((url) => current.includes(url))) {
+      continue
+    }
+    if (!Array.isArray(current) && !withDerivatives.length) {
+      continue
+    }
+
+    await productModuleService.updateProducts(product.id, {
+      metadata: { ...product.metadata, [IMAGE_DERIVATIVES_METADATA_KEY]: withDerivatives }
+    })
+  }
+}
+
+/**
+ * Runs `syncProductImageDerivatives` on every product.
+ * @param container - The Medusa container
+ * @returns The number of products checked
+ */
+export async function syncAllProductImageDerivatives(container: MedusaContainer): Promise<number> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  let count = 0
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data: products } = await query.graph({
+      entity: 'product',
+      fields: ['id'],
+      pagination: { skip: offset, take: BATCH_SIZE, order: { id: 'ASC' } }
+    })
+
+    await syncProductImageDerivatives(container, products.map((product) => product.id))
+    count += products.length
+
+    if (products.length < BATCH_SIZE) {
+      break
+    }
+  }
+
+  return count
+}
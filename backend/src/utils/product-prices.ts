@@ -0,0 +1,70 @@
+import { ContainerRegistrationKeys, QueryContext } from '@medusajs/framework/utils'
+import { MedusaContainer } from '@medusajs/framework/types'
+
+const BATCH_SIZE = 100
+
+/**
+ * Lowest calculated variant price of each product in a region, the price shown on
+ * product cards. Products without a price in the region are left out.
+ * @param container - The Medusa container
+ * @param productIds - Products to get the prices of
+ * @param region - Region to calculate the prices for
+ */
+export async function getMinCalculatedPrices(
+  container: MedusaContainer,
+  productIds: string[],
+  region: { id: string; currency_code: string }
+): Promise<Record<string, number>> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const minPrices: Record<string, number> = {}
+
+  for (let i = 0; i < productIds.length; i += BATCH_SIZE) {
+    const { data: products } = await query.graph({
+      entity: 'product',
+      fields: ['id', 'variants.calculated_price.calculated_amount'],
+      filters: { id: productIds.slice(i, i + BATCH_SIZE) },
+      context: {
+        variants: {
+          calculated_price: QueryContext({ region_id: region.id, currency_code: region.currency_code })
+        }
+      }
+    })
+
+    for (const product of products) {
+      const amounts = (product.variants ?? [])
+        .map((variant) => variant.calculated_price?.calculated_amount)
+        .filter((amount): amount is number => typeof amount === 'number')
+
+      if (amounts.length) {
+        minPrices[product.id] = Math.min(...amounts)
+      }
+    }
+  }
+
+  return minPrices
+}
+
+/**
+ * Lowest calculated variant price of each product, by region.
+ * @param container - The Medusa container
+ * @param productIds - Products to get the prices of
+ * @returns The prices of each product, keyed by region ID
+ */
+export async function getMinPricesByRegion(
+  container: MedusaContainer,
+  productIds: string[]
+): Promise<Record<string, Record<string, number>>> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const { data: regions } = await query.graph({ entity: 'region', fields: ['id', 'currency_code'] })
+  const minPrices: Record<string, Record<string, number>> = {}
+
+  for (const region of regions) {
+    const regionPrices = await getMinCalculatedPrices(container, productIds, region)
+
+    for (const [productId, amount] of Object.entries(regionPrices)) {
+      minPrices[productId] = { ...minPrices[productId], [region.id]: amount }
+    }
+  }
+
+  return minPrices
+}
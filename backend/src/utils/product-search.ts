@@ -0,0 +1,295 @@
+import { randomUUID } from 'crypto'
+import {
+  ContainerRegistrationKeys,
+  getTotalVariantAvailability,
+  MedusaError,
+  Modules,
+  ProductStatus
+} from '@medusajs/framework/utils'
+import { ILockingModule, MedusaContainer } from '@medusajs/framework/types'
+import { getMinPricesByRegion } from './product-prices'
+import { PRODUCT_SEARCH_MODULE } from '../modules/product-search'
+import ProductSearchModuleService from '../modules/product-search/service'
+import { ProductSearchDocument } from '../modules/product-search/types'
+
+const BATCH_SIZE = 100
+const REINDEX_LOCK_KEY = 'product-search-reindex'
+// Extended after every batch, so a reindex that died doesn't block the next one for long
+const REINDEX_LOCK_EXPIRE_SECONDS = 120
+
+/**
+ * The product search module, or null when Meilisearch is not configured.
+ */
+export function getProductSearchService(container: MedusaContainer): ProductSearchModuleService | null {
+  return container.hasRegistration(PRODUCT_SEARCH_MODULE) ? container.resolve(PRODUCT_SEARCH_MODULE) : null
+}
+
+/**
+ * Builds the search documents of published products. Products that don't exist or
+ * aren't published are left out.
+ * @param container - The Medusa container
+ * @param productIds - Products to build documents for
+ */
+export async function buildProductSearchDocuments(
+  container: MedusaContainer,
+  productIds: string[]
+): Promise<ProductSearchDocument[]> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: products } = await query.graph({
+    entity: 'product',
+    fields: [
+      'id',
+      'title',
+      'subtitle',
+      'description',
+      'handle',
+      'thumbnail',
+      'created_at',
+      'categories.name',
+      'collection.title',
+      'tags.value',
+      'variants.id',
+      'variants.sku',
+      'variants.manage_inventory',
+      'variants.allow_backorder',
+      'variants.options.value',
+      'variants.options.option.title'
+    ],
+    filters: { id: productIds, status: ProductStatus.PUBLISHED }
+  })
+
+  if (!products.length) {
+    return []
+  }
+
+  const variants = products.flatMap((product) => product.variants ?? [])
+  const availability = await getTotalVariantAvailability(query, {
+    variant_ids: variants.filter((variant) => variant.manage_inventory).map((variant) => variant.id)
+  })
+  const minPrices = await getMinPricesByRegion(container, products.map((product) => product.id))
+
+  return products.map((product) => {
+    const options: Record<string, string[]> = {}
+
+    for (const variant of product.variants ?? []) {
+      for (const optionValue of variant.options ?? []) {
+        const key = optionValue.option?.title?.trim().toLowerCase()
+        if (key && !options[key]?.includes(optionValue.value)) {
+          options[key] = [...(options[key] ?? []), optionValue.value]
+        }
+      }
+    }
+
+    return {
+      id: product.id,
+      title: product.title,
+      subtitle: product.subtitle ?? null,
+      description: product.description ?? null,
+      handle: product.handle,
+      thumbnail: product.thumbnail ?? null,
+      variant_sku: (product.variants ?? []).map((variant) => variant.sku).filter((sku): sku is string => !!sku),
+      categories: (product.categories ?? []).map((category) => category.name),
+      collection: product.collection?.title ?? null,
+      tags: (product.tags ?? []).map((tag) => tag.value),
+      options,
+      in_stock: (product.variants ?? []).some(
+        (variant) =>
+          !variant.manage_inventory || variant.allow_backorder || (availability[variant.id]?.availability ?? 0) > 0
+      ),
+      min_price: minPrices[product.id] ?? {},
+      created_at: Math.floor(new Date(product.created_at).getTime() / 1000)
+    }
+  })
+}
+
+/**
+ * Updates the search documents of products, and removes the ones of products that
+ * were deleted or unpublished.
+ * @param container - The Medusa container
+ * @param productIds - Products that changed
+ */
+export async function syncProductSearchDocuments(container: MedusaContainer, productIds: string[]) {
+  const searchService = getProductSearchService(container)
+
+  if (!searchService || !productIds.length) {
+    return
+  }
+
+  const documents = await buildProductSearchDocuments(container, productIds)
+  const indexedIds = new Set(documents.map((document) => document.id))
+
+  await searchService.upsertDocuments(documents)
+  await searchService.deleteDocuments(productIds.filter((id) => !indexedIds.has(id)))
+}
+
+/**
+ * Takes the reindex lock, which is shared by all server and worker instances when the
+ * Redis locking provider is configured. Taking it again with the same owner extends it.
+ * @param container - The Medusa container
+ * @param ownerId - Identifies the reindex holding the lock
+ * @throws When another reindex holds the lock
+ */
+export async function acquireReindexLock(container: MedusaContainer, ownerId: string) {
+  const lockingService: ILockingModule = container.resolve(Modules.LOCKING)
+
+  try {
+    await lockingService.acquire(REINDEX_LOCK_KEY, { ownerId, expire: REINDEX_LOCK_EXPIRE_SECONDS })
+  } catch {
+    throw new MedusaError(MedusaError.Types.CONFLICT, 'A reindex is already running')
+  }
+}
+
+export interface ReindexProductsOptions {
+  /**
+   * Delete the index and build it from scratch
+   */
+  recreate?: boolean
+  /**
+   * Only reindex products that were updated, or had a variant updated, since this date.
+   * Unpublished products among them are removed from the index. Price and stock changes
+   * don't update the product or its variants, they're only picked up by the subscribers
+   * or a full reindex. Can't be combined with `recreate`
+   */
+  since?: Date
+  /**
+   * Also remove the documents of products that no longer exist
+   */
+  removeStale?: boolean
+  /**
+   * Called after each batch
+   */
+  onProgress?: (progress: { processed: number; total: number }) => void
+  /**
+   * Owner of a reindex lock taken beforehand with `acquireReindexLock`
+   */
+  lockOwnerId?: string
+}
+
+/**
+ * Indexes all published products, or the products updated since a date, in batches.
+ * Holds the reindex lock while running, see `acquireReindexLock`.
+ * @returns The number of indexed products, or null when Meilisearch is not configured
+ * @throws When another reindex is running
+ */
+export async function reindexProducts(
+  container: MedusaContainer,
+  {
+    recreate = false,
+    since,
+    removeStale = false,
+    onProgress,
+    lockOwnerId = randomUUID()
+  }: ReindexProductsOptions = {}
+): Promise<{ indexed: number; removed: number } | null> {
+  const searchService = getProductSearchService(container)
+  const lockingService: ILockingModule = container.resolve(Modules.LOCKING)
+
+  if (!searchService) {
+    return null
+  }
+
+  if (recreate && since) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, 'recreate and since can\'t be combined')
+  }
+
+  await acquireReindexLock(container, lockOwnerId)
+
+  try {
+    return await reindexProducts_(container, searchService, lockOwnerId, { recreate, since, removeStale, onProgress })
+  } finally {
+    await lockingService.release(REINDEX_LOCK_KEY, { ownerId: lockOwnerId })
+  }
+}
+
+async function reindexProducts_(
+  container: MedusaContainer,
+  searchService: ProductSearchModuleService,
+  lockOwnerId: string,
+  { recreate, since, removeStale, onProgress }: ReindexProductsOptions
+) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  if (recreate) {
+    await searchService.recreateIndex()
+  }
+
+  let indexed = 0
+  let removed = 0
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data: products, metadata } = await query.graph({
+      entity: 'product',
+      fields: ['id'],
+      filters: since
+        ? { $or: [{ updated_at: { $gte: since } }, { variants: { updated_at: { $gte: since } } }] }
+        : { status: ProductStatus.PUBLISHED },
+      pagination: { skip: offset, take: BATCH_SIZE, order: { id: 'ASC' } }
+    })
+    const productIds = products.map((product) => product.id)
+
+    const documents = await buildProductSearchDocuments(container, productIds)
+    const indexedIds = new Set(documents.map((document) => document.id))
+    const unindexedIds = productIds.filter((id) => !indexedIds.has(id))
+
+    await searchService.upsertDocuments(documents)
+    await searchService.deleteDocuments(unindexedIds)
+    indexed += documents.length
+    removed += unindexedIds.length
+
+    await acquireReindexLock(container, lockOwnerId)
+    onProgress?.({ processed: offset + products.length, total: metadata?.count ?? offset + products.length })
+
+    if (products.length < BATCH_SIZE) {
+      break
+    }
+  }
+
+  if (removeStale) {
+    await acquireReindexLock(container, lockOwnerId)
+    const staleIds = (await findStaleSearchDocuments(container)) ?? []
+    await searchService.deleteDocuments(staleIds)
+    removed += staleIds.length
+  }
+
+  return { indexed, removed }
+}
+
+/**
+ * Indexes all published products, in batches.
+ * @returns The number of indexed products
+ */
+export async function indexAllProducts(container: MedusaContainer): Promise<number> {
+  const result = await reindexProducts(container)
+  return result?.indexed ?? 0
+}
+
+/**
+ * Documents in the index whose product no longer exists or is no longer published.
+ * @returns The IDs of the stale documents, or null when Meilisearch is not configured
+ */
+export async function findStaleSearchDocuments(container: MedusaContainer): Promise<string[] | null> {
+  const searchService = getProductSearchService(container)
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  if (!searchService) {
+    return null
+  }
+
+  const documentIds = await searchService.listDocumentIds()
+  const stale: string[] = []
+
+  for (let i = 0; i < documentIds.length; i += BATCH_SIZE) {
+    const batch = documentIds.slice(i, i + BATCH_SIZE)
+    const { data: products } = await query.graph({
+      entity: 'product',
+      fields: ['id'],
+      filters: { id: batch, status: ProductStatus.PUBLISHED }
+    })
+    const publishedIds = new Set(products.map((product) => product.id))
+
+    stale.push(...batch.filter((id) => !publishedIds.has(id)))
+  }
+
+  return stale
+}
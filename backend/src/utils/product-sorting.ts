@@ -0,0 +1,185 @@
+import { ContainerRegistrationKeys, ProductStatus } from '@medusajs/framework/utils'
+import { MedusaContainer } from '@medusajs/framework/types'
+import { getMinPricesByRegion } from './product-prices'
+import { PRODUCT_SORT_MODULE } from '../modules/product-sort'
+import ProductSortModuleService from '../modules/product-sort/service'
+import { ProductSortEntryInput, SortedProductsInput } from '../modules/product-sort/types'
+
+// Orders of the last 90 days count towards best selling
+const BEST_SELLING_DAYS = 90
+const BATCH_SIZE = 100
+const ORDER_BATCH_SIZE = 500
+
+/**
+ * Published products sorted by creation date, by their lowest calculated price in a
+ * region, or by the units sold recently, paginated with `offset` and `limit`.
+ * Sorting and pagination happen in the database, on the entries of the product sort module.
+ * @returns The IDs of the products on the page, and the number of matching products
+ */
+export async function listSortedProductIds(
+  container: MedusaContainer,
+  input: SortedProductsInput
+): Promise<{ product_ids: string[]; count: number }> {
+  const productSortService: ProductSortModuleService = container.resolve(PRODUCT_SORT_MODULE)
+  return productSortService.listSortedProductIds(input)
+}
+
+/**
+ * Sort entries of the published products among the given ones.
+ */
+async function buildSortEntries(container: MedusaContainer, productIds: string[]): Promise<ProductSortEntryInput[]> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: products } = await query.graph({
+    entity: 'product',
+    fields: ['id', 'created_at', 'collection_id', 'categories.id', 'sales_channels.id'],
+    filters: { id: productIds, status: ProductStatus.PUBLISHED }
+  })
+
+  const minPrices = await getMinPricesByRegion(container, products.map((product) => product.id))
+
+  return products.map((product) => ({
+    product_id: product.id,
+    product_created_at: new Date(product.created_at),
+    collection_id: product.collection_id ?? null,
+    category_ids: (product.categories ?? []).map((category) => category!.id),
+    sales_channel_ids: (product.sales_channels ?? []).map((salesChannel) => salesChannel!.id),
+    prices: minPrices[product.id] ?? {}
+  }))
+}
+
+/**
+ * Updates the sort entries of products, and removes the ones of products that were
+ * deleted or unpublished.
+ * @param container - The Medusa container
+ * @param productIds - Products that changed
+ */
+export async function syncProductSortEntries(container: MedusaContainer, productIds: string[]) {
+  if (!productIds.length) {
+    return
+  }
+
+  const productSortService: ProductSortModuleService = container.resolve(PRODUCT_SORT_MODULE)
+  const entries = await buildSortEntries(container, productIds)
+  const publishedIds = new Set(entries.map((entry) => entry.product_id))
+
+  await productSortService.upsertSortEntries(entries)
+  await productSortService.removeSortEntries(productIds.filter((id) => !publishedIds.has(id)))
+}
+
+/**
+ * Rebuilds the sort entries of all published products and their units sold. Catches
+ * up with what the subscribers don't see: orders leaving the best selling window,
+ * price list changes and category or sales channel assignments.
+ * @param container - The Medusa container
+ * @returns The number of products with a sort entry
+ */
+export async function rebuildProductSortEntries(container: MedusaContainer): Promise<number> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const productSortService: ProductSortModuleService = container.resolve(PRODUCT_SORT_MODULE)
+  const publishedIds = new Set<string>()
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data: products } = await query.graph({
+      entity: 'product',
+      fields: ['id'],
+      filters: { status: ProductStatus.PUBLISHED },
+      pagination: { skip: offset, take: BATCH_SIZE, order: { id: 'ASC' } }
+    })
+
+    const entries = await buildSortEntries(container, products.map((product) => product.id))
+    entries.forEach((entry) => publishedIds.add(entry.product_id))
+    await productSortService.upsertSortEntries(entries)
+
+    if (products.length < BATCH_SIZE) {
+      break
+    }
+  }
+
+  const existing = await productSortService.listProductSortEntries({}, { select: ['product_id'] })
+  await productSortService.removeSortEntries(
+    existing.map((entry) => entry.product_id).filter((id) => !publishedIds.has(id))
+  )
+
+  await productSortService.setUnitsSold(await getUnitsSold(container))
+
+  return publishedIds.size
+}
+
+/**
+ * Adds the units of an order to the units sold of its products when it's placed, or
+ * takes them off when it's canceled. Orders outside of the best selling window and
+ * draft orders are left out.
+ * @param container - The Medusa container
+ * @param orderId - The ID of the order
+ * @param direction - `1` when the order is placed, `-1` when it's canceled
+ */
+export async function updateUnitsSoldOfOrder(container: MedusaContainer, orderId: string, direction: 1 | -1) {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const productSortService: ProductSortModuleService = container.resolve(PRODUCT_SORT_MODULE)
+
+  const { data: [order] } = await query.graph({
+    entity: 'order',
+    fields: ['id', 'created_at', 'is_draft_order', 'items.product_id', 'items.quantity'],
+    filters: { id: orderId }
+  })
+
+  if (!order || order.is_draft_order || new Date(order.created_at) < getBestSellingSince()) {
+    return
+  }
+
+  await productSortService.addUnitsSold(
+    Object.fromEntries(
+      sumUnitsByProduct(order.items ?? []).map(([productId, quantity]) => [productId, quantity * direction])
+    )
+  )
+}
+
+const getBestSellingSince = () => new Date(Date.now() - BEST_SELLING_DAYS * 24 * 60 * 60 * 1000)
+
+function sumUnitsByProduct(
+  items: ({ product_id?: string | null; quantity: unknown } | null)[]
+): [string, number][] {
+  const unitsSold: Record<string, number> = {}
+
+  for (const item of items) {
+    if (item?.product_id) {
+      unitsSold[item.product_id] = (unitsSold[item.product_id] ?? 0) + Number(item.quantity)
+    }
+  }
+
+  return Object.entries(unitsSold)
+}
+
+/**
+ * Units sold of each product in the orders of the last `BEST_SELLING_DAYS` days,
+ * canceled and draft orders left out.
+ */
+async function getUnitsSold(container: MedusaContainer): Promise<Record<string, number>> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+  const since = getBestSellingSince()
+  const unitsSold: Record<string, number> = {}
+
+  for (let offset = 0; ; offset += ORDER_BATCH_SIZE) {
+    const { data: orders } = await query.graph({
+      entity: 'order',
+      fields: ['id', 'items.product_id', 'items.quantity'],
+      filters: {
+        created_at: { $gte: since },
+        status: { $ne: 'canceled' },
+        is_draft_order: false
+      },
+      pagination: { skip: offset, take: ORDER_BATCH_SIZE, order: { id: 'ASC' } }
+    })
+
+    for (const [productId, quantity] of sumUnitsByProduct(orders.flatMap((order) => order.items ?? []))) {
+      unitsSold[productId] = (unitsSold[productId] ?? 0) + quantity
+    }
+
+    if (orders.length < ORDER_BATCH_SIZE) {
+      break
+    }
+  }
+
+  return unitsSold
+}
@@ -0,0 +1,54 @@
+import { MathBN, Modules, PromotionStatus } from '@medusajs/framework/utils'
+import { MedusaContainer } from '@medusajs/framework/types'
+
+/**
+ * Check whether a promotion code can be used: it exists, is active, its campaign is
+ * running and has budget left, and a fixed amount is in the cart's currency. It is up
+ * to the promotion's rules whether it applies to a cart. The promotion module silently
+ * ignores codes that can't be applied, so this tells customers whether the code itself
+ * is the problem. The reason is left out on purpose, so codes can't be enumerated.
+ * @param container - The Medusa container
+ * @param code - The promotion code
+ * @param currencyCode - The currency of the cart the code is for
+ */
+export async function isPromotionCodeUsable(
+  container: MedusaContainer,
+  code: string,
+  currencyCode?: string
+): Promise<boolean> {
+  const promotionService = container.resolve(Modules.PROMOTION)
+  const [promotion] = await promotionService.listPromotions(
+    { code: code.trim() },
+    { relations: ['application_method', 'campaign', 'campaign.budget'] }
+  )
+
+  if (!promotion || promotion.status !== PromotionStatus.ACTIVE) {
+    return false
+  }
+
+  const { campaign, application_method: applicationMethod } = promotion
+  const now = new Date()
+
+  if (campaign?.starts_at && new Date(campaign.starts_at) > now) {
+    return false
+  }
+  if (campaign?.ends_at && new Date(campaign.ends_at) <= now) {
+    return false
+  }
+  if (
+    campaign?.budget?.limit != null &&
+    MathBN.gte(campaign.budget.used ?? 0, campaign.budget.limit)
+  ) {
+    return false
+  }
+  if (
+    currencyCode &&
+    applicationMethod?.type === 'fixed' &&
+    applicationMethod.currency_code &&
+    applicationMethod.currency_code.toLowerCase() !== currencyCode.toLowerCase()
+  ) {
+    return false
+  }
+
+  return true
+}
@@ -0,0 +1,20 @@
+import { MedusaError } from '@medusajs/framework/utils'
+
+/**
+ * Parse an optional non-negative integer query param, like `limit` or `offset`.
+ * @param value - The query param
+ * @param name - Name of the param, for the error message
+ * @returns The number, or undefined when the param is missing
+ * @throws INVALID_DATA when the param isn't a non-negative integer
+ */
+export function parseInteger(value: unknown, name: string): number | undefined {
+  if (value === undefined) {
+    return undefined
+  }
+
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 0) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, `${name} must be a non-negative integer`)
+  }
+  return number
+}
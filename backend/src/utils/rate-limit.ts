@@ -0,0 +1,43 @@
+import { Modules } from '@medusajs/framework/utils'
+import { ICacheService, ILockingModule, MedusaContainer } from '@medusajs/framework/types'
+
+interface RateLimitWindow {
+  count: number
+  // Epoch milliseconds at which the window ends and the count starts over
+  reset_at: number
+}
+
+/**
+ * Count an attempt against a limit per time window, e.g. per IP address. The count is
+ * kept in the cache module and updated under a lock, so with Redis configured all
+ * instances share it.
+ * @param container - The Medusa container
+ * @param key - What is limited, e.g. `order-lookup:ip:127.0.0.1`
+ * @param limit - Attempts allowed per window
+ * @param windowSeconds - Length of the window
+ * @returns 0 when the attempt is allowed, otherwise the seconds until the window ends
+ */
+export async function consumeRateLimit(
+  container: MedusaContainer,
+  key: string,
+  limit: number,
+  windowSeconds: number
+): Promise<number> {
+  const cacheService: ICacheService = container.resolve(Modules.CACHE)
+  const lockingService: ILockingModule = container.resolve(Modules.LOCKING)
+  const cacheKey = `rate-limit:${key}`
+
+  return await lockingService.execute(cacheKey, async () => {
+    const now = Date.now()
+    const cached = await cacheService.get<RateLimitWindow>(cacheKey)
+    const window = cached && cached.reset_at > now ? cached : { count: 0, reset_at: now + windowSeconds * 1000 }
+    const secondsLeft = Math.ceil((window.reset_at - now) / 1000)
+
+    if (window.count >= limit) {
+      return secondsLeft
+    }
+
+    await cacheService.set(cacheKey, { ...window, count: window.count + 1 }, secondsLeft)
+    return 0
+  })
+}
@@ -0,0 +1,134 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto'
+import { ContainerRegistrationKeys, Modules } from '@medusajs/framework/utils'
+import { INotificationModuleService, MedusaContainer } from '@medusajs/framework/types'
+import { JWT_SECRET } from '../lib/constants'
+import { NOTIFICATION_OUTBOX_MODULE } from '../modules/notification-outbox'
+import NotificationOutboxModuleService from '../modules/notification-outbox/service'
+
+export interface OutboxNotificationInput {
+  to: string
+  channel: string
+  template: string
+  data?: Record<string, unknown>
+  trigger_type?: string
+  resource_id?: string
+  resource_type?: string
+}
+
+type OutboxNotificationEntry = Awaited<
+  ReturnType<NotificationOutboxModuleService['retrieveOutboxNotification']>
+>
+
+/**
+ * Keys of notification data that grant access to something, like password reset
+ * links or gift card codes. They're redacted wherever they appear in the data, and
+ * only stored encrypted so retries can still send them.
+ */
+const SECRET_DATA_KEYS = ['resetLink', 'inviteLink', 'recoveryLink', 'lookupLink', 'confirmLink', 'unsubscribeLink', 'code']
+
+const REDACTED = '[redacted]'
+
+// AES-256-GCM, with a key derived from the JWT secret
+const ENCRYPTION_KEY = createHash('sha256').update(`notification-outbox:${JWT_SECRET}`).digest()
+
+function redactData(value: unknown): unknown {
+  if (Array.isArray(value)) {
+    return value.map(redactData)
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, SECRET_DATA_KEYS.includes(key) ? REDACTED : redactData(item)])
+    )
+  }
+
+  return value
+}
+
+function encryptData(data: Record<string, unknown>): string {
+  const iv = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv)
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()])
+
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.')
+}
+
+function decryptData(value: string): Record<string, unknown> {
+  const [iv, authTag, encrypted] = value.split('.').map((part) => Buffer.from(part, 'base64'))
+  const decipher = createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv)
+  decipher.setAuthTag(authTag)
+
+  return JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'))
+}
+
+/**
+ * An outbox notification as the admin API returns it, with its secrets redacted.
+ * Also redacts notifications stored before secrets were.
+ */
+export function redactOutboxNotification(entry: OutboxNotificationEntry) {
+  const { encrypted_data: _encryptedData, ...notification } = entry
+
+  return { ...notification, data: redactData(entry.data) as Record<string, unknown> | null }
+}
+
+/**
+ * Record a notification in the outbox and try to send it right away. A failed send
+ * doesn't throw, it is kept in the outbox and retried by the `retry-notifications` job.
+ * Secrets in the data, see `SECRET_DATA_KEYS`, are stored redacted, next to an
+ * encrypted copy of the data that is used to send the notification.
+ * @param container - The Medusa container
+ * @param input - The notification to send
+ */
+export async function sendNotification(
+  container: MedusaContainer,
+  input: OutboxNotificationInput
+): Promise<OutboxNotificationEntry> {
+  const outboxService: NotificationOutboxModuleService = container.resolve(NOTIFICATION_OUTBOX_MODULE)
+  const data = input.data ?? {}
+  const redactedData = redactData(data) as Record<string, unknown>
+  const hasSecrets = JSON.stringify(redactedData) !== JSON.stringify(data)
+
+  const entry = await outboxService.createOutboxNotifications({
+    ...input,
+    data: redactedData,
+    encrypted_data: hasSecrets ? encryptData(data) : null
+  })
+
+  return await dispatchOutboxNotification(container, entry)
+}
+
+/**
+ * Send a notification that is stored in the outbox and record the outcome.
+ * @param container - The Medusa container
+ * @param entry - The outbox notification to send
+ */
+export async function dispatchOutboxNotification(
+  container: MedusaContainer,
+  entry: OutboxNotificationEntry
+): Promise<OutboxNotificationEntry> {
+  const logger = container.resolve(ContainerRegistrationKeys.LOGGER)
+  const outboxService: NotificationOutboxModuleService = container.resolve(NOTIFICATION_OUTBOX_MODULE)
+
+  try {
+    // Resolved per attempt, the notification module is only registered when an email provider is configured
+    const notificationModuleService: INotificationModuleService = container.resolve(Modules.NOTIFICATION)
+
+    await notificationModuleService.createNotifications({
+      to: entry.to,
+      channel: entry.channel,
+      template: entry.template,
+      data: entry.encrypted_data ? decryptData(entry.encrypted_data) : entry.data ?? {},
+      trigger_type: entry.trigger_type,
+      resource_id: entry.resource_id,
+      resource_type: entry.resource_type
+    })
+
+    return await outboxService.markSent(entry.id)
+  } catch (error) {
+    logger.warn(
+      `Failed to send "${entry.template}" notification ${entry.id} to ${entry.to} (attempt ${entry.attempts + 1}): ${error.message}`
+    )
+
+    return await outboxService.markFailed(entry.id, error.message)
+  }
+}
@@ -0,0 +1,123 @@
+import { ContainerRegistrationKeys } from '@medusajs/framework/utils'
+import { MedusaContainer } from '@medusajs/framework/types'
+
+export interface StockLocationSummary {
+  id: string
+  name: string
+  address: {
+    address_1: string | null
+    city: string | null
+    postal_code: string | null
+    country_code: string | null
+  } | null
+  /**
+   * Whether the location has a `pickup` fulfillment set, so customers can pick up
+   * their order there
+   */
+  pickup: boolean
+}
+
+export interface VariantStockAvailability {
+  variant_id: string
+  manage_inventory: boolean
+  allow_backorder: boolean
+  /**
+   * Available quantity at each location of the sales channels. Empty for variants that
+   * don't manage inventory
+   */
+  locations: { location_id: string; available_quantity: number }[]
+}
+
+/**
+ * Available quantity of variants at each stock location of the given sales channels.
+ * Variants made of several inventory items are available as many times as their
+ * scarcest item allows.
+ * @param container - The Medusa container
+ * @param input.product_ids - Products to get the variants of
+ * @param input.variant_ids - Variants, when not getting all variants of products
+ * @param input.sales_channel_ids - Sales channels whose stock locations to include
+ */
+export async function getStockAvailability(
+  container: MedusaContainer,
+  input: { product_ids?: string[]; variant_ids?: string[]; sales_channel_ids: string[] }
+): Promise<{ locations: StockLocationSummary[]; variants: VariantStockAvailability[] }> {
+  const query = container.resolve(ContainerRegistrationKeys.QUERY)
+
+  const { data: salesChannels } = await query.graph({
+    entity: 'sales_channel',
+    fields: [
+      'id',
+      'stock_locations.id',
+      'stock_locations.name',
+      'stock_locations.address.address_1',
+      'stock_locations.address.city',
+      'stock_locations.address.postal_code',
+      'stock_locations.address.country_code',
+      'stock_locations.fulfillment_sets.type'
+    ],
+    filters: { id: input.sales_channel_ids }
+  })
+
+  const locations = new Map<string, StockLocationSummary>()
+
+  for (const location of salesChannels.flatMap((salesChannel) => salesChannel.stock_locations ?? [])) {
+    if (location && !locations.has(location.id)) {
+      locations.set(location.id, {
+        id: location.id,
+        name: location.name,
+        address: location.address
+          ? {
+              address_1: location.address.address_1 ?? null,
+              city: location.address.city ?? null,
+              postal_code: location.address.postal_code ?? null,
+              country_code: location.address.country_code ?? null
+            }
+          : null,
+        pickup: (location.fulfillment_sets ?? []).some((fulfillmentSet) => fulfillmentSet?.type === 'pickup')
+      })
+    }
+  }
+
+  const { data: variants } = await query.graph({
+    entity: 'product_variant',
+    fields: [
+      'id',
+      'manage_inventory',
+      'allow_backorder',
+      'inventory_items.required_quantity',
+      'inventory_items.inventory.location_levels.location_id',
+      'inventory_items.inventory.location_levels.available_quantity'
+    ],
+    filters: input.variant_ids ? { id: input.variant_ids } : { product_id: input.product_ids }
+  })
+
+  return {
+    locations: [...locations.values()],
+    variants: variants.map((variant) => {
+      const inventoryItems = variant.inventory_items ?? []
+
+      return {
+        variant_id: variant.id,
+        manage_inventory: !!variant.manage_inventory,
+        allow_backorder: !!variant.allow_backorder,
+        locations:
+          variant.manage_inventory && inventoryItems.length
+            ? [...locations.keys()].map((locationId) => ({
+                location_id: locationId,
+                available_quantity: Math.min(
+                  ...inventoryItems.map((item) => {
+                    const level = item?.inventory?.location_levels?.find(
+                      (locationLevel) => locationLevel?.location_id === locationId
+                    )
+                    return Math.max(
+                      Math.floor(Number(level?.available_quantity ?? 0) / (item?.required_quantity || 1)),
+                      0
+                    )
+                  })
+                )
+              }))
+            : []
+      }
+    })
+  }
+}
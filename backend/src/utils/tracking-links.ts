@@ -0,0 +1,69 @@
+/**
+ * Tracking page URL templates for the carriers we ship with. `{tracking_number}`
+ * is replaced with the (URL encoded) tracking number of the label.
+ */
+const CARRIER_TRACKING_URLS: Record<string, string> = {
+  dhl: 'https://www.dhl.com/global-en/home/tracking/tracking-parcel.html?tracking-id={tracking_number}',
+  dpd: 'https://tracking.dpd.de/status/en_US/parcel/{tracking_number}',
+  fedex: 'https://www.fedex.com/fedextrack/?trknbr={tracking_number}',
+  gls: 'https://gls-group.com/track/{tracking_number}',
+  postnord: 'https://tracking.postnord.com/tracking.html?id={tracking_number}',
+  ups: 'https://www.ups.com/track?tracknum={tracking_number}',
+  usps: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={tracking_number}'
+}
+
+export interface TrackingLink {
+  trackingNumber: string
+  url?: string
+}
+
+interface TrackingLabel {
+  tracking_number?: string | null
+  tracking_url?: string | null
+}
+
+/**
+ * Resolve a human readable carrier name for a fulfillment. A carrier set on the
+ * fulfillment data takes precedence over the fulfillment provider.
+ * @param fulfillment - The fulfillment to resolve the carrier for
+ */
+export function getCarrierName(fulfillment: {
+  data?: Record<string, unknown> | null
+  provider_id?: string | null
+}): string | undefined {
+  const carrier = fulfillment.data?.carrier
+
+  if (typeof carrier === 'string' && carrier.trim()) {
+    return carrier.trim()
+  }
+
+  // Provider ids are formatted as `{identifier}_{id}`, e.g. `manual_manual`
+  const providerName = fulfillment.provider_id?.split('_')[0]
+
+  return providerName && providerName !== 'manual' ? providerName : undefined
+}
+
+/**
+ * Build tracking links from the labels of a fulfillment. An explicit tracking URL
+ * on the label is used as is, otherwise a URL is derived from the carrier.
+ * @param labels - The labels of the fulfillment
+ * @param carrier - The carrier of the fulfillment, see {@link getCarrierName}
+ */
+export function buildTrackingLinks(
+  labels: TrackingLabel[] | null | undefined,
+  carrier?: string
+): TrackingLink[] {
+  const template = carrier ? CARRIER_TRACKING_URLS[carrier.toLowerCase()] : undefined
+
+  return (labels ?? [])
+    .filter((label) => !!label.tracking_number)
+    .map((label) => {
+      const trackingNumber = label.tracking_number!
+      const url =
+        label.tracking_url && label.tracking_url !== '#'
+          ? label.tracking_url
+          : template?.replace('{tracking_number}', encodeURIComponent(trackingNumber))
+
+      return { trackingNumber, url }
+    })
+}
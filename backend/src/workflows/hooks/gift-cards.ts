@@ -0,0 +1,30 @@
+import { StepResponse } from '@medusajs/framework/workflows-sdk'
+import { completeCartWorkflow, refreshCartItemsWorkflow } from '@medusajs/medusa/core-flows'
+import { GIFT_CARD_MODULE } from '../../modules/gift-card'
+import GiftCardModuleService from '../../modules/gift-card/service'
+import { redeemCartGiftCards, syncCartGiftCards } from '../../utils/gift-cards'
+
+// Cart updates and line item and shipping method changes refresh the cart, so the gift
+// cards are synced before the payment collection is updated with the new total.
+// Changing the promotions through `POST /store/carts/:id/promotions` doesn't refresh
+// the cart, so that route syncs them itself.
+refreshCartItemsWorkflow.hooks.beforeRefreshingPaymentCollection(async ({ input }, { container }) => {
+  await syncCartGiftCards(container, input.cart_id)
+})
+
+// The balances are taken off while the cart is completed, and given back when a later
+// step of the completion fails
+completeCartWorkflow.hooks.validate(
+  async ({ cart }, { container }) => {
+    const transactionIds = await redeemCartGiftCards(container, cart)
+    return new StepResponse(undefined, transactionIds)
+  },
+  async (transactionIds, { container }) => {
+    if (!transactionIds?.length) {
+      return
+    }
+
+    const giftCardService: GiftCardModuleService = container.resolve(GIFT_CARD_MODULE)
+    await giftCardService.releaseCartRedemptions(transactionIds)
+  }
+)
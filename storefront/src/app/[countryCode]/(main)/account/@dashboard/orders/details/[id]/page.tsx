@@ -4,6 +4,7 @@ import { notFound } from "next/navigation"
 import OrderDetailsTemplate from "@modules/order/templates/order-details-template"
 import { retrieveOrder } from "@lib/data/orders"
 import { enrichLineItems } from "@lib/data/cart"
+import { getOrderReturns, listReturnReasons } from "@lib/data/returns"
 import { HttpTypes } from "@medusajs/types"
 
 type Props = {
@@ -45,5 +46,17 @@ export default async function OrderDetailPage({ params }: Props) {
     notFound()
   }
 
-  return <OrderDetailsTemplate order={order} />
+  const [orderReturns, returnReasons] = await Promise.all([
+    getOrderReturns(order.id),
+    listReturnReasons(),
+  ])
+
+  return (
+    <OrderDetailsTemplate
+      order={order}
+      returns={orderReturns?.returns}
+      returnableItems={orderReturns?.returnable_items}
+      returnReasons={returnReasons}
+    />
+  )
 }
@@ -3,6 +3,7 @@ import { Metadata } from "next"
 import OrderOverview from "@modules/account/components/order-overview"
 import { notFound } from "next/navigation"
 import { listOrders } from "@lib/data/orders"
+import { listCustomerReturns } from "@lib/data/returns"
 
 export const metadata: Metadata = {
   title: "Orders",
@@ -10,7 +11,10 @@ export const metadata: Metadata = {
 }
 
 export default async function Orders() {
-  const orders = await listOrders()
+  const [orders, returns] = await Promise.all([
+    listOrders(),
+    listCustomerReturns(),
+  ])
 
   if (!orders) {
     notFound()
@@ -21,12 +25,12 @@ export default async function Orders() {
       <div className="mb-8 flex flex-col gap-y-4">
         <h1 className="text-2xl-semi">Orders</h1>
         <p className="text-base-regular">
-          View your previous orders and their status. You can also create
-          returns or exchanges for your orders if needed.
+          View your previous orders and their status. You can also request
+          returns for your orders from their details.
         </p>
       </div>
       <div>
-        <OrderOverview orders={orders} />
+        <OrderOverview orders={orders} returns={returns} />
       </div>
     </div>
   )
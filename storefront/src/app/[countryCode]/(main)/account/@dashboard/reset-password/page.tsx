@@ -0,0 +1,25 @@
+import { Metadata } from "next"
+
+import ResetPassword from "@modules/account/components/reset-password"
+
+export const metadata: Metadata = {
+  title: "Reset password",
+  description: "Choose a new password for your Medusa Store account.",
+}
+
+type Params = {
+  searchParams: {
+    token?: string
+    email?: string
+  }
+}
+
+export default function ResetPasswordPage({ searchParams }: Params) {
+  const { token, email } = searchParams
+
+  return (
+    <div className="w-full flex justify-start px-8 py-8">
+      <ResetPassword token={token} email={email} />
+    </div>
+  )
+}
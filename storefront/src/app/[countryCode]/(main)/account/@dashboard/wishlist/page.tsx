@@ -0,0 +1,69 @@
+import { Metadata } from "next"
+import { notFound } from "next/navigation"
+
+import ProductPreview from "@modules/products/components/product-preview"
+import LocalizedClientLink from "@modules/common/components/localized-client-link"
+
+import { getRegion } from "@lib/data/regions"
+import { getProductsById } from "@lib/data/products"
+import { getWishlistProductIds } from "@lib/data/wishlist"
+
+export const metadata: Metadata = {
+  title: "Wishlist",
+  description: "Products you saved for later.",
+}
+
+export default async function Wishlist({
+  params,
+}: {
+  params: { countryCode: string }
+}) {
+  const { countryCode } = params
+  const region = await getRegion(countryCode)
+
+  if (!region) {
+    notFound()
+  }
+
+  const productIds = await getWishlistProductIds()
+  const products = productIds.length
+    ? await getProductsById({ ids: productIds, regionId: region.id })
+    : []
+
+  return (
+    <div className="w-full" data-testid="wishlist-page-wrapper">
+      <div className="mb-8 flex flex-col gap-y-4">
+        <h1 className="text-2xl-semi">Wishlist</h1>
+        <p className="text-base-regular">
+          Products you saved for later. Tap the heart on a product to add or
+          remove it.
+        </p>
+      </div>
+      {products.length ? (
+        <ul
+          className="grid grid-cols-2 w-full small:grid-cols-3 gap-x-6 gap-y-8"
+          data-testid="wishlist-products"
+        >
+          {products.map((p) => (
+            <li key={p.id}>
+              <ProductPreview product={p} region={region} />
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div
+          className="w-full flex flex-col items-center gap-y-4"
+          data-testid="wishlist-empty"
+        >
+          <p className="text-base-regular">Your wishlist is empty.</p>
+          <LocalizedClientLink
+            href="/store"
+            className="text-ui-fg-interactive hover:text-ui-fg-interactive-hover"
+          >
+            Explore products
+          </LocalizedClientLink>
+        </div>
+      )}
+    </div>
+  )
+}
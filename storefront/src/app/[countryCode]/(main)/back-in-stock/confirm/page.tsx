@@ -0,0 +1,37 @@
+import { Metadata } from "next"
+import { redirect } from "next/navigation"
+
+import BackInStockConfirm from "@modules/products/components/back-in-stock-confirm"
+
+export const metadata: Metadata = {
+  title: "Confirm your back in stock alert",
+  description: "Confirm the back in stock alert you asked for.",
+  robots: { index: false },
+}
+
+type Params = {
+  params: {
+    countryCode: string
+  }
+  searchParams: {
+    id?: string
+    token?: string
+  }
+}
+
+/**
+ * Entry point for the links in back-in-stock confirmation emails.
+ */
+export default function BackInStockConfirmPage({ params, searchParams }: Params) {
+  const { id, token } = searchParams
+
+  if (!id || !token) {
+    redirect(`/${params.countryCode}`)
+  }
+
+  return (
+    <div className="w-full flex justify-center px-8 py-8">
+      <BackInStockConfirm id={id} token={token} />
+    </div>
+  )
+}
@@ -0,0 +1,40 @@
+import { Metadata } from "next"
+import { redirect } from "next/navigation"
+
+import BackInStockUnsubscribe from "@modules/products/components/back-in-stock-unsubscribe"
+
+export const metadata: Metadata = {
+  title: "Unsubscribe from back in stock emails",
+  description: "Stop the back in stock emails to your address.",
+  robots: { index: false },
+}
+
+type Params = {
+  params: {
+    countryCode: string
+  }
+  searchParams: {
+    email?: string
+    token?: string
+  }
+}
+
+/**
+ * Entry point for the unsubscribe links in back-in-stock emails.
+ */
+export default function BackInStockUnsubscribePage({
+  params,
+  searchParams,
+}: Params) {
+  const { email, token } = searchParams
+
+  if (!email || !token) {
+    redirect(`/${params.countryCode}`)
+  }
+
+  return (
+    <div className="w-full flex justify-center px-8 py-8">
+      <BackInStockUnsubscribe email={email} token={token} />
+    </div>
+  )
+}
@@ -0,0 +1,21 @@
+import { recoverCart } from "@lib/data/cart"
+import { NextRequest, NextResponse } from "next/server"
+
+type Params = {
+  params: Promise<{
+    countryCode: string
+    id: string
+  }>
+}
+
+/**
+ * Entry point for abandoned cart recovery emails. Restores the cart into the
+ * cart cookie and sends the customer on to the cart page.
+ */
+export async function GET(req: NextRequest, { params }: Params) {
+  const { countryCode, id } = await params
+
+  await recoverCart(id)
+
+  return NextResponse.redirect(new URL(`/${countryCode}/cart`, req.url))
+}
@@ -0,0 +1,68 @@
+import { Metadata } from "next"
+import { notFound, redirect } from "next/navigation"
+
+import OrderDetailsTemplate from "@modules/order/templates/order-details-template"
+import { hasGuestOrderAccess, retrieveOrder } from "@lib/data/orders"
+import { enrichLineItems } from "@lib/data/cart"
+import { HttpTypes } from "@medusajs/types"
+
+type Props = {
+  params: { countryCode: string; id: string }
+}
+
+/**
+ * The order, when the guest looked it up and may still view it.
+ */
+async function getOrder(id: string) {
+  if (!(await hasGuestOrderAccess(id))) {
+    return
+  }
+
+  const order = await retrieveOrder(id)
+
+  if (!order) {
+    return
+  }
+
+  const enrichedItems = await enrichLineItems(order.items, order.region_id!)
+
+  return {
+    ...order,
+    items: enrichedItems,
+  } as unknown as HttpTypes.StoreOrder
+}
+
+export async function generateMetadata({ params }: Props): Promise<Metadata> {
+  const order = await getOrder(params.id).catch(() => null)
+
+  // Guests without access are sent back to the lookup form by the page
+  if (!order) {
+    return { title: "Order", description: "View your order" }
+  }
+
+  return {
+    title: `Order #${order.display_id}`,
+    description: `View your order`,
+  }
+}
+
+/**
+ * The order a guest looked up on the order lookup page.
+ */
+export default async function GuestOrderDetailPage({ params }: Props) {
+  if (!(await hasGuestOrderAccess(params.id))) {
+    redirect(`/${params.countryCode}/order/lookup?reason=access-expired`)
+  }
+
+  const order = await getOrder(params.id).catch(() => null)
+
+  if (!order) {
+    notFound()
+  }
+
+  return (
+    <div className="content-container max-w-4xl py-12">
+      <OrderDetailsTemplate order={order} isGuest />
+    </div>
+  )
+}
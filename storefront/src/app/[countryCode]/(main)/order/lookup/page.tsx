@@ -0,0 +1,31 @@
+import { Metadata } from "next"
+
+import OrderLookup from "@modules/order/components/order-lookup"
+
+export const metadata: Metadata = {
+  title: "Find your order",
+  description: "Look up an order with your email address and order number.",
+}
+
+// Why the guest was sent back to the lookup form
+const NOTICES: Record<string, string> = {
+  "invalid-link":
+    "This link is invalid, was already used or has expired. Look up your order again to get a new one.",
+  "access-expired": "Look up your order again to view it.",
+}
+
+type Params = {
+  searchParams: {
+    reason?: string
+  }
+}
+
+export default function OrderLookupPage({ searchParams }: Params) {
+  return (
+    <div className="w-full flex justify-center px-8 py-8">
+      <OrderLookup
+        notice={searchParams.reason ? NOTICES[searchParams.reason] : undefined}
+      />
+    </div>
+  )
+}
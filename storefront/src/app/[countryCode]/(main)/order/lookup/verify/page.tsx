@@ -0,0 +1,41 @@
+import { Metadata } from "next"
+import { redirect } from "next/navigation"
+
+import OrderLookupVerify from "@modules/order/components/order-lookup-verify"
+
+export const metadata: Metadata = {
+  title: "View your order",
+  description: "Open the order link you received by email.",
+  robots: { index: false },
+}
+
+type Params = {
+  params: {
+    countryCode: string
+  }
+  searchParams: {
+    order_id?: string
+    token?: string
+  }
+}
+
+/**
+ * Entry point for the one-time order links emailed to guests.
+ */
+export default function OrderLookupVerifyPage({ params, searchParams }: Params) {
+  const { order_id: orderId, token } = searchParams
+
+  if (!orderId || !token) {
+    redirect(`/${params.countryCode}/order/lookup?reason=invalid-link`)
+  }
+
+  return (
+    <div className="w-full flex justify-center px-8 py-8">
+      <OrderLookupVerify
+        countryCode={params.countryCode}
+        orderId={orderId}
+        token={token}
+      />
+    </div>
+  )
+}
@@ -3,6 +3,7 @@ import { Metadata } from "next"
 import SearchResultsTemplate from "@modules/search/templates/search-results-template"
 
 import { search } from "@modules/search/actions"
+import { getSearchFilters } from "@modules/search/facets"
 import { SortOptions } from "@modules/store/components/refinement-list/sort-products"
 
 export const metadata: Metadata = {
@@ -15,6 +16,7 @@ type Params = {
   searchParams: {
     sortBy?: SortOptions
     page?: string
+    [facet: string]: string | string[] | undefined
   }
 }
 
@@ -22,7 +24,7 @@ export default async function SearchResults({ params, searchParams }: Params) {
   const { query } = params
   const { sortBy, page } = searchParams
 
-  const hits = await search(query).then((data) => data)
+  const { hits, facets } = await search(query, getSearchFilters(searchParams))
 
   const ids = hits
     .map((h) => h.objectID || h.id)
@@ -34,6 +36,7 @@ export default async function SearchResults({ params, searchParams }: Params) {
     <SearchResultsTemplate
       query={query}
       ids={ids}
+      facets={facets}
       sortBy={sortBy}
       page={page}
       countryCode={params.countryCode}
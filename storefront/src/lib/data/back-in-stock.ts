@@ -0,0 +1,72 @@
+"use server"
+
+import { sdk } from "@lib/config"
+import { getForwardedForHeaders } from "./forwarded-for"
+
+type BackInStockState = {
+  success: boolean
+  error: string | null
+}
+
+export const subscribeToBackInStock = async (
+  _currentState: unknown,
+  formData: FormData
+): Promise<BackInStockState> => {
+  const email = formData.get("email") as string
+  const variantId = formData.get("variant_id") as string
+  const countryCode = formData.get("country_code") as string
+
+  return sdk.client
+    .fetch("/store/back-in-stock", {
+      method: "POST",
+      body: {
+        email,
+        variant_id: variantId,
+        country_code: countryCode,
+      },
+      headers: await getForwardedForHeaders(),
+    })
+    .then(() => ({ success: true, error: null }))
+    .catch((err) => ({ success: false, error: err.toString() }))
+}
+
+/**
+ * Confirms a back-in-stock subscription with the link from the confirmation email.
+ */
+export const confirmBackInStock = async (
+  _currentState: unknown,
+  formData: FormData
+): Promise<BackInStockState> => {
+  return sdk.client
+    .fetch("/store/back-in-stock/confirm", {
+      method: "POST",
+      body: {
+        id: formData.get("id"),
+        token: formData.get("token"),
+      },
+      cache: "no-store",
+    })
+    .then(() => ({ success: true, error: null }))
+    .catch((err) => ({ success: false, error: err.toString() }))
+}
+
+/**
+ * Removes all back-in-stock subscriptions of an email address, with the link from a
+ * back-in-stock email.
+ */
+export const unsubscribeFromBackInStock = async (
+  _currentState: unknown,
+  formData: FormData
+): Promise<BackInStockState> => {
+  return sdk.client
+    .fetch("/store/back-in-stock/unsubscribe", {
+      method: "POST",
+      body: {
+        email: formData.get("email"),
+        token: formData.get("token"),
+      },
+      cache: "no-store",
+    })
+    .then(() => ({ success: true, error: null }))
+    .catch((err) => ({ success: false, error: err.toString() }))
+}
@@ -6,9 +6,18 @@ import { HttpTypes } from "@medusajs/types"
 import { omit } from "lodash"
 import { revalidateTag } from "next/cache"
 import { redirect } from "next/navigation"
-import { getAuthHeaders, getCartId, removeCartId, setCartId } from "./cookies"
+import {
+  getAuthHeaders,
+  getCartId,
+  getPromoCodeCookie,
+  removeCartId,
+  removePromoCodeCookie,
+  setCartId,
+} from "./cookies"
+import { getForwardedForHeaders } from "./forwarded-for"
 import { getProductsById } from "./products"
 import { getRegion } from "./regions"
+import { CartGiftCard } from "types/global"
 
 export async function retrieveCart() {
   const cartId = await getCartId()
@@ -53,6 +62,27 @@ export async function getOrSetCart(countryCode: string) {
   return cart
 }
 
+/**
+ * Restores a cart from a recovery link by making it the active cart of the session.
+ * Completed or unknown carts are ignored, so a stale link falls back to a fresh cart.
+ * @param cartId
+ */
+export async function recoverCart(cartId: string) {
+  const cart = await sdk.store.cart
+    .retrieve(cartId, {}, { cache: "no-store", ...await getAuthHeaders() })
+    .then(({ cart }) => cart)
+    .catch(() => null)
+
+  if (!cart || cart.completed_at) {
+    return null
+  }
+
+  await setCartId(cart.id)
+  revalidateTag("cart")
+
+  return cart
+}
+
 export async function updateCart(data: HttpTypes.StoreUpdateCart) {
   const cartId = await getCartId()
   if (!cartId) {
@@ -72,10 +102,12 @@ export async function addToCart({
   variantId,
   quantity,
   countryCode,
+  metadata,
 }: {
   variantId: string
   quantity: number
   countryCode: string
+  metadata?: Record<string, unknown>
 }) {
   if (!variantId) {
     throw new Error("Missing variant ID when adding to cart")
@@ -92,6 +124,7 @@ export async function addToCart({
       {
         variant_id: variantId,
         quantity,
+        metadata,
       },
       {},
       await getAuthHeaders()
@@ -100,6 +133,8 @@ export async function addToCart({
       revalidateTag("cart")
     })
     .catch(medusaError)
+
+  await applyPendingPromotion()
 }
 
 export async function updateLineItem({
@@ -228,69 +263,203 @@ export async function initiatePaymentSession(
     .catch(medusaError)
 }
 
+// Why a code wasn't applied, by whether the code itself can be used
+const PROMOTION_CODE_ERRORS = {
+  usable: "doesn't apply to the items in your cart",
+  unusable: "isn't valid",
+  unknown: "couldn't be checked, please try again",
+}
+
+/**
+ * The promotion codes the customer applied to the cart. Automatic promotions are
+ * left out, as the backend applies them on its own.
+ */
+function getAppliedPromotionCodes(cart: HttpTypes.StoreCart) {
+  return (cart.promotions ?? [])
+    .filter((promotion) => !promotion.is_automatic && promotion.code)
+    .map((promotion) => promotion.code!)
+}
+
+function isPromotionApplied(cart: HttpTypes.StoreCart, code: string) {
+  return (cart.promotions ?? []).some(
+    (promotion) => promotion.code?.toLowerCase() === code.toLowerCase()
+  )
+}
+
+/**
+ * Adds promotion codes to the cart, on top of the ones already applied. Codes that
+ * can't be applied are ignored by the backend, check the returned cart's promotions.
+ * @param codes
+ */
 export async function applyPromotions(codes: string[]) {
-  const cartId = await getCartId()
-  if (!cartId) {
+  const cart = await retrieveCart()
+  if (!cart) {
     throw new Error("No existing cart found")
   }
 
-  await updateCart({ promo_codes: codes })
-    .then(() => {
-      revalidateTag("cart")
-    })
-    .catch(medusaError)
+  return updateCart({
+    promo_codes: Array.from(
+      new Set([...getAppliedPromotionCodes(cart), ...codes])
+    ),
+  })
+}
+
+/**
+ * Whether a promotion code can be used with the cart, to explain why it wasn't applied.
+ * Null when the check failed, e.g. over the backend's rate limit.
+ * @param code
+ * @param cartId
+ */
+async function isPromotionCodeUsable(
+  code: string,
+  cartId: string
+): Promise<boolean | null> {
+  return sdk.client
+    .fetch<{ promotion_code: { usable: boolean } }>(
+      `/store/promotion-codes/${encodeURIComponent(code)}`,
+      {
+        query: { cart_id: cartId },
+        headers: await getForwardedForHeaders(),
+        cache: "no-store",
+      }
+    )
+    .then(({ promotion_code }) => promotion_code.usable)
+    .catch(() => null)
+}
+
+/**
+ * Applies the promotion code of a `?promo=CODE` link, remembered by the middleware.
+ * Promotions only stick to carts with items, so this runs after items are added. The
+ * code is forgotten once applied, or when it can't be used at all.
+ */
+async function applyPendingPromotion() {
+  const code = await getPromoCodeCookie()
+  if (!code) {
+    return
+  }
+
+  try {
+    const cart = await applyPromotions([code])
+
+    if (
+      isPromotionApplied(cart, code) ||
+      (await isPromotionCodeUsable(code, cart.id)) === false
+    ) {
+      await removePromoCodeCookie()
+    }
+  } catch {
+    await removePromoCodeCookie()
+  }
+}
+
+/**
+ * Returns the gift cards applied to a cart, with the amount each one pays.
+ */
+export async function listCartGiftCards(cartId: string) {
+  return sdk.client
+    .fetch<{ gift_cards: CartGiftCard[] }>(
+      `/store/carts/${cartId}/gift-cards`,
+      { next: { tags: ["cart"] } }
+    )
+    .then(({ gift_cards }) => gift_cards)
+    .catch(() => [])
 }
 
 export async function applyGiftCard(code: string) {
   const cartId = await getCartId()
   if (!cartId) return "No cartId cookie found"
-  try {
-    await updateCart({ gift_cards: [{ code }] }).then(() => {
+
+  return sdk.client
+    .fetch(`/store/carts/${cartId}/gift-cards`, {
+      method: "POST",
+      body: { code },
+    })
+    .then(() => {
       revalidateTag("cart")
+      return null
     })
-    return null
-  } catch (error) {
-    return error
-  }
+    .catch((err) => err.message as string)
 }
 
+/**
+ * Removes a promotion code from the cart by sending the remaining codes.
+ * @param code
+ */
 export async function removeDiscount(code: string) {
-  const cartId = await getCartId()
-  if (!cartId) {
+  const cart = await retrieveCart()
+  if (!cart) {
     throw new Error("No existing cart found")
   }
 
-  return updateCart({ discounts: [{ code }] })
+  return updateCart({
+    promo_codes: getAppliedPromotionCodes(cart).filter(
+      (appliedCode) => appliedCode !== code
+    ),
+  })
 }
 
-export async function removeGiftCard(
-  codeToRemove: string,
-  giftCards: any[]
-) {
+export async function removeGiftCard(code: string) {
   const cartId = await getCartId()
   if (!cartId) {
     throw new Error("No existing cart found")
   }
 
-  // Filter out the gift card with the code to remove
-  const filteredGiftCards = giftCards
-    .filter((gc) => gc.code !== codeToRemove)
-    .map((gc) => ({ code: gc.code }))
-
-  return updateCart({ gift_cards: filteredGiftCards })
+  await sdk.client
+    .fetch(`/store/carts/${cartId}/gift-cards/${encodeURIComponent(code)}`, {
+      method: "DELETE",
+    })
+    .then(() => {
+      revalidateTag("cart")
+    })
+    .catch(medusaError)
 }
 
-export async function submitPromotionForm(
+export async function submitGiftCardForm(
   currentState: unknown,
   formData: FormData
 ) {
   const code = formData.get("code")
   if (!code) {
+    return "Gift card code is required"
+  }
+
+  return applyGiftCard(code as string)
+}
+
+/**
+ * Applies the codes of the promotion form. Several codes can be entered at once,
+ * separated by commas or spaces.
+ */
+export async function submitPromotionForm(
+  currentState: unknown,
+  formData: FormData
+) {
+  const codes = String(formData.get("code") ?? "")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+  if (!codes.length) {
     return "Code is required"
   }
 
-  await applyPromotions([code as string])
-  return null
+  try {
+    const cart = await applyPromotions(codes)
+    const errors = await Promise.all(
+      codes
+        .filter((code) => !isPromotionApplied(cart, code))
+        .map(async (code) => {
+          const usable = await isPromotionCodeUsable(code, cart.id)
+          const error =
+            usable === null
+              ? PROMOTION_CODE_ERRORS.unknown
+              : PROMOTION_CODE_ERRORS[usable ? "usable" : "unusable"]
+          return `The code ${code} ${error}`
+        })
+    )
+
+    return errors.length ? errors.join(". ") : null
+  } catch (e: any) {
+    return e.message as string
+  }
 }
 
 export async function setAddresses(currentState: unknown, formData: FormData) {
@@ -42,3 +42,58 @@ export const setCartId = async (cartId: string) => {
 export const removeCartId = async () => {
   (await cookies()).set("_medusa_cart_id", "", { maxAge: -1 })
 }
+
+export const getWishlistCookie = async (): Promise<string[]> => {
+  const value = (await cookies()).get("_medusa_wishlist")?.value
+
+  try {
+    const productIds = value ? JSON.parse(value) : []
+    return Array.isArray(productIds) ? productIds : []
+  } catch {
+    return []
+  }
+}
+
+export const setWishlistCookie = async (productIds: string[]) => {
+  (await cookies()).set("_medusa_wishlist", JSON.stringify(productIds), {
+    maxAge: 60 * 60 * 24 * 30,
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.NODE_ENV === "production",
+  })
+}
+
+export const removeWishlistCookie = async () => {
+  (await cookies()).set("_medusa_wishlist", "", { maxAge: -1 })
+}
+
+export const getPromoCodeCookie = async () => {
+  return (await cookies()).get("_medusa_promo_code")?.value
+}
+
+export const removePromoCodeCookie = async () => {
+  (await cookies()).set("_medusa_promo_code", "", { maxAge: -1 })
+}
+
+export const getOrderAccessCookie = async () => {
+  return (await cookies()).get("_medusa_order_access")?.value
+}
+
+/**
+ * Lets a guest view the order they looked up. The cookie is only sent to that
+ * order's page, and expires with the access the backend granted.
+ */
+export const setOrderAccessCookie = async (
+  countryCode: string,
+  orderId: string,
+  access: { token: string; expires_at: string }
+) => {
+  (await cookies()).set("_medusa_order_access", access.token, {
+    path: `/${countryCode}/order/details/${orderId}`,
+    expires: new Date(access.expires_at),
+    httpOnly: true,
+    // Lax, so the cookie is sent when arriving from the link in an email
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+  })
+}
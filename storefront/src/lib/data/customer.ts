@@ -7,6 +7,7 @@ import { revalidateTag } from "next/cache"
 import { redirect } from "next/navigation"
 import { cache } from "react"
 import { getAuthHeaders, removeAuthToken, setAuthToken } from "./cookies"
+import { mergeGuestWishlist } from "./wishlist"
 
 export const getCustomer = cache(async function () {
   return await sdk.store.customer
@@ -56,6 +57,7 @@ export async function signup(_currentState: unknown, formData: FormData) {
     })
 
     await setAuthToken(typeof loginToken === 'string' ? loginToken : loginToken.location)
+    await mergeGuestWishlist()
 
     revalidateTag("customer")
     return createdCustomer
@@ -72,6 +74,7 @@ export async function signIn(credentials: {
     .login(credentials)
     .then(async (data) => {
       await setAuthToken(data.customer.id)
+      await mergeGuestWishlist()
       revalidateTag("customer")
       
       return data
@@ -105,6 +108,52 @@ export const signout = async (countryCode: string) => {
   redirect(`/${countryCode}`)
 }
 
+type RequestPasswordResetState = {
+  success: boolean
+  error: string | null
+}
+
+type ResetPasswordState = {
+  token?: string
+  email?: string
+  success: boolean
+  error: string | null
+}
+
+export const requestPasswordReset = async (
+  _currentState: unknown,
+  formData: FormData
+): Promise<RequestPasswordResetState> => {
+  const email = formData.get("email") as string
+
+  return sdk.auth
+    .resetPassword("customer", "emailpass", { identifier: email })
+    .then(() => ({ success: true, error: null }))
+    .catch((err) => ({ success: false, error: err.toString() }))
+}
+
+export const resetPassword = async (
+  currentState: ResetPasswordState,
+  formData: FormData
+): Promise<ResetPasswordState> => {
+  const { token, email } = currentState
+  const password = formData.get("password") as string
+  const confirmPassword = formData.get("confirm_password") as string
+
+  if (!token) {
+    return { ...currentState, success: false, error: "Reset link is invalid" }
+  }
+
+  if (password !== confirmPassword) {
+    return { ...currentState, success: false, error: "Passwords do not match" }
+  }
+
+  return sdk.auth
+    .updateProvider("customer", "emailpass", { email, password }, token)
+    .then(() => ({ ...currentState, success: true, error: null }))
+    .catch((err) => ({ ...currentState, success: false, error: err.toString() }))
+}
+
 export const addCustomerAddress = async (
   _currentState: unknown,
   formData: FormData
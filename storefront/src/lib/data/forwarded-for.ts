@@ -0,0 +1,17 @@
+import "server-only"
+import { headers } from "next/headers"
+
+/**
+ * Forwards the customer's IP address, so the backend rate limits per customer and not
+ * per storefront server. Only the last `X-Forwarded-For` entry is used, the one the
+ * proxy in front of the storefront appended. The entries before it come from the
+ * client and can be anything.
+ */
+export const getForwardedForHeaders = async (): Promise<
+  { "x-forwarded-for": string } | {}
+> => {
+  const requestHeaders = await headers()
+  const ip = requestHeaders.get("x-forwarded-for")?.split(",").pop()?.trim()
+
+  return ip ? { "x-forwarded-for": ip } : {}
+}
@@ -0,0 +1,26 @@
+"use server"
+
+import { sdk } from "@lib/config"
+import { GiftCardBalance } from "types/global"
+
+/**
+ * Looks up the balance of a gift card, for the balance check at checkout.
+ */
+export const checkGiftCardBalance = async (
+  _currentState: unknown,
+  formData: FormData
+): Promise<{ giftCard: GiftCardBalance | null; error: string | null }> => {
+  const code = (formData.get("code") as string | null)?.trim()
+
+  if (!code) {
+    return { giftCard: null, error: "Gift card code is required" }
+  }
+
+  return sdk.client
+    .fetch<{ gift_card: GiftCardBalance }>(
+      `/store/gift-cards/${encodeURIComponent(code)}`,
+      { cache: "no-store" }
+    )
+    .then(({ gift_card }) => ({ giftCard: gift_card, error: null }))
+    .catch((err) => ({ giftCard: null, error: err.message as string }))
+}
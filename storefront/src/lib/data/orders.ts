@@ -2,14 +2,34 @@
 
 import { sdk } from "@lib/config"
 import medusaError from "@lib/util/medusa-error"
+import { redirect } from "next/navigation"
 import { cache } from "react"
-import { getAuthHeaders } from "./cookies"
+import {
+  getAuthHeaders,
+  getOrderAccessCookie,
+  setOrderAccessCookie,
+} from "./cookies"
+import { getForwardedForHeaders } from "./forwarded-for"
 
+/**
+ * Retrieves an order with its payments, fulfillments and returns, which the order
+ * timeline is built from.
+ */
 export const retrieveOrder = cache(async function (id: string) {
   return sdk.store.order
     .retrieve(
       id,
-      { fields: "*payment_collections.payments" },
+      {
+        fields: [
+          "*payment_collections.payments",
+          "*payment_collections.payments.refunds",
+          "*fulfillments",
+          "*fulfillments.labels",
+          "*fulfillments.items",
+          "*returns",
+          "*returns.items",
+        ].join(","),
+      },
       { next: { tags: ["order"] }, ...await getAuthHeaders() }
     )
     .then(({ order }) => order)
@@ -48,3 +68,95 @@ export const listOrders = cache(async function (
     .then(({ orders }) => orders)
     .catch((err) => medusaError(err))
 })
+
+type OrderAccess = { token: string; expires_at: string }
+
+/**
+ * Looks up an order as a guest with its email address and order number. Redirects
+ * to the order, or when the backend emails a one-time link instead, reports that
+ * the email was sent.
+ */
+export const lookupOrder = async (
+  _currentState: unknown,
+  formData: FormData
+): Promise<{ emailSent: boolean; error: string | null }> => {
+  const countryCode = formData.get("country_code") as string
+
+  const result = await sdk.client
+    .fetch<{
+      order?: { id: string }
+      access?: OrderAccess
+      email_sent?: boolean
+    }>("/store/order-lookup", {
+      method: "POST",
+      body: {
+        email: formData.get("email"),
+        display_id: formData.get("display_id"),
+        country_code: countryCode,
+      },
+      headers: await getForwardedForHeaders(),
+      cache: "no-store",
+    })
+    .catch((err) => ({ error: err.message as string }))
+
+  if ("error" in result) {
+    return { emailSent: false, error: result.error }
+  }
+  if (!result.order || !result.access) {
+    return { emailSent: !!result.email_sent, error: null }
+  }
+
+  await setOrderAccessCookie(countryCode, result.order.id, result.access)
+  redirect(`/${countryCode}/order/details/${result.order.id}`)
+}
+
+/**
+ * Uses up the one-time order link emailed to a guest, once they confirmed opening
+ * it, and sends them on to the order. Sends them back to the lookup form when the
+ * link is invalid, was used already or has expired.
+ */
+export const verifyOrderLookup = async (formData: FormData) => {
+  const countryCode = formData.get("country_code") as string
+
+  const result = await sdk.client
+    .fetch<{ order: { id: string }; access: OrderAccess }>(
+      "/store/order-lookup/verify",
+      {
+        method: "POST",
+        body: {
+          order_id: formData.get("order_id"),
+          token: formData.get("token"),
+        },
+        cache: "no-store",
+      }
+    )
+    .catch(() => null)
+
+  if (!result) {
+    redirect(`/${countryCode}/order/lookup?reason=invalid-link`)
+  }
+
+  await setOrderAccessCookie(countryCode, result.order.id, result.access)
+  redirect(`/${countryCode}/order/details/${result.order.id}`)
+}
+
+/**
+ * Whether the guest looked up an order, and may still view it.
+ * @param orderId
+ */
+export const hasGuestOrderAccess = cache(async function (orderId: string) {
+  const token = await getOrderAccessCookie()
+
+  if (!token) {
+    return false
+  }
+
+  return sdk.client
+    .fetch("/store/order-lookup/access", {
+      method: "POST",
+      body: { order_id: orderId, token },
+      cache: "no-store",
+    })
+    .then(() => true)
+    .catch(() => false)
+})
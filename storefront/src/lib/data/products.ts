@@ -3,7 +3,6 @@ import { HttpTypes } from "@medusajs/types"
 import { cache } from "react"
 import { getRegion } from "./regions"
 import { SortOptions } from "@modules/store/components/refinement-list/sort-products"
-import { sortProducts } from "@lib/util/sort-products"
 
 export const getProductsById = cache(async function ({
   ids,
@@ -17,7 +16,7 @@ export const getProductsById = cache(async function ({
       {
         id: ids,
         region_id: regionId,
-        fields: "*variants.calculated_price,+variants.inventory_quantity",
+        fields: "*variants.calculated_price,+variants.inventory_quantity,+metadata",
       },
       { next: { tags: ["products"] } }
     )
@@ -33,7 +32,7 @@ export const getProductByHandle = cache(async function (
       {
         handle,
         region_id: regionId,
-        fields: "*variants.calculated_price,+variants.inventory_quantity",
+        fields: "*variants.calculated_price,+variants.inventory_quantity,+metadata",
       },
       { next: { tags: ["products"] } }
     )
@@ -70,7 +69,7 @@ export const getProductsList = cache(async function ({
         limit,
         offset,
         region_id: region.id,
-        fields: "*variants.calculated_price",
+        fields: "*variants.calculated_price,+metadata",
         ...queryParams,
       },
       { next: { tags: ["products"] } }
@@ -90,51 +89,79 @@ export const getProductsList = cache(async function ({
 })
 
 /**
- * This will fetch 100 products to the Next.js cache and sort them based on the sortBy parameter.
- * It will then return the paginated products based on the page and limit parameters.
+ * Fetches a page of products in the order of the sortBy parameter. The order comes from
+ * the backend, so prices are sorted by the calculated price of the region across all
+ * products.
  */
 export const getProductsListWithSort = cache(async function ({
-  page = 0,
+  page = 1,
   queryParams,
   sortBy = "created_at",
   countryCode,
 }: {
   page?: number
-  queryParams?: HttpTypes.FindParams & HttpTypes.StoreProductParams
+  queryParams?: HttpTypes.FindParams & HttpTypes.StoreProductListParams
   sortBy?: SortOptions
   countryCode: string
 }): Promise<{
   response: { products: HttpTypes.StoreProduct[]; count: number }
   nextPage: number | null
-  queryParams?: HttpTypes.FindParams & HttpTypes.StoreProductParams
+  queryParams?: HttpTypes.FindParams & HttpTypes.StoreProductListParams
 }> {
   const limit = queryParams?.limit || 12
+  const offset = (Math.max(page, 1) - 1) * limit
+  const region = await getRegion(countryCode)
 
-  const {
-    response: { products, count },
-  } = await getProductsList({
-    pageParam: 0,
-    queryParams: {
-      ...queryParams,
-      limit: 100,
-    },
-    countryCode,
-  })
-
-  const sortedProducts = sortProducts(products, sortBy)
+  if (!region) {
+    return {
+      response: { products: [], count: 0 },
+      nextPage: null,
+    }
+  }
 
-  const pageParam = (page - 1) * limit
+  const toList = (value?: string | string[]) =>
+    Array.isArray(value) ? value.join(",") : value
 
-  const nextPage = count > pageParam + limit ? pageParam + limit : null
+  const { product_ids, count } = await sdk.client.fetch<{
+    product_ids: string[]
+    count: number
+  }>("/store/product-catalog", {
+    query: {
+      region_id: region.id,
+      order: sortBy,
+      limit,
+      offset,
+      id: toList(queryParams?.id),
+      collection_id: toList(queryParams?.collection_id),
+      category_id: toList(queryParams?.category_id),
+    },
+    next: { tags: ["products"] },
+  })
 
-  const paginatedProducts = sortedProducts.slice(pageParam, pageParam + limit)
+  const products = product_ids.length
+    ? await sdk.store.product
+        .list(
+          {
+            id: product_ids,
+            limit: product_ids.length,
+            region_id: region.id,
+            fields: "*variants.calculated_price,+metadata",
+          },
+          { next: { tags: ["products"] } }
+        )
+        .then(({ products }) =>
+          product_ids
+            .map((id) => products.find((product) => product.id === id))
+            .filter((product): product is HttpTypes.StoreProduct => !!product)
+        )
+    : []
 
   return {
     response: {
-      products: paginatedProducts,
+      products,
       count,
     },
-    nextPage,
+    nextPage: count > offset + limit ? page + 1 : null,
     queryParams,
   }
 })
@@ -0,0 +1,86 @@
+"use server"
+
+import { sdk } from "@lib/config"
+import { revalidateTag } from "next/cache"
+import { cache } from "react"
+import { OrderReturn, ReturnableItem, ReturnReason } from "types/global"
+import { getAuthHeaders } from "./cookies"
+
+/**
+ * Returns the returns of the logged-in customer's orders, newest first.
+ */
+export const listCustomerReturns = cache(async function () {
+  return sdk.client
+    .fetch<{ returns: OrderReturn[] }>("/store/customers/me/returns", {
+      headers: await getAuthHeaders(),
+      next: { tags: ["returns"] },
+    })
+    .then(({ returns }) => returns)
+    .catch(() => [])
+})
+
+/**
+ * Returns the returns of one of the logged-in customer's orders and the items that
+ * can still be returned, or null when the customer isn't logged in.
+ */
+export const getOrderReturns = cache(async function (orderId: string) {
+  return sdk.client
+    .fetch<{ returns: OrderReturn[]; returnable_items: ReturnableItem[] }>(
+      `/store/customers/me/orders/${orderId}/returns`,
+      {
+        headers: await getAuthHeaders(),
+        next: { tags: ["returns"] },
+      }
+    )
+    .catch(() => null)
+})
+
+export const listReturnReasons = cache(async function () {
+  return sdk.client
+    .fetch<{ return_reasons: ReturnReason[] }>("/store/return-reasons", {
+      next: { tags: ["return-reasons"] },
+    })
+    .then(({ return_reasons }) => return_reasons)
+    .catch(() => [])
+})
+
+/**
+ * Requests a return of items of an order. The form has a `quantity_<item id>` and a
+ * `reason_<item id>` field per item, items with a quantity of 0 are left out.
+ */
+export async function requestReturn(
+  orderId: string,
+  _currentState: unknown,
+  formData: FormData
+): Promise<{ success: boolean; error: string | null }> {
+  const items = Array.from(formData.keys())
+    .filter((key) => key.startsWith("quantity_"))
+    .map((key) => {
+      const id = key.replace("quantity_", "")
+      const reasonId = formData.get(`reason_${id}`) as string | null
+
+      return {
+        id,
+        quantity: Number(formData.get(key)),
+        reason_id: reasonId || null,
+      }
+    })
+    .filter((item) => item.quantity > 0)
+
+  if (!items.length) {
+    return { success: false, error: "Select at least one item to return" }
+  }
+
+  return sdk.client
+    .fetch(`/store/customers/me/orders/${orderId}/returns`, {
+      method: "POST",
+      headers: await getAuthHeaders(),
+      body: { items, note: formData.get("note") || null },
+    })
+    .then(() => {
+      revalidateTag("returns")
+      revalidateTag("order")
+      return { success: true, error: null }
+    })
+    .catch((err) => ({ success: false, error: err.message as string }))
+}
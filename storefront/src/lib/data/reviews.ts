@@ -0,0 +1,70 @@
+"use server"
+
+import { sdk } from "@lib/config"
+import { revalidateTag } from "next/cache"
+import { cache } from "react"
+import { ProductRating, ProductReview } from "types/global"
+import { getAuthHeaders } from "./cookies"
+
+export const getProductReviews = cache(async function ({
+  productId,
+  limit = 10,
+  offset = 0,
+}: {
+  productId: string
+  limit?: number
+  offset?: number
+}) {
+  return sdk.client
+    .fetch<{
+      reviews: ProductReview[]
+      count: number
+      rating: ProductRating
+    }>(`/store/products/${productId}/reviews`, {
+      query: { limit, offset },
+      next: { tags: ["reviews"] },
+    })
+    .catch(() => null)
+})
+
+export const getProductRating = cache(async function (productId: string) {
+  return sdk.client
+    .fetch<{ ratings: ProductRating[] }>("/store/product-ratings", {
+      query: { product_id: productId },
+      next: { tags: ["reviews"] },
+    })
+    .then(({ ratings }) => ratings[0] ?? null)
+    .catch(() => null)
+})
+
+export const submitProductReview = async (
+  currentState: Record<string, unknown>,
+  formData: FormData
+): Promise<any> => {
+  const productId = currentState.productId as string
+  const authHeaders = await getAuthHeaders()
+
+  if (!("authorization" in authHeaders)) {
+    return {
+      ...currentState,
+      success: false,
+      error: "Please sign in to write a review",
+    }
+  }
+
+  return sdk.client
+    .fetch(`/store/products/${productId}/reviews`, {
+      method: "POST",
+      headers: authHeaders,
+      body: {
+        rating: Number(formData.get("rating")),
+        title: formData.get("title") as string,
+        body: formData.get("body") as string,
+      },
+    })
+    .then(() => {
+      revalidateTag("reviews")
+      return { ...currentState, success: true, error: null }
+    })
+    .catch((err) => ({ ...currentState, success: false, error: err.toString() }))
+}
@@ -0,0 +1,51 @@
+"use server"
+
+import { sdk } from "@lib/config"
+import { getForwardedForHeaders } from "./forwarded-for"
+
+type SearchSource = "modal" | "results"
+
+/**
+ * Records a search and its number of results for the search analytics. Failures are
+ * ignored, so they never get in the way of searching.
+ */
+export async function trackSearch(
+  query: string,
+  resultCount: number,
+  source: SearchSource
+) {
+  if (!query.trim()) {
+    return
+  }
+
+  await sdk.client
+    .fetch("/store/search-analytics", {
+      method: "POST",
+      body: { type: "search", query, result_count: resultCount, source },
+      headers: await getForwardedForHeaders(),
+    })
+    .catch(() => null)
+}
+
+/**
+ * Records a click on a search result.
+ * @param position - Position of the product in the results, starting at 1
+ */
+export async function trackSearchClick(
+  query: string,
+  productId: string,
+  position: number,
+  source: SearchSource
+) {
+  if (!query.trim()) {
+    return
+  }
+
+  await sdk.client
+    .fetch("/store/search-analytics", {
+      method: "POST",
+      body: { type: "click", query, product_id: productId, position, source },
+      headers: await getForwardedForHeaders(),
+    })
+    .catch(() => null)
+}
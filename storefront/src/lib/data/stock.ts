@@ -0,0 +1,21 @@
+"use server"
+
+import { sdk } from "@lib/config"
+import { cache } from "react"
+import { StockAvailability } from "types/global"
+import { getCartId } from "./cookies"
+
+/**
+ * Returns the available quantity of a product's variants at each stock location of
+ * the cart's sales channel.
+ */
+export const getStockAvailability = cache(async function (productId: string) {
+  const cartId = await getCartId()
+
+  return sdk.client
+    .fetch<StockAvailability>("/store/stock-availability", {
+      query: { product_id: productId, ...(cartId && { cart_id: cartId }) },
+      cache: "no-store",
+    })
+    .catch(() => null)
+})
@@ -0,0 +1,95 @@
+"use server"
+
+import { sdk } from "@lib/config"
+import { revalidateTag } from "next/cache"
+import { cache } from "react"
+import {
+  getAuthHeaders,
+  getWishlistCookie,
+  removeWishlistCookie,
+  setWishlistCookie,
+} from "./cookies"
+
+type WishlistResponse = {
+  wishlist: {
+    id: string
+    items: { id: string; product_id: string }[]
+  }
+}
+
+const isLoggedIn = (headers: object): headers is { authorization: string } =>
+  "authorization" in headers
+
+/**
+ * Returns the product IDs on the wishlist, from the backend for customers and
+ * from a cookie for guests.
+ */
+export const getWishlistProductIds = cache(async function (): Promise<
+  string[]
+> {
+  const authHeaders = await getAuthHeaders()
+
+  if (!isLoggedIn(authHeaders)) {
+    return getWishlistCookie()
+  }
+
+  return sdk.client
+    .fetch<WishlistResponse>("/store/customers/me/wishlist", {
+      headers: authHeaders,
+      next: { tags: ["wishlist"] },
+    })
+    .then(({ wishlist }) => wishlist.items.map((item) => item.product_id))
+    .catch(() => [])
+})
+
+export async function toggleWishlistItem(productId: string) {
+  const authHeaders = await getAuthHeaders()
+  const productIds = await getWishlistProductIds()
+  const isWishlisted = productIds.includes(productId)
+
+  if (!isLoggedIn(authHeaders)) {
+    await setWishlistCookie(
+      isWishlisted
+        ? productIds.filter((id) => id !== productId)
+        : [...productIds, productId]
+    )
+  } else if (isWishlisted) {
+    await sdk.client.fetch(
+      `/store/customers/me/wishlist/items/${productId}`,
+      { method: "DELETE", headers: authHeaders }
+    )
+  } else {
+    await sdk.client.fetch("/store/customers/me/wishlist/items", {
+      method: "POST",
+      headers: authHeaders,
+      body: { product_id: productId },
+    })
+  }
+
+  revalidateTag("wishlist")
+  return !isWishlisted
+}
+
+/**
+ * Moves the products of the guest wishlist cookie to the customer's wishlist.
+ * Called right after login.
+ */
+export async function mergeGuestWishlist() {
+  const authHeaders = await getAuthHeaders()
+  const productIds = await getWishlistCookie()
+
+  if (!isLoggedIn(authHeaders) || !productIds.length) {
+    return
+  }
+
+  await sdk.client
+    .fetch("/store/customers/me/wishlist/items", {
+      method: "POST",
+      headers: authHeaders,
+      body: { product_ids: productIds },
+    })
+    .then(() => removeWishlistCookie())
+    .catch(() => null)
+
+  revalidateTag("wishlist")
+}
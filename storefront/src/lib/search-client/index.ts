@@ -0,0 +1,51 @@
+import { instantMeiliSearch } from "@meilisearch/instant-meilisearch"
+import algoliasearch, { SearchClient } from "algoliasearch/lite"
+
+import { medusaSearchClient } from "./medusa"
+
+export type SearchProvider = "meilisearch" | "algolia" | "medusa"
+
+/**
+ * The search engine to use. Set `NEXT_PUBLIC_SEARCH_PROVIDER` to pick one, otherwise
+ * Algolia is used when an app ID is set, MeiliSearch when an endpoint is set, and the
+ * Medusa store products API when neither is.
+ */
+export const SEARCH_PROVIDER: SearchProvider =
+  (process.env.NEXT_PUBLIC_SEARCH_PROVIDER as SearchProvider | undefined) ||
+  (process.env.NEXT_PUBLIC_SEARCH_APP_ID
+    ? "algolia"
+    : process.env.NEXT_PUBLIC_SEARCH_ENDPOINT
+    ? "meilisearch"
+    : "medusa")
+
+export const SEARCH_INDEX_NAME =
+  process.env.NEXT_PUBLIC_INDEX_NAME || "products"
+
+const apiKey = process.env.NEXT_PUBLIC_SEARCH_API_KEY || "test_key"
+
+function createSearchClient(): Pick<
+  SearchClient,
+  "search" | "searchForFacetValues"
+> {
+  switch (SEARCH_PROVIDER) {
+    case "meilisearch":
+      // Implements the same interface, its typings just don't resolve to it
+      return instantMeiliSearch(
+        process.env.NEXT_PUBLIC_SEARCH_ENDPOINT || "http://127.0.0.1:7700",
+        apiKey
+      ).searchClient as unknown as SearchClient
+    case "algolia":
+      return algoliasearch(
+        process.env.NEXT_PUBLIC_SEARCH_APP_ID || "test_app_id",
+        apiKey
+      )
+    default:
+      return medusaSearchClient()
+  }
+}
+
+/**
+ * Client with the Algolia search interface, used by InstantSearch in the search
+ * modal and by the search action of the results page.
+ */
+export const searchClient = createSearchClient()
@@ -0,0 +1,58 @@
+import { sdk } from "@lib/config"
+import type { SearchClient } from "algoliasearch/lite"
+
+type SearchRequest = Parameters<SearchClient["search"]>[0][number]
+
+const DEFAULT_HITS_PER_PAGE = 20
+
+/**
+ * Search client with the interface of the Algolia and MeiliSearch clients that
+ * searches the Medusa store products API with `q`, for when no search engine is
+ * configured. Facets are not supported, so results come without facet counts and
+ * facet filters are ignored.
+ */
+export function medusaSearchClient(): Pick<
+  SearchClient,
+  "search" | "searchForFacetValues"
+> {
+  return {
+    search: (async (requests: readonly SearchRequest[]) => ({
+      results: await Promise.all(requests.map(searchProducts)),
+    })) as SearchClient["search"],
+    searchForFacetValues: async (requests) =>
+      requests.map(() => ({
+        facetHits: [],
+        exhaustiveFacetsCount: true,
+      })),
+  }
+}
+
+async function searchProducts({ indexName, params = {} }: SearchRequest) {
+  const query = params.query ?? ""
+  const hitsPerPage = params.hitsPerPage ?? DEFAULT_HITS_PER_PAGE
+  const page = params.page ?? 0
+
+  // Requests that only ask for facet counts don't need any products
+  const { products, count } = hitsPerPage
+    ? await sdk.store.product.list({
+        q: query || undefined,
+        limit: hitsPerPage,
+        offset: page * hitsPerPage,
+        fields: "id,title,handle,description,thumbnail",
+      })
+    : { products: [], count: 0 }
+
+  return {
+    index: indexName,
+    hits: products.map((product) => ({ ...product, objectID: product.id })),
+    facets: {},
+    nbHits: count,
+    page,
+    nbPages: hitsPerPage ? Math.ceil(count / hitsPerPage) : 0,
+    hitsPerPage,
+    processingTimeMS: 0,
+    exhaustiveNbHits: true,
+    query,
+    params: "",
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Widths of the resized variants the backend stores next to uploaded images, mirrors
+ * `IMAGE_DERIVATIVE_SIZES` of the MinIO file provider.
+ */
+export const IMAGE_DERIVATIVE_SIZES = {
+  thumbnail: 200,
+  card: 400,
+  gallery: 800,
+  zoom: 1600,
+} as const
+
+export type ImageDerivativeSize = keyof typeof IMAGE_DERIVATIVE_SIZES
+export type ImageDerivativeFormat = "avif" | "webp"
+
+/**
+ * Whether an image has derivatives. The backend lists the images of a product that
+ * have them in `metadata.image_derivatives`, once they're stored.
+ */
+export const hasImageDerivatives = (
+  src: string,
+  metadata?: Record<string, unknown> | null
+) => {
+  const withDerivatives = metadata?.image_derivatives
+  return Array.isArray(withDerivatives) && withDerivatives.includes(src)
+}
+
+export const getImageDerivativeUrl = (
+  src: string,
+  size: ImageDerivativeSize,
+  format: ImageDerivativeFormat
+) => src.replace(/\.[a-z]+$/i, `-${size}.${format}`)
+
+/**
+ * Builds a `srcset` with the given derivative sizes of an image.
+ */
+export const getImageSrcSet = (
+  src: string,
+  format: ImageDerivativeFormat,
+  sizes: ImageDerivativeSize[]
+) =>
+  sizes
+    .map(
+      (size) =>
+        `${getImageDerivativeUrl(src, size, format)} ${IMAGE_DERIVATIVE_SIZES[size]}w`
+    )
+    .join(", ")
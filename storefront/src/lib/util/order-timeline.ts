@@ -0,0 +1,158 @@
+import { HttpTypes } from "@medusajs/types"
+
+import { convertToLocale } from "./money"
+import { getCarrierName, getTrackingUrl } from "./tracking-links"
+import { OrderTimelineEvent } from "types/global"
+
+type DateLike = string | Date | null | undefined
+
+// The store order types don't include the fulfillment labels and items, or returns
+type TimelineOrder = Omit<HttpTypes.StoreOrder, "fulfillments"> & {
+  fulfillments?: (HttpTypes.StoreOrderFulfillment & {
+    created_at?: DateLike
+    labels?: { tracking_number: string; tracking_url?: string | null }[]
+    items?: { quantity: number }[]
+  })[]
+  returns?: {
+    id: string
+    display_id: number
+    created_at: DateLike
+    received_at?: DateLike
+    canceled_at?: DateLike
+    items?: { quantity: number }[]
+  }[]
+}
+
+const countItems = (items?: { quantity: number }[]) => {
+  const count = (items ?? []).reduce((acc, item) => acc + item.quantity, 0)
+
+  return `${count} ${count === 1 ? "item" : "items"}`
+}
+
+/**
+ * Builds the timeline of an order from its payments, fulfillments and returns, oldest
+ * first. The order has to be retrieved with these relations, see `retrieveOrder`.
+ */
+export const getOrderTimeline = (
+  order: HttpTypes.StoreOrder
+): OrderTimelineEvent[] => {
+  const { fulfillments = [], returns = [] } = order as unknown as TimelineOrder
+  const payments = (order.payment_collections ?? []).flatMap(
+    (collection) => collection.payments ?? []
+  )
+  const events: (Omit<OrderTimelineEvent, "date"> & { date: DateLike })[] = [
+    {
+      id: order.id,
+      type: "placed",
+      date: order.created_at,
+      title: "Order placed",
+    },
+  ]
+  const formatAmount = (amount: number) =>
+    convertToLocale({ amount, currency_code: order.currency_code })
+
+  payments.forEach((payment) => {
+    if (payment.captured_at) {
+      events.push({
+        id: `${payment.id}_captured`,
+        type: "payment_captured",
+        date: payment.captured_at,
+        title: "Payment captured",
+        description: formatAmount(payment.amount),
+      })
+    }
+
+    payment.refunds?.forEach((refund) =>
+      events.push({
+        id: refund.id,
+        type: "refunded",
+        date: refund.created_at,
+        title: "Refunded",
+        description: formatAmount(refund.amount),
+      })
+    )
+  })
+
+  fulfillments.forEach((fulfillment, index) => {
+    const name =
+      fulfillments.length > 1 ? `Shipment ${index + 1}` : "Your order"
+
+    events.push({
+      id: `${fulfillment.id}_created`,
+      type: "fulfillment_created",
+      date: fulfillment.created_at ?? fulfillment.packed_at,
+      title: `${name} is being prepared`,
+      description: countItems(fulfillment.items),
+    })
+
+    if (fulfillment.shipped_at) {
+      const carrier = getCarrierName(fulfillment)
+
+      events.push({
+        id: `${fulfillment.id}_shipped`,
+        type: "shipped",
+        date: fulfillment.shipped_at,
+        title: `${name} has shipped`,
+        description: carrier ? `With ${carrier.toUpperCase()}` : undefined,
+        tracking: (fulfillment.labels ?? [])
+          .filter((label) => !!label.tracking_number)
+          .map((label) => ({
+            number: label.tracking_number,
+            url: getTrackingUrl(label, carrier),
+            carrier,
+          })),
+      })
+    }
+
+    if (fulfillment.delivered_at) {
+      events.push({
+        id: `${fulfillment.id}_delivered`,
+        type: "delivered",
+        date: fulfillment.delivered_at,
+        title: `${name} was delivered`,
+      })
+    }
+
+    if (fulfillment.canceled_at) {
+      events.push({
+        id: `${fulfillment.id}_canceled`,
+        type: "fulfillment_canceled",
+        date: fulfillment.canceled_at,
+        title: `${name} was canceled`,
+      })
+    }
+  })
+
+  returns.forEach((orderReturn) => {
+    events.push({
+      id: `${orderReturn.id}_requested`,
+      type: "return_requested",
+      date: orderReturn.created_at,
+      title: `Return #${orderReturn.display_id} requested`,
+      description: countItems(orderReturn.items),
+    })
+
+    if (orderReturn.received_at) {
+      events.push({
+        id: `${orderReturn.id}_received`,
+        type: "return_received",
+        date: orderReturn.received_at,
+        title: `Return #${orderReturn.display_id} received`,
+      })
+    }
+
+    if (orderReturn.canceled_at) {
+      events.push({
+        id: `${orderReturn.id}_canceled`,
+        type: "return_canceled",
+        date: orderReturn.canceled_at,
+        title: `Return #${orderReturn.display_id} canceled`,
+      })
+    }
+  })
+
+  return events
+    .filter((event) => !!event.date)
+    .map((event) => ({ ...event, date: new Date(event.date!).toISOString() }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
@@ -0,0 +1,7 @@
+/**
+ * Whether gift cards pay for the whole cart, so it's completed without a payment.
+ */
+export const isPaidByGiftCard = (cart: {
+  total?: number | null
+  credit_line_total?: number | null
+}) => (cart.credit_line_total ?? 0) > 0 && (cart.total ?? 0) <= 0
@@ -0,0 +1,54 @@
+/**
+ * Tracking page URL templates for the carriers we ship with, the same as the ones the
+ * backend uses in the shipment email. `{tracking_number}` is replaced with the (URL
+ * encoded) tracking number of the label.
+ */
+const CARRIER_TRACKING_URLS: Record<string, string> = {
+  dhl: "https://www.dhl.com/global-en/home/tracking/tracking-parcel.html?tracking-id={tracking_number}",
+  dpd: "https://tracking.dpd.de/status/en_US/parcel/{tracking_number}",
+  fedex: "https://www.fedex.com/fedextrack/?trknbr={tracking_number}",
+  gls: "https://gls-group.com/track/{tracking_number}",
+  postnord: "https://tracking.postnord.com/tracking.html?id={tracking_number}",
+  ups: "https://www.ups.com/track?tracknum={tracking_number}",
+  usps: "https://tools.usps.com/go/TrackConfirmAction?tLabels={tracking_number}",
+}
+
+/**
+ * The carrier of a fulfillment. A carrier set on the fulfillment data takes
+ * precedence over the fulfillment provider.
+ */
+export const getCarrierName = (fulfillment: {
+  data?: Record<string, unknown> | null
+  provider_id?: string | null
+}) => {
+  const carrier = fulfillment.data?.carrier
+
+  if (typeof carrier === "string" && carrier.trim()) {
+    return carrier.trim()
+  }
+
+  // Provider ids are formatted as `{identifier}_{id}`, e.g. `manual_manual`
+  const providerName = fulfillment.provider_id?.split("_")[0]
+
+  return providerName && providerName !== "manual" ? providerName : undefined
+}
+
+/**
+ * The tracking page of a label. An explicit tracking URL on the label is used as is,
+ * otherwise it's derived from the carrier.
+ */
+export const getTrackingUrl = (
+  label: { tracking_number: string; tracking_url?: string | null },
+  carrier?: string
+) => {
+  if (label.tracking_url && label.tracking_url !== "#") {
+    return label.tracking_url
+  }
+
+  return carrier
+    ? CARRIER_TRACKING_URLS[carrier.toLowerCase()]?.replace(
+        "{tracking_number}",
+        encodeURIComponent(label.tracking_number)
+      )
+    : undefined
+}
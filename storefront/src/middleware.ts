@@ -94,6 +94,7 @@ export async function middleware(request: NextRequest) {
   const checkoutStep = searchParams.get("step")
   const onboardingCookie = request.cookies.get("_medusa_onboarding")
   const cartIdCookie = request.cookies.get("_medusa_cart_id")
+  const promoCode = searchParams.get("promo")?.trim()
 
   const regionMap = await getRegionMap()
 
@@ -108,7 +109,7 @@ export async function middleware(request: NextRequest) {
     (!isOnboarding || onboardingCookie) &&
     (!cartId || cartIdCookie)
   ) {
-    return NextResponse.next()
+    return setPromoCodeCookie(NextResponse.next(), promoCode)
   }
 
   const redirectPath =
@@ -138,6 +139,23 @@ export async function middleware(request: NextRequest) {
     response.cookies.set("_medusa_onboarding", "true", { maxAge: 60 * 60 * 24 })
   }
 
+  return setPromoCodeCookie(response, promoCode)
+}
+
+/**
+ * Remembers the promotion code of a `?promo=CODE` link, so it's applied to the cart
+ * once the customer adds something to it. See `applyPendingPromotion` in `lib/data/cart`.
+ */
+function setPromoCodeCookie(response: NextResponse, promoCode?: string) {
+  if (promoCode) {
+    response.cookies.set("_medusa_promo_code", promoCode, {
+      maxAge: 60 * 60 * 24 * 7,
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+    })
+  }
+
   return response
 }
 
@@ -0,0 +1,81 @@
+"use client"
+
+import { useFormState } from "react-dom"
+
+import Input from "@modules/common/components/input"
+import { LOGIN_VIEW } from "@modules/account/templates/login-template"
+import ErrorMessage from "@modules/checkout/components/error-message"
+import { SubmitButton } from "@modules/checkout/components/submit-button"
+import { requestPasswordReset } from "@lib/data/customer"
+
+type Props = {
+  setCurrentView: (view: LOGIN_VIEW) => void
+}
+
+const ForgotPassword = ({ setCurrentView }: Props) => {
+  const [state, formAction] = useFormState(requestPasswordReset, {
+    success: false,
+    error: null,
+  })
+
+  return (
+    <div
+      className="max-w-sm w-full flex flex-col items-center"
+      data-testid="forgot-password-page"
+    >
+      <h1 className="text-large-semi uppercase mb-6">Forgot password</h1>
+      {state.success ? (
+        <p
+          className="text-center text-base-regular text-ui-fg-base mb-8"
+          data-testid="forgot-password-success"
+        >
+          If an account exists for that email address, we have sent you a link
+          to reset your password. Please check your inbox.
+        </p>
+      ) : (
+        <>
+          <p className="text-center text-base-regular text-ui-fg-base mb-8">
+            Enter the email address you signed up with and we will send you a
+            link to reset your password.
+          </p>
+          <form className="w-full" action={formAction}>
+            <div className="flex flex-col w-full gap-y-2">
+              <Input
+                label="Email"
+                name="email"
+                type="email"
+                title="Enter a valid email address."
+                autoComplete="email"
+                required
+                data-testid="email-input"
+              />
+            </div>
+            <ErrorMessage
+              error={state.error}
+              data-testid="forgot-password-error-message"
+            />
+            <SubmitButton
+              data-testid="send-reset-link-button"
+              className="w-full mt-6"
+            >
+              Send reset link
+            </SubmitButton>
+          </form>
+        </>
+      )}
+      <span className="text-center text-ui-fg-base text-small-regular mt-6">
+        Remembered your password?{" "}
+        <button
+          onClick={() => setCurrentView(LOGIN_VIEW.SIGN_IN)}
+          className="underline"
+          data-testid="back-to-sign-in-button"
+        >
+          Sign in
+        </button>
+        .
+      </span>
+    </div>
+  )
+}
+
+export default ForgotPassword
@@ -4,6 +4,7 @@ import { LOGIN_VIEW } from "@modules/account/templates/login-template"
 import Input from "@modules/common/components/input"
 import ErrorMessage from "@modules/checkout/components/error-message"
 import { SubmitButton } from "@modules/checkout/components/submit-button"
+import LocalizedClientLink from "@modules/common/components/localized-client-link"
 import { login } from "@lib/data/customer"
 
 type Props = {
@@ -42,6 +43,16 @@ const Login = ({ setCurrentView }: Props) => {
             data-testid="password-input"
           />
         </div>
+        <div className="flex justify-end mt-2">
+          <button
+            type="button"
+            onClick={() => setCurrentView(LOGIN_VIEW.FORGOT_PASSWORD)}
+            className="text-small-regular text-ui-fg-subtle underline"
+            data-testid="forgot-password-button"
+          >
+            Forgot password?
+          </button>
+        </div>
         <ErrorMessage error={message} data-testid="login-error-message" />
         <SubmitButton data-testid="sign-in-button" className="w-full mt-6">
           Sign in
@@ -58,6 +69,17 @@ const Login = ({ setCurrentView }: Props) => {
         </button>
         .
       </span>
+      <span className="text-center text-ui-fg-base text-small-regular mt-2">
+        Ordered as a guest?{" "}
+        <LocalizedClientLink
+          href="/order/lookup"
+          className="underline"
+          data-testid="order-lookup-link"
+        >
+          Find your order
+        </LocalizedClientLink>
+        .
+      </span>
     </div>
   )
 }
@@ -4,13 +4,16 @@ import { useMemo } from "react"
 import Thumbnail from "@modules/products/components/thumbnail"
 import LocalizedClientLink from "@modules/common/components/localized-client-link"
 import { convertToLocale } from "@lib/util/money"
+import { ReturnStatusBadge } from "@modules/order/components/order-returns"
 import { HttpTypes } from "@medusajs/types"
+import { OrderReturn } from "types/global"
 
 type OrderCardProps = {
   order: HttpTypes.StoreOrder
+  returns?: OrderReturn[]
 }
 
-const OrderCard = ({ order }: OrderCardProps) => {
+const OrderCard = ({ order, returns = [] }: OrderCardProps) => {
   const numberOfLines = useMemo(() => {
     return (
       order.items?.reduce((acc, item) => {
@@ -73,6 +76,19 @@ const OrderCard = ({ order }: OrderCardProps) => {
           </div>
         )}
       </div>
+      {returns.length > 0 && (
+        <div
+          className="flex flex-col gap-y-1 mb-4 text-small-regular text-ui-fg-base"
+          data-testid="order-card-returns"
+        >
+          {returns.map((r) => (
+            <div key={r.id} className="flex items-center gap-x-2">
+              <span>Return #{r.display_id}</span>
+              <ReturnStatusBadge status={r.status} />
+            </div>
+          ))}
+        </div>
+      )}
       <div className="flex justify-end">
         <LocalizedClientLink href={`/account/orders/details/${order.id}`}>
           <Button data-testid="order-details-link" variant="secondary">
@@ -5,8 +5,15 @@ import { Button } from "@medusajs/ui"
 import OrderCard from "../order-card"
 import LocalizedClientLink from "@modules/common/components/localized-client-link"
 import { HttpTypes } from "@medusajs/types"
+import { OrderReturn } from "types/global"
 
-const OrderOverview = ({ orders }: { orders: HttpTypes.StoreOrder[] }) => {
+const OrderOverview = ({
+  orders,
+  returns = [],
+}: {
+  orders: HttpTypes.StoreOrder[]
+  returns?: OrderReturn[]
+}) => {
   if (orders?.length) {
     return (
       <div className="flex flex-col gap-y-8 w-full">
@@ -15,7 +22,10 @@ const OrderOverview = ({ orders }: { orders: HttpTypes.StoreOrder[] }) => {
             key={o.id}
             className="border-b border-gray-200 pb-6 last:pb-0 last:border-none"
           >
-            <OrderCard order={o} />
+            <OrderCard
+              order={o}
+              returns={returns.filter((r) => r.order_id === o.id)}
+            />
           </div>
         ))}
       </div>
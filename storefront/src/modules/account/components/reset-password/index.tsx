@@ -0,0 +1,106 @@
+"use client"
+
+import { useFormState } from "react-dom"
+
+import Input from "@modules/common/components/input"
+import ErrorMessage from "@modules/checkout/components/error-message"
+import { SubmitButton } from "@modules/checkout/components/submit-button"
+import LocalizedClientLink from "@modules/common/components/localized-client-link"
+import { resetPassword } from "@lib/data/customer"
+
+type Props = {
+  token?: string
+  email?: string
+}
+
+const ResetPassword = ({ token, email }: Props) => {
+  const [state, formAction] = useFormState(resetPassword, {
+    token,
+    email,
+    success: false,
+    error: null,
+  })
+
+  if (!token || !email) {
+    return (
+      <div
+        className="max-w-sm w-full flex flex-col items-center"
+        data-testid="reset-password-page"
+      >
+        <h1 className="text-large-semi uppercase mb-6">Invalid link</h1>
+        <p className="text-center text-base-regular text-ui-fg-base mb-8">
+          This password reset link is invalid or incomplete. Please request a
+          new one from the sign in page.
+        </p>
+        <LocalizedClientLink href="/account" className="underline">
+          Back to sign in
+        </LocalizedClientLink>
+      </div>
+    )
+  }
+
+  return (
+    <div
+      className="max-w-sm w-full flex flex-col items-center"
+      data-testid="reset-password-page"
+    >
+      <h1 className="text-large-semi uppercase mb-6">Choose a new password</h1>
+      {state.success ? (
+        <>
+          <p
+            className="text-center text-base-regular text-ui-fg-base mb-8"
+            data-testid="reset-password-success"
+          >
+            Your password has been updated. You can now sign in with your new
+            password.
+          </p>
+          <LocalizedClientLink
+            href="/account"
+            className="underline"
+            data-testid="sign-in-link"
+          >
+            Sign in
+          </LocalizedClientLink>
+        </>
+      ) : (
+        <>
+          <p className="text-center text-base-regular text-ui-fg-base mb-8">
+            Enter a new password for {email}.
+          </p>
+          <form className="w-full" action={formAction}>
+            <div className="flex flex-col w-full gap-y-2">
+              <Input
+                label="New password"
+                name="password"
+                type="password"
+                autoComplete="new-password"
+                required
+                data-testid="new-password-input"
+              />
+              <Input
+                label="Confirm password"
+                name="confirm_password"
+                type="password"
+                autoComplete="new-password"
+                required
+                data-testid="confirm-password-input"
+              />
+            </div>
+            <ErrorMessage
+              error={state.error}
+              data-testid="reset-password-error-message"
+            />
+            <SubmitButton
+              data-testid="reset-password-button"
+              className="w-full mt-6"
+            >
+              Reset password
+            </SubmitButton>
+          </form>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ResetPassword
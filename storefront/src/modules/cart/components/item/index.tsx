@@ -59,6 +59,7 @@ const Item = ({ item, type = "full" }: ItemProps) => {
           <Thumbnail
             thumbnail={item.variant?.product?.thumbnail}
             images={item.variant?.product?.images}
+            metadata={item.variant?.product?.metadata}
             size="square"
           />
         </LocalizedClientLink>
@@ -1,11 +1,10 @@
 "use client"
 
-import { Badge, Heading, Input, Label, Text, Tooltip } from "@medusajs/ui"
+import { Badge, Heading, Input, Label, Text } from "@medusajs/ui"
 import React from "react"
 
-import { applyPromotions, submitPromotionForm } from "@lib/data/cart"
+import { removeDiscount, submitPromotionForm } from "@lib/data/cart"
 import { convertToLocale } from "@lib/util/money"
-import { InformationCircleSolid } from "@medusajs/icons"
 import { HttpTypes } from "@medusajs/types"
 import Trash from "@modules/common/icons/trash"
 import ErrorMessage from "../error-message"
@@ -17,36 +16,46 @@ type DiscountCodeProps = {
   }
 }
 
-const DiscountCode: React.FC<DiscountCodeProps> = ({ cart }) => {
-  const [isOpen, setIsOpen] = React.useState(false)
+/**
+ * What each promotion code took off the cart, from the adjustments of its items and
+ * shipping methods.
+ */
+const getSavingsByCode = (cart: HttpTypes.StoreCart) => {
+  const savings = new Map<string, number>()
+  const adjustments = [
+    ...(cart.items ?? []).flatMap((item) => item.adjustments ?? []),
+    ...(cart.shipping_methods ?? []).flatMap(
+      (method) => method.adjustments ?? []
+    ),
+  ]
+
+  adjustments.forEach((adjustment) => {
+    if (adjustment.code) {
+      savings.set(
+        adjustment.code,
+        (savings.get(adjustment.code) ?? 0) + Number(adjustment.amount)
+      )
+    }
+  })
 
-  const { items = [], promotions = [] } = cart
-  const removePromotionCode = async (code: string) => {
-    const validPromotions = promotions.filter(
-      (promotion) => promotion.code !== code
-    )
+  return savings
+}
 
-    await applyPromotions(
-      validPromotions.filter((p) => p.code === undefined).map((p) => p.code!)
-    )
-  }
+const DiscountCode: React.FC<DiscountCodeProps> = ({ cart }) => {
+  const [isOpen, setIsOpen] = React.useState(false)
+  const [removingCode, setRemovingCode] = React.useState<string | null>(null)
+  const [removeError, setRemoveError] = React.useState<string | null>(null)
 
-  const addPromotionCode = async (formData: FormData) => {
-    const code = formData.get("code")
-    if (!code) {
-      return
-    }
-    const input = document.getElementById("promotion-input") as HTMLInputElement
-    const codes = promotions
-      .filter((p) => p.code === undefined)
-      .map((p) => p.code!)
-    codes.push(code.toString())
+  const { promotions = [] } = cart
+  const savingsByCode = getSavingsByCode(cart)
 
-    await applyPromotions(codes)
+  const removePromotionCode = async (code: string) => {
+    setRemovingCode(code)
+    setRemoveError(null)
 
-    if (input) {
-      input.value = ""
-    }
+    await removeDiscount(code)
+      .catch((err) => setRemoveError(err.message))
+      .finally(() => setRemovingCode(null))
   }
 
   const [message, formAction] = React.useActionState(submitPromotionForm, null)
@@ -54,7 +63,7 @@ const DiscountCode: React.FC<DiscountCodeProps> = ({ cart }) => {
   return (
     <div className="w-full bg-white flex flex-col">
       <div className="txt-medium">
-        <form action={(a) => addPromotionCode(a)} className="w-full mb-5">
+        <form action={formAction} className="w-full mb-5">
           <Label className="flex gap-x-1 my-2 items-center">
             <button
               onClick={() => setIsOpen(!isOpen)}
@@ -64,10 +73,6 @@ const DiscountCode: React.FC<DiscountCodeProps> = ({ cart }) => {
             >
               Add Promotion Code(s)
             </button>
-
-            {/* <Tooltip content="You can add multiple promotion codes">
-              <InformationCircleSolid color="var(--fg-muted)" />
-            </Tooltip> */}
           </Label>
 
           {isOpen && (
@@ -79,6 +84,7 @@ const DiscountCode: React.FC<DiscountCodeProps> = ({ cart }) => {
                   name="code"
                   type="text"
                   autoFocus={false}
+                  placeholder="Separate several codes with commas"
                   data-testid="discount-input"
                 />
                 <SubmitButton
@@ -105,6 +111,11 @@ const DiscountCode: React.FC<DiscountCodeProps> = ({ cart }) => {
               </Heading>
 
               {promotions.map((promotion) => {
+                const applicationMethod = promotion.application_method
+                const saved = promotion.code
+                  ? savingsByCode.get(promotion.code)
+                  : undefined
+
                 return (
                   <div
                     key={promotion.id}
@@ -119,33 +130,39 @@ const DiscountCode: React.FC<DiscountCodeProps> = ({ cart }) => {
                         >
                           {promotion.code}
                         </Badge>{" "}
-                        (
-                        {promotion.application_method?.value !== undefined &&
-                          promotion.application_method.currency_code !==
-                            undefined && (
+                        {applicationMethod?.value !== undefined &&
+                          applicationMethod.currency_code !== undefined && (
                             <>
-                              {promotion.application_method.type ===
-                              "percentage"
-                                ? `${promotion.application_method.value}%`
+                              (
+                              {applicationMethod.type === "percentage"
+                                ? `${applicationMethod.value}%`
                                 : convertToLocale({
-                                    amount: promotion.application_method.value,
+                                    amount: Number(applicationMethod.value),
                                     currency_code:
-                                      promotion.application_method
-                                        .currency_code,
+                                      applicationMethod.currency_code,
                                   })}
+                              )
                             </>
                           )}
-                        )
-                        {/* {promotion.is_automatic && (
-                          <Tooltip content="This promotion is automatically applied">
-                            <InformationCircleSolid className="inline text-zinc-400" />
-                          </Tooltip>
-                        )} */}
                       </span>
+                      {saved !== undefined && (
+                        <span
+                          className="text-ui-fg-interactive whitespace-nowrap"
+                          data-testid="discount-amount"
+                          data-value={saved}
+                        >
+                          -
+                          {convertToLocale({
+                            amount: saved,
+                            currency_code: cart.currency_code,
+                          })}
+                        </span>
+                      )}
                     </Text>
                     {!promotion.is_automatic && (
                       <button
-                        className="flex items-center"
+                        className="flex items-center disabled:opacity-50"
+                        disabled={removingCode === promotion.code}
                         onClick={() => {
                           if (!promotion.code) {
                             return
@@ -164,6 +181,11 @@ const DiscountCode: React.FC<DiscountCodeProps> = ({ cart }) => {
                   </div>
                 )
               })}
+
+              <ErrorMessage
+                error={removeError}
+                data-testid="remove-discount-error-message"
+              />
             </div>
           </div>
         )}
@@ -0,0 +1,159 @@
+"use client"
+
+import { Badge, Heading, Input, Label, Text } from "@medusajs/ui"
+import React from "react"
+
+import { removeGiftCard, submitGiftCardForm } from "@lib/data/cart"
+import { checkGiftCardBalance } from "@lib/data/gift-cards"
+import { convertToLocale } from "@lib/util/money"
+import Trash from "@modules/common/icons/trash"
+import { CartGiftCard } from "types/global"
+import ErrorMessage from "../error-message"
+import { SubmitButton } from "../submit-button"
+
+type GiftCardCodeProps = {
+  giftCards: CartGiftCard[]
+}
+
+const GiftCardCode: React.FC<GiftCardCodeProps> = ({ giftCards }) => {
+  const [isOpen, setIsOpen] = React.useState(false)
+  const [removeError, setRemoveError] = React.useState<string | null>(null)
+
+  const [message, formAction] = React.useActionState(submitGiftCardForm, null)
+  const [balance, balanceAction] = React.useActionState(checkGiftCardBalance, {
+    giftCard: null,
+    error: null,
+  })
+
+  const removeGiftCardCode = async (code: string) => {
+    setRemoveError(null)
+    await removeGiftCard(code).catch((err) => setRemoveError(err.message))
+  }
+
+  return (
+    <div className="w-full bg-white flex flex-col">
+      <div className="txt-medium">
+        <form action={formAction} className="w-full mb-5">
+          <Label className="flex gap-x-1 my-2 items-center">
+            <button
+              onClick={() => setIsOpen(!isOpen)}
+              type="button"
+              className="txt-medium text-ui-fg-interactive hover:text-ui-fg-interactive-hover"
+              data-testid="add-gift-card-button"
+            >
+              Add Gift Card
+            </button>
+          </Label>
+
+          {isOpen && (
+            <>
+              <div className="flex w-full gap-x-2">
+                <Input
+                  className="size-full"
+                  id="gift-card-input"
+                  name="code"
+                  type="text"
+                  placeholder="XXXX-XXXX-XXXX-XXXX"
+                  autoFocus={false}
+                  data-testid="gift-card-input"
+                />
+                <SubmitButton
+                  variant="secondary"
+                  data-testid="gift-card-apply-button"
+                >
+                  Apply
+                </SubmitButton>
+              </div>
+              <button
+                type="submit"
+                formAction={balanceAction}
+                className="txt-small text-ui-fg-interactive hover:text-ui-fg-interactive-hover mt-2"
+                data-testid="gift-card-balance-button"
+              >
+                Check balance
+              </button>
+
+              {balance.giftCard && (
+                <Text
+                  className="txt-small text-ui-fg-subtle mt-1"
+                  data-testid="gift-card-balance"
+                >
+                  {convertToLocale({
+                    amount: balance.giftCard.balance,
+                    currency_code: balance.giftCard.currency_code,
+                  })}{" "}
+                  left of{" "}
+                  {convertToLocale({
+                    amount: balance.giftCard.value,
+                    currency_code: balance.giftCard.currency_code,
+                  })}
+                </Text>
+              )}
+
+              <ErrorMessage
+                error={message || balance.error}
+                data-testid="gift-card-error-message"
+              />
+            </>
+          )}
+        </form>
+
+        {giftCards.length > 0 && (
+          <div className="w-full flex items-center">
+            <div className="flex flex-col w-full">
+              <Heading className="txt-medium mb-2">
+                Gift card(s) applied:
+              </Heading>
+
+              {giftCards.map((giftCard) => {
+                return (
+                  <div
+                    key={giftCard.code}
+                    className="flex items-center justify-between w-full max-w-full mb-2"
+                    data-testid="gift-card-row"
+                  >
+                    <Text className="flex gap-x-1 items-baseline txt-small-plus w-4/5 pr-1">
+                      <span className="truncate" data-testid="gift-card-code">
+                        <Badge color="grey" size="small">
+                          {giftCard.code}
+                        </Badge>{" "}
+                        (-
+                        {convertToLocale({
+                          amount: giftCard.amount,
+                          currency_code: giftCard.currency_code,
+                        })}
+                        ,{" "}
+                        {convertToLocale({
+                          amount: giftCard.balance - giftCard.amount,
+                          currency_code: giftCard.currency_code,
+                        })}{" "}
+                        left after this order)
+                      </span>
+                    </Text>
+                    <button
+                      className="flex items-center"
+                      onClick={() => removeGiftCardCode(giftCard.code)}
+                      data-testid="remove-gift-card-button"
+                    >
+                      <Trash size={14} />
+                      <span className="sr-only">
+                        Remove gift card from order
+                      </span>
+                    </button>
+                  </div>
+                )
+              })}
+
+              <ErrorMessage
+                error={removeError}
+                data-testid="remove-gift-card-error-message"
+              />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default GiftCardCode
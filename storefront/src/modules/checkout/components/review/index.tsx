@@ -2,6 +2,7 @@
 
 import { Heading, Text, clx } from "@medusajs/ui"
 
+import { isPaidByGiftCard } from "@lib/util/paid-by-gift-card"
 import PaymentButton from "../payment-button"
 import { useSearchParams } from "next/navigation"
 
@@ -10,8 +11,7 @@ const Review = ({ cart }: { cart: any }) => {
 
   const isOpen = searchParams.get("step") === "review"
 
-  const paidByGiftcard =
-    cart?.gift_cards && cart?.gift_cards?.length > 0 && cart?.total === 0
+  const paidByGiftcard = isPaidByGiftCard(cart)
 
   const previousStepsCompleted =
     cart.shipping_address &&
@@ -15,9 +15,15 @@ import { HttpTypes } from "@medusajs/types"
 
 type ShippingProps = {
   cart: HttpTypes.StoreCart
-  availableShippingMethods: HttpTypes.StoreCartShippingOption[] | null
+  availableShippingMethods:
+    | HttpTypes.StoreCartShippingOptionWithServiceZone[]
+    | null
 }
 
+const isPickupOption = (
+  option: HttpTypes.StoreCartShippingOptionWithServiceZone
+) => option.service_zone?.fulfillment_set?.type === "pickup"
+
 const Shipping: React.FC<ShippingProps> = ({
   cart,
   availableShippingMethods,
@@ -114,16 +120,26 @@ const Shipping: React.FC<ShippingProps> = ({
               onChange={set}
             >
               {availableShippingMethods?.map((option) => {
+                const isPickup = isPickupOption(option)
+                const address = isPickup
+                  ? option.service_zone.fulfillment_set.location?.address
+                  : undefined
+                // Pickup needs the whole cart in stock at the store's location
+                const isDisabled = isPickup && option.insufficient_inventory
+
                 return (
                   <RadioGroup.Option
                     key={option.id}
                     value={option.id}
+                    disabled={isDisabled}
                     data-testid="delivery-option-radio"
                     className={clx(
                       "flex items-center justify-between text-small-regular cursor-pointer py-4 border rounded-rounded px-8 mb-2 hover:shadow-borders-interactive-with-active",
                       {
                         "border-ui-border-interactive":
                           option.id === selectedOptionId,
+                        "opacity-50 cursor-not-allowed hover:shadow-none":
+                          isDisabled,
                       }
                     )}
                   >
@@ -131,7 +147,33 @@ const Shipping: React.FC<ShippingProps> = ({
                       <Radio
                         checked={option.id === selectedOptionId}
                       />
-                      <span className="text-base-regular">{option.name}</span>
+                      <div className="flex flex-col">
+                        <span className="text-base-regular">
+                          {option.name}
+                        </span>
+                        {address && (
+                          <span
+                            className="text-ui-fg-subtle"
+                            data-testid="pickup-location-address"
+                          >
+                            {[
+                              address.address_1,
+                              address.postal_code,
+                              address.city,
+                            ]
+                              .filter(Boolean)
+                              .join(", ")}
+                          </span>
+                        )}
+                        {isDisabled && (
+                          <span
+                            className="text-ui-fg-error"
+                            data-testid="pickup-insufficient-inventory"
+                          >
+                            Not enough stock at this store
+                          </span>
+                        )}
+                      </div>
                     </div>
                     <span className="justify-self-end text-ui-fg-base">
                       {convertToLocale({
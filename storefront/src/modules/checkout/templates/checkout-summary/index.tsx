@@ -1,11 +1,15 @@
 import { Heading } from "@medusajs/ui"
 
 import ItemsPreviewTemplate from "@modules/cart/templates/preview"
+import { listCartGiftCards } from "@lib/data/cart"
 import DiscountCode from "@modules/checkout/components/discount-code"
+import GiftCardCode from "@modules/checkout/components/gift-card-code"
 import CartTotals from "@modules/common/components/cart-totals"
 import Divider from "@modules/common/components/divider"
 
-const CheckoutSummary = ({ cart }: { cart: any }) => {
+const CheckoutSummary = async ({ cart }: { cart: any }) => {
+  const giftCards = await listCartGiftCards(cart.id)
+
   return (
     <div className="sticky top-0 flex flex-col-reverse small:flex-col gap-y-8 py-8 small:py-0 ">
       <div className="w-full bg-white flex flex-col">
@@ -21,6 +25,7 @@ const CheckoutSummary = ({ cart }: { cart: any }) => {
         <ItemsPreviewTemplate items={cart?.items} />
         <div className="my-6">
           <DiscountCode cart={cart} />
+          <GiftCardCode giftCards={giftCards} />
         </div>
       </div>
     </div>
@@ -12,7 +12,7 @@ type CartTotalsProps = {
     tax_total?: number | null
     shipping_total?: number | null
     discount_total?: number | null
-    gift_card_total?: number | null
+    credit_line_total?: number | null
     currency_code: string
   }
 }
@@ -25,7 +25,7 @@ const CartTotals: React.FC<CartTotalsProps> = ({ totals }) => {
     tax_total,
     shipping_total,
     discount_total,
-    gift_card_total,
+    credit_line_total,
   } = totals
 
   return (
@@ -64,16 +64,19 @@ const CartTotals: React.FC<CartTotalsProps> = ({ totals }) => {
             {convertToLocale({ amount: tax_total ?? 0, currency_code })}
           </span>
         </div>
-        {!!gift_card_total && (
+        {!!credit_line_total && (
           <div className="flex items-center justify-between">
             <span>Gift card</span>
             <span
               className="text-ui-fg-interactive"
               data-testid="cart-gift-card-amount"
-              data-value={gift_card_total || 0}
+              data-value={credit_line_total || 0}
             >
               -{" "}
-              {convertToLocale({ amount: gift_card_total ?? 0, currency_code })}
+              {convertToLocale({
+                amount: credit_line_total ?? 0,
+                currency_code,
+              })}
             </span>
           </div>
         )}
@@ -0,0 +1,47 @@
+import {
+  ImageDerivativeFormat,
+  ImageDerivativeSize,
+  getImageSrcSet,
+  hasImageDerivatives,
+} from "@lib/util/image-derivatives"
+
+type ImageSourcesProps = {
+  src: string
+  sizes: string
+  derivatives: ImageDerivativeSize[]
+  // Metadata of the product the image belongs to
+  metadata?: Record<string, unknown> | null
+}
+
+const FORMATS: ImageDerivativeFormat[] = ["avif", "webp"]
+
+/**
+ * `<source>`s for the AVIF and WebP derivatives of an uploaded image, to render in a
+ * `<picture>` before the image itself. Renders nothing for images without derivatives,
+ * as a `<picture>` doesn't fall back to the image when a source is missing.
+ */
+const ImageSources = ({
+  src,
+  sizes,
+  derivatives,
+  metadata,
+}: ImageSourcesProps) => {
+  if (!hasImageDerivatives(src, metadata)) {
+    return null
+  }
+
+  return (
+    <>
+      {FORMATS.map((format) => (
+        <source
+          key={format}
+          type={`image/${format}`}
+          srcSet={getImageSrcSet(src, format, derivatives)}
+          sizes={sizes}
+        />
+      ))}
+    </>
+  )
+}
+
+export default ImageSources
@@ -0,0 +1,32 @@
+import React from "react"
+
+import { IconProps } from "types/icon"
+
+const Heart: React.FC<IconProps & { filled?: boolean }> = ({
+  size = "20",
+  color = "currentColor",
+  filled = false,
+  ...attributes
+}) => {
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox="0 0 20 20"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+      {...attributes}
+    >
+      <path
+        d="M10 16.6667C10 16.6667 2.5 12.5 2.5 7.08333C2.5 5.24238 3.99238 3.75 5.83333 3.75C7.2 3.75 8.375 4.575 8.89167 5.75833L10 7.5L11.1083 5.75833C11.625 4.575 12.8 3.75 14.1667 3.75C16.0076 3.75 17.5 5.24238 17.5 7.08333C17.5 12.5 10 16.6667 10 16.6667Z"
+        fill={filled ? color : "none"}
+        stroke={color}
+        strokeWidth="1.5"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    </svg>
+  )
+}
+
+export default Heart
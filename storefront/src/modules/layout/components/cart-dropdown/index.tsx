@@ -123,6 +123,7 @@ const CartDropdown = ({
                           <Thumbnail
                             thumbnail={item.variant?.product?.thumbnail}
                             images={item.variant?.product?.images}
+                            metadata={item.variant?.product?.metadata}
                             size="square"
                           />
                         </LocalizedClientLink>
@@ -0,0 +1,41 @@
+import { verifyOrderLookup } from "@lib/data/orders"
+import { SubmitButton } from "@modules/checkout/components/submit-button"
+
+type Props = {
+  countryCode: string
+  orderId: string
+  token: string
+}
+
+/**
+ * Confirmation for the one-time order link emailed to a guest. The link only works
+ * once, so it's used up when the guest submits the form, not when the page loads,
+ * which email scanners and link previews also do.
+ */
+const OrderLookupVerify = ({ countryCode, orderId, token }: Props) => {
+  return (
+    <div
+      className="max-w-sm w-full flex flex-col items-center"
+      data-testid="order-lookup-verify-page"
+    >
+      <h1 className="text-large-semi uppercase mb-6">View your order</h1>
+      <p className="text-center text-base-regular text-ui-fg-base mb-8">
+        This link works once. Continue to view your order, you can come back to
+        it until your access expires.
+      </p>
+      <form className="w-full" action={verifyOrderLookup}>
+        <input type="hidden" name="country_code" value={countryCode} />
+        <input type="hidden" name="order_id" value={orderId} />
+        <input type="hidden" name="token" value={token} />
+        <SubmitButton
+          data-testid="order-lookup-verify-button"
+          className="w-full"
+        >
+          View order
+        </SubmitButton>
+      </form>
+    </div>
+  )
+}
+
+export default OrderLookupVerify
@@ -0,0 +1,97 @@
+"use client"
+
+import { useParams } from "next/navigation"
+import React from "react"
+
+import { lookupOrder } from "@lib/data/orders"
+import ErrorMessage from "@modules/checkout/components/error-message"
+import { SubmitButton } from "@modules/checkout/components/submit-button"
+import Input from "@modules/common/components/input"
+import LocalizedClientLink from "@modules/common/components/localized-client-link"
+
+type Props = {
+  // Shown above the form, e.g. when an emailed link didn't work
+  notice?: string
+}
+
+const OrderLookup = ({ notice }: Props) => {
+  const { countryCode } = useParams() as { countryCode: string }
+  const [state, formAction] = React.useActionState(lookupOrder, {
+    emailSent: false,
+    error: null,
+  })
+
+  return (
+    <div
+      className="max-w-sm w-full flex flex-col items-center"
+      data-testid="order-lookup-page"
+    >
+      <h1 className="text-large-semi uppercase mb-6">Find your order</h1>
+      {state.emailSent ? (
+        <p
+          className="text-center text-base-regular text-ui-fg-base mb-8"
+          data-testid="order-lookup-email-sent"
+        >
+          If an order matches these details, we&apos;ve sent a link to view it
+          to its email address. The link works once.
+        </p>
+      ) : (
+        <>
+          <p className="text-center text-base-regular text-ui-fg-base mb-8">
+            Enter the email address you ordered with and your order number to
+            see your order.
+          </p>
+          {notice && (
+            <p
+              className="text-center text-small-regular text-rose-500 mb-4"
+              data-testid="order-lookup-notice"
+            >
+              {notice}
+            </p>
+          )}
+          <form className="w-full" action={formAction}>
+            <input type="hidden" name="country_code" value={countryCode} />
+            <div className="flex flex-col w-full gap-y-2">
+              <Input
+                label="Email"
+                name="email"
+                type="email"
+                title="Enter a valid email address."
+                autoComplete="email"
+                required
+                data-testid="order-lookup-email-input"
+              />
+              <Input
+                label="Order number"
+                name="display_id"
+                type="text"
+                inputMode="numeric"
+                required
+                data-testid="order-lookup-display-id-input"
+              />
+            </div>
+            <ErrorMessage
+              error={state.error}
+              data-testid="order-lookup-error-message"
+            />
+            <SubmitButton
+              data-testid="order-lookup-button"
+              className="w-full mt-6"
+            >
+              Find order
+            </SubmitButton>
+          </form>
+        </>
+      )}
+      <span className="text-center text-ui-fg-base text-small-regular mt-6">
+        Have an account?{" "}
+        <LocalizedClientLink href="/account" className="underline">
+          Sign in
+        </LocalizedClientLink>{" "}
+        to see all your orders.
+      </span>
+    </div>
+  )
+}
+
+export default OrderLookup
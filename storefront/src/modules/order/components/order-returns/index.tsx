@@ -0,0 +1,76 @@
+import { Badge, Heading, Text } from "@medusajs/ui"
+
+import Divider from "@modules/common/components/divider"
+import { OrderReturn } from "types/global"
+
+type OrderReturnsProps = {
+  returns: OrderReturn[]
+}
+
+const RETURN_STATUSES: Record<
+  string,
+  { label: string; color: "green" | "red" | "orange" | "blue" | "grey" }
+> = {
+  requested: { label: "Requested", color: "blue" },
+  open: { label: "Requested", color: "blue" },
+  partially_received: { label: "Partially received", color: "orange" },
+  received: { label: "Received", color: "green" },
+  canceled: { label: "Canceled", color: "red" },
+}
+
+export const ReturnStatusBadge = ({ status }: { status: string }) => {
+  const { label, color } = RETURN_STATUSES[status] ?? {
+    label: status,
+    color: "grey",
+  }
+
+  return (
+    <Badge color={color} data-testid="return-status" data-value={status}>
+      {label}
+    </Badge>
+  )
+}
+
+const OrderReturns = ({ returns }: OrderReturnsProps) => {
+  if (!returns.length) {
+    return null
+  }
+
+  return (
+    <div data-testid="order-returns">
+      <Heading level="h2" className="flex flex-row text-3xl-regular my-6">
+        Returns
+      </Heading>
+      <div className="flex flex-col gap-y-6">
+        {returns.map((orderReturn) => (
+          <div
+            key={orderReturn.id}
+            className="flex flex-col gap-y-2"
+            data-testid="order-return"
+          >
+            <div className="flex items-center justify-between">
+              <Text className="txt-medium-plus text-ui-fg-base">
+                Return #{orderReturn.display_id} &middot;{" "}
+                {new Date(orderReturn.created_at).toDateString()}
+              </Text>
+              <ReturnStatusBadge status={orderReturn.status} />
+            </div>
+            {orderReturn.items.map((item) => (
+              <Text
+                key={item.item_id}
+                className="txt-medium text-ui-fg-subtle"
+                data-testid="order-return-item"
+              >
+                {item.quantity} &times; {item.title}
+                {item.reason && ` (${item.reason})`}
+              </Text>
+            ))}
+          </div>
+        ))}
+      </div>
+      <Divider className="mt-8" />
+    </div>
+  )
+}
+
+export default OrderReturns
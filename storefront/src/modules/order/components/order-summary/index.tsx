@@ -32,10 +32,10 @@ const OrderSummary = ({ order }: OrderSummaryProps) => {
               <span>- {getAmount(order.discount_total)}</span>
             </div>
           )}
-          {order.gift_card_total > 0 && (
+          {order.credit_line_total > 0 && (
             <div className="flex items-center justify-between">
-              <span>Discount</span>
-              <span>- {getAmount(order.gift_card_total)}</span>
+              <span>Gift card</span>
+              <span>- {getAmount(order.credit_line_total)}</span>
             </div>
           )}
           <div className="flex items-center justify-between">
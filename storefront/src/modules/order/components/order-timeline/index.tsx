@@ -0,0 +1,81 @@
+import { HttpTypes } from "@medusajs/types"
+import { clx, Heading, Text } from "@medusajs/ui"
+
+import Divider from "@modules/common/components/divider"
+import { getOrderTimeline } from "@lib/util/order-timeline"
+
+type OrderTimelineProps = {
+  order: HttpTypes.StoreOrder
+}
+
+const OrderTimeline = ({ order }: OrderTimelineProps) => {
+  const events = getOrderTimeline(order)
+
+  return (
+    <div>
+      <Heading level="h2" className="flex flex-row text-3xl-regular my-6">
+        Order status
+      </Heading>
+      <ol className="flex flex-col" data-testid="order-timeline">
+        {events.map((event, index) => {
+          const isLatest = index === events.length - 1
+
+          return (
+            <li
+              key={event.id}
+              className="relative flex gap-x-4 pb-6 last:pb-0"
+              data-testid="order-timeline-event"
+              data-value={event.type}
+            >
+              {!isLatest && (
+                <span className="absolute left-[5px] top-4 h-full w-px bg-ui-border-base" />
+              )}
+              <span
+                className={clx(
+                  "relative mt-1.5 h-[11px] w-[11px] rounded-full",
+                  {
+                    "bg-ui-fg-interactive": isLatest,
+                    "bg-ui-fg-muted": !isLatest,
+                  }
+                )}
+              />
+              <div className="flex flex-col">
+                <Text className="txt-medium-plus text-ui-fg-base">
+                  {event.title}
+                </Text>
+                <Text className="txt-small text-ui-fg-subtle">
+                  {new Date(event.date).toLocaleString()}
+                  {event.description && ` · ${event.description}`}
+                </Text>
+                {event.tracking?.map((tracking) => (
+                  <Text
+                    key={tracking.number}
+                    className="txt-small text-ui-fg-subtle"
+                    data-testid="order-timeline-tracking"
+                  >
+                    Tracking number:{" "}
+                    {tracking.url ? (
+                      <a
+                        href={tracking.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="underline text-ui-fg-interactive"
+                      >
+                        {tracking.number}
+                      </a>
+                    ) : (
+                      tracking.number
+                    )}
+                  </Text>
+                ))}
+              </div>
+            </li>
+          )
+        })}
+      </ol>
+      <Divider className="mt-8" />
+    </div>
+  )
+}
+
+export default OrderTimeline
@@ -0,0 +1,133 @@
+"use client"
+
+import { Button, Heading, Text } from "@medusajs/ui"
+import React from "react"
+
+import { requestReturn } from "@lib/data/returns"
+import ErrorMessage from "@modules/checkout/components/error-message"
+import { SubmitButton } from "@modules/checkout/components/submit-button"
+import NativeSelect from "@modules/common/components/native-select"
+import Input from "@modules/common/components/input"
+import Thumbnail from "@modules/products/components/thumbnail"
+import { ReturnableItem, ReturnReason } from "types/global"
+
+type RequestReturnProps = {
+  orderId: string
+  items: ReturnableItem[]
+  reasons: ReturnReason[]
+}
+
+const RequestReturn = ({ orderId, items, reasons }: RequestReturnProps) => {
+  const [isOpen, setIsOpen] = React.useState(false)
+  const [state, formAction] = React.useActionState(
+    requestReturn.bind(null, orderId),
+    { success: false, error: null }
+  )
+
+  if (state.success) {
+    return (
+      <Text
+        className="txt-medium text-ui-fg-base"
+        data-testid="request-return-success-message"
+      >
+        Your return has been requested. We&apos;ve emailed you how to send the
+        items back.
+      </Text>
+    )
+  }
+
+  if (!isOpen) {
+    return (
+      <div>
+        <Button
+          variant="secondary"
+          onClick={() => setIsOpen(true)}
+          data-testid="request-return-button"
+        >
+          Request a return
+        </Button>
+      </div>
+    )
+  }
+
+  return (
+    <form action={formAction} data-testid="request-return-form">
+      <Heading level="h2" className="flex flex-row text-3xl-regular my-6">
+        Request a return
+      </Heading>
+      <div className="flex flex-col gap-y-6">
+        {items.map((item) => (
+          <div
+            key={item.id}
+            className="grid grid-cols-[64px_1fr] gap-x-4"
+            data-testid="returnable-item"
+          >
+            <Thumbnail thumbnail={item.thumbnail} images={[]} size="square" />
+            <div className="flex flex-col gap-y-2">
+              <Text className="txt-medium-plus text-ui-fg-base">
+                {item.title}
+                {item.variant_title && (
+                  <span className="text-ui-fg-subtle">
+                    {" "}
+                    ({item.variant_title})
+                  </span>
+                )}
+              </Text>
+              <div className="grid grid-cols-2 gap-x-2">
+                <NativeSelect
+                  name={`quantity_${item.id}`}
+                  defaultValue="0"
+                  data-testid="return-quantity-select"
+                >
+                  {Array.from(
+                    { length: item.returnable_quantity + 1 },
+                    (_, quantity) => (
+                      <option key={quantity} value={quantity}>
+                        {quantity}
+                      </option>
+                    )
+                  )}
+                </NativeSelect>
+                <NativeSelect
+                  name={`reason_${item.id}`}
+                  placeholder="Reason"
+                  defaultValue=""
+                  data-testid="return-reason-select"
+                >
+                  {reasons.map((reason) => (
+                    <option key={reason.id} value={reason.id}>
+                      {reason.label}
+                    </option>
+                  ))}
+                </NativeSelect>
+              </div>
+            </div>
+          </div>
+        ))}
+        <Input
+          label="Note (optional)"
+          name="note"
+          data-testid="return-note-input"
+        />
+      </div>
+      <ErrorMessage
+        error={state.error}
+        data-testid="request-return-error-message"
+      />
+      <div className="flex gap-x-2 mt-6">
+        <SubmitButton data-testid="submit-return-button">
+          Request return
+        </SubmitButton>
+        <Button
+          type="button"
+          variant="secondary"
+          onClick={() => setIsOpen(false)}
+        >
+          Cancel
+        </Button>
+      </div>
+    </form>
+  )
+}
+
+export default RequestReturn
@@ -6,28 +6,42 @@ import React from "react"
 import Help from "@modules/order/components/help"
 import Items from "@modules/order/components/items"
 import OrderDetails from "@modules/order/components/order-details"
+import OrderReturns from "@modules/order/components/order-returns"
 import OrderSummary from "@modules/order/components/order-summary"
+import OrderTimeline from "@modules/order/components/order-timeline"
+import RequestReturn from "@modules/order/components/request-return"
 import ShippingDetails from "@modules/order/components/shipping-details"
 import LocalizedClientLink from "@modules/common/components/localized-client-link"
 import { HttpTypes } from "@medusajs/types"
+import { OrderReturn, ReturnableItem, ReturnReason } from "types/global"
 
 type OrderDetailsTemplateProps = {
   order: HttpTypes.StoreOrder
+  // Guests who looked up their order go back to the lookup page instead of their account
+  isGuest?: boolean
+  // Returns can only be requested by logged-in customers
+  returns?: OrderReturn[]
+  returnableItems?: ReturnableItem[]
+  returnReasons?: ReturnReason[]
 }
 
 const OrderDetailsTemplate: React.FC<OrderDetailsTemplateProps> = ({
   order,
+  isGuest = false,
+  returns = [],
+  returnableItems = [],
+  returnReasons = [],
 }) => {
   return (
     <div className="flex flex-col justify-center gap-y-4">
       <div className="flex gap-2 justify-between items-center">
         <h1 className="text-2xl-semi">Order details</h1>
         <LocalizedClientLink
-          href="/account/orders"
+          href={isGuest ? "/order/lookup" : "/account/orders"}
           className="flex gap-2 items-center text-ui-fg-subtle hover:text-ui-fg-base"
           data-testid="back-to-overview-button"
         >
-          <XMark /> Back to overview
+          <XMark /> {isGuest ? "Find another order" : "Back to overview"}
         </LocalizedClientLink>
       </div>
       <div
@@ -35,9 +49,18 @@ const OrderDetailsTemplate: React.FC<OrderDetailsTemplateProps> = ({
         data-testid="order-details-container"
       >
         <OrderDetails order={order} showStatus />
+        <OrderTimeline order={order} />
         <Items items={order.items} />
         <ShippingDetails order={order} />
         <OrderSummary order={order} />
+        {!isGuest && <OrderReturns returns={returns} />}
+        {!isGuest && returnableItems.length > 0 && (
+          <RequestReturn
+            orderId={order.id}
+            items={returnableItems}
+            reasons={returnReasons}
+          />
+        )}
         <Help />
       </div>
     </div>
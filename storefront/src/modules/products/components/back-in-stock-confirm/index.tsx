@@ -0,0 +1,63 @@
+"use client"
+
+import { useFormState } from "react-dom"
+
+import { confirmBackInStock } from "@lib/data/back-in-stock"
+import ErrorMessage from "@modules/checkout/components/error-message"
+import { SubmitButton } from "@modules/checkout/components/submit-button"
+
+type Props = {
+  id: string
+  token: string
+}
+
+/**
+ * Confirmation for the link in the back-in-stock confirmation email. The subscription
+ * is confirmed when the customer submits the form, not when the page loads, which
+ * email scanners and link previews also do.
+ */
+const BackInStockConfirm = ({ id, token }: Props) => {
+  const [state, formAction] = useFormState(confirmBackInStock, {
+    success: false,
+    error: null,
+  })
+
+  return (
+    <div
+      className="max-w-sm w-full flex flex-col items-center"
+      data-testid="back-in-stock-confirm-page"
+    >
+      <h1 className="text-large-semi uppercase mb-6">Back in stock alert</h1>
+      {state.success ? (
+        <p
+          className="text-center text-base-regular text-ui-fg-base"
+          data-testid="back-in-stock-confirm-success"
+        >
+          Thanks! We will email you as soon as this item is back in stock.
+        </p>
+      ) : (
+        <>
+          <p className="text-center text-base-regular text-ui-fg-base mb-8">
+            Confirm that we may email you when this item is back in stock.
+          </p>
+          <form className="w-full" action={formAction}>
+            <input type="hidden" name="id" value={id} />
+            <input type="hidden" name="token" value={token} />
+            <ErrorMessage
+              error={state.error}
+              data-testid="back-in-stock-confirm-error-message"
+            />
+            <SubmitButton
+              data-testid="back-in-stock-confirm-button"
+              className="w-full"
+            >
+              Confirm
+            </SubmitButton>
+          </form>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BackInStockConfirm
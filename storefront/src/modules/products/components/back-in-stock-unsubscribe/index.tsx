@@ -0,0 +1,63 @@
+"use client"
+
+import { useFormState } from "react-dom"
+
+import { unsubscribeFromBackInStock } from "@lib/data/back-in-stock"
+import ErrorMessage from "@modules/checkout/components/error-message"
+import { SubmitButton } from "@modules/checkout/components/submit-button"
+
+type Props = {
+  email: string
+  token: string
+}
+
+/**
+ * Unsubscribes an email address from back-in-stock emails, with the link in them.
+ * Like the confirmation, it only happens when the customer submits the form.
+ */
+const BackInStockUnsubscribe = ({ email, token }: Props) => {
+  const [state, formAction] = useFormState(unsubscribeFromBackInStock, {
+    success: false,
+    error: null,
+  })
+
+  return (
+    <div
+      className="max-w-sm w-full flex flex-col items-center"
+      data-testid="back-in-stock-unsubscribe-page"
+    >
+      <h1 className="text-large-semi uppercase mb-6">Unsubscribe</h1>
+      {state.success ? (
+        <p
+          className="text-center text-base-regular text-ui-fg-base"
+          data-testid="back-in-stock-unsubscribe-success"
+        >
+          You are unsubscribed. We won&apos;t email {email} about items being
+          back in stock anymore.
+        </p>
+      ) : (
+        <>
+          <p className="text-center text-base-regular text-ui-fg-base mb-8">
+            Stop all back in stock emails to {email}.
+          </p>
+          <form className="w-full" action={formAction}>
+            <input type="hidden" name="email" value={email} />
+            <input type="hidden" name="token" value={token} />
+            <ErrorMessage
+              error={state.error}
+              data-testid="back-in-stock-unsubscribe-error-message"
+            />
+            <SubmitButton
+              data-testid="back-in-stock-unsubscribe-button"
+              className="w-full"
+            >
+              Unsubscribe
+            </SubmitButton>
+          </form>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BackInStockUnsubscribe
@@ -2,11 +2,18 @@ import { HttpTypes } from "@medusajs/types"
 import { Container } from "@medusajs/ui"
 import Image from "next/image"
 
+import ImageSources from "@modules/common/components/image-sources"
+
 type ImageGalleryProps = {
   images: HttpTypes.StoreProductImage[]
+  // Metadata of the product, lists the images with derivatives
+  metadata?: Record<string, unknown> | null
 }
 
-const ImageGallery = ({ images }: ImageGalleryProps) => {
+const sizes =
+  "(max-width: 576px) 280px, (max-width: 768px) 360px, (max-width: 992px) 480px, 800px"
+
+const ImageGallery = ({ images, metadata }: ImageGalleryProps) => {
   return (
     <div className="flex items-start relative">
       <div className="flex flex-col flex-1 small:mx-16 gap-y-4">
@@ -18,17 +25,25 @@ const ImageGallery = ({ images }: ImageGalleryProps) => {
               id={image.id}
             >
               {!!image.url && (
-                <Image
-                  src={image.url}
-                  priority={index <= 2 ? true : false}
-                  className="absolute inset-0 rounded-rounded"
-                  alt={`Product image ${index + 1}`}
-                  fill
-                  sizes="(max-width: 576px) 280px, (max-width: 768px) 360px, (max-width: 992px) 480px, 800px"
-                  style={{
-                    objectFit: "cover",
-                  }}
-                />
+                <picture>
+                  <ImageSources
+                    src={image.url}
+                    sizes={sizes}
+                    derivatives={["card", "gallery", "zoom"]}
+                    metadata={metadata}
+                  />
+                  <Image
+                    src={image.url}
+                    priority={index <= 2 ? true : false}
+                    className="absolute inset-0 rounded-rounded"
+                    alt={`Product image ${index + 1}`}
+                    fill
+                    sizes={sizes}
+                    style={{
+                      objectFit: "cover",
+                    }}
+                  />
+                </picture>
               )}
             </Container>
           )
@@ -0,0 +1,88 @@
+"use client"
+
+import { Label, Textarea } from "@medusajs/ui"
+
+import Input from "@modules/common/components/input"
+
+export type GiftCardRecipientDetails = {
+  recipient_email: string
+  recipient_name: string
+  sender_name: string
+  message: string
+}
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+export const isValidGiftCardRecipient = (details: GiftCardRecipientDetails) =>
+  EMAIL_REGEX.test(details.recipient_email.trim())
+
+type GiftCardRecipientProps = {
+  details: GiftCardRecipientDetails
+  onChange: (details: GiftCardRecipientDetails) => void
+  disabled?: boolean
+}
+
+/**
+ * Who a gift card is for. The code is emailed to the recipient once the order is
+ * placed.
+ */
+const GiftCardRecipient = ({
+  details,
+  onChange,
+  disabled,
+}: GiftCardRecipientProps) => {
+  const update =
+    (field: keyof GiftCardRecipientDetails) =>
+    (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) =>
+      onChange({ ...details, [field]: e.target.value })
+
+  return (
+    <div className="flex flex-col gap-y-2" data-testid="gift-card-recipient">
+      <span className="text-small-regular text-ui-fg-subtle">
+        We will email the gift card to the recipient once your order is placed.
+      </span>
+      <Input
+        label="Recipient email"
+        name="recipient_email"
+        type="email"
+        value={details.recipient_email}
+        onChange={update("recipient_email")}
+        required
+        disabled={disabled}
+        data-testid="gift-card-recipient-email-input"
+      />
+      <Input
+        label="Recipient name"
+        name="recipient_name"
+        value={details.recipient_name}
+        onChange={update("recipient_name")}
+        disabled={disabled}
+        data-testid="gift-card-recipient-name-input"
+      />
+      <Input
+        label="Your name"
+        name="sender_name"
+        value={details.sender_name}
+        onChange={update("sender_name")}
+        disabled={disabled}
+        data-testid="gift-card-sender-name-input"
+      />
+      <Label htmlFor="gift-card-message" className="sr-only">
+        Message
+      </Label>
+      <Textarea
+        id="gift-card-message"
+        name="message"
+        placeholder="Add a personal message (optional)"
+        rows={3}
+        maxLength={500}
+        value={details.message}
+        onChange={update("message")}
+        disabled={disabled}
+        data-testid="gift-card-message-input"
+      />
+    </div>
+  )
+}
+
+export default GiftCardRecipient
@@ -9,15 +9,25 @@ import { useIntersection } from "@lib/hooks/use-in-view"
 import Divider from "@modules/common/components/divider"
 import OptionSelect from "@modules/products/components/product-actions/option-select"
 
+import GiftCardRecipient, {
+  GiftCardRecipientDetails,
+  isValidGiftCardRecipient,
+} from "./gift-card-recipient"
 import MobileActions from "./mobile-actions"
+import NotifyMe from "./notify-me"
+import StoreAvailability from "../store-availability"
+import WishlistButton from "../wishlist-button"
 import ProductPrice from "../product-price"
 import { addToCart } from "@lib/data/cart"
 import { HttpTypes } from "@medusajs/types"
+import { StockAvailability } from "types/global"
 
 type ProductActionsProps = {
   product: HttpTypes.StoreProduct
   region: HttpTypes.StoreRegion
   disabled?: boolean
+  isWishlisted?: boolean
+  stockAvailability?: StockAvailability | null
 }
 
 const optionsAsKeymap = (variantOptions: any) => {
@@ -33,9 +43,18 @@ export default function ProductActions({
   product,
   region,
   disabled,
+  isWishlisted = false,
+  stockAvailability,
 }: ProductActionsProps) {
   const [options, setOptions] = useState<Record<string, string | undefined>>({})
   const [isAdding, setIsAdding] = useState(false)
+  const [giftCardRecipient, setGiftCardRecipient] =
+    useState<GiftCardRecipientDetails>({
+      recipient_email: "",
+      recipient_name: "",
+      sender_name: "",
+      message: "",
+    })
   const countryCode = useParams().countryCode as string
 
   // If there is only 1 variant, preselect the options
@@ -93,9 +112,12 @@ export default function ProductActions({
 
   const inView = useIntersection(actionsRef, "0px")
 
+  const missingGiftCardRecipient =
+    product.is_giftcard && !isValidGiftCardRecipient(giftCardRecipient)
+
   // add the selected variant to the cart
   const handleAddToCart = async () => {
-    if (!selectedVariant?.id) return null
+    if (!selectedVariant?.id || missingGiftCardRecipient) return null
 
     setIsAdding(true)
 
@@ -103,6 +125,8 @@ export default function ProductActions({
       variantId: selectedVariant.id,
       quantity: 1,
       countryCode,
+      // The gift card is issued to the recipient when the order is placed
+      metadata: product.is_giftcard ? giftCardRecipient : undefined,
     })
 
     setIsAdding(false)
@@ -133,11 +157,33 @@ export default function ProductActions({
           )}
         </div>
 
-        <ProductPrice product={product} variant={selectedVariant} />
+        <div className="flex items-center justify-between">
+          <ProductPrice product={product} variant={selectedVariant} />
+          {!disabled && (
+            <WishlistButton
+              productId={product.id}
+              isWishlisted={isWishlisted}
+            />
+          )}
+        </div>
+
+        {product.is_giftcard && !disabled && (
+          <GiftCardRecipient
+            details={giftCardRecipient}
+            onChange={setGiftCardRecipient}
+            disabled={isAdding}
+          />
+        )}
 
         <Button
           onClick={handleAddToCart}
-          disabled={!inStock || !selectedVariant || !!disabled || isAdding}
+          disabled={
+            !inStock ||
+            !selectedVariant ||
+            !!disabled ||
+            isAdding ||
+            missingGiftCardRecipient
+          }
           variant="primary"
           className="w-full h-10"
           isLoading={isAdding}
@@ -147,8 +193,23 @@ export default function ProductActions({
             ? "Select variant"
             : !inStock
             ? "Out of stock"
+            : missingGiftCardRecipient
+            ? "Enter recipient email"
             : "Add to cart"}
         </Button>
+        {stockAvailability && (
+          <StoreAvailability
+            availability={stockAvailability}
+            variant={selectedVariant}
+          />
+        )}
+        {selectedVariant && !inStock && (
+          <NotifyMe
+            key={selectedVariant.id}
+            variantId={selectedVariant.id}
+            countryCode={countryCode}
+          />
+        )}
         <MobileActions
           product={product}
           variant={selectedVariant}
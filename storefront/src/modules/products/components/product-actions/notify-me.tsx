@@ -0,0 +1,65 @@
+"use client"
+
+import { useFormState } from "react-dom"
+
+import { subscribeToBackInStock } from "@lib/data/back-in-stock"
+import Input from "@modules/common/components/input"
+import ErrorMessage from "@modules/checkout/components/error-message"
+import { SubmitButton } from "@modules/checkout/components/submit-button"
+
+type NotifyMeProps = {
+  variantId: string
+  countryCode: string
+}
+
+const NotifyMe = ({ variantId, countryCode }: NotifyMeProps) => {
+  const [state, formAction] = useFormState(subscribeToBackInStock, {
+    success: false,
+    error: null,
+  })
+
+  if (state.success) {
+    return (
+      <p
+        className="text-small-regular text-ui-fg-subtle"
+        data-testid="notify-me-success"
+      >
+        Thanks! Check your inbox and confirm your email address, then we will
+        let you know as soon as this item is back in stock.
+      </p>
+    )
+  }
+
+  return (
+    <form
+      action={formAction}
+      className="flex flex-col gap-y-2"
+      data-testid="notify-me-form"
+    >
+      <p className="text-small-regular text-ui-fg-subtle">
+        Sold out. Leave your email and we will let you know when it is back.
+      </p>
+      <input type="hidden" name="variant_id" value={variantId} />
+      <input type="hidden" name="country_code" value={countryCode} />
+      <Input
+        label="Email"
+        name="email"
+        type="email"
+        title="Enter a valid email address."
+        autoComplete="email"
+        required
+        data-testid="notify-me-email-input"
+      />
+      <ErrorMessage error={state.error} data-testid="notify-me-error-message" />
+      <SubmitButton
+        variant="secondary"
+        className="w-full h-10"
+        data-testid="notify-me-button"
+      >
+        Notify me
+      </SubmitButton>
+    </form>
+  )
+}
+
+export default NotifyMe
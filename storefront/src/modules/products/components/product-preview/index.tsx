@@ -4,6 +4,9 @@ import { getProductPrice } from "@lib/util/get-product-price"
 import LocalizedClientLink from "@modules/common/components/localized-client-link"
 import Thumbnail from "../thumbnail"
 import PreviewPrice from "./price"
+import ProductRating from "../product-rating"
+import WishlistButton from "../wishlist-button"
+import { getWishlistProductIds } from "@lib/data/wishlist"
 import { getProductsById } from "@lib/data/products"
 import { HttpTypes } from "@medusajs/types"
 
@@ -29,15 +32,23 @@ export default async function ProductPreview({
     product: pricedProduct,
   })
 
+  const wishlistProductIds = await getWishlistProductIds()
+
   return (
     <LocalizedClientLink href={`/products/${product.handle}`} className="group">
-      <div data-testid="product-wrapper">
+      <div data-testid="product-wrapper" className="relative">
         <Thumbnail
           thumbnail={product.thumbnail}
           images={product.images}
+          metadata={product.metadata}
           size="full"
           isFeatured={isFeatured}
         />
+        <WishlistButton
+          productId={product.id!}
+          isWishlisted={wishlistProductIds.includes(product.id!)}
+          className="absolute top-3 right-3"
+        />
         <div className="flex txt-compact-medium mt-4 justify-between">
           <Text className="text-ui-fg-subtle" data-testid="product-title">
             {product.title}
@@ -46,6 +57,7 @@ export default async function ProductPreview({
             {cheapestPrice && <PreviewPrice price={cheapestPrice} />}
           </div>
         </div>
+        <ProductRating productId={product.id!} showCount={false} />
       </div>
     </LocalizedClientLink>
   )
@@ -0,0 +1,35 @@
+import { Text } from "@medusajs/ui"
+
+import { getProductRating } from "@lib/data/reviews"
+import RatingStars from "@modules/products/components/rating-stars"
+
+type ProductRatingProps = {
+  productId: string
+  showCount?: boolean
+}
+
+export default async function ProductRating({
+  productId,
+  showCount = true,
+}: ProductRatingProps) {
+  const rating = await getProductRating(productId)
+
+  if (!rating?.count || rating.average_rating === null) {
+    return null
+  }
+
+  return (
+    <div
+      className="flex items-center gap-x-2 txt-compact-small"
+      data-testid="product-rating"
+    >
+      <RatingStars rating={rating.average_rating} />
+      {showCount && (
+        <Text className="text-ui-fg-subtle">
+          {rating.average_rating} ({rating.count}{" "}
+          {rating.count === 1 ? "review" : "reviews"})
+        </Text>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,55 @@
+import { Text } from "@medusajs/ui"
+
+import { getProductReviews } from "@lib/data/reviews"
+import RatingStars from "@modules/products/components/rating-stars"
+import ReviewForm from "./review-form"
+
+type ProductReviewsProps = {
+  productId: string
+}
+
+export default async function ProductReviews({
+  productId,
+}: ProductReviewsProps) {
+  const data = await getProductReviews({ productId })
+  const reviews = data?.reviews ?? []
+
+  return (
+    <div className="text-small-regular py-8 flex flex-col gap-y-8">
+      {reviews.length === 0 ? (
+        <Text className="text-ui-fg-subtle">
+          There are no reviews yet. Be the first to share your thoughts.
+        </Text>
+      ) : (
+        <ul className="flex flex-col gap-y-6" data-testid="product-reviews">
+          {reviews.map((review) => (
+            <li
+              key={review.id}
+              className="flex flex-col gap-y-1"
+              data-testid="product-review"
+            >
+              <RatingStars rating={review.rating} />
+              {review.title && (
+                <span className="font-semibold">{review.title}</span>
+              )}
+              <p className="whitespace-pre-line">{review.body}</p>
+              <span className="text-ui-fg-subtle">
+                {review.display_name} ·{" "}
+                {new Date(review.created_at).toLocaleDateString()}
+                {review.verified_purchase && (
+                  <span
+                    className="ml-2 text-ui-fg-interactive"
+                    data-testid="verified-purchase-badge"
+                  >
+                    Verified purchase
+                  </span>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <ReviewForm productId={productId} />
+    </div>
+  )
+}
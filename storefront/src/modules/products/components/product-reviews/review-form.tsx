@@ -0,0 +1,77 @@
+"use client"
+
+import { Label, Text, Textarea } from "@medusajs/ui"
+import { useFormState } from "react-dom"
+
+import { submitProductReview } from "@lib/data/reviews"
+import Input from "@modules/common/components/input"
+import NativeSelect from "@modules/common/components/native-select"
+import ErrorMessage from "@modules/checkout/components/error-message"
+import { SubmitButton } from "@modules/checkout/components/submit-button"
+
+type ReviewFormProps = {
+  productId: string
+}
+
+const ReviewForm = ({ productId }: ReviewFormProps) => {
+  const [state, formAction] = useFormState(submitProductReview, {
+    productId,
+    success: false,
+    error: null,
+  })
+
+  if (state.success) {
+    return (
+      <Text
+        className="text-ui-fg-subtle"
+        data-testid="review-form-success"
+      >
+        Thank you! Your review will be visible once it has been approved.
+      </Text>
+    )
+  }
+
+  return (
+    <form
+      action={formAction}
+      className="flex flex-col gap-y-2"
+      data-testid="review-form"
+    >
+      <span className="font-semibold">Write a review</span>
+      <NativeSelect
+        name="rating"
+        placeholder="Rating"
+        required
+        data-testid="review-rating-select"
+      >
+        {[5, 4, 3, 2, 1].map((rating) => (
+          <option key={rating} value={rating}>
+            {rating} {rating === 1 ? "star" : "stars"}
+          </option>
+        ))}
+      </NativeSelect>
+      <Input label="Title" name="title" data-testid="review-title-input" />
+      <Label htmlFor="review-body" className="sr-only">
+        Review
+      </Label>
+      <Textarea
+        id="review-body"
+        name="body"
+        placeholder="What did you think of it?"
+        rows={4}
+        required
+        data-testid="review-body-input"
+      />
+      <ErrorMessage error={state.error} data-testid="review-error-message" />
+      <SubmitButton
+        variant="secondary"
+        className="w-full"
+        data-testid="submit-review-button"
+      >
+        Submit review
+      </SubmitButton>
+    </form>
+  )
+}
+
+export default ReviewForm
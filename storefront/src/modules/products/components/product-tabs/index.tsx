@@ -5,13 +5,15 @@ import FastDelivery from "@modules/common/icons/fast-delivery"
 import Refresh from "@modules/common/icons/refresh"
 
 import Accordion from "./accordion"
+import React from "react"
 import { HttpTypes } from "@medusajs/types"
 
 type ProductTabsProps = {
   product: HttpTypes.StoreProduct
+  reviews?: React.ReactNode
 }
 
-const ProductTabs = ({ product }: ProductTabsProps) => {
+const ProductTabs = ({ product, reviews }: ProductTabsProps) => {
   const tabs = [
     {
       label: "Product Information",
@@ -21,6 +23,14 @@ const ProductTabs = ({ product }: ProductTabsProps) => {
       label: "Shipping & Returns",
       component: <ShippingInfoTab />,
     },
+    ...(reviews
+      ? [
+          {
+            label: "Reviews",
+            component: reviews,
+          },
+        ]
+      : []),
   ]
 
   return (
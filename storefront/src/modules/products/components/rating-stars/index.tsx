@@ -0,0 +1,30 @@
+import { clx } from "@medusajs/ui"
+
+type RatingStarsProps = {
+  rating: number
+  className?: string
+}
+
+const RatingStars = ({ rating, className }: RatingStarsProps) => {
+  const rounded = Math.round(rating)
+
+  return (
+    <span
+      className={clx("inline-flex text-ui-fg-base", className)}
+      aria-label={`Rated ${rating} out of 5`}
+      data-testid="rating-stars"
+    >
+      {[1, 2, 3, 4, 5].map((star) => (
+        <span
+          key={star}
+          aria-hidden
+          className={star <= rounded ? "" : "text-ui-fg-disabled"}
+        >
+          ★
+        </span>
+      ))}
+    </span>
+  )
+}
+
+export default RatingStars
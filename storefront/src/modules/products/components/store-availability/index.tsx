@@ -0,0 +1,75 @@
+import { HttpTypes } from "@medusajs/types"
+import { Text, clx } from "@medusajs/ui"
+import { StockAvailability } from "types/global"
+
+// At or below this quantity, a location shows how many are left
+const LOW_STOCK_THRESHOLD = 5
+
+type StoreAvailabilityProps = {
+  availability: StockAvailability
+  variant?: HttpTypes.StoreProductVariant
+}
+
+/**
+ * Shows the stock of the selected variant at each location, and where it can be
+ * picked up.
+ */
+const StoreAvailability = ({
+  availability,
+  variant,
+}: StoreAvailabilityProps) => {
+  const variantAvailability = availability.variants.find(
+    (v) => v.variant_id === variant?.id
+  )
+
+  if (!variantAvailability?.locations.length) {
+    return null
+  }
+
+  return (
+    <ul className="flex flex-col gap-y-1" data-testid="store-availability">
+      {variantAvailability.locations.map(
+        ({ location_id, available_quantity }) => {
+          const location = availability.locations.find(
+            (l) => l.id === location_id
+          )
+
+          if (!location) {
+            return null
+          }
+
+          return (
+            <li
+              key={location_id}
+              className="flex items-center gap-x-2"
+              data-testid="store-availability-location"
+            >
+              <span
+                className={clx("h-2 w-2 rounded-full", {
+                  "bg-ui-tag-green-icon":
+                    available_quantity > LOW_STOCK_THRESHOLD,
+                  "bg-ui-tag-orange-icon":
+                    available_quantity > 0 &&
+                    available_quantity <= LOW_STOCK_THRESHOLD,
+                  "bg-ui-tag-neutral-icon": available_quantity === 0,
+                })}
+              />
+              <Text className="txt-small text-ui-fg-subtle">
+                {available_quantity === 0
+                  ? `Out of stock at ${location.name}`
+                  : available_quantity <= LOW_STOCK_THRESHOLD
+                    ? `Only ${available_quantity} left at ${location.name}`
+                    : `In stock at ${location.name}`}
+                {location.pickup && available_quantity > 0 && (
+                  <span className="text-ui-fg-base"> · Pick up in store</span>
+                )}
+              </Text>
+            </li>
+          )
+        }
+      )}
+    </ul>
+  )
+}
+
+export default StoreAvailability
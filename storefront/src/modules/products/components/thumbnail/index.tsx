@@ -4,12 +4,15 @@ import { Container, clx } from "@medusajs/ui"
 import Image from "next/image"
 import React from "react"
 
+import ImageSources from "@modules/common/components/image-sources"
 import PlaceholderImage from "@modules/common/icons/placeholder-image"
 
 type ThumbnailProps = {
   thumbnail?: string | null
   // TODO: Fix image typings
   images?: any[] | null
+  // Metadata of the product, lists the images with derivatives
+  metadata?: Record<string, unknown> | null
   size?: "small" | "medium" | "large" | "full" | "square"
   isFeatured?: boolean
   className?: string
@@ -19,12 +22,15 @@ type ThumbnailProps = {
 const Thumbnail: React.FC<ThumbnailProps> = ({
   thumbnail,
   images,
+  metadata,
   size = "small",
   isFeatured,
   className,
   "data-testid": dataTestid,
 }) => {
   const initialImage = thumbnail || images?.[0]?.url
+  const sizes =
+    "(max-width: 576px) 280px, (max-width: 768px) 360px, (max-width: 992px) 480px, 800px"
 
   return (
     <Container
@@ -44,22 +50,34 @@ const Thumbnail: React.FC<ThumbnailProps> = ({
       data-testid={dataTestid}
     >
       {initialImage ? (
-    <Image
-          src={initialImage}
-      alt="Thumbnail"
-      className="absolute inset-0 object-cover object-center"
-      draggable={false}
-      quality={50}
-      sizes="(max-width: 576px) 280px, (max-width: 768px) 360px, (max-width: 992px) 480px, 800px"
-      fill
-          onError={(e) => {
-            e.currentTarget.src = ""
-          }}
-    />
-  ) : (
-    <div className="w-full h-full absolute inset-0 flex items-center justify-center">
-      <PlaceholderImage size={size === "small" ? 16 : 24} />
-    </div>
+        <picture>
+          <ImageSources
+            src={initialImage}
+            sizes={sizes}
+            derivatives={
+              size === "small"
+                ? ["thumbnail", "card"]
+                : ["thumbnail", "card", "gallery"]
+            }
+            metadata={metadata}
+          />
+          <Image
+            src={initialImage}
+            alt="Thumbnail"
+            className="absolute inset-0 object-cover object-center"
+            draggable={false}
+            quality={50}
+            sizes={sizes}
+            fill
+            onError={(e) => {
+              e.currentTarget.src = ""
+            }}
+          />
+        </picture>
+      ) : (
+        <div className="w-full h-full absolute inset-0 flex items-center justify-center">
+          <PlaceholderImage size={size === "small" ? 16 : 24} />
+        </div>
       )}
     </Container>
   )
@@ -0,0 +1,55 @@
+"use client"
+
+import { clx } from "@medusajs/ui"
+import { useState, useTransition } from "react"
+
+import { toggleWishlistItem } from "@lib/data/wishlist"
+import Heart from "@modules/common/icons/heart"
+
+type WishlistButtonProps = {
+  productId: string
+  isWishlisted: boolean
+  className?: string
+}
+
+const WishlistButton = ({
+  productId,
+  isWishlisted,
+  className,
+}: WishlistButtonProps) => {
+  const [active, setActive] = useState(isWishlisted)
+  const [isPending, startTransition] = useTransition()
+
+  const handleClick = (e: React.MouseEvent) => {
+    // The button is rendered inside product links
+    e.preventDefault()
+    e.stopPropagation()
+
+    setActive(!active)
+    startTransition(async () => {
+      const wishlisted = await toggleWishlistItem(productId).catch(
+        () => active
+      )
+      setActive(wishlisted)
+    })
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={isPending}
+      aria-pressed={active}
+      aria-label={active ? "Remove from wishlist" : "Add to wishlist"}
+      className={clx(
+        "flex items-center justify-center text-ui-fg-base hover:text-ui-fg-subtle",
+        className
+      )}
+      data-testid="wishlist-button"
+    >
+      <Heart filled={active} />
+    </button>
+  )
+}
+
+export default WishlistButton
@@ -1,4 +1,6 @@
 import { getProductsById } from "@lib/data/products"
+import { getStockAvailability } from "@lib/data/stock"
+import { getWishlistProductIds } from "@lib/data/wishlist"
 import { HttpTypes } from "@medusajs/types"
 import ProductActions from "@modules/products/components/product-actions"
 
@@ -21,5 +23,17 @@ export default async function ProductActionsWrapper({
     return null
   }
 
-  return <ProductActions product={product} region={region} />
+  const [wishlistProductIds, stockAvailability] = await Promise.all([
+    getWishlistProductIds(),
+    getStockAvailability(product.id),
+  ])
+
+  return (
+    <ProductActions
+      product={product}
+      region={region}
+      isWishlisted={wishlistProductIds.includes(product.id)}
+      stockAvailability={stockAvailability}
+    />
+  )
 }
@@ -1,30 +1,82 @@
 "use server"
 
+import { trackSearch } from "@lib/data/search-analytics"
 import { SEARCH_INDEX_NAME, searchClient } from "@lib/search-client"
 
+import {
+  SEARCH_FACETS,
+  SearchFilters,
+  toFacetFilters,
+  toSearchFacets,
+} from "./facets"
+
 interface Hits {
   readonly objectID?: string
   id?: string
   [x: string | number | symbol]: unknown
 }
 
+type FacetCounts = Record<string, Record<string, number> | undefined>
+
 /**
- * Uses MeiliSearch or Algolia to search for a query
+ * Uses the configured search provider to search for a query. Without a search
+ * engine, results come from the Medusa store products API and have no facets.
  * @param {string} query - search query
+ * @param {SearchFilters} filters - selected facet values, by URL param
  */
-export async function search(query: string) {
-  // MeiliSearch
-  const queries = [{ params: { query }, indexName: SEARCH_INDEX_NAME }]
+export async function search(query: string, filters: SearchFilters = {}) {
+  const facets = SEARCH_FACETS.map(({ attribute }) => attribute)
+
+  // Counts of a facet with selected values come from a query without its own filter,
+  // so other values of the same facet can still be added
+  const selectedParams = Object.keys(filters).filter(
+    (param) => filters[param].length
+  )
+  const queries = [
+    {
+      params: {
+        query,
+        facets,
+        facetFilters: toFacetFilters(filters),
+        hitsPerPage: 100,
+      },
+      indexName: SEARCH_INDEX_NAME,
+    },
+    ...selectedParams.map((param) => ({
+      params: {
+        query,
+        facets: SEARCH_FACETS.filter((facet) => facet.param === param).map(
+          ({ attribute }) => attribute
+        ),
+        facetFilters: toFacetFilters(filters, param),
+        hitsPerPage: 0,
+      },
+      indexName: SEARCH_INDEX_NAME,
+    })),
+  ]
   const { results } = (await searchClient.search(queries)) as Record<
     string,
     any
   >
-  const { hits } = results[0] as { hits: Hits[] }
-
-  // In case you want to use Algolia instead of MeiliSearch, uncomment the following lines and delete the above lines.
+  const { hits, nbHits, facets: counts } = results[0] as {
+    hits: Hits[]
+    nbHits?: number
+    facets?: FacetCounts
+  }
+  const facetCounts = results
+    .slice(1)
+    .reduce(
+      (all: FacetCounts, result: { facets?: FacetCounts }) => ({
+        ...all,
+        ...result.facets,
+      }),
+      { ...counts }
+    )
 
-  // const index = searchClient.initIndex(SEARCH_INDEX_NAME)
-  // const { hits } = (await index.search(query)) as { hits: Hits[] }
+  // Refining the results with facets is not a new search
+  if (!selectedParams.length) {
+    await trackSearch(query, nbHits ?? hits.length, "results")
+  }
 
-  return hits
+  return { hits, facets: toSearchFacets(facetCounts, filters) }
 }
@@ -17,12 +17,14 @@ export type ProductHit = {
 
 type HitProps = {
   hit: ProductHit
+  onClick?: () => void
 }
 
-const Hit = ({ hit }: HitProps) => {
+const Hit = ({ hit, onClick }: HitProps) => {
   return (
     <LocalizedClientLink
       href={`/products/${hit.handle}`}
+      onClick={onClick}
       data-testid="search-result"
     >
       <Container
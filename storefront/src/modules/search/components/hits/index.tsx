@@ -1,5 +1,6 @@
+import { trackSearch, trackSearchClick } from "@lib/data/search-analytics"
 import { clx } from "@medusajs/ui"
-import React from "react"
+import React, { useEffect } from "react"
 import {
   UseHitsProps,
   useHits,
@@ -11,16 +12,31 @@ import ShowAll from "../show-all"
 
 type HitsProps<THit> = React.ComponentProps<"div"> &
   UseHitsProps & {
-    hitComponent: (props: { hit: THit }) => JSX.Element
+    hitComponent: (props: { hit: THit; onClick?: () => void }) => JSX.Element
   }
 
+// Searches are recorded once typing has stopped for this long
+const SEARCH_TRACKING_DELAY = 1000
+
 const Hits = ({
   hitComponent: Hit,
   className,
   ...props
 }: HitsProps<ProductHit>) => {
   const { query } = useSearchBox()
-  const { hits } = useHits(props)
+  const { hits, results } = useHits(props)
+
+  useEffect(() => {
+    if (!query || !results || results.query !== query) {
+      return
+    }
+
+    const timeout = setTimeout(
+      () => trackSearch(query, results.nbHits, "modal"),
+      SEARCH_TRACKING_DELAY
+    )
+    return () => clearTimeout(timeout)
+  }, [query, results])
 
   return (
     <div
@@ -44,7 +60,12 @@ const Hits = ({
               "hidden sm:block": index > 2,
             })}
           >
-            <Hit hit={hit as unknown as ProductHit} />
+            <Hit
+              hit={hit as unknown as ProductHit}
+              onClick={() =>
+                trackSearchClick(query, hit.objectID, index + 1, "modal")
+              }
+            />
           </li>
         ))}
       </div>
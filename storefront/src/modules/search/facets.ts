@@ -0,0 +1,86 @@
+/**
+ * Facets offered on the search results page. `attribute` is the filterable attribute
+ * of the products index, `param` the URL query parameter holding the selected values.
+ */
+export const SEARCH_FACETS = [
+  { attribute: "categories", param: "category", label: "Category" },
+  { attribute: "collection", param: "collection", label: "Collection" },
+  { attribute: "tags", param: "tag", label: "Tags" },
+  { attribute: "options.size", param: "size", label: "Size" },
+  { attribute: "options.color", param: "color", label: "Color" },
+  { attribute: "in_stock", param: "in_stock", label: "Availability" },
+]
+
+const VALUE_LABELS: Record<string, Record<string, string>> = {
+  in_stock: { true: "In stock", false: "Out of stock" },
+}
+
+export type SearchFilters = Record<string, string[]>
+
+export type SearchFacet = {
+  param: string
+  label: string
+  values: {
+    value: string
+    label: string
+    count: number
+    selected: boolean
+  }[]
+}
+
+/**
+ * Reads the selected facet values from the page's search params, by param name.
+ */
+export function getSearchFilters(
+  searchParams: Record<string, string | string[] | undefined>
+): SearchFilters {
+  return SEARCH_FACETS.reduce((filters, { param }) => {
+    const value = searchParams[param]
+    const values = (Array.isArray(value) ? value : [value]).filter(
+      (v): v is string => !!v
+    )
+
+    return values.length ? { ...filters, [param]: values } : filters
+  }, {} as SearchFilters)
+}
+
+/**
+ * Facet filters in the Algolia format instant-meilisearch expects: values of the same
+ * facet are OR'ed, facets are AND'ed.
+ * @param filters - The selected values
+ * @param exclude - (optional) Param of a facet to leave out
+ */
+export function toFacetFilters(filters: SearchFilters, exclude?: string) {
+  return SEARCH_FACETS.filter(
+    ({ param }) => param !== exclude && filters[param]?.length
+  ).map(({ attribute, param }) =>
+    filters[param].map((value) => `${attribute}:${value}`)
+  )
+}
+
+/**
+ * Turns the facet counts of a search response into the facets to render. Selected
+ * values are kept even when they have no results.
+ */
+export function toSearchFacets(
+  counts: Record<string, Record<string, number> | undefined>,
+  filters: SearchFilters
+): SearchFacet[] {
+  return SEARCH_FACETS.map(({ attribute, param, label }) => {
+    const valueCounts = { ...counts[attribute] }
+    filters[param]?.forEach((value) => (valueCounts[value] ??= 0))
+
+    return {
+      param,
+      label,
+      values: Object.entries(valueCounts)
+        .map(([value, count]) => ({
+          value,
+          label: VALUE_LABELS[attribute]?.[value] ?? value,
+          count,
+          selected: !!filters[param]?.includes(value),
+        }))
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+    }
+  }).filter((facet) => facet.values.length > 0)
+}
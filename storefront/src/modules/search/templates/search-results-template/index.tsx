@@ -5,10 +5,12 @@ import RefinementList from "@modules/store/components/refinement-list"
 import { SortOptions } from "@modules/store/components/refinement-list/sort-products"
 import PaginatedProducts from "@modules/store/templates/paginated-products"
 import LocalizedClientLink from "@modules/common/components/localized-client-link"
+import { SearchFacet } from "@modules/search/facets"
 
 type SearchResultsTemplateProps = {
   query: string
   ids: string[]
+  facets: SearchFacet[]
   sortBy?: SortOptions
   page?: string
   countryCode: string
@@ -17,11 +19,15 @@ type SearchResultsTemplateProps = {
 const SearchResultsTemplate = ({
   query,
   ids,
+  facets,
   sortBy,
   page,
   countryCode,
 }: SearchResultsTemplateProps) => {
   const pageNumber = page ? parseInt(page) : 1
+  const hasFilters = facets.some((facet) =>
+    facet.values.some((value) => value.selected)
+  )
 
   return (
     <>
@@ -40,16 +46,24 @@ const SearchResultsTemplate = ({
         </LocalizedClientLink>
       </div>
       <div className="flex flex-col small:flex-row small:items-start p-6">
-        {ids.length > 0 ? (
+        {ids.length > 0 || hasFilters ? (
           <>
-            <RefinementList sortBy={sortBy || "created_at"} search />
+            <RefinementList
+              sortBy={sortBy || "created_at"}
+              facets={facets}
+              search
+            />
             <div className="content-container">
-              <PaginatedProducts
-                productsIds={ids}
-                sortBy={sortBy}
-                page={pageNumber}
-                countryCode={countryCode}
-              />
+              {ids.length > 0 ? (
+                <PaginatedProducts
+                  productsIds={ids}
+                  sortBy={sortBy}
+                  page={pageNumber}
+                  countryCode={countryCode}
+                />
+              ) : (
+                <Text>No results match the selected filters.</Text>
+              )}
             </div>
           </>
         ) : (
@@ -0,0 +1,50 @@
+"use client"
+
+import { Checkbox, Label, Text } from "@medusajs/ui"
+
+import { SearchFacet } from "@modules/search/facets"
+
+type FacetFilterProps = {
+  facet: SearchFacet
+  toggleValue: (param: string, value: string) => void
+}
+
+const FacetFilter = ({ facet, toggleValue }: FacetFilterProps) => {
+  return (
+    <div
+      className="flex flex-col gap-y-3"
+      data-testid={`facet-filter-${facet.param}`}
+    >
+      <Text className="txt-compact-small-plus text-ui-fg-muted">
+        {facet.label}
+      </Text>
+      <ul className="flex flex-col gap-y-2">
+        {facet.values.map(({ value, label, count, selected }) => {
+          const id = `facet-${facet.param}-${value}`
+
+          return (
+            <li key={value} className="flex items-center gap-x-2">
+              <Checkbox
+                id={id}
+                checked={selected}
+                onCheckedChange={() => toggleValue(facet.param, value)}
+                data-testid="facet-value"
+              />
+              <Label
+                htmlFor={id}
+                className="!txt-compact-small !transform-none text-ui-fg-subtle hover:cursor-pointer"
+              >
+                {label}{" "}
+                <span className="text-ui-fg-muted" data-testid="facet-count">
+                  ({count})
+                </span>
+              </Label>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default FacetFilter
@@ -3,15 +3,19 @@
 import { usePathname, useRouter, useSearchParams } from "next/navigation"
 import { useCallback } from "react"
 
+import { SearchFacet } from "@modules/search/facets"
+
+import FacetFilter from "./facet-filter"
 import SortProducts, { SortOptions } from "./sort-products"
 
 type RefinementListProps = {
   sortBy: SortOptions
   search?: boolean
+  facets?: SearchFacet[]
   'data-testid'?: string
 }
 
-const RefinementList = ({ sortBy, 'data-testid': dataTestId }: RefinementListProps) => {
+const RefinementList = ({ sortBy, facets, 'data-testid': dataTestId }: RefinementListProps) => {
   const router = useRouter()
   const pathname = usePathname()
   const searchParams = useSearchParams()
@@ -31,9 +35,31 @@ const RefinementList = ({ sortBy, 'data-testid': dataTestId }: RefinementListPro
     router.push(`${pathname}?${query}`)
   }
 
+  // Facet values are repeated params, e.g. ?size=S&size=M
+  const toggleFacetValue = (param: string, value: string) => {
+    const params = new URLSearchParams(searchParams)
+    const values = params.getAll(param)
+
+    params.delete(param)
+    ;(values.includes(value)
+      ? values.filter((v) => v !== value)
+      : [...values, value]
+    ).forEach((v) => params.append(param, v))
+    params.delete("page")
+
+    router.push(`${pathname}?${params.toString()}`)
+  }
+
   return (
     <div className="flex small:flex-col gap-12 py-4 mb-8 small:px-0 pl-6 small:min-w-[250px] small:ml-[1.675rem]">
       <SortProducts sortBy={sortBy} setQueryParams={setQueryParams} data-testid={dataTestId} />
+      {facets?.map((facet) => (
+        <FacetFilter
+          key={facet.param}
+          facet={facet}
+          toggleValue={toggleFacetValue}
+        />
+      ))}
     </div>
   )
 }
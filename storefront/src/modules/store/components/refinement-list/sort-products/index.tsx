@@ -2,7 +2,11 @@
 
 import FilterRadioGroup from "@modules/common/components/filter-radio-group"
 
-export type SortOptions = "price_asc" | "price_desc" | "created_at"
+export type SortOptions =
+  | "price_asc"
+  | "price_desc"
+  | "created_at"
+  | "best_selling"
 
 type SortProductsProps = {
   sortBy: SortOptions
@@ -15,6 +19,10 @@ const sortOptions = [
     value: "created_at",
     label: "Latest Arrivals",
   },
+  {
+    value: "best_selling",
+    label: "Best Selling",
+  },
   {
     value: "price_asc",
     label: "Price: Low -> High",
@@ -14,3 +14,105 @@ export type VariantPrice = {
   price_type: string
   percentage_diff: string
 }
+
+export type ProductReview = {
+  id: string
+  display_name: string
+  rating: number
+  title: string | null
+  body: string
+  verified_purchase: boolean
+  created_at: string
+}
+
+export type ProductRating = {
+  product_id: string
+  average_rating: number | null
+  count: number
+}
+
+export type StockLocation = {
+  id: string
+  name: string
+  address: {
+    address_1: string | null
+    city: string | null
+    postal_code: string | null
+    country_code: string | null
+  } | null
+  pickup: boolean
+}
+
+export type StockAvailability = {
+  locations: StockLocation[]
+  variants: {
+    variant_id: string
+    manage_inventory: boolean
+    allow_backorder: boolean
+    locations: { location_id: string; available_quantity: number }[]
+  }[]
+}
+
+export type CartGiftCard = {
+  code: string
+  currency_code: string
+  amount: number
+  balance: number
+}
+
+export type GiftCardBalance = {
+  code: string
+  currency_code: string
+  value: number
+  balance: number
+}
+
+export type OrderReturn = {
+  id: string
+  display_id: number
+  order_id: string
+  order_display_id: number
+  status: "requested" | "received" | "partially_received" | "canceled" | "open"
+  created_at: string
+  received_at: string | null
+  canceled_at: string | null
+  items: {
+    item_id: string
+    title: string
+    quantity: number
+    reason: string | null
+  }[]
+}
+
+export type ReturnableItem = {
+  id: string
+  title: string
+  variant_title: string | null
+  thumbnail: string | null
+  returnable_quantity: number
+}
+
+export type ReturnReason = {
+  id: string
+  value: string
+  label: string
+}
+
+export type OrderTimelineEvent = {
+  id: string
+  type:
+    | "placed"
+    | "payment_captured"
+    | "fulfillment_created"
+    | "shipped"
+    | "delivered"
+    | "fulfillment_canceled"
+    | "return_requested"
+    | "return_received"
+    | "return_canceled"
+    | "refunded"
+  date: string
+  title: string
+  description?: string
+  tracking?: { number: string; url?: string; carrier?: string }[]
+}